@@ -0,0 +1,786 @@
+// CityBus Tracker - Data Layer
+// Reads and writes users, drivers, admins, bookings, feedback, favorites, the
+// bus fleet and its assignments and the network through the REST API in server.js. When the server cannot be
+// reached the same calls fall back to this browser's localStorage, so the app
+// still works as a standalone page (without sharing data between devices).
+// Passwords are only ever stored as salted PBKDF2 hashes, and a login yields
+// a signed session token that expires and is revoked on logout.
+class DataStoreError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'DataStoreError';
+        this.status = status;
+    }
+}
+
+class DataStore {
+    constructor(baseUrl = DataStore.getDefaultBaseUrl()) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.online = false;
+        this.demoMode = false; // reported by the server
+        // Where login codes go without the server; the app shows them on screen
+        this.localSmsGateway = {
+            send: async (mobile, text) => console.log(`SMS to ${mobile}: ${text}`)
+        };
+        this.localEmailGateway = {
+            send: async (email, text) => console.log(`Email to ${email}: ${text}`)
+        };
+        this.localOtp = null;
+        this.localPasswordResets = null;
+    }
+
+    // Same origin when the app is served by server.js, otherwise the
+    // configured or default local server
+    static getDefaultBaseUrl() {
+        const saved = localStorage.getItem('apiBaseUrl');
+        if (saved) return saved;
+        if (location.protocol === 'http:' || location.protocol === 'https:') return `${location.origin}/api`;
+        return 'http://localhost:8080/api';
+    }
+
+    // Check whether the server answers; everything else follows this flag
+    async connect(baseUrl) {
+        if (baseUrl !== undefined) this.baseUrl = baseUrl.replace(/\/+$/, '');
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), DataStore.connectTimeoutMs);
+        try {
+            const response = await fetch(`${this.baseUrl}/health`, { signal: controller.signal });
+            this.online = response.ok;
+            this.demoMode = response.ok && (await response.json()).demo === true;
+        } catch (error) {
+            this.online = false;
+            this.demoMode = false;
+        } finally {
+            clearTimeout(timer);
+        }
+        return this.online;
+    }
+
+    async request(method, path, body) {
+        const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+        const session = this.readStoredSession();
+        if (session && session.issuer === 'server') headers.Authorization = `Bearer ${session.token}`;
+
+        let response;
+        try {
+            response = await fetch(this.baseUrl + path, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (error) {
+            // Server went away: continue on this device
+            this.online = false;
+            throw new DataStoreError('Data server unreachable', 0);
+        }
+
+        const payload = response.status === 204 ? null : await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new DataStoreError(payload?.error || `Request failed (${response.status})`, response.status);
+        }
+        return payload;
+    }
+
+    // Run the server call, or the local one when offline or the server drops
+    async withFallback(remote, local) {
+        if (this.online) {
+            try {
+                return await remote();
+            } catch (error) {
+                if (error.status !== 0) throw error;
+            }
+        }
+        return local();
+    }
+
+    // ---- Collections ----
+
+    async list(collection, filter = {}) {
+        const query = new URLSearchParams(filter).toString();
+        return this.withFallback(
+            () => this.request('GET', `/${collection}${query ? `?${query}` : ''}`),
+            () => this.readLocal(collection)
+                .filter(record => DataStore.matches(record, filter))
+                .map(record => DataStore.withoutPassword(record))
+        );
+    }
+
+    async get(collection, id) {
+        return this.withFallback(
+            () => this.request('GET', `/${collection}/${encodeURIComponent(id)}`),
+            () => {
+                const record = this.readLocal(collection).find(item => String(item.id) === String(id));
+                if (!record) throw new DataStoreError('Not found', 404);
+                return DataStore.withoutPassword(record);
+            }
+        );
+    }
+
+    async create(collection, record) {
+        return this.withFallback(
+            () => this.request('POST', `/${collection}`, record),
+            async () => {
+                const records = this.readLocal(collection);
+                let created = await DataStore.hashCredentials({ ...record, id: record.id ?? DataStore.createId(collection) });
+                if (DataStore.fleetCollections.includes(collection)) created = this.prepareLocalFleetRecord(collection, created);
+                DataStore.checkUnique(collection, records, created);
+                records.push(created);
+                this.writeLocal(collection, records);
+                return DataStore.withoutPassword(created);
+            }
+        );
+    }
+
+    async update(collection, id, changes) {
+        return this.withFallback(
+            () => this.request('PATCH', `/${collection}/${encodeURIComponent(id)}`, changes),
+            async () => {
+                const records = this.readLocal(collection);
+                const index = records.findIndex(item => String(item.id) === String(id));
+                if (index < 0) throw new DataStoreError('Not found', 404);
+                let updated = await DataStore.hashCredentials({ ...records[index], ...changes, id: records[index].id });
+                if (DataStore.fleetCollections.includes(collection)) updated = this.prepareLocalFleetRecord(collection, updated);
+                DataStore.checkUnique(collection, records.filter((_, i) => i !== index), updated);
+                records[index] = updated;
+                this.writeLocal(collection, records);
+                return DataStore.withoutPassword(updated);
+            }
+        );
+    }
+
+    async remove(collection, id) {
+        return this.withFallback(
+            () => this.request('DELETE', `/${collection}/${encodeURIComponent(id)}`),
+            () => {
+                const records = this.readLocal(collection);
+                if (collection === 'fleet' && this.readLocal('assignments').some(assignment => String(assignment.busId) === String(id))) {
+                    throw new DataStoreError('This bus has assignments. Set its status to retired instead', 409);
+                }
+                this.writeLocal(collection, records.filter(item => String(item.id) !== String(id)));
+                return null;
+            }
+        );
+    }
+
+    // Check a password for a user or driver and open a session; resolves to
+    // { account, session } with the account without its password, or null
+    // when the credentials do not match
+    async login(collection, credentials, { remember = false } = {}) {
+        return this.withFallback(
+            async () => {
+                try {
+                    const { account, token, expiresAt } =
+                        await this.request('POST', `/${collection}/login`, { ...credentials, remember });
+                    return { account, session: { token, expiresAt, issuer: 'server' } };
+                } catch (error) {
+                    if (error.status === 401) return null;
+                    throw error;
+                }
+            },
+            async () => {
+                const { password, otp, ...match } = credentials;
+                const records = this.readLocal(collection);
+                let account = null;
+                if (otp !== undefined) {
+                    // A code from requestOtp(); the mobile number picks the account
+                    const mobile = normalizeMobile(match.mobile);
+                    if (collection === 'users' && await this.getLocalOtpService().verify(mobile, otp)) {
+                        account = records.find(record => normalizeMobile(record.mobile) === mobile) || null;
+                    }
+                } else {
+                    for (const record of records) {
+                        if (!DataStore.matches(record, match)) continue;
+                        if (await DataStore.verifyPassword(password, record)) {
+                            account = record;
+                            break;
+                        }
+                    }
+                }
+                if (!account) return null;
+                // Same rule as the server: drivers log in once approved
+                const refusal = collection === 'drivers' ? driverLoginRefusal(account) : null;
+                if (refusal) throw new DataStoreError(refusal, 403);
+
+                // Accounts saved before hashing keep their password in plain
+                // text until their next login
+                if (account.password !== undefined) {
+                    records[records.indexOf(account)] = await DataStore.hashCredentials(account);
+                    this.writeLocal(collection, records);
+                }
+
+                const safe = DataStore.withoutPassword(account);
+                return { account: safe, session: await this.createLocalSession(safe, { remember }) };
+            }
+        );
+    }
+
+    // ---- Social login (OpenID Connect, run by the server) ----
+
+    // [{ id, name }] of the configured providers; none without the server
+    async getSocialProviders() {
+        return this.withFallback(() => this.request('GET', '/auth/providers'), () => []);
+    }
+
+    // The provider URL to send the browser to. With link the identity is
+    // added to the signed-in account instead of logging in.
+    async startSocialLogin(provider, { returnTo, remember = false, link = false } = {}) {
+        if (!this.online) throw new DataStoreError('Social sign-in needs the data server', 0);
+        const { url } = await this.request('POST', `/auth/${encodeURIComponent(provider)}/start`, { returnTo, remember, link });
+        return url;
+    }
+
+    // Trade the ticket the server put in the return URL for a session;
+    // resolves to { account, session, provider, link }
+    async completeSocialLogin(ticket) {
+        const { account, token, expiresAt, provider, link } = await this.request('POST', '/auth/ticket', { ticket });
+        return { account, session: { token, expiresAt, issuer: 'server' }, provider, link };
+    }
+
+    // ---- Login codes (otp.js) ----
+
+    // Text a login code to a user's mobile number; resolves to
+    // { expiresAt, resendAt }. Without the server the code is made here and
+    // sent through localSmsGateway.
+    async requestOtp(mobile) {
+        return this.withFallback(
+            () => this.request('POST', '/otp', { mobile }),
+            async () => {
+                const key = normalizeMobile(mobile);
+                if (key.length < 10) throw new DataStoreError('Enter a valid mobile number', 400);
+
+                const registered = this.readLocal('users').some(user => normalizeMobile(user.mobile) === key);
+                const result = await this.getLocalOtpService().send(key, { deliver: registered });
+                if (!result.sent) {
+                    throw new DataStoreError(`Too many codes requested. Try again in ${result.retryAfter} seconds`, 429);
+                }
+                return { expiresAt: result.expiresAt, resendAt: result.resendAt };
+            }
+        );
+    }
+
+    // Codes are kept (hashed with the session key) in localStorage so that
+    // a reload does not reset the resend limits
+    getLocalOtpService() {
+        if (!this.localOtp) {
+            let entries;
+            try {
+                entries = JSON.parse(localStorage.getItem('otpCodes') || '{}');
+            } catch (error) {
+                entries = {};
+            }
+            this.localOtp = new OtpService({
+                gateway: { send: (mobile, text) => this.localSmsGateway.send(mobile, text) },
+                hash: text => this.signLocal(text),
+                randomInt: max => crypto.getRandomValues(new Uint32Array(1))[0] % max,
+                entries,
+                onChange: changed => localStorage.setItem('otpCodes', JSON.stringify(changed))
+            });
+        }
+        return this.localOtp;
+    }
+
+    // ---- Password reset (password-reset.js) ----
+
+    // Send a reset link to the user or driver with this email address or
+    // mobile number; resolves to { expiresInMinutes } whether or not one
+    // exists. The link opens this page with #reset_token=...
+    async requestPasswordReset(collection, contact) {
+        const returnTo = location.href.split('#')[0];
+        return this.withFallback(
+            () => this.request('POST', `/${collection}/password-reset`, { contact, returnTo }),
+            async () => {
+                const text = String(contact || '').trim();
+                const mobile = normalizeMobile(text);
+                const via = text.includes('@') ? 'email' : 'sms';
+                if (via === 'sms' && mobile.length < 10) {
+                    throw new DataStoreError('Enter your email address or a valid mobile number', 400);
+                }
+
+                const account = this.readLocal(collection).find(record => via === 'email'
+                    ? String(record.email || '').toLowerCase() === text.toLowerCase()
+                    : normalizeMobile(record.mobile) === mobile);
+                if (account) {
+                    await this.getLocalPasswordResets().send(`${collection}:${account.id}`, {
+                        name: account.name,
+                        via,
+                        to: via === 'email' ? account.email : mobile,
+                        link: token => `${returnTo}#reset_token=${token}`
+                    });
+                }
+                return { expiresInMinutes: PasswordResetService.settings.ttlMinutes };
+            }
+        );
+    }
+
+    // Set a new password with the token from a reset link; resolves to
+    // { collection } of the account. Its sessions end.
+    async resetPassword(token, password) {
+        return this.withFallback(
+            () => this.request('POST', '/password-reset', { token, password }),
+            async () => {
+                const problem = checkNewPassword(password);
+                if (problem) throw new DataStoreError(problem, 400);
+
+                const [collection, accountId] = String(await this.getLocalPasswordResets().redeem(token)).split(':');
+                const records = DataStore.localKeys[collection] ? this.readLocal(collection) : [];
+                const index = records.findIndex(record => String(record.id) === accountId);
+                if (index < 0) throw new DataStoreError('This reset link is invalid or has expired', 400);
+
+                records[index] = await DataStore.hashCredentials({ ...records[index], password });
+                this.writeLocal(collection, records);
+                this.writeLocalSessions(this.readLocalSessions().filter(entry => entry.sub !== records[index].id));
+                return { collection };
+            }
+        );
+    }
+
+    // Reset links made in this browser, kept in localStorage like the login codes
+    getLocalPasswordResets() {
+        if (!this.localPasswordResets) {
+            let entries;
+            try {
+                entries = JSON.parse(localStorage.getItem('passwordResets') || '{}');
+            } catch (error) {
+                entries = {};
+            }
+            this.localPasswordResets = new PasswordResetService({
+                gateways: {
+                    email: { send: (email, text) => this.localEmailGateway.send(email, text) },
+                    sms: { send: (mobile, text) => this.localSmsGateway.send(mobile, text) }
+                },
+                hash: text => this.signLocal(text),
+                randomToken: () => DataStore.toBase64Url(crypto.getRandomValues(new Uint8Array(32))),
+                entries,
+                onChange: changed => localStorage.setItem('passwordResets', JSON.stringify(changed))
+            });
+        }
+        return this.localPasswordResets;
+    }
+
+    // ---- Driver review (driver-review.js) ----
+
+    // Approve or reject a driver's registration; resolves to the updated
+    // driver. Without the server the signed-in account is the reviewer and
+    // the driver is texted through localSmsGateway.
+    async decideDriver(id, { decision, reason }) {
+        return this.withFallback(
+            () => this.request('POST', `/drivers/${encodeURIComponent(id)}/decision`, { decision, reason }),
+            async () => {
+                const stored = this.readStoredSession();
+                if (!stored || !stored.user) throw new DataStoreError('Sign in required', 401);
+                const records = this.readLocal('drivers');
+                const index = records.findIndex(item => String(item.id) === String(id));
+                if (index < 0) throw new DataStoreError('Not found', 404);
+                const problem = checkDriverDecision(records[index], decision, reason);
+                if (problem) throw new DataStoreError(problem, problem.startsWith('This driver') ? 409 : 400);
+
+                const { driver, entry } = applyDriverDecision(records[index], { decision, reason, actor: stored.user });
+                records[index] = driver;
+                this.writeLocal('drivers', records);
+                localStorage.setItem('auditLog', JSON.stringify([...this.readLocalAudit(), entry]));
+                if (driver.mobile) await this.localSmsGateway.send(normalizeMobile(driver.mobile), driverDecisionMessage(driver));
+                return DataStore.withoutPassword(driver);
+            }
+        );
+    }
+
+    // Review decisions, newest first
+    async listAudit(filter = {}) {
+        const query = new URLSearchParams(filter).toString();
+        return this.withFallback(
+            () => this.request('GET', `/audit${query ? `?${query}` : ''}`),
+            () => this.readLocalAudit().filter(entry => DataStore.matches(entry, filter)).reverse()
+        );
+    }
+
+    readLocalAudit() {
+        try {
+            return JSON.parse(localStorage.getItem('auditLog') || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // ---- Network (routes, stops, vehicles) ----
+
+    async getNetwork() {
+        return this.withFallback(
+            () => this.request('GET', '/network'),
+            () => {
+                try {
+                    return JSON.parse(localStorage.getItem('importedNetwork') || 'null');
+                } catch (error) {
+                    localStorage.removeItem('importedNetwork');
+                    return null;
+                }
+            }
+        );
+    }
+
+    async saveNetwork(network) {
+        return this.withFallback(
+            () => this.request('PUT', '/network', network),
+            () => {
+                localStorage.setItem('importedNetwork', JSON.stringify(network));
+                return network;
+            }
+        );
+    }
+
+    async deleteNetwork() {
+        return this.withFallback(
+            () => this.request('DELETE', '/network'),
+            () => {
+                localStorage.removeItem('importedNetwork');
+                return null;
+            }
+        );
+    }
+
+    // ---- Permissions (role -> allowed actions, see permissions.js) ----
+
+    async getPermissions() {
+        return this.withFallback(
+            () => this.request('GET', '/permissions'),
+            () => {
+                try {
+                    return normalizePermissions(JSON.parse(localStorage.getItem('permissionsMatrix') || 'null'));
+                } catch (error) {
+                    localStorage.removeItem('permissionsMatrix');
+                    return createDefaultPermissions();
+                }
+            }
+        );
+    }
+
+    async savePermissions(matrix) {
+        return this.withFallback(
+            () => this.request('PUT', '/permissions', matrix),
+            () => {
+                const normalized = normalizePermissions(matrix);
+                localStorage.setItem('permissionsMatrix', JSON.stringify(normalized));
+                return normalized;
+            }
+        );
+    }
+
+    // ---- Fleet (fleet.js) ----
+
+    // Seat numbers already booked on a bus for one departure
+    async takenSeats(busId, date, time) {
+        const query = new URLSearchParams({ busId, date, time }).toString();
+        return this.withFallback(
+            async () => (await this.request('GET', `/bookings/seats?${query}`)).taken,
+            () => takenSeats(this.readLocal('bookings'), { busId, date, time })
+        );
+    }
+
+    // The same checks as the server's, against this browser's records and network
+    prepareLocalFleetRecord(collection, record) {
+        if (collection === 'fleet') {
+            const problem = checkBus(record);
+            if (problem) throw new DataStoreError(problem, 400);
+            return { ...record, registration: normalizeRegistration(record.registration) };
+        }
+
+        let network = null;
+        try {
+            network = JSON.parse(localStorage.getItem('importedNetwork') || 'null');
+        } catch (error) {
+            network = null;
+        }
+        network = network || createPunjabNetwork();
+        const routes = network.routes;
+        const buses = this.readLocal('fleet');
+        const drivers = this.readLocal('drivers');
+        const problem = checkAssignment(record, { buses, drivers, routeIds: routes.map(route => route.id) });
+        if (problem) throw new DataStoreError(problem, 400);
+        // Routes without a timetable of their own are timed from their geometry,
+        // which only the app knows; their trips are not checked here
+        const route = routes.find(other => other.id === record.routeId);
+        if (record.tripId && (route.trips || []).length) {
+            const calendars = new Map((network.calendars || []).map(calendar => [calendar.serviceId, calendar]));
+            if (!tripsOnDate(route.trips, calendars, record.date).some(trip => trip.tripId === record.tripId)) {
+                throw new DataStoreError(`Trip ${record.tripId} does not run on ${record.date}`, 400);
+            }
+        }
+        const conflict = findAssignmentConflict(record, this.readLocal('assignments'));
+        if (conflict) throw new DataStoreError(conflict, 409);
+        return {
+            ...record,
+            routeNumber: route.number,
+            driverName: drivers.find(driver => driver.id === record.driverId).name
+        };
+    }
+
+    // Publish a driver's GPS report for a bus; only the server can share it
+    async reportPosition(vehicleId, report) {
+        if (!this.online) throw new DataStoreError('Data server unreachable', 0);
+        return this.request('POST', `/vehicles/${encodeURIComponent(vehicleId)}/position`, report);
+    }
+
+    // Recorded positions of the server's fleet between start and end (ms), for
+    // one route or all; only the server keeps them
+    async listPositionHistory({ routeId, start, end }) {
+        if (!this.online) throw new DataStoreError('Data server unreachable', 0);
+        const query = new URLSearchParams({ start, end, ...(routeId ? { routeId } : {}) }).toString();
+        return this.request('GET', `/history?${query}`);
+    }
+
+    // ---- Session ----
+    // The signed-in account and its token are kept on this device. Tokens from
+    // the server are checked by the server; tokens issued here (offline logins
+    // and accounts that only exist in this app, such as the demo ones) are
+    // signed with a key that never leaves this browser and are listed so that
+    // logout can revoke them.
+
+    readStoredSession() {
+        try {
+            return JSON.parse(localStorage.getItem('session') || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setSession(user, session) {
+        localStorage.setItem('session', JSON.stringify({ ...session, user }));
+    }
+
+    // Change the stored account (e.g. the bus of a driver's shift) but keep its token
+    updateSessionUser(user) {
+        const stored = this.readStoredSession();
+        if (stored) this.setSession(user, { token: stored.token, expiresAt: stored.expiresAt, issuer: stored.issuer });
+    }
+
+    // The signed-in account when its session is still valid, otherwise null
+    async restoreSession() {
+        localStorage.removeItem('currentUser'); // unsigned sessions of earlier versions
+        const stored = this.readStoredSession();
+        if (!stored || !stored.token || !stored.user) return null;
+
+        if (Date.now() >= stored.expiresAt) {
+            localStorage.removeItem('session');
+            return null;
+        }
+
+        let valid;
+        if (stored.issuer === 'server') {
+            try {
+                const current = this.online ? await this.request('GET', '/session') : null;
+                valid = !this.online || !!current;
+                // An admin may have given the account another role since
+                if (current && current.role !== stored.user.role) {
+                    stored.user = { ...stored.user, role: current.role };
+                    this.updateSessionUser(stored.user);
+                }
+            } catch (error) {
+                // Offline the server cannot be asked; trust the token until it expires
+                valid = error.status === 0;
+            }
+        } else {
+            valid = await this.verifyLocalToken(stored.token);
+        }
+
+        if (!valid) {
+            localStorage.removeItem('session');
+            return null;
+        }
+        return stored.user;
+    }
+
+    // Log out: the token stops working wherever it was issued
+    async clearSession() {
+        const stored = this.readStoredSession();
+        if (stored && stored.issuer === 'server' && this.online) {
+            try {
+                await this.request('DELETE', '/session');
+            } catch (error) {
+                console.error('Session not revoked on the server:', error);
+            }
+        } else if (stored && stored.token) {
+            const payload = DataStore.decodeTokenPayload(stored.token);
+            if (payload) this.writeLocalSessions(this.readLocalSessions().filter(entry => entry.sid !== payload.sid));
+        }
+        localStorage.removeItem('session');
+    }
+
+    async createLocalSession(user, { remember = false } = {}) {
+        const hours = remember ? DataStore.sessionHours.remember : DataStore.sessionHours.default;
+        const expiresAt = Date.now() + hours * 3600000;
+        const sid = DataStore.toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+        const payload = DataStore.toBase64Url(new TextEncoder().encode(JSON.stringify({
+            sid,
+            sub: user.id || user.email || user.name,
+            exp: expiresAt
+        })));
+        const signature = await this.signLocal(payload);
+
+        const sessions = this.readLocalSessions().filter(entry => entry.exp > Date.now());
+        sessions.push({ sid, sub: user.id, exp: expiresAt });
+        this.writeLocalSessions(sessions);
+
+        return { token: `${payload}.${signature}`, expiresAt, issuer: 'local' };
+    }
+
+    async verifyLocalToken(token) {
+        const [payload, signature] = String(token).split('.');
+        if (!payload || !signature || (await this.signLocal(payload)) !== signature) return false;
+
+        const claims = DataStore.decodeTokenPayload(token);
+        return !!claims && claims.exp > Date.now() &&
+            this.readLocalSessions().some(entry => entry.sid === claims.sid);
+    }
+
+    // HMAC-SHA-256 with this browser's session key, created on first use
+    async signLocal(payload) {
+        let rawKey = localStorage.getItem('sessionKey');
+        if (!rawKey) {
+            rawKey = DataStore.toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+            localStorage.setItem('sessionKey', rawKey);
+        }
+        const key = await crypto.subtle.importKey('raw', DataStore.fromBase64Url(rawKey),
+            { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+        return DataStore.toBase64Url(new Uint8Array(signature));
+    }
+
+    readLocalSessions() {
+        return JSON.parse(localStorage.getItem('localSessions') || '[]');
+    }
+
+    writeLocalSessions(sessions) {
+        localStorage.setItem('localSessions', JSON.stringify(sessions));
+    }
+
+    static decodeTokenPayload(token) {
+        try {
+            return JSON.parse(new TextDecoder().decode(DataStore.fromBase64Url(String(token).split('.')[0])));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ---- Passwords ----
+    // Stored as pbkdf2-sha256$<iterations>$<salt>$<hash>, the same format the
+    // server uses
+
+    static async hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)),
+        iterations = DataStore.passwordIterations) {
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+        return `pbkdf2-sha256$${iterations}$${DataStore.toBase64Url(salt)}$${DataStore.toBase64Url(new Uint8Array(bits))}`;
+    }
+
+    static async verifyPassword(password, record) {
+        if (!password) return false;
+        if (!record.passwordHash) return record.password !== undefined && record.password === password;
+
+        const [scheme, iterations, salt] = record.passwordHash.split('$');
+        if (scheme !== 'pbkdf2-sha256') return false;
+        const hash = await DataStore.hashPassword(password, DataStore.fromBase64Url(salt), Number(iterations));
+        return hash === record.passwordHash;
+    }
+
+    // Replace a plain password field by its hash
+    static async hashCredentials(record) {
+        if (record.password === undefined) return record;
+        const { password, ...rest } = record;
+        return { ...rest, passwordHash: await DataStore.hashPassword(String(password)) };
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    // ---- localStorage fallback ----
+
+    readLocal(collection) {
+        const key = DataStore.localKeys[collection];
+        if (!key) throw new DataStoreError(`Unknown collection: ${collection}`, 404);
+        return JSON.parse(localStorage.getItem(key) || '[]');
+    }
+
+    writeLocal(collection, records) {
+        localStorage.setItem(DataStore.localKeys[collection], JSON.stringify(records));
+    }
+
+    static matches(record, filter) {
+        return Object.entries(filter).every(([field, value]) => String(record[field]) === String(value));
+    }
+
+    static withoutPassword(record) {
+        const { password, passwordHash, ...rest } = record;
+        return rest;
+    }
+
+    static createId(collection) {
+        return `${DataStore.idPrefixes[collection] || collection}_${Date.now()}`;
+    }
+
+    // Same uniqueness rules as the server
+    static checkUnique(collection, records, record) {
+        (DataStore.uniqueFields[collection] || []).forEach(field => {
+            if (record[field] === undefined || record[field] === '') return;
+            if (records.some(other => other[field] === record[field])) {
+                throw new DataStoreError(`A ${DataStore.labels[collection]} with this ${field} already exists`, 409);
+            }
+        });
+    }
+}
+
+DataStore.connectTimeoutMs = 2000;
+
+DataStore.passwordIterations = 100000;
+
+// Session lifetime, longer when "Remember me" is ticked
+DataStore.sessionHours = {
+    default: 12,
+    remember: 30 * 24
+};
+
+// Collection name -> localStorage key used by the standalone app
+DataStore.localKeys = {
+    users: 'registeredUsers',
+    drivers: 'registeredDrivers',
+    admins: 'registeredAdmins',
+    bookings: 'bookings',
+    feedback: 'feedback',
+    favorites: 'favorites',
+    fleet: 'fleetBuses',
+    assignments: 'busAssignments'
+};
+
+DataStore.fleetCollections = ['fleet', 'assignments'];
+
+DataStore.idPrefixes = {
+    users: 'user',
+    drivers: 'driver',
+    admins: 'admin',
+    bookings: 'bk',
+    feedback: 'fb',
+    favorites: 'fav',
+    fleet: 'bus',
+    assignments: 'asg'
+};
+
+DataStore.uniqueFields = {
+    users: ['email'],
+    drivers: ['email', 'license'],
+    admins: ['username'],
+    fleet: ['registration']
+};
+
+DataStore.labels = {
+    users: 'user',
+    drivers: 'driver',
+    admins: 'admin',
+    fleet: 'bus'
+};
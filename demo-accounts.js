@@ -0,0 +1,65 @@
+// CityBus Tracker - Demo Accounts
+// Public credentials for trying the app. They only exist while demo mode is
+// on (DEMO_MODE=1 for the server, ?demo in the URL for the standalone page)
+// and are removed again when it is off, so a production install cannot be
+// logged into with them. Passwords are hashed when the accounts are seeded.
+function createDemoAccounts() {
+    return {
+        users: [
+            {
+                id: 'demo-user',
+                type: 'user',
+                name: 'Demo User',
+                email: 'user@demo.com',
+                mobile: '1234567890',
+                password: 'password123'
+            }
+        ],
+        drivers: [
+            {
+                id: 'demo-driver',
+                type: 'driver',
+                name: 'John Driver',
+                email: 'driver@demo.com',
+                mobile: '1234567891',
+                license: 'DEMO-DL-0001',
+                experience: '5+',
+                busNumber: 'PB-1-01',
+                status: 'approved',
+                password: 'driver123'
+            },
+            {
+                id: 'demo-conductor',
+                type: 'driver',
+                role: 'conductor',
+                name: 'Ravi Conductor',
+                email: 'conductor@demo.com',
+                mobile: '1234567892',
+                license: 'DEMO-CL-0001',
+                experience: '3-5',
+                busNumber: 'PB-1-01',
+                status: 'approved',
+                password: 'conductor123'
+            }
+        ],
+        admins: [
+            {
+                id: 'demo-admin',
+                type: 'admin',
+                name: 'System Administrator',
+                username: 'admin',
+                password: 'admin123'
+            },
+            {
+                id: 'demo-depot',
+                type: 'admin',
+                role: 'depot_manager',
+                name: 'Depot Manager',
+                username: 'depot',
+                password: 'depot123'
+            }
+        ]
+    };
+}
+
+if (typeof module !== 'undefined') module.exports = { createDemoAccounts };
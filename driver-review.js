@@ -0,0 +1,92 @@
+// CityBus Tracker - Driver Review
+// New drivers register as `pending` and can only log in once someone with the
+// approve_drivers permission approved them. Every decision needs the reviewer,
+// rejections need a reason, the driver gets a text message about it and the
+// decision is kept in the audit trail. server.js and datastore.js (without the
+// server) follow the same rules from here.
+const DRIVER_STATUSES = {
+    pending: 'Waiting for review',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+const DRIVER_DECISIONS = ['approved', 'rejected'];
+
+// Documents a driver may attach to the registration, kept as data URLs
+const DRIVER_DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+const DRIVER_DOCUMENT_LIMITS = { files: 3, bytes: 1024 * 1024, name: 255 };
+
+// Error message for a decision that cannot be made, or null
+function checkDriverDecision(driver, decision, reason) {
+    if (!DRIVER_DECISIONS.includes(decision)) return `Decision must be one of: ${DRIVER_DECISIONS.join(', ')}`;
+    if (decision === 'rejected' && !String(reason || '').trim()) return 'Give the driver a reason for the rejection';
+    if (driver.status === decision) return `This driver is already ${decision}`;
+    return null;
+}
+
+// The driver's record after the decision and the audit entry that records it.
+// actor is the reviewing account ({ id, name }).
+function applyDriverDecision(driver, { decision, reason, actor, at = new Date().toISOString() }) {
+    const note = String(reason || '').trim();
+    const updated = {
+        ...driver,
+        status: decision,
+        reviewedAt: at,
+        reviewedBy: actor.name,
+        reviewReason: note
+    };
+    const entry = {
+        id: `audit_${Date.parse(at)}_${driver.id}`,
+        at,
+        action: `driver.${decision}`,
+        collection: 'drivers',
+        recordId: driver.id,
+        recordName: driver.name,
+        previousStatus: driver.status || 'pending',
+        actorId: actor.id,
+        actorName: actor.name,
+        reason: note
+    };
+    return { driver: updated, entry };
+}
+
+// Text message telling the driver about the decision
+function driverDecisionMessage(driver) {
+    return driver.status === 'approved'
+        ? `Hello ${driver.name}, your CityBus driver registration was approved. You can log in now.`
+        : `Hello ${driver.name}, your CityBus driver registration was not approved: ${driver.reviewReason}`;
+}
+
+// Why a driver with the right password cannot log in, or null when they can
+function driverLoginRefusal(driver) {
+    if (driver.status === 'approved') return null;
+    if (driver.status === 'rejected') return `Your driver registration was not approved: ${driver.reviewReason || 'no reason given'}`;
+    return 'Your driver registration is still waiting for review';
+}
+
+// Error message for documents that cannot be stored, or null. Reviewers open
+// them from the approvals queue, so only base64 data URLs of the allowed
+// types get through.
+function checkDriverDocuments(documents) {
+    if (documents === undefined) return null;
+    if (!Array.isArray(documents)) return 'documents must be a list';
+    if (documents.length > DRIVER_DOCUMENT_LIMITS.files) return `Attach at most ${DRIVER_DOCUMENT_LIMITS.files} documents`;
+    for (const doc of documents) {
+        if (!doc || typeof doc.name !== 'string' || !doc.name || doc.name.length > DRIVER_DOCUMENT_LIMITS.name ||
+            typeof doc.type !== 'string') {
+            return 'Each document needs a name and a type';
+        }
+        if (!DRIVER_DOCUMENT_TYPES.includes(doc.type)) return `${doc.name} is not an image or PDF`;
+        const prefix = `data:${doc.type};base64,`;
+        const data = typeof doc.dataUrl === 'string' && doc.dataUrl.startsWith(prefix) ? doc.dataUrl.slice(prefix.length) : null;
+        if (data === null || !/^[A-Za-z0-9+/]*={0,2}$/.test(data)) return `${doc.name} is not a data URL of type ${doc.type}`;
+        if (Math.floor(data.length * 3 / 4) > DRIVER_DOCUMENT_LIMITS.bytes) {
+            return `${doc.name} is larger than ${Math.round(DRIVER_DOCUMENT_LIMITS.bytes / 1024 / 1024)} MB`;
+        }
+    }
+    return null;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { DRIVER_STATUSES, DRIVER_DECISIONS, DRIVER_DOCUMENT_TYPES, DRIVER_DOCUMENT_LIMITS, checkDriverDocuments, checkDriverDecision, applyDriverDecision, driverDecisionMessage, driverLoginRefusal };
+}
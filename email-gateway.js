@@ -0,0 +1,41 @@
+// CityBus Tracker - Email gateways
+// Where server.js sends email (password reset links). No mail service is
+// connected yet, so like the SMS gateways the built-in ones put the message
+// where a developer can read it: `console` (default) prints it, `file`
+// appends it to EMAIL_OUTBOX as one JSON line per message. A mail service is
+// added as another entry in EMAIL_GATEWAYS with the same `async send(to, text)`.
+const fs = require('fs');
+const path = require('path');
+
+class ConsoleEmailGateway {
+    async send(to, text) {
+        console.log(`Email to ${to}: ${text}`);
+    }
+}
+
+class FileEmailGateway {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async send(to, text) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const line = JSON.stringify({ to, text, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(this.file, line + '\n');
+    }
+}
+
+const EMAIL_GATEWAYS = {
+    console: () => new ConsoleEmailGateway(),
+    file: options => new FileEmailGateway(options.outbox)
+};
+
+function createEmailGateway(name, options = {}) {
+    const factory = EMAIL_GATEWAYS[name || 'console'];
+    if (!factory) {
+        throw new Error(`Unknown email gateway "${name}" (available: ${Object.keys(EMAIL_GATEWAYS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createEmailGateway, EMAIL_GATEWAYS, ConsoleEmailGateway, FileEmailGateway };
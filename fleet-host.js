@@ -0,0 +1,234 @@
+// CityBus Tracker - Server Fleet
+// Holds the authoritative position of every bus for the live stream. Buses
+// are moved by the same FleetSimulator the browser uses (simulation.js) along
+// the same route geometry (geometry.js) unless a driver on shift reports the
+// bus's GPS position, and what changed since the last call is handed out as
+// a delta for fan-out to connected clients. Whether each bus is early, on time
+// or delayed is measured against the timetable (timetable.js), so clients show
+// the same status as the server.
+const { FleetSimulator } = require('./simulation');
+const { RouteGeometryMixin } = require('./geometry');
+const { createPunjabNetwork } = require('./punjab-network');
+const { mergeDuplicateStops } = require('./network-validation');
+const { linkStopRegistry } = require('./stop-registry');
+const { trackedBuses, localDate } = require('./fleet');
+const { tripsOnDate, defaultTrips, scheduleAdherence } = require('./timetable');
+
+class FleetHost {
+    constructor(settings = {}) {
+        this.settings = settings;
+        this.routes = new Map();
+        this.stops = new Map(); // stop registry: id -> stop with the routes serving it
+        this.stopAliases = {}; // merged stop id -> id of the stop it became
+        this.calendars = new Map(); // serviceId -> service calendar (timetable.js)
+        this.holidays = [];
+        this.vehicles = new Map();
+        this.vehicleProgress = new Map();
+        this.markers = new Map(); // FleetSimulator checks it; the server draws nothing
+        this.sentState = new Map(); // vehicleId -> last state sent to clients
+        this.removed = new Set();
+        this.simulator = null;
+        this.roster = { buses: [], assignments: [] }; // fleet registry and daily assignments
+        this.rosterDate = null; // the day whose assignments run, as of the last load
+    }
+
+    // Buses and assignments to run the routes with; applied on the next load
+    // or refreshRoster
+    setRoster(roster) {
+        this.roster = roster;
+    }
+
+    // Run the current roster for today on the loaded routes. Buses that stay
+    // on their route keep driving where they are; only new ones are placed.
+    refreshRoster() {
+        this.rosterDate = localDate();
+        this.simulator.populateFleet();
+        this.updateScheduleStatuses();
+    }
+
+    // Replace the network (null loads the built-in routes) and place the fleet
+    load(network) {
+        const source = network ? JSON.parse(JSON.stringify(network)) : createPunjabNetwork();
+
+        this.vehicles.forEach((_, vehicleId) => this.removed.add(vehicleId));
+        this.routes.clear();
+        this.vehicles.clear();
+        this.vehicleProgress.clear();
+        this.routeGeometryCache = null;
+        this.rosterDate = localDate();
+
+        mergeDuplicateStops(source);
+        this.stops = linkStopRegistry(source);
+        this.stopAliases = source.stopAliases || {};
+        this.calendars = new Map((source.calendars || []).map(calendar => [calendar.serviceId, calendar]));
+        this.holidays = source.holidays || [];
+        source.routes.forEach(route => this.routes.set(route.id, route));
+        (source.vehicles || []).forEach(vehicle => this.vehicles.set(vehicle.id, vehicle));
+
+        this.simulator = new FleetSimulator(this, this.settings);
+        this.simulator.populateFleet();
+        this.vehicles.forEach((_, vehicleId) => this.removed.delete(vehicleId));
+        this.updateScheduleStatuses();
+    }
+
+    // The trips of a route that run on a date; routes without a timetable run
+    // the default one
+    getTripsOnDate(route, date) {
+        const trips = route.trips && route.trips.length ? route.trips : defaultTrips(route, this.getSegmentLengths(route));
+        return tripsOnDate(trips, this.calendars, date);
+    }
+
+    step(seconds) {
+        this.simulator.step(seconds);
+        this.updateScheduleStatuses();
+    }
+
+    // When the bus reaches its next stop at its current speed (clamped like
+    // the app's predictions), as { stopId, expectedAt }
+    predictNextStop(vehicle) {
+        const route = this.routes.get(vehicle.routeId);
+        const progress = this.vehicleProgress.get(vehicle.id);
+        if (!route || !progress || route.stops.length < 2) return null;
+
+        const [minKmh, maxKmh] = FleetHost.PREDICTION_SPEED_KMH;
+        const metersPerSecond = Math.max(minKmh, Math.min(maxKmh, vehicle.speed || 25)) / 3.6;
+        const meters = (1 - Math.max(0, Math.min(1, progress.t))) * this.getSegmentLengths(route)[progress.segmentIndex];
+        return {
+            stopId: route.stops[(progress.segmentIndex + 1) % route.stops.length].id,
+            expectedAt: this.now + meters / metersPerSecond * 1000
+        };
+    }
+
+    // Early, on time or delayed at the bus's next stop; a broken-down bus stays
+    // broken down, and a bus with no trip due there is unscheduled
+    updateScheduleStatus(vehicle) {
+        const route = this.routes.get(vehicle.routeId);
+        const next = this.predictNextStop(vehicle);
+        const adherence = next && scheduleAdherence(date => this.getTripsOnDate(route, date), { ...next, tripId: vehicle.tripId });
+        vehicle.delay = adherence ? adherence.delaySeconds : null;
+        vehicle.scheduledTripId = adherence ? adherence.tripId : null;
+        if (vehicle.status !== 'breakdown') vehicle.status = adherence ? adherence.status : 'unscheduled';
+    }
+
+    updateScheduleStatuses() {
+        this.vehicles.forEach(vehicle => this.updateScheduleStatus(vehicle));
+    }
+
+    get now() {
+        return this.simulator ? this.simulator.now : Date.now();
+    }
+
+    // What clients receive for one bus
+    toMessage(vehicle) {
+        return {
+            id: vehicle.id,
+            number: vehicle.number,
+            routeId: vehicle.routeId,
+            lat: Math.round(vehicle.lat * 1e6) / 1e6,
+            lng: Math.round(vehicle.lng * 1e6) / 1e6,
+            heading: vehicle.heading,
+            speed: vehicle.speed,
+            status: vehicle.status,
+            passengers: vehicle.passengers,
+            capacity: vehicle.capacity,
+            currentStop: vehicle.currentStop,
+            nextStop: vehicle.nextStop,
+            delay: vehicle.delay,
+            scheduledTripId: vehicle.scheduledTripId,
+            fleetId: vehicle.fleetId,
+            vehicleClass: vehicle.vehicleClass,
+            seatLayout: vehicle.seatLayout,
+            driverName: vehicle.driverName,
+            lastUpdate: new Date(vehicle.lastUpdate).getTime()
+        };
+    }
+
+    // Whether a driver may report for the bus: the bus of their registration
+    // (busNumber) or one they are assigned to today
+    isDriversBus(vehicle, driver) {
+        const compact = text => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (driver.busNumber && compact(driver.busNumber) === compact(vehicle.number)) return true;
+        const today = localDate();
+        return this.roster.assignments.some(assignment =>
+            assignment.date === today && assignment.driverId === driver.id && assignment.busId === vehicle.fleetId);
+    }
+
+    // A driver's phone reports where its bus is; the simulation leaves the bus
+    // alone until the reports stop for longer than DRIVER_STALE_MS
+    reportPosition(vehicleId, report) {
+        const vehicle = this.vehicles.get(vehicleId);
+        if (!vehicle) return null;
+
+        vehicle.lat = report.lat;
+        vehicle.lng = report.lng;
+        if (report.speed !== undefined) vehicle.speed = Math.round(report.speed);
+        if (report.heading !== undefined) vehicle.heading = Math.round(report.heading);
+        vehicle.lastUpdate = this.now;
+        vehicle.liveUpdatedAt = Date.now();
+        vehicle.source = 'driver';
+        this.syncProgressFromPosition(vehicle);
+        this.updateScheduleStatus(vehicle);
+        return this.toMessage(vehicle);
+    }
+
+    snapshot() {
+        return Array.from(this.vehicles.values()).map(vehicle => this.toMessage(vehicle));
+    }
+
+    // Buses that changed and buses that left since the previous delta
+    takeDelta() {
+        const vehicles = [];
+        this.vehicles.forEach((vehicle, vehicleId) => {
+            const message = this.toMessage(vehicle);
+            const { lastUpdate, ...state } = message;
+            const key = JSON.stringify(state);
+            if (this.sentState.get(vehicleId) === key) return;
+            this.sentState.set(vehicleId, key);
+            vehicles.push(message);
+        });
+
+        const removed = Array.from(this.removed);
+        removed.forEach(vehicleId => this.sentState.delete(vehicleId));
+        this.removed.clear();
+
+        return { vehicles, removed };
+    }
+
+    // ---- Host interface used by FleetSimulator ----
+
+    calculateDistance(lat1, lng1, lat2, lng2) {
+        const R = 6371; // Earth's radius in km
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLng = (lng2 - lng1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                  Math.sin(dLng / 2) * Math.sin(dLng / 2);
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    getTrackedBuses(route) {
+        return trackedBuses(route.id, this.rosterDate, this.roster);
+    }
+
+    isLiveDataFresh(vehicle) {
+        return !!vehicle.liveUpdatedAt && Date.now() - vehicle.liveUpdatedAt < FleetHost.DRIVER_STALE_MS;
+    }
+
+    addVehicleToMap() {}
+
+    removeVehicle(vehicleId) {
+        this.vehicles.delete(vehicleId);
+        this.vehicleProgress.delete(vehicleId);
+        this.removed.add(vehicleId);
+    }
+
+    // Travel times are learned by each browser from the streamed positions
+    recordSegmentTraversal() {}
+}
+
+FleetHost.DRIVER_STALE_MS = 90 * 1000;
+FleetHost.PREDICTION_SPEED_KMH = [15, 40];
+
+Object.assign(FleetHost.prototype, RouteGeometryMixin);
+
+module.exports = { FleetHost };
@@ -0,0 +1,163 @@
+// CityBus Tracker - Fleet
+// The depot's buses and who drives which of them where. Every bus in the
+// registry has a registration number, model, capacity, seat layout, class,
+// home depot and status; a daily assignment puts one bus and one driver on a
+// route for a date (or a single trip of it). Today's assignments decide which
+// buses the tracker runs on each route, and the seat map and booking use the
+// assigned bus's capacity and layout. server.js and datastore.js (without the
+// server) check records with the same rules from here.
+
+const VEHICLE_CLASSES = {
+    'non-ac': { name: 'Non-AC', fare: 200 },
+    ac: { name: 'AC', fare: 250 },
+    luxury: { name: 'Luxury', fare: 300 }
+};
+
+const VEHICLE_STATUSES = {
+    active: 'In service',
+    maintenance: 'In maintenance',
+    retired: 'Retired'
+};
+
+// Seats per row to the left and right of the aisle
+const SEAT_LAYOUTS = {
+    '2+2': [2, 2],
+    '2+3': [2, 3],
+    '2+1': [2, 1]
+};
+
+const FLEET_RULES = {
+    minCapacity: 10,
+    maxCapacity: 80
+};
+
+// "PB 10 AB 1234" from the ways people type it ("pb10ab1234", "PB-10-AB-1234"),
+// or null when it is no Indian registration number
+function normalizeRegistration(text) {
+    const compact = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const match = compact.match(/^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{1,4})$/);
+    if (!match) return null;
+    return [match[1], match[2].padStart(2, '0'), match[3], match[4].padStart(4, '0')].filter(Boolean).join(' ');
+}
+
+// Error message for a bus that cannot be saved, or null
+function checkBus(bus) {
+    if (!normalizeRegistration(bus.registration)) return 'Enter a registration number like PB 10 AB 1234';
+    if (!String(bus.model || '').trim()) return 'Enter the bus model';
+    if (!Number.isInteger(bus.capacity) || bus.capacity < FLEET_RULES.minCapacity || bus.capacity > FLEET_RULES.maxCapacity) {
+        return `Capacity must be a whole number from ${FLEET_RULES.minCapacity} to ${FLEET_RULES.maxCapacity}`;
+    }
+    if (!SEAT_LAYOUTS[bus.seatLayout]) return `Seat layout must be one of: ${Object.keys(SEAT_LAYOUTS).join(', ')}`;
+    if (!VEHICLE_CLASSES[bus.vehicleClass]) return `Class must be one of: ${Object.keys(VEHICLE_CLASSES).join(', ')}`;
+    if (!String(bus.depot || '').trim()) return 'Enter the depot the bus belongs to';
+    if (!VEHICLE_STATUSES[bus.status]) return `Status must be one of: ${Object.keys(VEHICLE_STATUSES).join(', ')}`;
+    return null;
+}
+
+// Seat numbers row by row, front to back, with null for the aisle. A last
+// row one seat wider than the others is the back bench across the aisle.
+function seatRows(vehicle) {
+    const [left, right] = SEAT_LAYOUTS[vehicle.seatLayout] || SEAT_LAYOUTS['2+2'];
+    const capacity = vehicle.capacity || 0;
+    const rows = [];
+    let seat = 1;
+    while (seat <= capacity) {
+        const remaining = capacity - seat + 1;
+        if (remaining === left + right + 1) {
+            rows.push(Array.from({ length: remaining }, (_, i) => seat + i));
+            break;
+        }
+        const row = [];
+        for (let i = 0; i < left + right; i++) {
+            if (i === left) row.push(null);
+            row.push(seat <= capacity ? seat++ : null);
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// "2026-10-19" in local time; assignments are kept per day
+function localDate(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Error message for an assignment that cannot be made, or null. buses and
+// drivers are the registry and driver records; routeIds the known routes.
+function checkAssignment(assignment, { buses, drivers, routeIds }) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(assignment.date || '')) return 'Choose the day of the assignment';
+    if (!routeIds.includes(assignment.routeId)) return 'Choose a route of the network';
+    const bus = buses.find(other => other.id === assignment.busId);
+    if (!bus) return 'Choose a bus from the fleet';
+    if (bus.status !== 'active') return `Bus ${bus.registration} is ${VEHICLE_STATUSES[bus.status].toLowerCase()}`;
+    const driver = drivers.find(other => other.id === assignment.driverId);
+    if (!driver) return 'Choose a driver';
+    if (driver.status !== 'approved') return `${driver.name} is not an approved driver`;
+    return null;
+}
+
+// Why the bus or driver is already busy at that time, or null. One bus and
+// one driver work one assignment a day, unless each names a different trip.
+function findAssignmentConflict(assignment, assignments) {
+    const overlaps = other => other.id !== assignment.id && other.date === assignment.date &&
+        (!other.tripId || !assignment.tripId || other.tripId === assignment.tripId);
+    const busy = assignments.find(other => overlaps(other) && other.busId === assignment.busId);
+    if (busy) return `This bus already runs ${busy.routeNumber || busy.routeId} on ${assignment.date}`;
+    const driving = assignments.find(other => overlaps(other) && other.driverId === assignment.driverId);
+    if (driving) return `${driving.driverName || 'This driver'} already drives ${driving.routeNumber || driving.routeId} on ${assignment.date}`;
+    return null;
+}
+
+// What the tracker shows of the buses assigned to a route on a date, in a
+// stable order; null when none are, so the route keeps its default fleet
+function assignedBuses(routeId, date, { assignments, buses }) {
+    const assigned = assignments
+        .filter(assignment => assignment.routeId === routeId && assignment.date === date)
+        .map(assignment => ({ assignment, bus: buses.find(bus => bus.id === assignment.busId) }))
+        .filter(({ bus }) => bus && bus.status === 'active')
+        .sort((a, b) => a.bus.registration.localeCompare(b.bus.registration));
+    if (assigned.length === 0) return null;
+
+    return assigned.map(({ assignment, bus }) => ({
+        number: bus.registration,
+        fleetId: bus.id,
+        capacity: bus.capacity,
+        seatLayout: bus.seatLayout,
+        vehicleClass: bus.vehicleClass,
+        depot: bus.depot,
+        assignmentId: assignment.id,
+        tripId: assignment.tripId || null,
+        driverId: assignment.driverId,
+        driverName: assignment.driverName || ''
+    }));
+}
+
+// The buses tracked on a route on a date. A bus is one vehicle on the map
+// however many trips it works, so it runs the route of its first assignment
+// that day and shows up once there
+function trackedBuses(routeId, date, { assignments, buses }) {
+    const first = new Map();
+    assignments
+        .filter(assignment => assignment.date === date)
+        .forEach(assignment => {
+            if (!first.has(assignment.busId)) first.set(assignment.busId, assignment);
+        });
+    return assignedBuses(routeId, date, { assignments: Array.from(first.values()), buses });
+}
+
+// Seat numbers already booked on a bus for one departure
+function takenSeats(bookings, { busId, date, time }) {
+    const taken = new Set();
+    bookings
+        .filter(booking => booking.busId === busId && booking.date === date && booking.time === time)
+        .forEach(booking => (booking.passengers || []).forEach(passenger => taken.add(Number(passenger.seat))));
+    return Array.from(taken).filter(Number.isInteger).sort((a, b) => a - b);
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        VEHICLE_CLASSES, VEHICLE_STATUSES, SEAT_LAYOUTS, FLEET_RULES,
+        normalizeRegistration, checkBus, seatRows, localDate, checkAssignment, findAssignmentConflict, assignedBuses, trackedBuses, takenSeats
+    };
+}
@@ -0,0 +1,175 @@
+// CityBus Tracker - Route Geometry
+// Paths, stop offsets and positions along a route. A route follows its shape
+// when it has one and the straight lines between its stops otherwise. Mixed
+// into CityBusTracker and the server's FleetHost; the host provides
+// calculateDistance(lat1, lng1, lat2, lng2) in km, and for
+// syncProgressFromPosition also vehicleProgress and recordSegmentTraversal().
+const RouteGeometryMixin = {
+    getRouteGeometry(route) {
+        if (!this.routeGeometryCache) this.routeGeometryCache = new Map();
+        const cached = this.routeGeometryCache.get(route.id);
+        if (cached && cached.shape === route.shape && cached.stops === route.stops) {
+            return cached.geometry;
+        }
+
+        const geometry = this.buildRouteGeometry(route);
+        this.routeGeometryCache.set(route.id, { shape: route.shape, stops: route.stops, geometry });
+        return geometry;
+    },
+
+    // Segment i runs from stop i to stop i + 1 along the path. The last one takes
+    // the bus back to the first stop: back along the shape when there is one,
+    // straight across otherwise (as simulated buses always did).
+    buildRouteGeometry(route) {
+        const hasShape = Array.isArray(route.shape) && route.shape.length > 1;
+        const path = hasShape ? route.shape : route.stops.map(stop => [stop.lat, stop.lng]);
+        const cumulative = this.measurePath(path);
+
+        // Stops are matched to the path in order so a route that passes the same
+        // place twice still puts each stop on the right pass
+        let minOffset = 0;
+        const stopOffsets = route.stops.map(stop => {
+            const projection = this.projectOntoPath(path, cumulative, stop.lat, stop.lng, minOffset);
+            minOffset = projection.offset;
+            return projection.offset;
+        });
+
+        const segments = route.stops.map((stop, i) => {
+            const next = (i + 1) % route.stops.length;
+            const points = (!hasShape && next === 0)
+                ? [[stop.lat, stop.lng], [route.stops[0].lat, route.stops[0].lng]]
+                : this.slicePath(path, cumulative, stopOffsets[i], stopOffsets[next]);
+            const measured = this.measurePath(points);
+            return { points, cumulative: measured, length: measured[measured.length - 1] };
+        });
+
+        return { path, hasShape, stopOffsets, segments };
+    },
+
+    invalidateRouteGeometry(routeId) {
+        if (this.routeGeometryCache) this.routeGeometryCache.delete(routeId);
+    },
+
+    // Cumulative distance in meters at each point of a polyline
+    measurePath(points) {
+        const cumulative = [0];
+        for (let i = 1; i < points.length; i++) {
+            const [lat1, lng1] = points[i - 1];
+            const [lat2, lng2] = points[i];
+            cumulative.push(cumulative[i - 1] + this.calculateDistance(lat1, lng1, lat2, lng2) * 1000);
+        }
+        return cumulative;
+    },
+
+    // Closest point on the path at or after minOffset meters. Uses a local flat
+    // projection, which is plenty accurate between neighbouring shape points.
+    projectOntoPath(points, cumulative, lat, lng, minOffset = 0) {
+        const kx = Math.cos(lat * Math.PI / 180);
+        let best = { offset: cumulative[0], distance: Infinity };
+
+        for (let k = 0; k < points.length - 1; k++) {
+            if (cumulative[k + 1] < minOffset) continue;
+            const [aLat, aLng] = points[k];
+            const [bLat, bLng] = points[k + 1];
+            const dx = (bLng - aLng) * kx;
+            const dy = bLat - aLat;
+            const lenSq = dx * dx + dy * dy;
+            let t = lenSq === 0 ? 0 : (((lng - aLng) * kx) * dx + (lat - aLat) * dy) / lenSq;
+            t = Math.max(0, Math.min(1, t));
+
+            const px = aLng + (bLng - aLng) * t;
+            const py = aLat + dy * t;
+            const distance = ((lng - px) * kx) ** 2 + (lat - py) ** 2;
+            const offset = Math.max(minOffset, cumulative[k] + (cumulative[k + 1] - cumulative[k]) * t);
+            if (distance < best.distance) best = { offset, distance };
+        }
+
+        return best;
+    },
+
+    pointAtOffset(points, cumulative, offset) {
+        const total = cumulative[cumulative.length - 1];
+        const target = Math.max(0, Math.min(total, offset));
+
+        let k = 0;
+        while (k < points.length - 2 && cumulative[k + 1] < target) k++;
+
+        const [aLat, aLng] = points[k];
+        const [bLat, bLng] = points[Math.min(k + 1, points.length - 1)];
+        const span = cumulative[Math.min(k + 1, points.length - 1)] - cumulative[k];
+        const t = span > 0 ? (target - cumulative[k]) / span : 0;
+
+        return {
+            lat: aLat + (bLat - aLat) * t,
+            lng: aLng + (bLng - aLng) * t,
+            heading: this.bearingBetween(aLat, aLng, bLat, bLng)
+        };
+    },
+
+    // Points between two offsets, reversed when travelling back along the path
+    slicePath(points, cumulative, start, end) {
+        if (end < start) return this.slicePath(points, cumulative, end, start).reverse();
+
+        const startPoint = this.pointAtOffset(points, cumulative, start);
+        const endPoint = this.pointAtOffset(points, cumulative, end);
+        const sliced = [[startPoint.lat, startPoint.lng]];
+        for (let k = 0; k < points.length; k++) {
+            if (cumulative[k] > start && cumulative[k] < end) sliced.push(points[k]);
+        }
+        sliced.push([endPoint.lat, endPoint.lng]);
+        return sliced;
+    },
+
+    bearingBetween(lat1, lng1, lat2, lng2) {
+        const toRad = Math.PI / 180;
+        const y = Math.sin((lng2 - lng1) * toRad) * Math.cos(lat2 * toRad);
+        const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+                  Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lng2 - lng1) * toRad);
+        return (Math.atan2(y, x) / toRad + 360) % 360;
+    },
+
+    // Where a bus is after covering fraction t of a segment
+    positionOnSegment(route, segmentIndex, t) {
+        const segment = this.getRouteGeometry(route).segments[segmentIndex];
+        return this.pointAtOffset(segment.points, segment.cumulative, t * segment.length);
+    },
+
+    // Length in meters of every segment, including the one back to the first stop
+    getSegmentLengths(route) {
+        return this.getRouteGeometry(route).segments.map(segment => segment.length);
+    },
+
+    // Snap a vehicle onto the closest segment of its route so simulation can
+    // resume from where the live feed last saw it
+    syncProgressFromPosition(vehicle) {
+        const route = this.routes.get(vehicle.routeId);
+        if (!route || route.stops.length < 2) return;
+        if (!this.vehicleProgress) this.vehicleProgress = new Map();
+
+        const { segments } = this.getRouteGeometry(route);
+        let best = { segmentIndex: 0, t: 0, dist: Infinity };
+        for (let i = 0; i < route.stops.length - 1; i++) {
+            const segment = segments[i];
+            const projection = this.projectOntoPath(segment.points, segment.cumulative, vehicle.lat, vehicle.lng);
+            const t = segment.length > 0 ? projection.offset / segment.length : 0;
+            if (projection.distance < best.dist) best = { segmentIndex: i, t, dist: projection.distance };
+        }
+
+        // A report on the following segment means the bus just reached the stop
+        // between them; only then do we know when it entered the new segment
+        const previous = this.vehicleProgress.get(vehicle.id);
+        const reportedAt = vehicle.liveUpdatedAt || Date.now();
+        let enteredAt = null;
+        if (previous && previous.segmentIndex === best.segmentIndex) {
+            enteredAt = previous.enteredAt;
+        } else if (previous && best.segmentIndex === previous.segmentIndex + 1) {
+            this.recordSegmentTraversal(vehicle, route, previous.segmentIndex, previous.enteredAt, reportedAt);
+            enteredAt = reportedAt;
+        }
+
+        this.vehicleProgress.set(vehicle.id, { segmentIndex: best.segmentIndex, t: best.t, enteredAt });
+        vehicle.nextStop = route.stops[best.segmentIndex + 1].name;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = { RouteGeometryMixin };
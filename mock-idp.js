@@ -0,0 +1,195 @@
+// CityBus Tracker - mock OpenID Connect provider
+// Stands in for Google, Facebook and Apple while developing the social logins:
+// each is an issuer under this server (/google, /facebook, /apple) with a
+// discovery document, a sign-in page listing test identities, a token
+// endpoint that checks PKCE and returns RS256-signed ID tokens. Any client id is
+// accepted. Not for production.
+//
+//   node mock-idp.js                                  (MOCK_IDP_PORT=9090)
+//   OIDC_MOCK_URL=http://localhost:9090 node server.js
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 9090;
+const BASE_URL = `http://localhost:${PORT}`;
+const PROVIDERS = ['google', 'facebook', 'apple'];
+const CODE_SECONDS = 60;
+const TOKEN_SECONDS = 3600;
+
+// Who can sign in. The unverified address shows that such emails are never
+// used to link to an existing account.
+const IDENTITIES = [
+    { sub: 'mock-1001', name: 'Demo User', email: 'user@demo.com', email_verified: true },
+    { sub: 'mock-1002', name: 'Asha Kaur', email: 'asha.kaur@example.com', email_verified: true },
+    { sub: 'mock-1003', name: 'Unverified Person', email: 'user@demo.com', email_verified: false },
+    { sub: 'mock-1004', name: 'No Email', email_verified: false }
+];
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map(); // code -> { provider, clientId, redirectUri, codeChallenge, nonce, identity, expiresAt }
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(payload));
+}
+
+function sendHtml(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function readForm(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')))));
+        req.on('error', reject);
+    });
+}
+
+function signIdToken(claims) {
+    const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${encode(claims)}`;
+    return `${unsigned}.${crypto.sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url')}`;
+}
+
+function discovery(provider) {
+    const issuer = `${BASE_URL}/${provider}`;
+    return {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query', 'form_post'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'email', 'profile', 'name', 'public_profile']
+    };
+}
+
+// Send the browser back to the client, as a redirect or a self-submitting form
+function returnToClient(res, params, values) {
+    if (params.response_mode === 'form_post') {
+        const fields = Object.entries(values)
+            .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+            .join('');
+        return sendHtml(res, 200, `<!DOCTYPE html><body onload="document.forms[0].submit()">` +
+            `<form method="post" action="${escapeHtml(params.redirect_uri)}">${fields}</form></body>`);
+    }
+    const url = new URL(params.redirect_uri);
+    Object.entries(values).forEach(([name, value]) => url.searchParams.set(name, value));
+    res.writeHead(302, { Location: url.toString() });
+    res.end();
+}
+
+function showSignInPage(res, provider, params) {
+    const hidden = Object.entries(params)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+    const choices = IDENTITIES.map(identity => `
+        <button name="sub" value="${identity.sub}">
+            ${escapeHtml(identity.name)}<br><small>${escapeHtml(identity.email || 'no email')}${identity.email_verified ? '' : ' (unverified)'}</small>
+        </button>`).join('');
+    sendHtml(res, 200, `<!DOCTYPE html>
+<html><head><title>Mock ${provider} sign-in</title>
+<style>body{font-family:sans-serif;max-width:24rem;margin:3rem auto}button{display:block;width:100%;margin:.5rem 0;padding:.75rem;text-align:left}</style>
+</head><body>
+<h2>Mock ${escapeHtml(provider)} sign-in</h2>
+<p>Signing in to <code>${escapeHtml(params.client_id)}</code>. Choose a test identity:</p>
+<form method="post" action="/${provider}/authorize">${hidden}${choices}
+<button name="deny" value="1">Cancel</button></form>
+</body></html>`);
+}
+
+async function handleAuthorize(req, res, provider, query) {
+    const params = req.method === 'POST' ? await readForm(req) : query;
+    if (!params.redirect_uri || !params.client_id) return sendHtml(res, 400, 'redirect_uri and client_id are required');
+    if (params.response_type !== 'code' || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+        return returnToClient(res, params, { error: 'invalid_request', error_description: 'Use response_type=code with an S256 code challenge', state: params.state || '' });
+    }
+    if (req.method === 'GET') return showSignInPage(res, provider, params);
+
+    const { deny, sub, ...request } = params;
+    if (deny) return returnToClient(res, request, { error: 'access_denied', error_description: 'The user cancelled the sign-in', state: request.state || '' });
+
+    const identity = IDENTITIES.find(candidate => candidate.sub === sub);
+    if (!identity) return showSignInPage(res, provider, request);
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+        provider,
+        clientId: request.client_id,
+        redirectUri: request.redirect_uri,
+        codeChallenge: request.code_challenge,
+        nonce: request.nonce,
+        identity,
+        expiresAt: Date.now() + CODE_SECONDS * 1000
+    });
+    returnToClient(res, request, { code, state: request.state || '' });
+}
+
+async function handleToken(req, res, provider) {
+    const form = await readForm(req);
+    const grant = codes.get(form.code);
+    codes.delete(form.code); // codes work once
+
+    if (form.grant_type !== 'authorization_code' || !grant || grant.expiresAt <= Date.now() || grant.provider !== provider) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+    if (form.client_id !== grant.clientId || form.redirect_uri !== grant.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Code was issued to another client' });
+    }
+    const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const { sub, ...profile } = grant.identity;
+    sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString('base64url'),
+        token_type: 'Bearer',
+        expires_in: TOKEN_SECONDS,
+        id_token: signIdToken({
+            iss: `${BASE_URL}/${provider}`,
+            aud: grant.clientId,
+            sub: `${provider}-${sub}`,
+            iat: now,
+            exp: now + TOKEN_SECONDS,
+            nonce: grant.nonce,
+            ...profile
+        })
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, BASE_URL);
+    const [provider, ...rest] = url.pathname.split('/').filter(Boolean);
+    const endpoint = rest.join('/');
+    if (!PROVIDERS.includes(provider)) return sendJson(res, 404, { error: 'not_found' });
+
+    try {
+        if (endpoint === '.well-known/openid-configuration') return sendJson(res, 200, discovery(provider));
+        if (endpoint === 'jwks') {
+            return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+        }
+        if (endpoint === 'authorize') return await handleAuthorize(req, res, provider, Object.fromEntries(url.searchParams));
+        if (endpoint === 'token' && req.method === 'POST') return await handleToken(req, res, provider);
+        sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+        console.error(error);
+        sendJson(res, 500, { error: 'server_error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock identity provider at ${BASE_URL}/{${PROVIDERS.join(',')}}`);
+});
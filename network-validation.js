@@ -0,0 +1,180 @@
+// CityBus Tracker - Network Validation
+// Checks a route network before it is saved: by the route editor in the app
+// and by PUT /api/network in server.js. The editor also merges stops that are
+// the same physical stand under different ids (stop-pat / stop-pat2) so that
+// routes share one stop; old ids keep working through network.stopAliases.
+
+const NETWORK_RULES = {
+    mergeMeters: 25, // same name and closer than this: one stand
+    samePlaceMeters: 50 // one stop id must not be used further apart than this
+};
+
+function distanceMeters(a, b) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function normalizeStopName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Point every reference to a duplicate stop at the first stop of its stand
+// (in route order). Changes the network and returns the merges as
+// [{ from, into, name }].
+function mergeDuplicateStops(network) {
+    const kept = []; // first stop of each stand
+    const merges = [];
+    const aliases = Object.assign({}, network.stopAliases);
+
+    network.routes.forEach(route => {
+        route.stops = route.stops.map(stop => {
+            const same = kept.find(other => other.id === stop.id) || kept.find(other =>
+                normalizeStopName(other.name) === normalizeStopName(stop.name) &&
+                distanceMeters(other, stop) <= NETWORK_RULES.mergeMeters);
+            if (!same) {
+                kept.push(stop);
+                return stop;
+            }
+            if (same.id !== stop.id) {
+                if (!merges.some(merge => merge.from === stop.id)) merges.push({ from: stop.id, into: same.id, name: same.name });
+                aliases[stop.id] = same.id;
+            }
+            return { ...stop, id: same.id, name: same.name, lat: same.lat, lng: same.lng };
+        });
+    });
+
+    // Timetables and buses refer to stops by id too, and the bays of a merged
+    // stop become bays of the stop it was merged into
+    const resolve = id => aliases[id] || id;
+    const listed = new Map((network.stops || []).map(stop => [stop.id, stop]));
+    merges.forEach(merge => {
+        const from = listed.get(merge.from);
+        if (!from || !(from.platforms || []).length) return;
+        if (!listed.has(merge.into)) {
+            const into = { id: merge.into, name: merge.name, lat: from.lat, lng: from.lng, platforms: [] };
+            listed.set(merge.into, into);
+            network.stops.push(into);
+        }
+        const into = listed.get(merge.into);
+        into.platforms = [...(into.platforms || []), ...from.platforms.filter(platform =>
+            !(into.platforms || []).some(other => other.id === platform.id))];
+    });
+    network.routes.forEach(route => {
+        (route.trips || []).forEach(trip => {
+            (trip.stopTimes || []).forEach(stopTime => { stopTime.stopId = resolve(stopTime.stopId); });
+        });
+    });
+    (network.vehicles || []).forEach(vehicle => {
+        if (vehicle.currentStopId) vehicle.currentStopId = resolve(vehicle.currentStopId);
+    });
+
+    // An alias may point at a stop that was merged itself later on
+    Object.keys(aliases).forEach(id => {
+        let target = aliases[id];
+        while (aliases[target] && aliases[target] !== id) target = aliases[target];
+        aliases[id] = target;
+    });
+    if (Object.keys(aliases).length) network.stopAliases = aliases;
+    return merges;
+}
+
+// The first place where the network is not shaped like one, such as
+// "routes[2] must be an object", or null. The other checks rely on the shape.
+function findNetworkShapeError(network) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkList = (value, path, ofObjects = true) => {
+        if (value === undefined) return null;
+        if (!Array.isArray(value)) return `${path} must be an array`;
+        const index = ofObjects ? value.findIndex(item => !isObject(item)) : -1;
+        return index >= 0 ? `${path}[${index}] must be an object` : null;
+    };
+    const checkEach = (items, path, check) => {
+        for (let i = 0; i < (items || []).length; i++) {
+            const error = check(items[i], `${path}[${i}]`);
+            if (error) return error;
+        }
+        return null;
+    };
+
+    return ['routes', 'stops', 'vehicles', 'agencies', 'calendars'].map(field => checkList(network[field], field)).find(Boolean) ||
+        checkList(network.holidays, 'holidays', false) ||
+        (network.stopAliases !== undefined && !isObject(network.stopAliases) ? 'stopAliases must be an object' : null) ||
+        checkEach(network.routes, 'routes', (route, path) =>
+            checkList(route.stops, `${path}.stops`) ||
+            checkList(route.shape, `${path}.shape`, false) ||
+            checkList(route.trips, `${path}.trips`) ||
+            checkEach(route.trips, `${path}.trips`, (trip, tripPath) =>
+                checkList(trip.stopTimes, `${tripPath}.stopTimes`) || checkList(trip.frequencies, `${tripPath}.frequencies`))) ||
+        checkEach(network.stops, 'stops', (stop, path) => checkList(stop.platforms, `${path}.platforms`)) ||
+        null;
+}
+
+// { errors, warnings } as messages; a network with errors must not be saved
+function validateNetwork(network) {
+    const errors = [];
+    const warnings = [];
+    if (!network || !Array.isArray(network.routes) || network.routes.length === 0) {
+        return { errors: ['The network has no routes'], warnings };
+    }
+    const shapeError = findNetworkShapeError(network);
+    if (shapeError) return { errors: [shapeError], warnings };
+
+    const routeIds = new Set();
+    const routeNumbers = new Set();
+    const stopPlaces = new Map(); // stop id -> first { lat, lng, route }
+    const listed = new Map((network.stops || []).map(stop => [stop.id, stop])); // stop registry
+
+    network.routes.forEach((route, index) => {
+        const label = route.number || route.name || `Route ${index + 1}`;
+        if (!route.id) errors.push(`${label} has no id`);
+        else if (routeIds.has(route.id)) errors.push(`Route id ${route.id} is used twice`);
+        routeIds.add(route.id);
+
+        if (!String(route.number || '').trim()) errors.push(`Route ${index + 1} needs a number`);
+        else if (routeNumbers.has(route.number)) warnings.push(`Route number ${route.number} is used twice`);
+        routeNumbers.add(route.number);
+        if (!String(route.name || '').trim()) errors.push(`${label} needs a name`);
+        if (route.color !== undefined && !/^#[0-9a-f]{6}$/i.test(route.color)) errors.push(`${label} has an invalid color`);
+
+        const stops = Array.isArray(route.stops) ? route.stops : [];
+        if (stops.length < 2) errors.push(`${label} needs at least two stops`);
+        stops.forEach((stop, position) => {
+            const where = `${label}, stop ${position + 1}`;
+            if (!stop.id) errors.push(`${where} has no id`);
+            if (!String(stop.name || '').trim()) errors.push(`${where} needs a name`);
+            if (!(Math.abs(stop.lat) <= 90) || !(Math.abs(stop.lng) <= 180)) {
+                errors.push(`${where} has no valid position`);
+                return;
+            }
+            const first = stopPlaces.get(stop.id);
+            if (!first) {
+                stopPlaces.set(stop.id, { lat: stop.lat, lng: stop.lng, route: label });
+            } else if (distanceMeters(first, stop) > NETWORK_RULES.samePlaceMeters) {
+                errors.push(`Stop id ${stop.id} is used at two different places (${first.route} and ${label})`);
+            }
+            if (position > 0 && stops[position - 1].id === stop.id) warnings.push(`${where} repeats the stop before it`);
+            const entry = listed.get(stop.id);
+            if (stop.platformId && entry && !(entry.platforms || []).some(platform => platform.id === stop.platformId)) {
+                warnings.push(`${where} uses bay ${stop.platformId}, which ${entry.name} does not have`);
+            }
+        });
+
+        const stopIds = new Set(stops.map(stop => stop.id));
+        if ((route.trips || []).some(trip => (trip.stopTimes || []).some(stopTime => !stopIds.has(stopTime.stopId)))) {
+            warnings.push(`The timetable of ${label} has stops that are no longer on the route`);
+        }
+    });
+
+    (network.vehicles || []).forEach(vehicle => {
+        if (!routeIds.has(vehicle.routeId)) warnings.push(`Bus ${vehicle.number || vehicle.id} runs on unknown route ${vehicle.routeId}`);
+    });
+
+    return { errors, warnings };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { NETWORK_RULES, mergeDuplicateStops, findNetworkShapeError, validateNetwork, distanceMeters };
+}
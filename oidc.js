@@ -0,0 +1,140 @@
+// CityBus Tracker - OpenID Connect client
+// Authorization code flow with PKCE for the social logins in server.js. The
+// provider's endpoints come from its discovery document; its ID tokens are
+// checked against the published keys (RS256 or ES256) before anyone is
+// logged in. Only Node built-ins are used (fetch needs Node 18+).
+const crypto = require('crypto');
+
+class OidcError extends Error {}
+
+// PKCE (RFC 7636): the verifier stays on the server, the S256 challenge goes
+// to the provider
+function createPkcePair() {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+}
+
+function decodeJwtPart(part) {
+    try {
+        return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new OidcError('Malformed ID token');
+    }
+}
+
+const SIGNATURE_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+class OidcClient {
+    // { id, name, issuer, clientId, clientSecret, scope, responseMode }
+    constructor(config) {
+        this.config = config;
+        this.metadata = null;
+        this.keys = null; // kid -> JWK, reloaded when an unknown kid shows up
+    }
+
+    async discover() {
+        if (!this.metadata) {
+            this.metadata = await this.fetchJson(`${this.config.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+        }
+        return this.metadata;
+    }
+
+    async fetchJson(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            throw new OidcError(`${this.config.name} could not be reached`);
+        }
+        const payload = await response.json().catch(() => null);
+        if (!response.ok || !payload) {
+            const reason = payload && (payload.error_description || payload.error);
+            throw new OidcError(`${this.config.name} answered ${response.status}${reason ? `: ${reason}` : ''}`);
+        }
+        return payload;
+    }
+
+    async getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+        const metadata = await this.discover();
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.config.clientId,
+            redirect_uri: redirectUri,
+            scope: this.config.scope,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        if (this.config.responseMode) params.set('response_mode', this.config.responseMode);
+        return `${metadata.authorization_endpoint}?${params}`;
+    }
+
+    // Trade the code from the callback for tokens and return the verified
+    // claims of the ID token
+    async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+        const metadata = await this.discover();
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            client_id: this.config.clientId,
+            code_verifier: codeVerifier
+        });
+        if (this.config.clientSecret) body.set('client_secret', this.config.clientSecret);
+
+        const tokens = await this.fetchJson(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: body.toString()
+        });
+        if (!tokens.id_token) throw new OidcError(`${this.config.name} did not return an ID token`);
+        return this.verifyIdToken(tokens.id_token, nonce);
+    }
+
+    async verifyIdToken(idToken, nonce) {
+        const parts = String(idToken).split('.');
+        if (parts.length !== 3) throw new OidcError('Malformed ID token');
+        const header = decodeJwtPart(parts[0]);
+        const claims = decodeJwtPart(parts[1]);
+
+        const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+        if (!algorithm) throw new OidcError(`Unsupported ID token algorithm ${header.alg}`);
+        const jwk = await this.getSigningKey(header.kid);
+        const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        const valid = crypto.verify(algorithm.hash, Buffer.from(`${parts[0]}.${parts[1]}`),
+            { key, dsaEncoding: algorithm.dsaEncoding }, Buffer.from(parts[2], 'base64url'));
+        if (!valid) throw new OidcError('ID token signature is invalid');
+
+        const metadata = await this.discover();
+        const now = Math.floor(Date.now() / 1000);
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (claims.iss !== metadata.issuer) throw new OidcError('ID token is from another issuer');
+        if (!audiences.includes(this.config.clientId)) throw new OidcError('ID token is for another client');
+        if (!(claims.exp > now - OidcClient.clockSkewSeconds)) throw new OidcError('ID token has expired');
+        if (claims.iat > now + OidcClient.clockSkewSeconds) throw new OidcError('ID token is issued in the future');
+        if (claims.nonce !== nonce) throw new OidcError('ID token does not belong to this login');
+        if (!claims.sub) throw new OidcError('ID token has no subject');
+        return claims;
+    }
+
+    async getSigningKey(kid) {
+        if (!this.keys || !this.keys.has(kid)) {
+            const metadata = await this.discover();
+            const { keys = [] } = await this.fetchJson(metadata.jwks_uri);
+            this.keys = new Map(keys.map(jwk => [jwk.kid, jwk]));
+        }
+        // A provider with a single key may leave out the kid
+        const jwk = this.keys.get(kid) || (this.keys.size === 1 ? Array.from(this.keys.values())[0] : null);
+        if (!jwk) throw new OidcError('ID token is signed with an unknown key');
+        return jwk;
+    }
+}
+
+OidcClient.clockSkewSeconds = 120;
+
+module.exports = { OidcClient, OidcError, createPkcePair };
@@ -0,0 +1,102 @@
+// CityBus Tracker - One-Time Passwords
+// Codes for mobile login. A code is sent through an SMS gateway, kept only as
+// a hash, expires after a few minutes and allows a few guesses; how often a
+// number can ask for a new code is limited. server.js runs one service for
+// everyone; without the server, datastore.js runs its own in the browser.
+//
+// A gateway is any object with `async send(mobile, text)`. The hashing and
+// the random source are passed in because Node and browsers provide them
+// differently.
+class OtpService {
+    constructor({ gateway, hash, randomInt, entries = {}, onChange = () => {}, now = () => Date.now() }) {
+        this.gateway = gateway;
+        this.hash = hash; // async (text) -> hex digest
+        this.randomInt = randomInt; // (max) -> integer in [0, max)
+        this.entries = entries; // mobile -> { codeHash, expiresAt, attempts, sentAt: [ms] }
+        this.onChange = onChange; // called after entries changed, to persist them
+        this.now = now;
+    }
+
+    // Create a code for the number and text it. Resolves to
+    // { sent: true, expiresAt, resendAt } or { sent: false, retryAfter } (seconds)
+    // when the number asked too often. With deliver: false (a number without
+    // an account) every step runs except the message, so the answer does not
+    // tell which numbers are registered.
+    async send(mobile, { deliver = true } = {}) {
+        const settings = OtpService.settings;
+        const key = normalizeMobile(mobile);
+        const now = this.now();
+        this.prune(now);
+
+        const entry = this.entries[key] || { sentAt: [] };
+        const recent = entry.sentAt.filter(time => now - time < 3600 * 1000);
+        const last = recent[recent.length - 1];
+        const waitUntil = Math.max(
+            last ? last + settings.resendSeconds * 1000 : 0,
+            recent.length >= settings.maxSendsPerHour ? recent[0] + 3600 * 1000 : 0
+        );
+        if (waitUntil > now) return { sent: false, retryAfter: Math.ceil((waitUntil - now) / 1000) };
+
+        const code = String(this.randomInt(10 ** settings.digits)).padStart(settings.digits, '0');
+        this.entries[key] = {
+            codeHash: await this.hash(`${key}:${code}`),
+            expiresAt: now + settings.ttlSeconds * 1000,
+            attempts: 0,
+            sentAt: [...recent, now]
+        };
+        this.onChange(this.entries);
+
+        if (deliver) {
+            const minutes = Math.round(settings.ttlSeconds / 60);
+            await this.gateway.send(key, `${code} is your CityBus login code. It expires in ${minutes} minutes.`);
+        }
+        return {
+            sent: true,
+            expiresAt: this.entries[key].expiresAt,
+            resendAt: now + settings.resendSeconds * 1000
+        };
+    }
+
+    // True once for the right code; a used, expired or over-guessed code fails
+    async verify(mobile, code) {
+        const key = normalizeMobile(mobile);
+        const entry = this.entries[key];
+        const now = this.now();
+        if (!entry || !entry.codeHash || entry.expiresAt <= now || entry.attempts >= OtpService.settings.maxAttempts) {
+            return false;
+        }
+
+        entry.attempts++;
+        const valid = (await this.hash(`${key}:${String(code).trim()}`)) === entry.codeHash;
+        if (valid) {
+            // Keep the send history for the rate limit, drop the code
+            delete entry.codeHash;
+            entry.expiresAt = now;
+        }
+        this.onChange(this.entries);
+        return valid;
+    }
+
+    // Forget numbers with neither a live code nor sends within the last hour
+    prune(now) {
+        Object.keys(this.entries).forEach(key => {
+            const entry = this.entries[key];
+            if (entry.expiresAt <= now && !entry.sentAt.some(time => now - time < 3600 * 1000)) delete this.entries[key];
+        });
+    }
+}
+
+OtpService.settings = {
+    digits: 6,
+    ttlSeconds: 5 * 60,
+    resendSeconds: 30,
+    maxSendsPerHour: 5,
+    maxAttempts: 5 // wrong guesses before a new code is needed
+};
+
+// Mobile numbers are compared by their digits only
+function normalizeMobile(mobile) {
+    return String(mobile || '').replace(/\D/g, '');
+}
+
+if (typeof module !== 'undefined') module.exports = { OtpService, normalizeMobile };
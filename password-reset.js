@@ -0,0 +1,108 @@
+// CityBus Tracker - Password Reset
+// Forgotten passwords of passengers and drivers. A link with a random token
+// is sent to the account's email address or mobile number; only a hash of the
+// token is kept, it expires after half an hour, works once, and replaces any
+// earlier link of the same account. How often an account can ask for a link
+// is limited. server.js runs one service for everyone; without the server,
+// datastore.js runs its own in the browser (like otp.js).
+//
+// Gateways are objects with `async send(to, text)`: an email one and an SMS
+// one. Hashing and the random source are passed in because Node and browsers
+// provide them differently.
+
+const PASSWORD_RULES = {
+    minLength: 6
+};
+
+// New passwords follow the same rules everywhere (registration and reset):
+// an error message, or null when the password is fine
+function checkNewPassword(password, confirmation = password) {
+    if (password !== confirmation) return 'Passwords do not match';
+    if (typeof password !== 'string' || password.length < PASSWORD_RULES.minLength) {
+        return `Password must be at least ${PASSWORD_RULES.minLength} characters long`;
+    }
+    return null;
+}
+
+class PasswordResetService {
+    constructor({ gateways, hash, randomToken, entries = {}, onChange = () => {}, now = () => Date.now() }) {
+        this.gateways = gateways; // { email, sms }
+        this.hash = hash; // async (text) -> hex digest
+        this.randomToken = randomToken; // () -> unguessable URL-safe text
+        // tokens: tokenHash -> { account, expiresAt }; sentAt: account -> [ms]
+        this.entries = entries;
+        if (!this.entries.tokens) this.entries.tokens = {};
+        if (!this.entries.sentAt) this.entries.sentAt = {};
+        this.onChange = onChange; // called after entries changed, to persist them
+        this.now = now;
+    }
+
+    // Send a reset link for account (any key naming it, e.g. "users:user_1")
+    // by email or SMS to `to`; link(token) makes the URL. Resolves to
+    // { sent: true, expiresAt } or { sent: false, retryAfter } (seconds) when
+    // the account asked too often.
+    async send(account, { name, via, to, link }) {
+        const settings = PasswordResetService.settings;
+        const now = this.now();
+        this.prune(now);
+
+        const recent = (this.entries.sentAt[account] || []).filter(time => now - time < 3600 * 1000);
+        const last = recent[recent.length - 1];
+        const waitUntil = Math.max(
+            last ? last + settings.resendSeconds * 1000 : 0,
+            recent.length >= settings.maxSendsPerHour ? recent[0] + 3600 * 1000 : 0
+        );
+        if (waitUntil > now) return { sent: false, retryAfter: Math.ceil((waitUntil - now) / 1000) };
+
+        this.forget(account);
+        const token = this.randomToken();
+        const expiresAt = now + settings.ttlMinutes * 60 * 1000;
+        this.entries.tokens[await this.hash(`reset:${token}`)] = { account, expiresAt };
+        this.entries.sentAt[account] = [...recent, now];
+        this.onChange(this.entries);
+
+        const url = link(token);
+        if (via === 'sms') {
+            await this.gateways.sms.send(to, `CityBus password reset for ${name}: ${url} (valid for ${settings.ttlMinutes} minutes)`);
+        } else {
+            await this.gateways.email.send(to, `Hello ${name}, open this link within ${settings.ttlMinutes} minutes to ` +
+                `choose a new CityBus password: ${url} If you did not ask for it, ignore this message.`);
+        }
+        return { sent: true, expiresAt };
+    }
+
+    // The account of a valid token, which then stops working; null for an
+    // unknown, used or expired token
+    async redeem(token) {
+        const tokenHash = await this.hash(`reset:${String(token || '').trim()}`);
+        const entry = this.entries.tokens[tokenHash];
+        if (!entry || entry.expiresAt <= this.now()) return null;
+        delete this.entries.tokens[tokenHash];
+        this.onChange(this.entries);
+        return entry.account;
+    }
+
+    // Drop the account's links (after a reset, or before sending a new one)
+    forget(account) {
+        Object.keys(this.entries.tokens).forEach(tokenHash => {
+            if (this.entries.tokens[tokenHash].account === account) delete this.entries.tokens[tokenHash];
+        });
+    }
+
+    prune(now) {
+        Object.keys(this.entries.tokens).forEach(tokenHash => {
+            if (this.entries.tokens[tokenHash].expiresAt <= now) delete this.entries.tokens[tokenHash];
+        });
+        Object.keys(this.entries.sentAt).forEach(account => {
+            if (!this.entries.sentAt[account].some(time => now - time < 3600 * 1000)) delete this.entries.sentAt[account];
+        });
+    }
+}
+
+PasswordResetService.settings = {
+    ttlMinutes: 30,
+    resendSeconds: 60,
+    maxSendsPerHour: 5
+};
+
+if (typeof module !== 'undefined') module.exports = { PasswordResetService, PASSWORD_RULES, checkNewPassword };
@@ -0,0 +1,64 @@
+// CityBus Tracker - Roles and Permissions
+// What each role may do. The app hides tabs, buttons and settings a role is
+// not allowed to use, and server.js refuses the matching API calls. Admins
+// can edit the matrix in Settings → Access Control; these are the defaults.
+const ROLES = {
+    passenger: 'Passenger',
+    driver: 'Driver',
+    conductor: 'Conductor',
+    depot_manager: 'Depot Manager',
+    admin: 'Admin'
+};
+
+const PERMISSIONS = {
+    book_tickets: 'Book tickets and see own tickets',
+    send_feedback: 'Rate buses and report issues',
+    drive_bus: 'Use the driver console and report bus positions',
+    replay_trips: 'Replay recorded trips',
+    view_analytics: 'See analytics and ETA accuracy',
+    export_feeds: 'Export GTFS and GTFS-Realtime',
+    manage_network: 'Import networks and edit route geometry',
+    manage_fleet: 'Keep the bus registry and assignments, configure the live feed and fleet simulation',
+    approve_drivers: 'Review driver registrations and see the audit trail',
+    manage_accounts: 'View and change user, driver and staff accounts',
+    manage_access: 'Edit roles and permissions'
+};
+
+function createDefaultPermissions() {
+    return {
+        passenger: ['book_tickets', 'send_feedback'],
+        driver: ['drive_bus', 'send_feedback'],
+        conductor: ['book_tickets', 'send_feedback'],
+        depot_manager: ['send_feedback', 'replay_trips', 'view_analytics', 'export_feeds', 'manage_fleet', 'approve_drivers'],
+        admin: Object.keys(PERMISSIONS)
+    };
+}
+
+// Role of an account that has none of its own, by the kind of login
+const ACCOUNT_TYPE_ROLES = {
+    user: 'passenger',
+    driver: 'driver',
+    admin: 'admin'
+};
+
+function getAccountRole(account) {
+    if (!account) return null;
+    return ROLES[account.role] ? account.role : ACCOUNT_TYPE_ROLES[account.type] || null;
+}
+
+// Keep only known roles and permissions, fill in missing roles from the
+// defaults, and never let admins lock themselves out of this matrix
+function normalizePermissions(matrix) {
+    const defaults = createDefaultPermissions();
+    const normalized = {};
+    Object.keys(ROLES).forEach(role => {
+        const granted = matrix && Array.isArray(matrix[role]) ? matrix[role] : defaults[role];
+        normalized[role] = Object.keys(PERMISSIONS).filter(permission => granted.includes(permission));
+    });
+    if (!normalized.admin.includes('manage_access')) normalized.admin.push('manage_access');
+    return normalized;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ROLES, PERMISSIONS, createDefaultPermissions, getAccountRole, normalizePermissions };
+}
@@ -0,0 +1,248 @@
+// CityBus Tracker - Built-in Punjab Network
+// Routes, buses and timetables used until a GTFS feed is imported. Loaded by
+// the app and by the server, so both start from the same network. Returns new
+// objects on every call because loading a network modifies it.
+function createPunjabNetwork() {
+    // Stands served by more than one route, with a bay per route
+    // (stop-registry.js); the other stops are listed with their route
+    const stops = [
+        {
+            id: 'stop-amr', name: 'Amritsar Bus Stand', lat: 31.6340, lng: 74.8723,
+            platforms: [{ id: 'stop-amr-b1', name: 'Bay 1' }, { id: 'stop-amr-b4', name: 'Bay 4' }]
+        },
+        {
+            id: 'stop-jal', name: 'Jalandhar City', lat: 31.3260, lng: 75.5762,
+            platforms: [{ id: 'stop-jal-b2', name: 'Bay 2' }, { id: 'stop-jal-b5', name: 'Bay 5' }]
+        },
+        {
+            id: 'stop-lud', name: 'Ludhiana Railway Station', lat: 30.9010, lng: 75.8573,
+            platforms: [{ id: 'stop-lud-pa', name: 'Platform A' }, { id: 'stop-lud-pc', name: 'Platform C' }]
+        },
+        {
+            id: 'stop-pat', name: 'Patiala Bus Stand', lat: 30.3398, lng: 76.3869,
+            platforms: [{ id: 'stop-pat-b3', name: 'Bay 3' }, { id: 'stop-pat-b7', name: 'Bay 7' }]
+        }
+    ];
+    const at = (stopId, platformId) => {
+        const { id, name, lat, lng } = stops.find(stop => stop.id === stopId);
+        return { id, name, lat, lng, platformId };
+    };
+
+    const routes = [
+        {
+            id: 'route-pb1',
+            number: 'PB-1',
+            name: 'Amritsar → Chandigarh',
+            color: '#ff6b6b',
+            routeClass: 'route-pb1',
+            stops: [
+                at('stop-amr', 'stop-amr-b1'),
+                at('stop-jal', 'stop-jal-b2'),
+                at('stop-lud', 'stop-lud-pa'),
+                at('stop-pat', 'stop-pat-b3'),
+                { id: 'stop-chd', name: 'Chandigarh ISBT', lat: 30.7333, lng: 76.7794 }
+            ]
+        },
+        {
+            id: 'route-pb2',
+            number: 'PB-2',
+            name: 'Bathinda → Patiala',
+            color: '#4ecdc4',
+            routeClass: 'route-pb2',
+            stops: [
+                { id: 'stop-bat', name: 'Bathinda Bus Stand', lat: 30.2110, lng: 74.9455 },
+                { id: 'stop-muk', name: 'Muktsar City', lat: 30.4740, lng: 74.5160 },
+                { id: 'stop-far', name: 'Faridkot Railway Station', lat: 30.6739, lng: 74.7559 },
+                { id: 'stop-san', name: 'Sangrur Bus Stand', lat: 30.2459, lng: 75.8429 },
+                at('stop-pat', 'stop-pat-b7')
+            ]
+        },
+        {
+            id: 'route-pb3',
+            number: 'PB-3',
+            name: 'Ferozepur → Amritsar',
+            color: '#45b7d1',
+            routeClass: 'route-pb3',
+            stops: [
+                { id: 'stop-fer', name: 'Ferozepur Bus Stand', lat: 30.9167, lng: 74.6000 },
+                { id: 'stop-abh', name: 'Abohar City', lat: 30.1440, lng: 74.1990 },
+                { id: 'stop-mal', name: 'Maler Kotla', lat: 30.5309, lng: 75.8805 },
+                { id: 'stop-barn', name: 'Barnala Bus Stand', lat: 30.3745, lng: 75.5487 },
+                at('stop-amr', 'stop-amr-b4')
+            ]
+        },
+        {
+            id: 'route-pb4',
+            number: 'PB-4',
+            name: 'Gurdaspur → Ludhiana',
+            color: '#96ceb4',
+            routeClass: 'route-pb4',
+            stops: [
+                { id: 'stop-gur', name: 'Gurdaspur Bus Stand', lat: 32.0419, lng: 75.4053 },
+                { id: 'stop-bat2', name: 'Batala City', lat: 31.8186, lng: 75.2028 },
+                { id: 'stop-qad', name: 'Qadian Bus Stand', lat: 31.8219, lng: 75.3761 },
+                { id: 'stop-kap', name: 'Kapurthala Railway Station', lat: 31.3801, lng: 75.3811 },
+                at('stop-lud', 'stop-lud-pc')
+            ]
+        },
+        {
+            id: 'route-pb5',
+            number: 'PB-5',
+            name: 'Hoshiarpur → Jalandhar',
+            color: '#feca57',
+            routeClass: 'route-pb5',
+            stops: [
+                { id: 'stop-hos', name: 'Hoshiarpur Bus Stand', lat: 31.5322, lng: 75.9170 },
+                { id: 'stop-das', name: 'Dasuya City', lat: 31.8167, lng: 75.6667 },
+                { id: 'stop-mah', name: 'Mukerian Railway Station', lat: 31.9500, lng: 75.6167 },
+                { id: 'stop-nak', name: 'Nakodar Bus Stand', lat: 31.1256, lng: 75.4750 },
+                at('stop-jal', 'stop-jal-b5')
+            ]
+        }
+    ];
+
+    const vehicles = [
+        {
+            id: 'pb-bus-001',
+            routeId: 'route-pb1',
+            number: 'PB-1-01',
+            lat: 31.3260,
+            lng: 75.5762,
+            speed: 35,
+            heading: 45,
+            capacity: 50,
+            passengers: 25,
+            lastUpdate: new Date()
+        },
+        {
+            id: 'pb-bus-002',
+            routeId: 'route-pb2',
+            number: 'PB-2-01',
+            lat: 30.4740,
+            lng: 74.5160,
+            speed: 30,
+            heading: 60,
+            capacity: 45,
+            passengers: 20,
+            lastUpdate: new Date()
+        },
+        {
+            id: 'pb-bus-003',
+            routeId: 'route-pb3',
+            number: 'PB-3-01',
+            lat: 30.5309,
+            lng: 75.8805,
+            speed: 40,
+            heading: 80,
+            capacity: 50,
+            passengers: 30,
+            lastUpdate: new Date()
+        },
+        {
+            id: 'pb-bus-004',
+            routeId: 'route-pb4',
+            number: 'PB-4-01',
+            lat: 31.8186,
+            lng: 75.2028,
+            speed: 32,
+            heading: 100,
+            capacity: 45,
+            passengers: 18,
+            lastUpdate: new Date()
+        },
+        {
+            id: 'pb-bus-005',
+            routeId: 'route-pb5',
+            number: 'PB-5-01',
+            lat: 31.8167,
+            lng: 75.6667,
+            speed: 38,
+            heading: 120,
+            capacity: 40,
+            passengers: 22,
+            lastUpdate: new Date()
+        }
+    ];
+
+    // Ids the shared stands had before they were merged, still named by
+    // older bookings
+    const stopAliases = {
+        'stop-amr2': 'stop-amr',
+        'stop-jal2': 'stop-jal',
+        'stop-lud2': 'stop-lud',
+        'stop-pat2': 'stop-pat'
+    };
+
+    // Timetable (timetable.js): the weekday service runs Monday to Saturday,
+    // the Sunday service on Sundays and public holidays
+    const holidays = [
+        { date: '20260126', name: 'Republic Day' },
+        { date: '20260304', name: 'Holi' },
+        { date: '20260414', name: 'Vaisakhi' },
+        { date: '20260815', name: 'Independence Day' },
+        { date: '20261002', name: 'Gandhi Jayanti' },
+        { date: '20261020', name: 'Dussehra' },
+        { date: '20261108', name: 'Diwali' },
+        { date: '20261124', name: 'Guru Nanak Jayanti' },
+        { date: '20261225', name: 'Christmas' },
+        { date: '20270126', name: 'Republic Day' },
+        { date: '20270815', name: 'Independence Day' },
+        { date: '20271002', name: 'Gandhi Jayanti' },
+        { date: '20271225', name: 'Christmas' }
+    ];
+    const holidayDates = holidays.map(holiday => holiday.date);
+    const calendars = [
+        {
+            serviceId: 'WEEKDAY',
+            days: [false, true, true, true, true, true, true],
+            startDate: '20260101',
+            endDate: '20271231',
+            added: [],
+            removed: holidayDates
+        },
+        {
+            serviceId: 'SUNDAY',
+            days: [true, false, false, false, false, false, false],
+            startDate: '20260101',
+            endDate: '20271231',
+            added: holidayDates,
+            removed: []
+        }
+    ];
+
+    // Minutes from the first stop to each stop, with 5 minutes at every stop
+    // on the way, and when the buses leave the first stop
+    const runningMinutes = {
+        'route-pb1': [0, 130, 230, 375, 480],
+        'route-pb2': [0, 90, 150, 355, 450],
+        'route-pb3': [0, 165, 460, 530, 800],
+        'route-pb4': [0, 55, 90, 180, 305],
+        'route-pb5': [0, 70, 100, 265, 310]
+    };
+    const departures = {
+        WEEKDAY: { first: '05:30', last: '20:30', headwayMinutes: 60 },
+        SUNDAY: { first: '07:00', last: '19:00', headwayMinutes: 120 }
+    };
+    const seconds = time => time.split(':').reduce((total, part) => total * 60 + Number(part), 0) * 60;
+    routes.forEach(route => {
+        const minutes = runningMinutes[route.id];
+        const last = route.stops.length - 1;
+        route.trips = Object.entries(departures).map(([serviceId, { first, last: lastDeparture, headwayMinutes }]) => ({
+            tripId: `${route.id}-${serviceId.toLowerCase()}`,
+            serviceId,
+            headsign: route.stops[last].name,
+            directionId: '0',
+            stopTimes: route.stops.map((stop, i) => ({
+                stopId: stop.id,
+                sequence: i + 1,
+                arrival: seconds(first) + minutes[i] * 60,
+                departure: seconds(first) + (minutes[i] + (i === 0 || i === last ? 0 : 5)) * 60
+            })),
+            frequencies: [{ startTime: seconds(first), endTime: seconds(lastDeparture) + headwayMinutes * 60, headwaySeconds: headwayMinutes * 60 }]
+        }));
+    });
+
+    return { routes, vehicles, stops, stopAliases, calendars, holidays };
+}
+
+if (typeof module !== 'undefined') module.exports = { createPunjabNetwork };
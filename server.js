@@ -0,0 +1,1340 @@
+// CityBus Tracker - REST API server
+// Serves the app and a JSON API over users, drivers, bookings, feedback,
+// favorites and the route network, persisted to a JSON file. Bus positions
+// are kept here and pushed to every client over a WebSocket (/api/stream).
+//
+//   node server.js              (PORT=8080, DATA_FILE=data/db.json)
+//   DEMO_MODE=1 node server.js  (adds the public demo accounts)
+//
+// Only Node built-ins are used; see README.md for the endpoints.
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+const { FleetHost } = require('./fleet-host');
+const { createDemoAccounts } = require('./demo-accounts');
+const { getAccountRole, normalizePermissions } = require('./permissions');
+const { OtpService, normalizeMobile } = require('./otp');
+const { createSmsGateway } = require('./sms-gateway');
+const { createEmailGateway } = require('./email-gateway');
+const { PasswordResetService, checkNewPassword } = require('./password-reset');
+const { OidcClient, OidcError, createPkcePair } = require('./oidc');
+const { validateNetwork } = require('./network-validation');
+const { checkDriverDecision, checkDriverDocuments, applyDriverDecision, driverDecisionMessage, driverLoginRefusal } = require('./driver-review');
+const { normalizeRegistration, checkBus, checkAssignment, findAssignmentConflict, takenSeats, localDate } = require('./fleet');
+const { holidayOn } = require('./timetable');
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT = __dirname;
+const DATA_FILE = path.resolve(ROOT, process.env.DATA_FILE || 'data/db.json');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const DEMO_MODE = ['1', 'true', 'yes'].includes(String(process.env.DEMO_MODE).toLowerCase());
+const STREAM_TICK_MS = 2000;
+const STREAM_PING_MS = 30000;
+const PASSWORD_ITERATIONS = 100000;
+const SESSION_HOURS = 12;
+const REMEMBER_SESSION_HOURS = 30 * 24;
+const SMS_GATEWAY = process.env.SMS_GATEWAY || 'console';
+const SMS_OUTBOX = path.resolve(ROOT, process.env.SMS_OUTBOX || 'data/sms-outbox.log');
+const EMAIL_GATEWAY = process.env.EMAIL_GATEWAY || 'console';
+const EMAIL_OUTBOX = path.resolve(ROOT, process.env.EMAIL_OUTBOX || 'data/email-outbox.log');
+// Address of this server as the browser sees it; providers redirect back to it
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const SOCIAL_LOGIN_MINUTES = 10;
+const SOCIAL_TICKET_SECONDS = 60;
+
+const COLLECTIONS = ['users', 'drivers', 'admins', 'bookings', 'feedback', 'favorites', 'fleet', 'assignments'];
+
+const ID_PREFIXES = {
+    users: 'user',
+    drivers: 'driver',
+    admins: 'admin',
+    bookings: 'bk',
+    feedback: 'fb',
+    favorites: 'fav',
+    fleet: 'bus',
+    assignments: 'asg'
+};
+
+// Fields that must be unique within a collection (same rules as datastore.js)
+const UNIQUE_FIELDS = {
+    users: ['email'],
+    drivers: ['email', 'license'],
+    admins: ['username'],
+    fleet: ['registration']
+};
+
+// The bus registry and daily assignments (fleet.js); the fleet stream runs
+// today's assignments
+const FLEET_COLLECTIONS = ['fleet', 'assignments'];
+
+// Records that belong to the signed-in user who made them (userId)
+const OWNED_COLLECTIONS = ['bookings', 'favorites'];
+
+// Collections whose records carry a password (kept only as a hash)
+const ACCOUNT_COLLECTIONS = ['users', 'drivers', 'admins'];
+
+// Set by the review decision only, never by updating the driver
+const DRIVER_REVIEW_FIELDS = ['status', 'reviewedAt', 'reviewedBy', 'reviewReason'];
+
+// Set by social sign-in only (findOrLinkSocialUser): whoever could write them
+// could sign in as the account with someone else's provider login
+const IDENTITY_FIELDS = ['identities'];
+
+// Feedback is read by everyone, so its text fields are kept short
+const FEEDBACK_TEXT_LIMIT = 2000;
+const FEEDBACK_FIELD_LIMIT = 100;
+
+// Kind of login per account collection; an account's role defaults from it
+const ACCOUNT_TYPES = {
+    users: 'user',
+    drivers: 'driver',
+    admins: 'admin'
+};
+
+// Social logins (OpenID Connect). A provider is offered once its client id is
+// set (OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET, ...); OIDC_*_ISSUER
+// overrides the issuer, and OIDC_MOCK_URL points all of them at mock-idp.js.
+const OIDC_PROVIDERS = {
+    google: { name: 'Google', issuer: 'https://accounts.google.com', scope: 'openid email profile' },
+    facebook: { name: 'Facebook', issuer: 'https://www.facebook.com', scope: 'openid email public_profile' },
+    // Apple posts the callback as a form when email or name are asked for
+    apple: { name: 'Apple', issuer: 'https://appleid.apple.com', scope: 'openid email name', responseMode: 'form_post' }
+};
+
+// Fields accepted by POST /api/:collection/login besides the password
+const LOGIN_FIELDS = {
+    users: ['email', 'mobile'],
+    drivers: ['name', 'email'],
+    admins: ['username']
+};
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ---------------- File store ----------------
+
+function loadDatabase() {
+    const empty = { network: null, sessions: [], permissions: null, otps: {}, passwordResets: {}, audit: [] };
+    COLLECTIONS.forEach(name => { empty[name] = []; });
+
+    try {
+        return { ...empty, ...JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return empty;
+    }
+}
+
+// Write to a temporary file first so a crash never leaves half a database
+function saveDatabase() {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tmp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+const db = loadDatabase();
+hashStoredPasswords();
+syncDemoAccounts();
+
+// ---------------- Passwords and sessions ----------------
+// Passwords are stored as pbkdf2-sha256$<iterations>$<salt>$<hash> (the
+// format datastore.js uses offline). A login opens a session and returns a
+// token <payload>.<HMAC signature>; the session must still exist and not be
+// expired for the token to work, so logout revokes it.
+
+function hashPassword(password, salt = crypto.randomBytes(16), iterations = PASSWORD_ITERATIONS) {
+    const hash = crypto.pbkdf2Sync(String(password), salt, iterations, 32, 'sha256');
+    return `pbkdf2-sha256$${iterations}$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+function verifyPassword(password, passwordHash) {
+    if (!password || !passwordHash) return false;
+    const [scheme, iterations, salt] = passwordHash.split('$');
+    if (scheme !== 'pbkdf2-sha256') return false;
+    const expected = Buffer.from(passwordHash);
+    const actual = Buffer.from(hashPassword(password, Buffer.from(salt, 'base64url'), Number(iterations)));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked when no account matches a login, so that it takes as long as a
+// wrong password and does not tell which emails and numbers are registered
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16));
+
+// Replace a plain password field by its hash; a hash sent by a client is ignored
+function hashCredentials(collection, record) {
+    if (!ACCOUNT_COLLECTIONS.includes(collection)) return record;
+    const { password, passwordHash, ...rest } = record;
+    return password === undefined ? rest : { ...rest, passwordHash: hashPassword(password) };
+}
+
+// Accounts saved before passwords were hashed
+function hashStoredPasswords() {
+    let changed = false;
+    ACCOUNT_COLLECTIONS.forEach(collection => {
+        db[collection] = db[collection].map(record => {
+            if (record.password === undefined) return record;
+            changed = true;
+            const { password, ...rest } = record;
+            return { ...rest, passwordHash: hashPassword(password) };
+        });
+    });
+    if (changed) saveDatabase();
+}
+
+const SESSION_SECRET = process.env.SESSION_SECRET || getStoredSecret();
+
+// Demo accounts exist only while DEMO_MODE is on
+function syncDemoAccounts() {
+    let changed = false;
+    Object.entries(createDemoAccounts()).forEach(([collection, accounts]) => {
+        accounts.forEach(account => {
+            const exists = db[collection].some(record => record.id === account.id);
+            if (DEMO_MODE && !exists) {
+                db[collection].push(hashCredentials(collection, account));
+                changed = true;
+            } else if (!DEMO_MODE && exists) {
+                db[collection] = db[collection].filter(record => record.id !== account.id);
+                db.sessions = db.sessions.filter(session => session.accountId !== account.id);
+                changed = true;
+            }
+        });
+    });
+    if (changed) saveDatabase();
+}
+
+function getStoredSecret() {
+    if (!db.sessionSecret) {
+        db.sessionSecret = crypto.randomBytes(32).toString('base64url');
+        saveDatabase();
+    }
+    return db.sessionSecret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function createSession(collection, account, remember) {
+    const now = Date.now();
+    const expiresAt = now + (remember ? REMEMBER_SESSION_HOURS : SESSION_HOURS) * 3600000;
+    const session = { id: crypto.randomBytes(16).toString('base64url'), collection, accountId: account.id, expiresAt };
+
+    db.sessions = db.sessions.filter(other => other.expiresAt > now);
+    db.sessions.push(session);
+    saveDatabase();
+
+    const payload = Buffer.from(JSON.stringify({ sid: session.id, sub: account.id, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// The session behind the request's bearer token, or null
+function readSession(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return null;
+
+    const [payload, signature] = match[1].split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    const session = db.sessions.find(other => other.id === claims.sid);
+    if (!session || session.expiresAt <= Date.now()) return null;
+    return session;
+}
+
+// ---------------- One-time passwords ----------------
+// Login codes for mobile numbers (otp.js), texted through the SMS_GATEWAY
+// (sms-gateway.js). Codes are hashed with the session key, so the data file
+// does not give them away.
+
+const smsGateway = createSmsGateway(SMS_GATEWAY, { outbox: SMS_OUTBOX });
+
+const otpService = new OtpService({
+    gateway: smsGateway,
+    hash: async text => sign(text),
+    randomInt: max => crypto.randomInt(max),
+    entries: db.otps,
+    onChange: saveDatabase
+});
+
+// ---------------- Password reset ----------------
+// Passengers and drivers who forgot their password ask for a link by email
+// address or mobile number (password-reset.js). It opens the app with
+// #reset_token=..., and the new password is set with POST /api/password-reset.
+
+const RESET_COLLECTIONS = ['users', 'drivers'];
+
+const passwordResets = new PasswordResetService({
+    gateways: { email: createEmailGateway(EMAIL_GATEWAY, { outbox: EMAIL_OUTBOX }), sms: smsGateway },
+    hash: async text => sign(text),
+    randomToken: () => crypto.randomBytes(32).toString('base64url'),
+    entries: db.passwordResets,
+    onChange: saveDatabase
+});
+
+// The account an email address or mobile number belongs to, and how to reach it
+function findAccountByContact(collection, contact) {
+    const text = String(contact || '').trim();
+    if (text.includes('@')) {
+        const account = db[collection].find(record => sameEmail(record.email, text));
+        return { account, via: 'email', to: account && account.email };
+    }
+    const mobile = normalizeMobile(text);
+    const account = mobile.length >= 10 ? db[collection].find(record => normalizeMobile(record.mobile) === mobile) : null;
+    return { account, via: 'sms', to: mobile };
+}
+
+// ---------------- Social login ----------------
+// The server runs the OpenID Connect code flow, so client secrets and PKCE
+// verifiers never reach the browser. After the provider sends the browser
+// back, the app receives a one-time ticket in the URL fragment and trades it
+// for a session with POST /api/auth/ticket.
+
+function createOidcClients() {
+    const mockUrl = (process.env.OIDC_MOCK_URL || '').replace(/\/+$/, '');
+    const clients = new Map();
+    Object.entries(OIDC_PROVIDERS).forEach(([id, provider]) => {
+        const env = name => process.env[`OIDC_${id.toUpperCase()}_${name}`];
+        const clientId = env('CLIENT_ID') || (mockUrl ? 'citybus' : '');
+        if (!clientId) return;
+        clients.set(id, new OidcClient({
+            ...provider,
+            id,
+            clientId,
+            clientSecret: env('CLIENT_SECRET') || (mockUrl ? 'mock-secret' : ''),
+            issuer: env('ISSUER') || (mockUrl ? `${mockUrl}/${id}` : provider.issuer)
+        }));
+    });
+    return clients;
+}
+
+const oidcClients = createOidcClients();
+const pendingSocialLogins = new Map(); // state -> { provider, codeVerifier, nonce, returnTo, remember, linkAccountId, expiresAt }
+const socialLoginTickets = new Map(); // ticket -> { accountId, provider, link, remember, expiresAt }
+
+function dropExpired(entries) {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+        if (entry.expiresAt <= now) entries.delete(key);
+    });
+}
+
+// Providers may only send the browser back to pages of this app
+function safeReturnTo(returnTo) {
+    const origin = new URL(PUBLIC_URL).origin;
+    try {
+        const url = new URL(returnTo || '/', `${origin}/`);
+        if (url.origin === origin) return `${url.origin}${url.pathname}${url.search}`;
+    } catch (error) {
+        // fall through to the start page
+    }
+    return `${origin}/`;
+}
+
+function sameEmail(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+// The user behind a provider identity. A known identity logs in the account
+// it is linked to. A new one is linked to the signed-in user who asked for it
+// (linkAccountId) or to the user with the same verified email; only when
+// neither exists is a new user created.
+function findOrLinkSocialUser(provider, claims, linkAccountId) {
+    const providerName = OIDC_PROVIDERS[provider].name;
+    const known = db.users.find(user =>
+        (user.identities || []).some(identity => identity.provider === provider && identity.subject === claims.sub));
+    if (known) {
+        if (linkAccountId && known.id !== linkAccountId) {
+            throw new HttpError(409, `This ${providerName} account is already linked to another user`);
+        }
+        return known;
+    }
+
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    let account = linkAccountId
+        ? db.users.find(user => user.id === linkAccountId)
+        : emailVerified && db.users.find(user => sameEmail(user.email, claims.email));
+    if (!account) {
+        if (db.users.some(user => sameEmail(user.email, claims.email))) {
+            throw new HttpError(409, `An account with ${claims.email} already exists. ` +
+                `Log in with its password and link ${providerName} in Settings.`);
+        }
+        account = {
+            id: `${ID_PREFIXES.users}_${Date.now()}`,
+            type: 'user',
+            name: claims.name || (claims.email ? claims.email.split('@')[0] : `${providerName} user`),
+            ...(claims.email ? { email: claims.email } : {})
+        };
+        db.users.push(account);
+    }
+
+    account.identities = [...(account.identities || []), {
+        provider,
+        subject: claims.sub,
+        ...(claims.email ? { email: claims.email } : {}),
+        linkedAt: new Date().toISOString()
+    }];
+    saveDatabase();
+    return account;
+}
+
+// /api/auth/providers, /api/auth/ticket, /api/auth/:provider/start and
+// /api/auth/:provider/callback
+async function handleSocialAuth(req, res, [provider, step], query, caller) {
+    if (provider === 'providers' && !step && req.method === 'GET') {
+        return sendJson(res, 200, Array.from(oidcClients.values())
+            .map(client => ({ id: client.config.id, name: client.config.name })));
+    }
+
+    if (provider === 'ticket' && !step && req.method === 'POST') {
+        const { ticket } = requireObject(await readBody(req));
+        dropExpired(socialLoginTickets);
+        const entry = socialLoginTickets.get(ticket);
+        socialLoginTickets.delete(ticket);
+        const account = entry && db.users.find(user => user.id === entry.accountId);
+        if (!account) throw new HttpError(401, 'Sign-in expired, please try again');
+        const { token, expiresAt } = createSession('users', account, entry.remember);
+        return sendJson(res, 200, {
+            account: withoutPassword(account),
+            token,
+            expiresAt,
+            provider: entry.provider,
+            link: entry.link
+        });
+    }
+
+    const client = oidcClients.get(provider);
+    if (!client) throw new HttpError(404, `Sign-in with ${provider} is not configured`);
+    const redirectUri = `${PUBLIC_URL}/api/auth/${provider}/callback`;
+
+    // { returnTo, remember, link }: the URL to send the browser to. With link
+    // the identity is added to the signed-in user instead of logging in.
+    if (step === 'start' && req.method === 'POST') {
+        const { returnTo, remember, link } = requireObject(await readBody(req));
+        if (link && (!caller || caller.session.collection !== 'users')) {
+            throw new HttpError(401, 'Log in as a passenger to link an account');
+        }
+
+        const { verifier, challenge } = createPkcePair();
+        const state = crypto.randomBytes(16).toString('base64url');
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        dropExpired(pendingSocialLogins);
+        pendingSocialLogins.set(state, {
+            provider,
+            codeVerifier: verifier,
+            nonce,
+            returnTo: safeReturnTo(returnTo),
+            remember: remember === true,
+            linkAccountId: link ? caller.account.id : null,
+            expiresAt: Date.now() + SOCIAL_LOGIN_MINUTES * 60000
+        });
+
+        try {
+            return sendJson(res, 200, { url: await client.getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge: challenge }) });
+        } catch (error) {
+            if (error instanceof OidcError) throw new HttpError(502, error.message);
+            throw error;
+        }
+    }
+
+    // The provider sends the browser back with a query string, or with a form post
+    if (step === 'callback' && (req.method === 'GET' || req.method === 'POST')) {
+        const params = req.method === 'POST' ? await readForm(req) : query;
+        dropExpired(pendingSocialLogins);
+        const pending = pendingSocialLogins.get(params.state);
+        pendingSocialLogins.delete(params.state);
+        if (!pending || pending.provider !== provider) {
+            throw new HttpError(400, 'Sign-in expired or was not started here, please try again');
+        }
+
+        // From here on failures go back to the app instead of ending on a JSON error
+        try {
+            if (params.error) throw new OidcError(params.error_description || `${client.config.name} sign-in was cancelled`);
+            const claims = await client.exchangeCode({
+                code: params.code,
+                redirectUri,
+                codeVerifier: pending.codeVerifier,
+                nonce: pending.nonce
+            });
+            const account = findOrLinkSocialUser(provider, claims, pending.linkAccountId);
+
+            const ticket = crypto.randomBytes(24).toString('base64url');
+            dropExpired(socialLoginTickets);
+            socialLoginTickets.set(ticket, {
+                accountId: account.id,
+                provider,
+                link: !!pending.linkAccountId,
+                remember: pending.remember,
+                expiresAt: Date.now() + SOCIAL_TICKET_SECONDS * 1000
+            });
+            return redirect(res, `${pending.returnTo}#oauth_ticket=${ticket}`);
+        } catch (error) {
+            if (!(error instanceof OidcError || error instanceof HttpError)) throw error;
+            return redirect(res, `${pending.returnTo}#oauth_error=${encodeURIComponent(error.message)}`);
+        }
+    }
+
+    throw new HttpError(404, 'Not found');
+}
+
+// ---------------- Access control ----------------
+// Roles and the permissions matrix are defined in permissions.js; admins edit
+// the matrix through /api/permissions.
+
+// Who is calling: { session, account, role }, or null without a valid session
+function readCaller(req) {
+    const session = readSession(req);
+    if (!session) return null;
+    const account = db[session.collection].find(record => record.id === session.accountId);
+    if (!account) return null;
+    // The collection decides the kind of account, never a field the client sent
+    return { session, account, role: getAccountRole({ ...account, type: ACCOUNT_TYPES[session.collection] }) };
+}
+
+function can(caller, permission) {
+    return !!caller && normalizePermissions(db.permissions)[caller.role].includes(permission);
+}
+
+function requirePermission(caller, permission) {
+    if (!caller) throw new HttpError(401, 'Sign in required');
+    if (!can(caller, permission)) throw new HttpError(403, 'Not allowed for your role');
+}
+
+// Who may read and change the collections. record is the existing record
+// for requests on one id, null for listing and creating.
+function checkCollectionAccess(caller, resource, method, record) {
+    if (can(caller, 'manage_accounts')) return;
+    // Reviewers read driver registrations to decide on them, depots to assign them
+    if (resource === 'drivers' && method === 'GET' && (can(caller, 'approve_drivers') || can(caller, 'manage_fleet'))) return;
+    // Everyone sees the fleet; depots manage it
+    if (FLEET_COLLECTIONS.includes(resource)) {
+        if (method !== 'GET') requirePermission(caller, 'manage_fleet');
+        return;
+    }
+
+    const isOwn = !!caller && !!record && (OWNED_COLLECTIONS.includes(resource)
+        ? record.userId === caller.account.id
+        : resource === caller.session.collection && record.id === caller.account.id);
+
+    if (resource === 'feedback') {
+        if (method === 'GET') return;
+        if (method === 'POST') return requirePermission(caller, 'send_feedback');
+    } else if (resource === 'bookings') {
+        // Listing is narrowed to the caller's own bookings
+        requirePermission(caller, 'book_tickets');
+        if (method === 'POST' || !record || isOwn) return;
+    } else if (resource === 'favorites') {
+        // Anyone signed in keeps favorites; listing is narrowed to their own
+        if (!caller) throw new HttpError(401, 'Sign in required');
+        if (method === 'POST' || !record || isOwn) return;
+    } else if (resource !== 'admins' && method === 'POST') {
+        return; // users and drivers register themselves
+    } else if (method === 'GET' && isOwn) {
+        return;
+    }
+    requirePermission(caller, 'manage_accounts');
+}
+
+// ---------------- Driver review ----------------
+// Pending drivers are approved or rejected through
+// POST /api/drivers/:id/decision (rules in driver-review.js); each decision is
+// appended to db.audit and texted to the driver.
+
+function decideDriver(caller, id, { decision, reason }) {
+    const index = findIndex('drivers', id);
+    const problem = checkDriverDecision(db.drivers[index], decision, reason);
+    if (problem) throw new HttpError(problem.startsWith('This driver') ? 409 : 400, problem);
+
+    const { driver, entry } = applyDriverDecision(db.drivers[index], { decision, reason, actor: caller.account });
+    db.drivers[index] = driver;
+    db.audit.push(entry);
+    // A driver who is no longer approved is logged out everywhere
+    if (decision !== 'approved') {
+        db.sessions = db.sessions.filter(session => !(session.collection === 'drivers' && session.accountId === driver.id));
+    }
+    saveDatabase();
+
+    if (driver.mobile) {
+        smsGateway.send(normalizeMobile(driver.mobile), driverDecisionMessage(driver))
+            .catch(error => console.error(`Could not text driver ${driver.id}:`, error.message));
+    }
+    return driver;
+}
+
+// ---------------- Fleet ----------------
+
+// The record as stored: registrations are written one way, assignments carry
+// the route number and driver name for display. Throws when a rule is broken.
+function prepareFleetRecord(resource, record) {
+    if (resource === 'fleet') {
+        const problem = checkBus(record);
+        if (problem) throw new HttpError(400, problem);
+        return { ...record, registration: normalizeRegistration(record.registration) };
+    }
+
+    const problem = checkAssignment(record, { buses: db.fleet, drivers: db.drivers, routeIds: Array.from(fleet.routes.keys()) });
+    if (problem) throw new HttpError(400, problem);
+    if (record.tripId && !fleet.getTripsOnDate(fleet.routes.get(record.routeId), record.date).some(trip => trip.tripId === record.tripId)) {
+        throw new HttpError(400, `Trip ${record.tripId} does not run on ${record.date}`);
+    }
+    const conflict = findAssignmentConflict(record, db.assignments);
+    if (conflict) throw new HttpError(409, conflict);
+    return {
+        ...record,
+        routeNumber: fleet.routes.get(record.routeId).number,
+        driverName: db.drivers.find(driver => driver.id === record.driverId).name
+    };
+}
+
+// A booking must not take seats someone else already booked on that departure
+function checkSeatsFree(booking) {
+    const taken = takenSeats(db.bookings, booking);
+    const clash = (booking.passengers || []).map(passenger => Number(passenger.seat)).find(seat => taken.includes(seat));
+    if (clash) throw new HttpError(409, `Seat ${clash} is already booked`);
+}
+
+// ---------------- Feedback ----------------
+// Entries are a rating of a bus from the feedback form ({ busId, rating, text })
+// or an issue report ({ issue, user }); both are shown to every visitor.
+
+function checkFeedback(record) {
+    const isText = (field, limit) => typeof record[field] === 'string' && record[field].length <= limit;
+    const isOptionalText = (field, limit) => record[field] === undefined || isText(field, limit);
+    if (record.issue !== undefined) {
+        if (!isText('issue', FEEDBACK_TEXT_LIMIT) || !record.issue.trim()) {
+            return `issue must be a description of at most ${FEEDBACK_TEXT_LIMIT} characters`;
+        }
+        if (!isOptionalText('user', FEEDBACK_FIELD_LIMIT)) return `user must be a name of at most ${FEEDBACK_FIELD_LIMIT} characters`;
+        return null;
+    }
+    if (!Number.isInteger(record.rating) || record.rating < 1 || record.rating > 5) return 'rating must be a whole number from 1 to 5';
+    if (!isText('busId', FEEDBACK_FIELD_LIMIT) || !record.busId) return `busId must be a bus id of at most ${FEEDBACK_FIELD_LIMIT} characters`;
+    if (!isOptionalText('text', FEEDBACK_TEXT_LIMIT)) return `text must be at most ${FEEDBACK_TEXT_LIMIT} characters`;
+    return null;
+}
+
+// ---------------- Live vehicle stream ----------------
+
+const fleet = new FleetHost({
+    seed: Number(process.env.SIM_SEED) || 1,
+    timeScale: Number(process.env.SIM_TIME_SCALE) || 1,
+    startTime: Date.parse(process.env.SIM_START_TIME) || null
+});
+fleet.setRoster({ buses: db.fleet, assignments: db.assignments });
+fleet.load(db.network);
+
+const streamClients = new Set();
+
+function broadcast(message) {
+    const text = JSON.stringify(message);
+    streamClients.forEach(client => client.send(text));
+}
+
+function sendSnapshot(client) {
+    client.send(JSON.stringify({ type: 'snapshot', time: fleet.now, vehicles: fleet.snapshot() }));
+}
+
+// After the network changed: start the fleet over on the new routes
+function reloadFleet() {
+    fleet.setRoster({ buses: db.fleet, assignments: db.assignments });
+    fleet.load(db.network);
+    announceFleet();
+}
+
+// After the registry or the assignments changed: the buses that keep running
+// stay where they are
+function reloadRoster() {
+    fleet.setRoster({ buses: db.fleet, assignments: db.assignments });
+    fleet.refreshRoster();
+    announceFleet();
+}
+
+// Tell clients to reload the network and fleet data, then give them the new fleet
+function announceFleet() {
+    fleet.takeDelta();
+    broadcast({ type: 'network', time: fleet.now });
+    streamClients.forEach(sendSnapshot);
+}
+
+// Every tick goes out, even without changes, so clients can tell a quiet
+// fleet from a dead connection
+setInterval(() => {
+    // Assignments are per day: after midnight the new day's buses take over
+    if (fleet.rosterDate !== localDate()) reloadRoster();
+    fleet.step(STREAM_TICK_MS / 1000);
+    recordPositionHistory();
+    broadcast({ type: 'delta', time: fleet.now, ...fleet.takeDelta() });
+}, STREAM_TICK_MS);
+
+// Drop clients that stopped answering pings
+setInterval(() => {
+    streamClients.forEach(client => {
+        if (!client.isAlive) {
+            client.close(1001);
+            return;
+        }
+        client.isAlive = false;
+        client.ping();
+    });
+}, STREAM_PING_MS);
+
+function handleStreamConnection(client) {
+    streamClients.add(client);
+    sendSnapshot(client);
+
+    client.on('message', text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        if (message.type === 'snapshot') sendSnapshot(client);
+    });
+    client.on('close', () => streamClients.delete(client));
+}
+
+// ---------------- Position history ----------------
+// The streamed fleet's positions are appended to one JSON-lines file per day
+// of the fleet clock under data/history, for trip replay (GET /api/history).
+// A bus is recorded at most every sample interval, and again after a
+// heartbeat when it has not moved.
+
+const HISTORY_DIR = path.join(path.dirname(DATA_FILE), 'history');
+const HISTORY_RETENTION_DAYS = 7;
+const HISTORY_SAMPLE_MS = 10 * 1000;
+const HISTORY_HEARTBEAT_MS = 300 * 1000;
+const lastRecordedPositions = new Map(); // vehicleId -> { key, time }
+let historyDate = null; // day of the file written last
+
+function historyFile(date) {
+    return path.join(HISTORY_DIR, `${date}.jsonl`);
+}
+
+function recordPositionHistory() {
+    const time = fleet.now;
+    const lines = [];
+    fleet.vehicles.forEach(vehicle => {
+        if (!Number.isFinite(vehicle.lat) || !Number.isFinite(vehicle.lng)) return;
+
+        const key = `${vehicle.lat},${vehicle.lng},${vehicle.status}`;
+        const last = lastRecordedPositions.get(vehicle.id);
+        if (last && time - last.time < (last.key === key ? HISTORY_HEARTBEAT_MS : HISTORY_SAMPLE_MS)) return;
+        lastRecordedPositions.set(vehicle.id, { key, time });
+
+        lines.push(JSON.stringify({
+            time,
+            vehicleId: vehicle.id,
+            number: vehicle.number,
+            routeId: vehicle.routeId,
+            lat: Math.round(vehicle.lat * 1e6) / 1e6,
+            lng: Math.round(vehicle.lng * 1e6) / 1e6,
+            heading: vehicle.heading,
+            speed: vehicle.speed,
+            status: vehicle.status,
+            passengers: vehicle.passengers,
+            capacity: vehicle.capacity,
+            currentStop: vehicle.currentStop,
+            nextStop: vehicle.nextStop
+        }));
+    });
+    if (lines.length === 0) return;
+
+    const date = localDate(new Date(time));
+    try {
+        fs.mkdirSync(HISTORY_DIR, { recursive: true });
+        if (date !== historyDate) {
+            historyDate = date;
+            pruneHistory();
+        }
+        fs.appendFileSync(historyFile(date), lines.join('\n') + '\n');
+    } catch (error) {
+        console.error('Position history could not be written:', error.message);
+    }
+}
+
+// Drop the days older than the retention window
+function pruneHistory() {
+    const cutoff = localDate(new Date(fleet.now - HISTORY_RETENTION_DAYS * 86400000));
+    fs.readdirSync(HISTORY_DIR)
+        .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file) && file.slice(0, 10) < cutoff)
+        .forEach(file => fs.unlinkSync(path.join(HISTORY_DIR, file)));
+}
+
+// Positions between start and end (ms on the fleet clock), for one route or all
+function readPositionHistory(start, end, routeId) {
+    const records = [];
+    const last = localDate(new Date(end));
+    for (let day = new Date(start); localDate(day) <= last; day.setDate(day.getDate() + 1)) {
+        let text;
+        try {
+            text = fs.readFileSync(historyFile(localDate(day)), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+        text.split('\n').forEach(line => {
+            if (!line) return;
+            const record = JSON.parse(line);
+            if (record.time >= start && record.time <= end && (!routeId || record.routeId === routeId)) records.push(record);
+        });
+    }
+    return records;
+}
+
+function withoutPassword(record) {
+    const { password, passwordHash, ...rest } = record;
+    return rest;
+}
+
+function matches(record, filter) {
+    return Object.entries(filter).every(([field, value]) => String(record[field]) === value);
+}
+
+function checkUnique(collection, records, record) {
+    (UNIQUE_FIELDS[collection] || []).forEach(field => {
+        if (record[field] === undefined || record[field] === '') return;
+        if (records.some(other => other[field] === record[field])) {
+            throw new HttpError(409, `A ${ID_PREFIXES[collection]} with this ${field} already exists`);
+        }
+    });
+}
+
+function findIndex(collection, id) {
+    const index = db[collection].findIndex(record => String(record.id) === id);
+    if (index < 0) throw new HttpError(404, 'Not found');
+    return index;
+}
+
+// ---------------- HTTP helpers ----------------
+
+function sendJson(res, status, payload) {
+    const body = payload === undefined ? '' : JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(body);
+}
+
+async function readBody(req) {
+    const text = await readText(req);
+    if (text === undefined) return undefined;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, 'Body is not valid JSON');
+    }
+}
+
+// A form post (identity providers with response_mode=form_post)
+async function readForm(req) {
+    return Object.fromEntries(new URLSearchParams(await readText(req) || ''));
+}
+
+function readText(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) {
+                resolve(undefined);
+                return;
+            }
+            resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+function redirect(res, location) {
+    res.writeHead(302, { Location: location });
+    res.end();
+}
+
+function requireObject(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Body must be a JSON object');
+    }
+    return body;
+}
+
+// lat/lng are required; speed (km/h), heading (degrees) and delay (seconds
+// behind schedule) are optional
+function readPositionReport(body) {
+    const number = (field, min, max) => {
+        const value = body[field];
+        if (value === undefined || value === null) return undefined;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            throw new HttpError(400, `Invalid ${field}`);
+        }
+        return value;
+    };
+
+    const report = {
+        lat: number('lat', -90, 90),
+        lng: number('lng', -180, 180),
+        speed: number('speed', 0, 300),
+        heading: number('heading', 0, 360)
+    };
+    if (report.lat === undefined || report.lng === undefined) throw new HttpError(400, 'Position needs lat and lng');
+    return report;
+}
+
+// ---------------- API ----------------
+
+async function handleApi(req, res, parts, query) {
+    const [resource, id, action] = parts;
+    const caller = readCaller(req);
+
+    if (resource === 'health' && req.method === 'GET') {
+        return sendJson(res, 200, { ok: true, time: new Date().toISOString(), demo: DEMO_MODE });
+    }
+
+    // GET /api/session checks the bearer token, DELETE /api/session logs out
+    if (resource === 'session' && !id) {
+        if (req.method === 'GET') {
+            if (!caller) throw new HttpError(401, 'Session expired or invalid');
+            return sendJson(res, 200, {
+                account: withoutPassword(caller.account),
+                role: caller.role,
+                expiresAt: caller.session.expiresAt
+            });
+        }
+        if (req.method === 'DELETE') {
+            const session = readSession(req);
+            if (session) {
+                db.sessions = db.sessions.filter(other => other.id !== session.id);
+                saveDatabase();
+            }
+            res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+            return res.end();
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    // POST /api/otp { mobile }: text a login code to a user's mobile number
+    if (resource === 'otp' && !id) {
+        if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+        const { mobile } = requireObject(await readBody(req));
+        if (normalizeMobile(mobile).length < 10) throw new HttpError(400, 'Enter a valid mobile number');
+
+        const registered = db.users.some(user => normalizeMobile(user.mobile) === normalizeMobile(mobile));
+        const result = await otpService.send(mobile, { deliver: registered });
+        if (!result.sent) {
+            return sendJson(res, 429, {
+                error: `Too many codes requested. Try again in ${result.retryAfter} seconds`,
+                retryAfter: result.retryAfter
+            });
+        }
+        return sendJson(res, 202, { expiresAt: result.expiresAt, resendAt: result.resendAt });
+    }
+
+    if (resource === 'auth') return handleSocialAuth(req, res, parts.slice(1), query, caller);
+
+    // POST /api/password-reset { token, password }: set a new password with
+    // the token from a reset link. All sessions of the account end.
+    if (resource === 'password-reset' && !id) {
+        if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+        const { token, password } = requireObject(await readBody(req));
+        const problem = checkNewPassword(password);
+        if (problem) throw new HttpError(400, problem);
+
+        const [collection, accountId] = String(await passwordResets.redeem(token)).split(':');
+        const account = RESET_COLLECTIONS.includes(collection) && db[collection].find(record => record.id === accountId);
+        if (!account) throw new HttpError(400, 'This reset link is invalid or has expired');
+        Object.assign(account, hashCredentials(collection, { password }));
+        db.sessions = db.sessions.filter(session => !(session.collection === collection && session.accountId === account.id));
+        saveDatabase();
+        return sendJson(res, 200, { collection });
+    }
+
+    // GET /api/permissions is public so the app can gate its screens; only
+    // roles with manage_access may change it
+    if (resource === 'permissions' && !id) {
+        if (req.method === 'GET') return sendJson(res, 200, normalizePermissions(db.permissions));
+        if (req.method === 'PUT') {
+            requirePermission(caller, 'manage_access');
+            db.permissions = normalizePermissions(requireObject(await readBody(req)));
+            saveDatabase();
+            return sendJson(res, 200, db.permissions);
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    if (resource === 'network') {
+        if (req.method === 'GET') return sendJson(res, 200, db.network);
+        if (req.method === 'PUT' || req.method === 'DELETE') requirePermission(caller, 'manage_network');
+        if (req.method === 'PUT') {
+            const network = requireObject(await readBody(req));
+            if (!Array.isArray(network.routes)) throw new HttpError(400, 'Network needs a routes array');
+            const { errors } = validateNetwork(network);
+            if (errors.length) throw new HttpError(400, `Network is not valid: ${errors.slice(0, 5).join('; ')}`);
+            db.network = network;
+            saveDatabase();
+            reloadFleet();
+            return sendJson(res, 200, db.network);
+        }
+        if (req.method === 'DELETE') {
+            db.network = null;
+            saveDatabase();
+            reloadFleet();
+            res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+            return res.end();
+        }
+    }
+
+    // POST /api/vehicles/:id/position: GPS report from the driver console
+    if (resource === 'vehicles' && id && action === 'position' && req.method === 'POST') {
+        requirePermission(caller, 'drive_bus');
+        const report = readPositionReport(requireObject(await readBody(req)));
+        const bus = fleet.vehicles.get(id);
+        if (!bus) throw new HttpError(404, 'Not found');
+        if (!fleet.isDriversBus(bus, caller.account)) throw new HttpError(403, 'You can only report the bus you drive today');
+        return sendJson(res, 200, fleet.reportPosition(id, report));
+    }
+
+    // GET /api/history?start=&end=[&routeId=]: recorded positions for trip replay
+    if (resource === 'history' && !id) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        requirePermission(caller, 'replay_trips');
+        const start = Number(query.start);
+        const end = Number(query.end);
+        if (!query.start || !query.end || !Number.isFinite(start) || !Number.isFinite(end) || end < start ||
+            end - start > 2 * 86400000) {
+            throw new HttpError(400, 'start and end must be times in milliseconds, at most two days apart');
+        }
+        return sendJson(res, 200, readPositionHistory(start, end, query.routeId || null));
+    }
+
+    // Routes of the loaded network and the current position of every bus
+    if ((resource === 'routes' || resource === 'vehicles') && req.method === 'GET') {
+        const records = resource === 'routes' ? Array.from(fleet.routes.values()) : fleet.snapshot();
+        if (!id) return sendJson(res, 200, records.filter(record => matches(record, query)));
+        const record = records.find(item => String(item.id) === id);
+        if (!record) throw new HttpError(404, 'Not found');
+        return sendJson(res, 200, record);
+    }
+
+    // Stops of the loaded network, each once with the routes and bays serving
+    // it; the id of a merged stop finds the stop it became
+    if (resource === 'stops' && req.method === 'GET') {
+        const records = Array.from(fleet.stops.values());
+        if (!id) return sendJson(res, 200, records.filter(record => matches(record, query)));
+        const record = fleet.stops.get(fleet.stopAliases[id] || id);
+        if (!record) throw new HttpError(404, 'Not found');
+        return sendJson(res, 200, record);
+    }
+
+    // GET /api/timetable/:routeId?date=2026-10-19: the route's trips that day
+    if (resource === 'timetable' && id) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        const route = fleet.routes.get(id);
+        if (!route) throw new HttpError(404, 'Not found');
+        const date = query.date || localDate();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new HttpError(400, 'date must look like 2026-10-19');
+        return sendJson(res, 200, {
+            routeId: route.id,
+            date,
+            holiday: holidayOn(fleet.holidays, date),
+            trips: fleet.getTripsOnDate(route, date)
+        });
+    }
+
+    // GET /api/audit: decisions on driver registrations, newest first
+    if (resource === 'audit' && !id) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        requirePermission(caller, 'approve_drivers');
+        return sendJson(res, 200, db.audit.filter(entry => matches(entry, query)).reverse());
+    }
+
+    // POST /api/drivers/:id/decision { decision: 'approved' | 'rejected', reason }
+    if (resource === 'drivers' && id && action === 'decision') {
+        if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+        requirePermission(caller, 'approve_drivers');
+        const driver = decideDriver(caller, id, requireObject(await readBody(req)));
+        return sendJson(res, 200, withoutPassword(driver));
+    }
+
+    if (!COLLECTIONS.includes(resource)) throw new HttpError(404, `Unknown resource: ${resource}`);
+    const records = db[resource];
+
+    // POST /api/users/login, POST /api/drivers/login
+    if (id === 'login' && !action && req.method === 'POST' && LOGIN_FIELDS[resource]) {
+        const { password, otp, remember, ...credentials } = requireObject(await readBody(req));
+        const fields = Object.keys(credentials);
+        // Users can also log in with their mobile number and a code from POST /api/otp
+        const byOtp = otp !== undefined;
+        if (byOtp && !(resource === 'users' && fields.join() === 'mobile')) {
+            throw new HttpError(400, 'A login code needs a user\'s mobile number');
+        }
+        if (!byOtp && (!password || fields.length === 0 || !fields.every(field => LOGIN_FIELDS[resource].includes(field)))) {
+            throw new HttpError(400, `Login needs a password and one of: ${LOGIN_FIELDS[resource].join(', ')}`);
+        }
+
+        let account;
+        if (byOtp) {
+            const mobile = normalizeMobile(credentials.mobile);
+            account = (await otpService.verify(mobile, otp))
+                ? records.find(record => normalizeMobile(record.mobile) === mobile)
+                : null;
+        } else {
+            const match = records.find(record =>
+                record.passwordHash && fields.every(field => record[field] === credentials[field])
+            );
+            const verified = verifyPassword(password, match ? match.passwordHash : DUMMY_PASSWORD_HASH);
+            account = match && verified ? match : null;
+        }
+        if (!account) throw new HttpError(401, 'Invalid credentials');
+        // Drivers can only log in once they were approved; they are told why not
+        const refusal = resource === 'drivers' ? driverLoginRefusal(account) : null;
+        if (refusal) throw new HttpError(403, refusal);
+        const { token, expiresAt } = createSession(resource, account, remember === true);
+        return sendJson(res, 200, { account: withoutPassword(account), token, expiresAt });
+    }
+
+    // POST /api/users/password-reset, POST /api/drivers/password-reset
+    // { contact, returnTo }: send a reset link to the account with this email
+    // address or mobile number. The answer is the same for unknown contacts
+    // and accounts that asked too often.
+    if (id === 'password-reset' && !action && req.method === 'POST' && RESET_COLLECTIONS.includes(resource)) {
+        const { contact, returnTo } = requireObject(await readBody(req));
+        const { account, via, to } = findAccountByContact(resource, contact);
+        if (via === 'sms' && to.length < 10) throw new HttpError(400, 'Enter your email address or a valid mobile number');
+
+        if (account) {
+            await passwordResets.send(`${resource}:${account.id}`, {
+                name: account.name,
+                via,
+                to,
+                link: token => `${safeReturnTo(returnTo)}#reset_token=${token}`
+            });
+        }
+        return sendJson(res, 202, { expiresInMinutes: PasswordResetService.settings.ttlMinutes });
+    }
+
+    // GET /api/bookings/seats?busId=&date=&time=: seat numbers already booked
+    // on one departure, without who booked them
+    if (resource === 'bookings' && id === 'seats' && !action && req.method === 'GET') {
+        requirePermission(caller, 'book_tickets');
+        return sendJson(res, 200, { taken: takenSeats(db.bookings, query) });
+    }
+
+    if (action) throw new HttpError(404, 'Not found');
+
+    const isManager = can(caller, 'manage_accounts');
+    if (!id) {
+        checkCollectionAccess(caller, resource, req.method, null);
+        if (req.method === 'GET') {
+            const filter = OWNED_COLLECTIONS.includes(resource) && !isManager ? { ...query, userId: caller.account.id } : query;
+            return sendJson(res, 200, records.filter(record => matches(record, filter)).map(withoutPassword));
+        }
+        if (req.method === 'POST') {
+            const body = requireObject(await readBody(req));
+            // Passengers and drivers choose passwords under the same rules as a reset
+            const problem = RESET_COLLECTIONS.includes(resource) && body.password !== undefined && checkNewPassword(body.password);
+            if (problem) throw new HttpError(400, problem);
+            const record = hashCredentials(resource, body);
+            // Linked identities and a driver's review are never taken from the request
+            if (ACCOUNT_COLLECTIONS.includes(resource)) IDENTITY_FIELDS.forEach(field => { delete record[field]; });
+            if (resource === 'drivers') DRIVER_REVIEW_FIELDS.forEach(field => { delete record[field]; });
+            // Only account managers choose roles or book for others; every
+            // driver starts out pending review
+            if (!isManager) {
+                if (ACCOUNT_COLLECTIONS.includes(resource)) delete record.role;
+                if (OWNED_COLLECTIONS.includes(resource)) record.userId = caller.account.id;
+            }
+            if (resource === 'favorites' && record.userId === undefined) record.userId = caller.account.id;
+            if (resource === 'drivers') record.status = 'pending';
+            let created = { ...record, id: record.id ?? `${ID_PREFIXES[resource]}_${Date.now()}` };
+            if (records.some(other => String(other.id) === String(created.id))) {
+                throw new HttpError(409, 'A record with this id already exists');
+            }
+            if (FLEET_COLLECTIONS.includes(resource)) created = prepareFleetRecord(resource, created);
+            const recordProblem = (resource === 'feedback' && checkFeedback(created)) ||
+                (resource === 'drivers' && checkDriverDocuments(created.documents));
+            if (recordProblem) throw new HttpError(400, recordProblem);
+            if (resource === 'bookings' && created.busId) checkSeatsFree(created);
+            checkUnique(resource, records, created);
+            records.push(created);
+            saveDatabase();
+            if (FLEET_COLLECTIONS.includes(resource)) reloadRoster();
+            return sendJson(res, 201, withoutPassword(created));
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    const index = findIndex(resource, id);
+    checkCollectionAccess(caller, resource, req.method, records[index]);
+    switch (req.method) {
+        case 'GET':
+            return sendJson(res, 200, withoutPassword(records[index]));
+        case 'PUT':
+        case 'PATCH': {
+            const body = hashCredentials(resource, requireObject(await readBody(req)));
+            if (resource === 'drivers' && body.status !== undefined && body.status !== records[index].status) {
+                throw new HttpError(400, `Approve or reject drivers with POST /api/drivers/${id}/decision`);
+            }
+            // Replacing a record without a new password keeps the old one
+            const base = req.method === 'PATCH' ? records[index] : { passwordHash: records[index].passwordHash };
+            let updated = { ...base, ...body, id: records[index].id };
+            const kept = [...(ACCOUNT_COLLECTIONS.includes(resource) ? IDENTITY_FIELDS : []),
+                ...(resource === 'drivers' ? DRIVER_REVIEW_FIELDS : [])];
+            kept.forEach(field => {
+                if (records[index][field] === undefined) delete updated[field];
+                else updated[field] = records[index][field];
+            });
+            // Only account managers hand a booking or favorite to someone else
+            if (OWNED_COLLECTIONS.includes(resource) && !isManager) updated.userId = records[index].userId;
+            if (FLEET_COLLECTIONS.includes(resource)) updated = prepareFleetRecord(resource, updated);
+            const recordProblem = (resource === 'feedback' && checkFeedback(updated)) ||
+                (resource === 'drivers' && checkDriverDocuments(updated.documents));
+            if (recordProblem) throw new HttpError(400, recordProblem);
+            checkUnique(resource, records.filter((_, i) => i !== index), updated);
+            records[index] = updated;
+            saveDatabase();
+            if (FLEET_COLLECTIONS.includes(resource)) reloadRoster();
+            return sendJson(res, 200, withoutPassword(updated));
+        }
+        case 'DELETE':
+            // Buses that were ever assigned stay for the record; they are retired instead
+            if (resource === 'fleet' && db.assignments.some(assignment => assignment.busId === records[index].id)) {
+                throw new HttpError(409, 'This bus has assignments. Set its status to retired instead');
+            }
+            records.splice(index, 1);
+            saveDatabase();
+            if (FLEET_COLLECTIONS.includes(resource)) reloadRoster();
+            res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+            return res.end();
+        default:
+            throw new HttpError(405, 'Method not allowed');
+    }
+}
+
+// ---------------- Static files ----------------
+
+// The request's URL; the Host header plays no part, so a malformed one cannot break it
+function requestUrl(req) {
+    try {
+        return new URL(req.url, 'http://localhost');
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+}
+
+function decodePathPart(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+}
+
+function serveStatic(req, res, pathname) {
+    const relative = pathname === '/' ? 'index.html' : decodePathPart(pathname).replace(/^\/+/, '');
+    const file = path.resolve(ROOT, relative);
+    const type = STATIC_TYPES[path.extname(file)];
+
+    // Only files inside the app folder, never the database or this server
+    if (!type || !file.startsWith(ROOT + path.sep) || file.startsWith(path.dirname(DATA_FILE) + path.sep) ||
+        file === __filename) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    try {
+        const url = requestUrl(req);
+
+        if (!url.pathname.startsWith('/api/')) {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.writeHead(405);
+                res.end();
+                return;
+            }
+            serveStatic(req, res, url.pathname);
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            });
+            res.end();
+            return;
+        }
+
+        const parts = url.pathname.slice('/api/'.length).split('/').filter(Boolean).map(decodePathPart);
+        await handleApi(req, res, parts, Object.fromEntries(url.searchParams));
+    } catch (error) {
+        if (!(error instanceof HttpError)) console.error(error);
+        sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error' });
+    }
+});
+
+server.on('upgrade', (req, socket) => {
+    let url;
+    try {
+        url = requestUrl(req);
+    } catch (error) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (url.pathname !== '/api/stream') {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    const client = acceptWebSocket(req, socket);
+    if (client) handleStreamConnection(client);
+});
+
+server.listen(PORT, () => {
+    console.log(`CityBus Tracker running at http://localhost:${PORT} (data: ${DATA_FILE})${DEMO_MODE ? ' in demo mode' : ''}`);
+});
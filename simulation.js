@@ -0,0 +1,269 @@
+// CityBus Tracker - Fleet Simulation Engine
+// Moves the simulated fleet along route geometry with dwell times at stops,
+// traffic slowdowns and breakdowns. Every random decision comes from a seeded
+// generator, so the same seed and settings (with a fixed startTime) replay
+// the same day. Whether a bus
+// runs on time is not decided here: the host measures it against the
+// timetable (timetable.js); the simulation only marks buses broken down.
+class FleetSimulator {
+    constructor(tracker, settings = {}) {
+        this.tracker = tracker;
+        this.settings = { ...FleetSimulator.defaults, ...settings };
+        this.reset();
+    }
+
+    // Seeded PRNG (mulberry32); returns floats in [0, 1)
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Combine a seed with labels into a new 32-bit seed (FNV-1a), so
+    // independent streams (per bus, seat maps, schedules) stay reproducible
+    static hashSeed(seed, ...parts) {
+        let hash = 0x811C9DC5 ^ (seed >>> 0);
+        parts.join('|').split('').forEach(char => {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        });
+        return hash >>> 0;
+    }
+
+    // Start over from the seed: new random streams, clock at startTime or else
+    // the current time
+    reset() {
+        this.now = this.settings.startTime ?? Date.now();
+        this.state = new Map();
+    }
+
+    // Random number between min and max from the given stream
+    between(random, min, max) {
+        return min + (max - min) * random();
+    }
+
+    // Fleet size for a route: per-route override or the default
+    getFleetSize(route) {
+        const override = this.settings.fleetSizes[route.id];
+        return Math.max(0, Number.isInteger(override) ? override : this.settings.busesPerRoute);
+    }
+
+    // Create or remove simulated buses so each route has its configured fleet,
+    // spread evenly along the route. Existing buses keep their id and number;
+    // buses reported by the live feed are left alone. When the host knows
+    // which buses are assigned to a route today (fleet.js), those run instead
+    // of the configured fleet. Buses this simulator already runs keep their
+    // place, so a changed roster only places the new buses.
+    populateFleet() {
+        const tracker = this.tracker;
+        this.state.forEach((_, vehicleId) => {
+            if (!tracker.vehicles.has(vehicleId)) this.state.delete(vehicleId);
+        });
+
+        tracker.routes.forEach(route => {
+            if (route.stops.length < 2) return;
+
+            const assigned = tracker.getTrackedBuses ? tracker.getTrackedBuses(route) : null;
+            const size = assigned ? assigned.length : this.getFleetSize(route);
+            const assignedId = k => `${route.id}-${assigned[k].fleetId}`;
+            const onRoute = Array.from(tracker.vehicles.values())
+                .filter(vehicle => vehicle.routeId === route.id && !vehicle.liveUpdatedAt)
+                .sort((a, b) => a.id.localeCompare(b.id));
+
+            const kept = assigned
+                ? assigned.map((_, k) => onRoute.find(vehicle => vehicle.id === assignedId(k)))
+                : onRoute.filter(vehicle => !vehicle.fleetId).slice(0, size);
+            onRoute.filter(vehicle => !kept.includes(vehicle)).forEach(vehicle => tracker.removeVehicle(vehicle.id));
+
+            const lengths = tracker.getSegmentLengths(route);
+            const total = lengths.reduce((sum, length) => sum + length, 0);
+
+            for (let k = 0; k < size; k++) {
+                let vehicle = kept[k];
+                if (!vehicle) {
+                    const suffix = String(k + 1).padStart(2, '0');
+                    const id = assigned ? assignedId(k) : `${route.id}-bus-${suffix}`;
+                    if (tracker.vehicles.has(id)) continue; // reported live, so left alone
+                    vehicle = {
+                        id,
+                        number: `${route.number}-${suffix}`,
+                        routeId: route.id,
+                        capacity: 50,
+                        passengers: 0,
+                        speed: 0,
+                        heading: 0,
+                        status: 'unscheduled'
+                    };
+                    tracker.vehicles.set(vehicle.id, vehicle);
+                }
+                if (assigned) Object.assign(vehicle, assigned[k]);
+                if (kept[k] && this.state.has(vehicle.id) && tracker.vehicleProgress.has(vehicle.id)) continue;
+
+                // Buses start at equal distances around the route loop
+                let offset = total * k / size;
+                let segmentIndex = 0;
+                while (segmentIndex < lengths.length - 1 && offset > lengths[segmentIndex]) {
+                    offset -= lengths[segmentIndex];
+                    segmentIndex++;
+                }
+                const t = lengths[segmentIndex] > 0 ? offset / lengths[segmentIndex] : 0;
+                tracker.vehicleProgress.set(vehicle.id, { segmentIndex, t, enteredAt: null });
+                this.initVehicle(vehicle, route, segmentIndex, t);
+
+                if (!tracker.markers.has(vehicle.id)) tracker.addVehicleToMap(vehicle);
+            }
+        });
+    }
+
+    // Per-bus state with its own random stream
+    getVehicleState(vehicle) {
+        if (!this.state.has(vehicle.id)) {
+            const random = FleetSimulator.createRandom(FleetSimulator.hashSeed(this.settings.seed, vehicle.id));
+            this.state.set(vehicle.id, {
+                random,
+                cruiseKmh: this.between(random, this.settings.minSpeedKmh, this.settings.maxSpeedKmh),
+                dwellRemaining: 0,
+                trafficFactor: 1,
+                trafficRemaining: 0,
+                breakdownRemaining: 0
+            });
+        }
+        return this.state.get(vehicle.id);
+    }
+
+    initVehicle(vehicle, route, segmentIndex, t) {
+        const state = this.getVehicleState(vehicle);
+        const position = this.tracker.positionOnSegment(route, segmentIndex, t);
+        vehicle.lat = position.lat;
+        vehicle.lng = position.lng;
+        vehicle.heading = Math.round(position.heading);
+        vehicle.speed = Math.round(state.cruiseKmh);
+        vehicle.passengers = Math.round(vehicle.capacity * this.between(state.random, 0.2, 0.8));
+        if (!vehicle.status || vehicle.status === 'breakdown') vehicle.status = 'unscheduled';
+        vehicle.currentStop = route.stops[segmentIndex].name;
+        vehicle.nextStop = route.stops[(segmentIndex + 1) % route.stops.length].name;
+        vehicle.lastUpdate = new Date(this.now);
+    }
+
+    // Advance the simulation by realSeconds of wall-clock time
+    step(realSeconds) {
+        const simSeconds = realSeconds * this.settings.timeScale;
+        const substeps = Math.max(1, Math.ceil(simSeconds / this.settings.maxSubstepSeconds));
+        const dt = simSeconds / substeps;
+
+        for (let i = 0; i < substeps; i++) {
+            this.now += dt * 1000;
+            this.tracker.vehicles.forEach(vehicle => this.advanceVehicle(vehicle, dt));
+        }
+    }
+
+    advanceVehicle(vehicle, dt) {
+        const tracker = this.tracker;
+        const route = tracker.routes.get(vehicle.routeId);
+        if (!route || route.stops.length < 2) return;
+        if (tracker.isLiveDataFresh(vehicle)) return; // live feed owns this bus
+
+        if (!tracker.vehicleProgress.has(vehicle.id)) {
+            tracker.vehicleProgress.set(vehicle.id, { segmentIndex: 0, t: 0, enteredAt: this.now });
+            this.initVehicle(vehicle, route, 0, 0);
+        }
+
+        const progress = tracker.vehicleProgress.get(vehicle.id);
+        const state = this.getVehicleState(vehicle);
+        const settings = this.settings;
+
+        vehicle.lastUpdate = new Date(this.now);
+
+        // Broken down: stand still until repaired
+        if (state.breakdownRemaining > 0) {
+            state.breakdownRemaining -= dt;
+            vehicle.speed = 0;
+            vehicle.status = 'breakdown';
+            return;
+        }
+        if (settings.breakdownsPerDay > 0 && state.random() < settings.breakdownsPerDay * dt / 86400) {
+            state.breakdownRemaining = this.between(state.random, settings.breakdownMinutes[0], settings.breakdownMinutes[1]) * 60;
+            vehicle.speed = 0;
+            vehicle.status = 'breakdown';
+            return;
+        }
+
+        // Traffic slowdowns come and go
+        if (state.trafficRemaining > 0) {
+            state.trafficRemaining -= dt;
+            if (state.trafficRemaining <= 0) state.trafficFactor = 1;
+        } else if (settings.trafficPerHour > 0 && state.random() < settings.trafficPerHour * dt / 3600) {
+            state.trafficFactor = this.between(state.random, settings.trafficSlowdown[0], settings.trafficSlowdown[1]);
+            state.trafficRemaining = this.between(state.random, settings.trafficMinutes[0], settings.trafficMinutes[1]) * 60;
+        }
+        if (vehicle.status === 'breakdown') vehicle.status = 'unscheduled'; // repaired; the host rates it again
+
+        // Dwelling at a stop
+        if (state.dwellRemaining > 0) {
+            state.dwellRemaining -= dt;
+            vehicle.speed = 0;
+            return;
+        }
+
+        const speedKmh = state.cruiseKmh * state.trafficFactor * this.between(state.random, 0.9, 1.1);
+        let meters = speedKmh / 3.6 * dt;
+        vehicle.speed = Math.round(speedKmh);
+
+        const lengths = tracker.getSegmentLengths(route);
+        while (meters > 0) {
+            const length = lengths[progress.segmentIndex];
+            const remaining = (1 - progress.t) * length;
+            if (meters < remaining) {
+                progress.t += length > 0 ? meters / length : 1;
+                break;
+            }
+
+            // Reached the next stop: record it and start dwelling
+            meters -= remaining;
+            tracker.recordSegmentTraversal(vehicle, route, progress.segmentIndex, progress.enteredAt, this.now);
+            progress.segmentIndex = (progress.segmentIndex + 1) % route.stops.length;
+            progress.t = 0;
+            progress.enteredAt = this.now;
+            this.boardPassengers(vehicle, state);
+            state.dwellRemaining = settings.dwellSeconds * this.between(state.random, 0.5, 1.5);
+            break;
+        }
+
+        const position = tracker.positionOnSegment(route, progress.segmentIndex, Math.min(1, progress.t));
+        vehicle.lat = position.lat;
+        vehicle.lng = position.lng;
+        vehicle.heading = Math.round(position.heading);
+        vehicle.currentStop = route.stops[progress.segmentIndex].name;
+        vehicle.nextStop = route.stops[(progress.segmentIndex + 1) % route.stops.length].name;
+    }
+
+    // Some passengers get off and others board at every stop
+    boardPassengers(vehicle, state) {
+        const change = Math.round(this.between(state.random, -0.25, 0.25) * vehicle.capacity);
+        vehicle.passengers = Math.max(0, Math.min(vehicle.capacity, vehicle.passengers + change));
+    }
+}
+
+FleetSimulator.defaults = {
+    seed: 1,
+    startTime: null,          // clock start in ms since the epoch; null is the current time
+    timeScale: 1,             // simulated seconds per real second
+    busesPerRoute: 1,
+    fleetSizes: {},           // routeId -> bus count, overrides busesPerRoute
+    minSpeedKmh: 25,
+    maxSpeedKmh: 40,
+    dwellSeconds: 60,
+    trafficPerHour: 0.5,      // chance per bus per hour of hitting a slowdown
+    trafficSlowdown: [0.3, 0.7],
+    trafficMinutes: [3, 15],
+    breakdownsPerDay: 0.2,
+    breakdownMinutes: [15, 45],
+    maxSubstepSeconds: 10
+};
+
+if (typeof module !== 'undefined') module.exports = { FleetSimulator };
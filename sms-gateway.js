@@ -0,0 +1,41 @@
+// CityBus Tracker - SMS gateways
+// Where server.js sends text messages (login codes). No SMS provider is
+// connected yet, so the built-in gateways put the message where a developer
+// can read it: `console` (default) prints it, `file` appends it to SMS_OUTBOX
+// as one JSON line per message. A provider is added as another entry in
+// SMS_GATEWAYS whose gateway has the same `async send(mobile, text)`.
+const fs = require('fs');
+const path = require('path');
+
+class ConsoleSmsGateway {
+    async send(mobile, text) {
+        console.log(`SMS to ${mobile}: ${text}`);
+    }
+}
+
+class FileSmsGateway {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async send(mobile, text) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const line = JSON.stringify({ to: mobile, text, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(this.file, line + '\n');
+    }
+}
+
+const SMS_GATEWAYS = {
+    console: () => new ConsoleSmsGateway(),
+    file: options => new FileSmsGateway(options.outbox)
+};
+
+function createSmsGateway(name, options = {}) {
+    const factory = SMS_GATEWAYS[name || 'console'];
+    if (!factory) {
+        throw new Error(`Unknown SMS gateway "${name}" (available: ${Object.keys(SMS_GATEWAYS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createSmsGateway, SMS_GATEWAYS, ConsoleSmsGateway, FileSmsGateway };
@@ -0,0 +1,54 @@
+// CityBus Tracker - Stop Registry
+// One entry per physical stop, shared by every route that serves it. The
+// network lists them as network.stops = [{ id, name, lat, lng, platforms }],
+// where platforms are the stop's bays ([{ id, name }]). A route's stops name
+// the entry by id and the bay the route uses by platformId; their name and
+// position are copies that linkStopRegistry keeps in step with the entry.
+// Loaded by the app and by the server (fleet-host.js).
+
+// Links the routes to the registry and returns it as a Map of stop id ->
+// { id, name, lat, lng, platforms, servedBy: [{ routeId, platformId, index }] }.
+// Stops only a route knows about get an entry; entries no route serves are
+// dropped. Changes the network (network.stops and the routes' stops).
+function linkStopRegistry(network) {
+    const listed = new Map((network.stops || []).map(stop => [stop.id, stop]));
+    const registry = new Map();
+
+    network.routes.forEach(route => {
+        route.stops.forEach((stop, index) => {
+            let entry = registry.get(stop.id);
+            if (!entry) {
+                const source = listed.get(stop.id) || stop;
+                entry = {
+                    id: stop.id,
+                    name: source.name,
+                    lat: source.lat,
+                    lng: source.lng,
+                    platforms: (source.platforms || []).map(platform => ({ ...platform })),
+                    servedBy: []
+                };
+                registry.set(stop.id, entry);
+            }
+            stop.name = entry.name;
+            stop.lat = entry.lat;
+            stop.lng = entry.lng;
+            if (stop.platformId && !entry.platforms.some(platform => platform.id === stop.platformId)) {
+                entry.platforms.push({ id: stop.platformId, name: stop.platformId });
+            }
+            if (!entry.servedBy.some(served => served.routeId === route.id)) {
+                entry.servedBy.push({ routeId: route.id, platformId: stop.platformId || null, index });
+            }
+        });
+    });
+
+    network.stops = Array.from(registry.values()).map(({ servedBy, ...stop }) => stop);
+    return registry;
+}
+
+// Name of the bay a route stop uses, or '' when the stop has no bays
+function platformName(entry, platformId) {
+    const platform = entry && platformId ? entry.platforms.find(other => other.id === platformId) : null;
+    return platform ? platform.name : '';
+}
+
+if (typeof module !== 'undefined') module.exports = { linkStopRegistry, platformName };
@@ -4,22 +4,33 @@ class CityBusTracker {
         this.map = null;
         this.vehicles = new Map();
         this.routes = new Map();
-        this.stops = new Map();
+        this.stops = new Map(); // stop registry (stop-registry.js): id -> stop with the routes serving it
         this.markers = new Map();
+        this.agencies = new Map();
+        this.timetables = new Map(); // routeId -> trips with stop times
+        this.serviceCalendars = new Map(); // serviceId -> calendar + exceptions
+        this.holidays = []; // [{ date, name }] that run a holiday timetable
+        this.stopAliases = new Map(); // merged stop id -> id of the stop it became
         this.updateInterval = null;
         this.updateFrequency = 10; // seconds
         this.userLocation = null;
-        this.favorites = JSON.parse(localStorage.getItem('favorites') || '[]');
-        this.feedback = JSON.parse(localStorage.getItem('feedback') || '[]');
+        this.data = new DataStore(); // server API with localStorage fallback (datastore.js)
+        this.data.localSmsGateway = { send: async (mobile, text) => this.showLocalSms(mobile, text) };
+        this.data.localEmailGateway = { send: async (email, text) => this.showLocalEmail(email, text) };
+        this.importedNetwork = null;
+        this.favorites = [];
+        this.feedback = [];
+        this.fleet = []; // bus registry (fleet.js)
+        this.assignments = []; // buses and drivers assigned to routes by date
+        this.socialProviders = []; // [{ id, name }] configured on the server
+        this.permissionsMatrix = createDefaultPermissions(); // role -> permissions (permissions.js)
         this.currentUser = null;
         this.userType = null; // 'user', 'driver', 'admin'
         
         // Punjab GPS tracking variables
         this.isPunjabTracking = false;
-        this.punjabTrackingInterval = null;
         this.vehicleProgress = new Map();
         this.userMarker = null;
-        this.busMarkers = new Map();
         
         this.init();
     }
@@ -31,15 +42,84 @@ class CityBusTracker {
         // Initialize bus tracking system
         this.setupBusTracking();
         
-        // Check if user is already logged in
-        const savedUser = localStorage.getItem('currentUser');
+        // Shared data comes from the server when it is reachable
+        await this.data.connect();
+        await this.setupDemoMode();
+        await this.setupSocialProviders();
+        await this.loadSharedData();
+
+        // Opened from a password reset link
+        this.openPasswordResetFromUrl();
+        
+        // Back from a social sign-in, or already logged in on this device
+        if (await this.completeSocialLogin()) return;
+        const savedUser = await this.data.restoreSession();
         if (savedUser) {
-            this.currentUser = JSON.parse(savedUser);
+            this.currentUser = savedUser;
             this.userType = this.currentUser.type;
             this.showApplication();
         }
     }
 
+    // Demo mode follows the server when it is reachable; the standalone page
+    // turns it on with ?demo in the URL. Its accounts (demo-accounts.js) are
+    // seeded while it is on and removed while it is off.
+    async setupDemoMode() {
+        this.demoMode = this.data.online ? this.data.demoMode : new URLSearchParams(location.search).has('demo');
+
+        // The server keeps its own demo accounts in step (DEMO_MODE)
+        if (!this.data.online) {
+            try {
+                for (const [collection, accounts] of Object.entries(createDemoAccounts())) {
+                    const existing = new Set((await this.data.list(collection)).map(record => record.id));
+                    for (const account of accounts) {
+                        if (this.demoMode && !existing.has(account.id)) await this.data.create(collection, account);
+                        if (!this.demoMode && existing.has(account.id)) {
+                            await this.data.remove(collection, account.id);
+                            if (this.data.readStoredSession()?.user?.id === account.id) await this.data.clearSession();
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error('Demo accounts could not be updated:', error);
+            }
+        }
+
+        const info = document.getElementById('demoCredentials');
+        if (!info) return;
+        info.classList.toggle('hidden', !this.demoMode);
+        if (this.demoMode) {
+            const { users, drivers, admins } = createDemoAccounts();
+            const drivingStaff = drivers.map(driver => `${driver.name} / ${driver.password} (bus ${driver.busNumber})`);
+            const staff = admins.map(admin => `${admin.username} / ${admin.password}`);
+            info.textContent = `Demo mode: ${users[0].email} / ${users[0].password} · ` +
+                `${drivingStaff.join(' · ')} · ${staff.join(' · ')}`;
+        }
+    }
+
+    // Load feedback, the fleet and any imported network from the data store;
+    // favorites belong to the signed-in user and load with the app
+    async loadSharedData() {
+        try {
+            this.feedback = await this.data.list('feedback');
+            await this.loadFleetData();
+            this.importedNetwork = await this.data.getNetwork();
+            this.permissionsMatrix = await this.data.getPermissions();
+        } catch (error) {
+            console.error('Shared data could not be loaded:', error);
+            this.showError('Could not load saved data: ' + error.message);
+        }
+    }
+
+    async fetchFavorites() {
+        try {
+            this.favorites = await this.data.list('favorites');
+        } catch (error) {
+            console.error('Favorites could not be loaded:', error);
+            this.favorites = [];
+        }
+    }
+
     // Initialize Leaflet Map
     async initializeMap() {
         const defaultCenter = [31.1471, 75.3412]; // Punjab, India center
@@ -130,6 +210,9 @@ class CityBusTracker {
     // Start watching location changes
     startWatchingLocation() {
         if (navigator.geolocation) {
+            if (this.watchId) {
+                navigator.geolocation.clearWatch(this.watchId);
+            }
             this.watchId = navigator.geolocation.watchPosition(
                 (position) => {
                     this.updateUserLocation(position);
@@ -213,7 +296,7 @@ class CityBusTracker {
 
     // Draw individual route
     drawRoute(route) {
-        const coordinates = route.stops.map(stop => [stop.lat, stop.lng]);
+        const coordinates = this.getRouteGeometry(route).path;
         
         // Create route polyline
         const polyline = L.polyline(coordinates, {
@@ -229,7 +312,7 @@ class CityBusTracker {
             const stopIcon = L.divIcon({
                 className: 'bus-stop-marker',
                 html: `
-                    <div class="stop-marker" style="background: ${route.color};">
+                    <div class="stop-marker" style="background: ${routeColor(route)};">
                         <i class="fas fa-map-marker-alt"></i>
                         <div class="stop-number">${index + 1}</div>
                     </div>
@@ -240,12 +323,14 @@ class CityBusTracker {
 
             const stopMarker = L.marker([stop.lat, stop.lng], { icon: stopIcon })
                 .addTo(this.map)
-                .bindPopup(`
+                .bindPopup(() => `
                     <div class="stop-popup">
-                        <h4>${stop.name}</h4>
-                        <p><strong>Route:</strong> ${route.number} - ${route.name}</p>
+                        <h4>${escapeHtml(stop.name)}</h4>
+                        <p><strong>Route:</strong> ${escapeHtml(route.number)} - ${escapeHtml(route.name)}</p>
                         <p><strong>Stop #:</strong> ${index + 1}</p>
+                        ${stop.platformId ? `<p><strong>Bay:</strong> ${escapeHtml(platformName(this.stops.get(stop.id), stop.platformId))}</p>` : ''}
                         <p><strong>Coordinates:</strong> ${stop.lat.toFixed(6)}, ${stop.lng.toFixed(6)}</p>
+                        ${this.buildStopArrivalRows(stop)}
                     </div>
                 `);
         });
@@ -256,9 +341,9 @@ class CityBusTracker {
             icon: L.divIcon({
                 className: 'route-label-marker',
                 html: `
-                    <div class="route-label" style="background: ${route.color};">
+                    <div class="route-label" style="background: ${routeColor(route)};">
                         <i class="fas fa-bus"></i>
-                        <span>${route.number}</span>
+                        <span>${escapeHtml(route.number)}</span>
                     </div>
                 `,
                 iconSize: [80, 30],
@@ -285,163 +370,15 @@ class CityBusTracker {
         }
     }
 
-    // Load Punjab bus routes data
+    // Load the network: an imported feed, or the built-in Punjab routes (punjab-network.js)
     loadMockData() {
-        const punjabRoutes = [
-            {
-                id: 'route-pb1',
-                number: 'PB-1',
-                name: 'Amritsar → Chandigarh',
-                color: '#ff6b6b',
-                routeClass: 'route-pb1',
-                stops: [
-                    { id: 'stop-amr', name: 'Amritsar Bus Stand', lat: 31.6340, lng: 74.8723 },
-                    { id: 'stop-jal', name: 'Jalandhar City', lat: 31.3260, lng: 75.5762 },
-                    { id: 'stop-lud', name: 'Ludhiana Railway Station', lat: 30.9010, lng: 75.8573 },
-                    { id: 'stop-pat', name: 'Patiala Bus Stand', lat: 30.3398, lng: 76.3869 },
-                    { id: 'stop-chd', name: 'Chandigarh ISBT', lat: 30.7333, lng: 76.7794 }
-                ]
-            },
-            {
-                id: 'route-pb2',
-                number: 'PB-2',
-                name: 'Bathinda → Patiala',
-                color: '#4ecdc4',
-                routeClass: 'route-pb2',
-                stops: [
-                    { id: 'stop-bat', name: 'Bathinda Bus Stand', lat: 30.2110, lng: 74.9455 },
-                    { id: 'stop-muk', name: 'Muktsar City', lat: 30.4740, lng: 74.5160 },
-                    { id: 'stop-far', name: 'Faridkot Railway Station', lat: 30.6739, lng: 74.7559 },
-                    { id: 'stop-san', name: 'Sangrur Bus Stand', lat: 30.2459, lng: 75.8429 },
-                    { id: 'stop-pat2', name: 'Patiala Bus Stand', lat: 30.3398, lng: 76.3869 }
-                ]
-            },
-            {
-                id: 'route-pb3',
-                number: 'PB-3',
-                name: 'Ferozepur → Amritsar',
-                color: '#45b7d1',
-                routeClass: 'route-pb3',
-                stops: [
-                    { id: 'stop-fer', name: 'Ferozepur Bus Stand', lat: 30.9167, lng: 74.6000 },
-                    { id: 'stop-abh', name: 'Abohar City', lat: 30.1440, lng: 74.1990 },
-                    { id: 'stop-mal', name: 'Maler Kotla', lat: 30.5309, lng: 75.8805 },
-                    { id: 'stop-barn', name: 'Barnala Bus Stand', lat: 30.3745, lng: 75.5487 },
-                    { id: 'stop-amr2', name: 'Amritsar Bus Stand', lat: 31.6340, lng: 74.8723 }
-                ]
-            },
-            {
-                id: 'route-pb4',
-                number: 'PB-4',
-                name: 'Gurdaspur → Ludhiana',
-                color: '#96ceb4',
-                routeClass: 'route-pb4',
-                stops: [
-                    { id: 'stop-gur', name: 'Gurdaspur Bus Stand', lat: 32.0419, lng: 75.4053 },
-                    { id: 'stop-bat2', name: 'Batala City', lat: 31.8186, lng: 75.2028 },
-                    { id: 'stop-qad', name: 'Qadian Bus Stand', lat: 31.8219, lng: 75.3761 },
-                    { id: 'stop-kap', name: 'Kapurthala Railway Station', lat: 31.3801, lng: 75.3811 },
-                    { id: 'stop-lud2', name: 'Ludhiana Railway Station', lat: 30.9010, lng: 75.8573 }
-                ]
-            },
-            {
-                id: 'route-pb5',
-                number: 'PB-5',
-                name: 'Hoshiarpur → Jalandhar',
-                color: '#feca57',
-                routeClass: 'route-pb5',
-                stops: [
-                    { id: 'stop-hos', name: 'Hoshiarpur Bus Stand', lat: 31.5322, lng: 75.9170 },
-                    { id: 'stop-das', name: 'Dasuya City', lat: 31.8167, lng: 75.6667 },
-                    { id: 'stop-mah', name: 'Mukerian Railway Station', lat: 31.9500, lng: 75.6167 },
-                    { id: 'stop-nak', name: 'Nakodar Bus Stand', lat: 31.1256, lng: 75.4750 },
-                    { id: 'stop-jal2', name: 'Jalandhar City', lat: 31.3260, lng: 75.5762 }
-                ]
-            }
-        ];
-
-        const punjabVehicles = [
-            {
-                id: 'pb-bus-001',
-                routeId: 'route-pb1',
-                lat: 31.3260,
-                lng: 75.5762,
-                speed: 35,
-                heading: 45,
-                capacity: 50,
-                passengers: 25,
-                status: 'on-time',
-                lastUpdate: new Date()
-            },
-            {
-                id: 'pb-bus-002',
-                routeId: 'route-pb2',
-                lat: 30.4740,
-                lng: 74.5160,
-                speed: 30,
-                heading: 60,
-                capacity: 45,
-                passengers: 20,
-                status: 'on-time',
-                lastUpdate: new Date()
-            },
-            {
-                id: 'pb-bus-003',
-                routeId: 'route-pb3',
-                lat: 30.5309,
-                lng: 75.8805,
-                speed: 40,
-                heading: 80,
-                capacity: 50,
-                passengers: 30,
-                status: 'delayed',
-                lastUpdate: new Date()
-            },
-            {
-                id: 'pb-bus-004',
-                routeId: 'route-pb4',
-                lat: 31.8186,
-                lng: 75.2028,
-                speed: 32,
-                heading: 100,
-                capacity: 45,
-                passengers: 18,
-                status: 'on-time',
-                lastUpdate: new Date()
-            },
-            {
-                id: 'pb-bus-005',
-                routeId: 'route-pb5',
-                lat: 31.8167,
-                lng: 75.6667,
-                speed: 38,
-                heading: 120,
-                capacity: 40,
-                passengers: 22,
-                status: 'on-time',
-                lastUpdate: new Date()
-            }
-        ];
-
-        // Load Punjab routes
-        punjabRoutes.forEach(route => {
-            this.routes.set(route.id, route);
-            this.addRouteToMap(route);
-        });
-
-        // Load Punjab vehicles
-        punjabVehicles.forEach(vehicle => {
-            this.vehicles.set(vehicle.id, vehicle);
-            this.addVehicleToMap(vehicle);
-        });
-
-        // Load Punjab stops
-        punjabRoutes.forEach(route => {
-            route.stops.forEach(stop => {
-                this.stops.set(stop.id, stop);
-                this.addStopToMap(stop);
-            });
-        });
+        // Prefer a previously imported GTFS network over the built-in routes
+        const importedNetwork = this.loadImportedNetwork();
+        if (importedNetwork) {
+            this.applyNetwork(importedNetwork);
+        } else {
+            this.applyNetwork(createPunjabNetwork());
+        }
 
         // Add some sample favorites
         if (this.favorites.length === 0) {
@@ -460,22 +397,112 @@ class CityBusTracker {
                     routeId: 'route-pb1'
                 }
             ];
-            localStorage.setItem('favorites', JSON.stringify(this.favorites));
+            // Saved without the sample ids; the saved records replace them
+            Promise.all(this.favorites.map(({ id, ...favorite }) => this.data.create('favorites', favorite)))
+                .then(saved => {
+                    this.favorites = saved;
+                    this.loadFavorites();
+                    this.loadFavoritesList();
+                })
+                .catch(error => console.error('Favorites not saved:', error));
         }
 
         this.updateUI();
     }
 
+    // Replace the loaded network (routes, stops, vehicles and timetables)
+    applyNetwork(network) {
+        if (this.replay) this.stopReplay();
+        this.clearNetwork();
+
+        (network.agencies || []).forEach(agency => {
+            this.agencies.set(agency.id, agency);
+        });
+
+        (network.calendars || []).forEach(calendar => {
+            this.serviceCalendars.set(calendar.serviceId, calendar);
+        });
+        this.holidays = network.holidays || [];
+
+        // Routes share one stop per stand (network-validation.js, stop-registry.js)
+        mergeDuplicateStops(network);
+        const registry = linkStopRegistry(network);
+        Object.entries(network.stopAliases || {}).forEach(([id, target]) => {
+            this.stopAliases.set(id, target);
+        });
+
+        // Shapes uploaded or snapped in settings replace the network's own
+        const savedShapes = this.getSavedRouteShapes();
+
+        network.routes.forEach(route => {
+            if (route.id in savedShapes) {
+                if (savedShapes[route.id]) route.shape = savedShapes[route.id];
+                else delete route.shape;
+            }
+            this.routes.set(route.id, route);
+            this.addRouteToMap(route);
+            if (route.trips) {
+                this.timetables.set(route.id, route.trips);
+            }
+        });
+
+        (network.vehicles || []).forEach(vehicle => {
+            this.vehicles.set(vehicle.id, vehicle);
+            this.addVehicleToMap(vehicle);
+        });
+
+        // One marker per stop, however many routes serve it
+        registry.forEach(stop => {
+            this.stops.set(stop.id, stop);
+            this.addStopToMap(stop);
+        });
+
+        // Size and place the simulated fleet for the new routes
+        if (this.simulator) this.simulator.populateFleet();
+        this.updateScheduleStatuses();
+    }
+
+    // Remove the current network from memory and from the map
+    clearNetwork() {
+        this.markers.forEach(marker => {
+            if (this.map) this.map.removeLayer(marker);
+        });
+        this.markers.clear();
+        this.vehicles.clear();
+        this.routes.clear();
+        this.stops.clear();
+        this.agencies.clear();
+        this.timetables.clear();
+        this.serviceCalendars.clear();
+        this.holidays = [];
+        this.stopAliases.clear();
+        if (this.vehicleProgress) this.vehicleProgress.clear();
+        if (this.networkLayer) this.networkLayer.clearLayers();
+    }
+
+    // Stop ids saved before stops were merged (bookings, favorites) still resolve
+    resolveStopId(id) {
+        return this.stopAliases.get(id) || id;
+    }
+
+    // Layer group holding route lines and stop markers of the loaded network
+    getNetworkLayer() {
+        if (!this.networkLayer) {
+            this.networkLayer = L.layerGroup().addTo(this.map);
+        }
+        return this.networkLayer;
+    }
+
     // Add route to map
     addRouteToMap(route) {
         if (!this.map) return;
         
-        const routePath = route.stops.map(stop => [stop.lat, stop.lng]);
+        const routePath = this.getRouteGeometry(route).path;
         const polyline = L.polyline(routePath, {
             color: route.color,
             weight: 4,
             opacity: 0.7
-        }).addTo(this.map);
+        }).addTo(this.getNetworkLayer());
     }
 
     // Add vehicle to map
@@ -485,21 +512,23 @@ class CityBusTracker {
         const route = this.routes.get(vehicle.routeId);
         if (!route) return;
 
-        const vehicleIcon = L.divIcon({
-            className: 'vehicle-marker',
-            html: `<div style="background: ${route.color}; color: white; padding: 6px; border-radius: 50%; font-size: 14px;"><i class="fas fa-bus"></i></div>`,
-            iconSize: [24, 24],
-            iconAnchor: [12, 12]
-        });
-
-        const marker = L.marker([vehicle.lat, vehicle.lng], { icon: vehicleIcon })
+        const marker = L.marker([vehicle.lat, vehicle.lng], { icon: this.createBusIcon(vehicle, route) })
             .addTo(this.map)
-            .bindPopup(`Bus ${vehicle.id}<br>Route: ${route.number}<br>Status: ${vehicle.status}`);
+            .bindPopup(this.buildBusPopup(vehicle, route));
 
         this.markers.set(vehicle.id, marker);
     }
 
-    // Add stop to map
+    // Remove vehicle from the fleet and the map
+    removeVehicle(vehicleId) {
+        const marker = this.markers.get(vehicleId);
+        if (marker && this.map) this.map.removeLayer(marker);
+        this.markers.delete(vehicleId);
+        this.vehicles.delete(vehicleId);
+        this.vehicleProgress.delete(vehicleId);
+    }
+
+    // Add a stop of the registry to the map
     addStopToMap(stop) {
         if (!this.map) return;
         
@@ -511,8 +540,8 @@ class CityBusTracker {
         });
 
         L.marker([stop.lat, stop.lng], { icon: stopIcon })
-            .addTo(this.map)
-            .bindPopup(`<strong>${stop.name}</strong>`);
+            .addTo(this.getNetworkLayer())
+            .bindPopup(() => this.buildStopPopup(stop));
     }
 
     // Load dashboard data
@@ -541,10 +570,10 @@ class CityBusTracker {
             item.className = 'route-item';
             item.innerHTML = `
                 <div class="route-header">
-                    <span class="route-number">${route.number}</span>
+                    <span class="route-number">${escapeHtml(route.number)}</span>
                     <span class="route-status on-time">${activeVehicles} active</span>
                 </div>
-                <div class="route-details">${route.name}</div>
+                <div class="route-details">${escapeHtml(route.name)}</div>
             `;
             routeSummary.appendChild(item);
         });
@@ -565,9 +594,9 @@ class CityBusTracker {
             item.className = 'bus-item';
             item.innerHTML = `
                 <div class="tracking-bus-info">
-                    <div class="tracking-bus-number">${vehicle.id}</div>
-                    <div class="tracking-bus-route">${route.number} - ${route.name}</div>
-                    <div class="tracking-bus-location">Status: ${vehicle.status}</div>
+                    <div class="tracking-bus-number">${escapeHtml(vehicle.number || vehicle.id)}</div>
+                    <div class="tracking-bus-route">${escapeHtml(route.number)} - ${escapeHtml(route.name)}</div>
+                    <div class="tracking-bus-location">Status: ${this.describeVehicleStatus(vehicle.status, vehicle.delay)}</div>
                 </div>
                 <div class="tracking-bus-status">
                     <div class="tracking-status-indicator ${vehicle.status}"></div>
@@ -583,22 +612,7 @@ class CityBusTracker {
         const nextArrivals = document.getElementById('nextArrivals');
         if (!nextArrivals) return;
         
-        nextArrivals.innerHTML = '';
-        
-        const arrivals = this.generateMockArrivals();
-        
-        arrivals.forEach(arrival => {
-            const item = document.createElement('div');
-            item.className = 'arrival-item';
-            item.innerHTML = `
-                <div>
-                    <div class="arrival-time">${arrival.time}</div>
-                    <div class="route-details">${arrival.route} to ${arrival.destination}</div>
-                </div>
-                <div class="route-status ${arrival.status}">${arrival.status}</div>
-            `;
-            nextArrivals.appendChild(item);
-        });
+        this.renderArrivals(nextArrivals, this.getUpcomingArrivals());
     }
 
     // Load nearby stops
@@ -615,7 +629,8 @@ class CityBusTracker {
                 item.className = 'stop-item';
                 item.innerHTML = `
                     <div>
-                        <div class="route-details">${stop.name}</div>
+                        <div class="route-details">${escapeHtml(stop.name)}</div>
+                        <div class="stop-routes">${escapeHtml(this.describeStopRoutes(stop))}</div>
                         <div class="stop-distance">${stop.distance.toFixed(1)} km away</div>
                     </div>
                     <i class="fas fa-chevron-right"></i>
@@ -661,11 +676,11 @@ class CityBusTracker {
             
             item.innerHTML = `
                 <div class="bus-info">
-                    <div class="bus-route-indicator ${route.routeClass}">${route.number}</div>
+                    <div class="bus-route-indicator ${escapeHtml(route.routeClass)}" style="background: ${routeColor(route)};">${escapeHtml(route.number)}</div>
                     <div class="bus-details">
-                        <div class="bus-number">${vehicle.id}</div>
-                        <div class="bus-route-name">${route.name}</div>
-                        <div class="bus-status">${vehicle.status} • ${vehicle.speed} km/h</div>
+                        <div class="bus-number">${escapeHtml(vehicle.number || vehicle.id)}</div>
+                        <div class="bus-route-name">${escapeHtml(route.name)}</div>
+                        <div class="bus-status">${this.describeVehicleStatus(vehicle.status, vehicle.delay)} • ${Math.round(vehicle.speed || 0)} km/h</div>
                     </div>
                 </div>
                 <div class="distance-info">
@@ -695,8 +710,8 @@ class CityBusTracker {
             item.className = 'favorite-item';
             item.innerHTML = `
                 <div class="favorite-info">
-                    <div class="favorite-name">${favorite.name}</div>
-                    <div class="favorite-type">${favorite.type}</div>
+                    <div class="favorite-name">${escapeHtml(favorite.name)}</div>
+                    <div class="favorite-type">${escapeHtml(favorite.type)}</div>
                 </div>
                 <button class="favorite-remove" onclick="app.removeFavorite('${favorite.id}')">
                     <i class="fas fa-times"></i>
@@ -720,15 +735,12 @@ class CityBusTracker {
             const item = document.createElement('div');
             item.className = 'vehicle-item';
             
-            const statusColor = vehicle.status === 'on-time' ? '#4ade80' : 
-                              vehicle.status === 'delayed' ? '#f59e0b' : '#ef4444';
-            
             item.innerHTML = `
                 <div class="vehicle-info">
-                    <div class="vehicle-number">${vehicle.id}</div>
-                    <div class="vehicle-route">${route.number} - ${route.name}</div>
-                    <div class="vehicle-status" style="color: ${statusColor}">
-                        ${vehicle.status} • ${vehicle.speed} km/h
+                    <div class="vehicle-number">${escapeHtml(vehicle.number || vehicle.id)}</div>
+                    <div class="vehicle-route">${escapeHtml(route.number)} - ${escapeHtml(route.name)}</div>
+                    <div class="vehicle-status ${vehicle.status}">
+                        ${this.describeVehicleStatus(vehicle.status, vehicle.delay)} • ${vehicle.speed} km/h
                     </div>
                 </div>
                 <div class="vehicle-passengers">
@@ -740,9 +752,14 @@ class CityBusTracker {
     }
 
     // Remove favorite
-    removeFavorite(favoriteId) {
+    async removeFavorite(favoriteId) {
+        try {
+            await this.data.remove('favorites', favoriteId);
+        } catch (error) {
+            this.showError('Could not remove favorite: ' + error.message);
+            return;
+        }
         this.favorites = this.favorites.filter(fav => fav.id !== favoriteId);
-        localStorage.setItem('favorites', JSON.stringify(this.favorites));
         this.loadFavorites();
         this.showSuccess('Favorite removed');
     }
@@ -780,17 +797,9 @@ class CityBusTracker {
         this.updateGPSStatus('Punjab GPS Active', 'connected');
         this.showSuccess('Punjab GPS tracking started');
         
-        // Start tracking interval
-        this.punjabTrackingInterval = setInterval(() => {
-            this.updateBusPositions();
-            this.loadDistanceTracker();
-            this.updateUserLocationDisplay();
-            this.updateBusMarkersOnMap();
-        }, 3000); // Update every 3 seconds
-        
-        // Initial update
-        this.loadDistanceTracker();
-        this.updateBusMarkersOnMap();
+        // Switch the fleet to the faster tracking rate
+        this.restartFleetUpdates();
+        this.refreshFleetViews();
     }
 
     // Stop Punjab GPS tracking
@@ -802,14 +811,16 @@ class CityBusTracker {
         this.updateGPSStatus('GPS Ready', '');
         this.showSuccess('Punjab GPS tracking stopped');
         
-        if (this.punjabTrackingInterval) {
-            clearInterval(this.punjabTrackingInterval);
-            this.punjabTrackingInterval = null;
-        }
+        this.restartFleetUpdates();
     }
 
-    // Update GPS status display
+    // Update GPS status in the header pill and the Punjab GPS panel
     updateGPSStatus(text, status) {
+        const statusText = document.getElementById('gpsStatusText');
+        const statusContainer = document.getElementById('gpsStatus');
+        if (statusText) statusText.textContent = text;
+        if (statusContainer) statusContainer.className = `gps-status ${status}`;
+
         const statusElement = document.getElementById('gpsStatusValue');
         if (statusElement) {
             statusElement.textContent = text;
@@ -822,32 +833,24 @@ class CityBusTracker {
         }
     }
 
-    // Update bus markers on map
-    updateBusMarkersOnMap() {
+    // Update bus markers on map (replay passes its own vehicle states)
+    updateBusMarkersOnMap(vehicles = this.vehicles) {
         if (!this.map) return;
         
-        this.vehicles.forEach((vehicle, vehicleId) => {
+        vehicles.forEach((vehicle, vehicleId) => {
+            const route = this.routes.get(vehicle.routeId);
+            if (!route) return;
+
             const marker = this.markers.get(vehicleId);
-            if (marker) {
-                marker.setLatLng([vehicle.lat, vehicle.lng]);
-                
-                // Update popup with distance if user location is available
-                const route = this.routes.get(vehicle.routeId);
-                let popupContent = `Bus ${vehicle.id}<br>Route: ${route.number}<br>Status: ${vehicle.status}`;
-                
-                if (this.userLocation) {
-                    const distance = this.calculateDistance(
-                        this.userLocation[0], this.userLocation[1],
-                        vehicle.lat, vehicle.lng
-                    );
-                    const distanceText = distance < 1 ? 
-                        `${Math.round(distance * 1000)}m` : 
-                        `${distance.toFixed(1)}km`;
-                    popupContent += `<br>Distance: ${distanceText}`;
-                }
-                
-                marker.setPopupContent(popupContent);
+            if (!marker) {
+                this.addVehicleToMap(vehicle);
+                return;
             }
+
+            if (!this.map.hasLayer(marker)) marker.addTo(this.map);
+            marker.setLatLng([vehicle.lat, vehicle.lng]);
+            marker.setIcon(this.createBusIcon(vehicle, route));
+            marker.setPopupContent(this.buildBusPopup(vehicle, route));
         });
     }
 
@@ -880,11 +883,6 @@ class CityBusTracker {
             this.handleUserLogin('mobile');
         });
 
-        document.getElementById('socialForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleUserLogin('social');
-        });
-
         document.getElementById('driverForm').addEventListener('submit', (e) => {
             e.preventDefault();
             this.handleDriverLogin();
@@ -910,6 +908,7 @@ class CityBusTracker {
 
         // Registration system
         this.setupRegistrationSystem();
+        this.setupPasswordReset();
     }
 
     // Setup event listeners
@@ -1005,6 +1004,26 @@ class CityBusTracker {
         // Feedback feature
         this.setupFeedbackFeature();
 
+        // GTFS feed import
+        this.setupGTFSImport();
+
+        // GTFS-Realtime live feed
+        this.setupLiveFeed();
+
+        // GTFS / GTFS-Realtime export
+        this.setupGTFSExport();
+        this.setupAnalytics();
+        this.setupJourneyPlanner();
+        this.setupRouteGeometry();
+        this.setupRouteEditor();
+        this.setupSimulation();
+        this.setupReplay();
+        this.setupDataServer();
+        this.setupDriverConsole();
+        this.setupAccessControl();
+        this.setupDriverApprovals();
+        this.setupFleetManagement();
+
         // Booking success modal
         document.getElementById('closeSuccessBtn')?.addEventListener('click', () => {
             this.hideBookingSuccess();
@@ -1131,9 +1150,7 @@ class CityBusTracker {
         // GPS tracking variables
         this.userLocation = null;
         this.isTracking = false;
-        this.trackingInterval = null;
         this.gpsWatchId = null;
-        this.busMarkers = new Map();
         this.userMarker = null;
 
         // GPS tracking buttons
@@ -1167,67 +1184,6 @@ class CityBusTracker {
         }
     }
 
-    // Update GPS status
-    updateGPSStatus(text, status) {
-        const statusElement = document.getElementById('gpsStatusText');
-        const statusContainer = document.getElementById('gpsStatus');
-        
-        statusElement.textContent = text;
-        statusContainer.className = `gps-status ${status}`;
-    }
-
-    // Get user location
-    getUserLocation() {
-        this.updateGPSStatus('Getting Location...', '');
-        
-        if ('geolocation' in navigator) {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    this.userLocation = {
-                        lat: position.coords.latitude,
-                        lng: position.coords.longitude,
-                        accuracy: position.coords.accuracy
-                    };
-                    
-                    this.updateUserLocationDisplay();
-                    this.updateGPSStatus('Location Found', 'connected');
-                    
-                    if (this.map) {
-                        this.centerMapOnUser();
-                    }
-                },
-                (error) => {
-                    console.error('Error getting location:', error);
-                    this.updateGPSStatus('Location Error', 'error');
-                    this.showError('Unable to get your location. Please check GPS permissions.');
-                },
-                {
-                    enableHighAccuracy: true,
-                    timeout: 10000,
-                    maximumAge: 300000
-                }
-            );
-        }
-    }
-
-    // Update user location display
-    updateUserLocationDisplay() {
-        if (this.userLocation) {
-            const coordsElement = document.getElementById('userLocationCoords');
-            coordsElement.textContent = `${this.userLocation.lat.toFixed(6)}, ${this.userLocation.lng.toFixed(6)}`;
-        }
-    }
-
-    // Update user location display
-    updateUserLocationDisplay() {
-        if (this.userLocation) {
-            const coordsElement = document.getElementById('userLocationCoords');
-            if (coordsElement) {
-                coordsElement.textContent = `${this.userLocation.lat.toFixed(6)}, ${this.userLocation.lng.toFixed(6)}`;
-            }
-        }
-    }
-
     // Toggle bus tracking
     toggleBusTracking() {
         if (this.isTracking) {
@@ -1239,98 +1195,39 @@ class CityBusTracker {
 
     // Start real-time tracking
     startTracking() {
+        if (this.isTracking) return;
+
         this.isTracking = true;
-        document.getElementById('startTrackingBtn').style.display = 'none';
-        document.getElementById('stopTrackingBtn').style.display = 'block';
+        this.updateTrackingControls();
         
         this.updateGPSStatus('Tracking Active', 'connected');
         this.showSuccess('Real-time tracking started');
 
-        // Start tracking interval
-        this.trackingInterval = setInterval(() => {
-            this.updateBusPositions();
-            this.findNearestBus();
-        }, 5000); // Update every 5 seconds
-
-        // Initial update
-        this.updateBusPositions();
-        this.findNearestBus();
+        // Switch the fleet to the faster tracking rate
+        this.restartFleetUpdates();
+        this.refreshFleetViews();
     }
 
     // Stop tracking
     stopTracking() {
+        if (!this.isTracking) return;
+
         this.isTracking = false;
-        document.getElementById('startTrackingBtn').style.display = 'block';
-        document.getElementById('stopTrackingBtn').style.display = 'none';
+        this.updateTrackingControls();
         
         this.updateGPSStatus('Tracking Stopped', '');
         this.showSuccess('Tracking stopped');
 
-        if (this.trackingInterval) {
-            clearInterval(this.trackingInterval);
-            this.trackingInterval = null;
-        }
+        this.restartFleetUpdates();
     }
 
-    // Update bus positions
-    updateBusPositions() {
-        if (!this.vehicleProgress) this.vehicleProgress = new Map();
-
-        // Initialize progress for vehicles if missing
-        this.vehicles.forEach((vehicle) => {
-            if (!this.vehicleProgress.has(vehicle.id)) {
-                const route = this.routes.get(vehicle.routeId);
-                if (!route || route.stops.length < 2) return;
-                this.vehicleProgress.set(vehicle.id, { segmentIndex: 0, t: 0 });
-                // Start at first stop
-                vehicle.lat = route.stops[0].lat;
-                vehicle.lng = route.stops[0].lng;
-            }
-        });
-
-        // Move vehicles along their routes
-        this.vehicles.forEach((vehicle) => {
-            const route = this.routes.get(vehicle.routeId);
-            if (!route || route.stops.length < 2) return;
-
-            const progress = this.vehicleProgress.get(vehicle.id);
-            const speedKmh = Math.max(15, Math.min(40, vehicle.speed || 25));
-            const metersPerSecond = (speedKmh * 1000) / 3600;
-            const stepSeconds = 5; // matches tracking interval
-
-            // Current segment endpoints
-            const a = route.stops[progress.segmentIndex];
-            const b = route.stops[(progress.segmentIndex + 1) % route.stops.length];
-
-            // Rough distance in meters between a and b using haversine
-            const R = 6371000;
-            const dLat = (b.lat - a.lat) * Math.PI / 180;
-            const dLon = (b.lng - a.lng) * Math.PI / 180;
-            const lat1 = a.lat * Math.PI / 180;
-            const lat2 = b.lat * Math.PI / 180;
-            const hav = Math.sin(dLat/2) * Math.sin(dLat/2) + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon/2) * Math.sin(dLon/2);
-            const dist = 2 * R * Math.atan2(Math.sqrt(hav), Math.sqrt(1-hav));
-
-            const segmentTime = dist / metersPerSecond; // seconds to finish segment
-            const dt = stepSeconds / Math.max(1, segmentTime); // fraction step
-            progress.t += dt;
-            if (progress.t >= 1) {
-                progress.t = progress.t - 1;
-                progress.segmentIndex = (progress.segmentIndex + 1) % route.stops.length;
-            }
-
-            const curA = route.stops[progress.segmentIndex];
-            const curB = route.stops[(progress.segmentIndex + 1) % route.stops.length];
-            const t = Math.max(0, Math.min(1, progress.t));
-            vehicle.lat = curA.lat + (curB.lat - curA.lat) * t;
-            vehicle.lng = curA.lng + (curB.lng - curA.lng) * t;
-            vehicle.status = 'online';
-            vehicle.nextStop = curB.name;
-        });
-
-        // Update tracking list and stats from vehicles
-        this.updateTrackingListFromVehicles();
-        this.updateTrackingStatsFromVehicles();
+    // Advance the fleet by stepSeconds of wall-clock time. Movement, dwell,
+    // traffic and breakdowns live in FleetSimulator (simulation.js); buses with
+    // fresh live-feed data are left alone. This is the only place the fleet is
+    // advanced.
+    updateBusPositions(stepSeconds = this.updateFrequency) {
+        if (!this.simulator || this.isStreamLive()) return;
+        this.simulator.step(stepSeconds);
     }
 
     // Tracking helpers based on real vehicles
@@ -1347,9 +1244,9 @@ class CityBusTracker {
             const route = this.routes.get(vehicle.routeId);
             const distText = this.formatDistance(distKm);
             const item = document.createElement('div');
-            item.className = `tracking-item ${vehicle.status || 'online'}`;
+            item.className = `tracking-item ${vehicle.status || 'unscheduled'}`;
             item.innerHTML = `
-                <div class=\"tracking-bus-info\">\n                    <div class=\"tracking-bus-number\">${vehicle.id}</div>\n                    <div class=\"tracking-bus-route\">${route ? (route.number + ' - ' + route.name) : ''}</div>\n                    <div class=\"tracking-bus-location\">Next: ${vehicle.nextStop || '-'}</div>\n                    <div class=\"tracking-bus-location\">Distance: ${distText}</div>\n                </div>\n                <div class=\"tracking-bus-status\">\n                    <div class=\"tracking-status-indicator\"></div>\n                    <div class=\"tracking-speed\">${Math.round(vehicle.speed || 25)} km/h</div>\n                </div>
+                <div class=\"tracking-bus-info\">\n                    <div class=\"tracking-bus-number\">${escapeHtml(vehicle.number || vehicle.id)}</div>\n                    <div class=\"tracking-bus-route\">${escapeHtml(route ? (route.number + ' - ' + route.name) : '')}</div>\n                    <div class=\"tracking-bus-location\">Next: ${escapeHtml(vehicle.nextStop || '-')}</div>\n                    <div class=\"tracking-bus-location\">Distance: ${distText} • ${this.describeVehicleStatus(vehicle.status, vehicle.delay)}</div>\n                </div>\n                <div class=\"tracking-bus-status\">\n                    <div class=\"tracking-status-indicator ${vehicle.status || 'unscheduled'}\"></div>\n                    <div class=\"tracking-speed\">${Math.round(vehicle.speed || 25)} km/h</div>\n                </div>
             `;
             trackingList.appendChild(item);
         });
@@ -1359,22 +1256,16 @@ class CityBusTracker {
         const vehiclesArray = Array.from(this.vehicles.values());
         const onlineBuses = vehiclesArray.length;
         const uniqueRoutes = new Set(vehiclesArray.map(v => v.routeId)).size;
-        document.getElementById('activeBusesCount').textContent = onlineBuses;
-        document.getElementById('activeRoutesCount').textContent = uniqueRoutes;
-        document.getElementById('activeVehicles').textContent = onlineBuses;
+        const activeBuses = document.getElementById('activeBusesCount');
+        const activeRoutes = document.getElementById('activeRoutesCount');
+        if (activeBuses) activeBuses.textContent = onlineBuses;
+        if (activeRoutes) activeRoutes.textContent = uniqueRoutes;
     }
 
     // Distance helpers
     distanceFromUserKm(lat, lng) {
-        if (!this.userLocation || this.userLocation.lat == null || this.userLocation.lng == null) return null;
-        const R = 6371; // km
-        const dLat = (lat - this.userLocation.lat) * Math.PI / 180;
-        const dLon = (lng - this.userLocation.lng) * Math.PI / 180;
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                  Math.cos(this.userLocation.lat * Math.PI / 180) * Math.cos(lat * Math.PI / 180) *
-                  Math.sin(dLon/2) * Math.sin(dLon/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c;
+        if (!this.userLocation) return null;
+        return this.calculateDistance(this.userLocation[0], this.userLocation[1], lat, lng);
     }
 
     formatDistance(km) {
@@ -1388,21 +1279,18 @@ class CityBusTracker {
 
     // Find nearest bus
     findNearestBus() {
-        if (!this.userLocation) return;
+        const nearestBusInfo = document.getElementById('nearestBusInfo');
+        if (!nearestBusInfo || !this.userLocation) return;
 
-        const busData = this.generateMockBusData();
         let nearestBus = null;
         let minDistance = Infinity;
 
-        busData.forEach(bus => {
-            const distance = this.calculateDistance(
-                this.userLocation.lat, this.userLocation.lng,
-                bus.lat, bus.lng
-            );
+        this.vehicles.forEach(vehicle => {
+            const distance = this.distanceFromUserKm(vehicle.lat, vehicle.lng);
             
             if (distance < minDistance) {
                 minDistance = distance;
-                nearestBus = bus;
+                nearestBus = vehicle;
             }
         });
 
@@ -1411,8 +1299,7 @@ class CityBusTracker {
                 `${Math.round(minDistance * 1000)}m away` : 
                 `${minDistance.toFixed(1)}km away`;
             
-            document.getElementById('nearestBusInfo').textContent = 
-                `${nearestBus.number} - ${distanceText}`;
+            nearestBusInfo.textContent = `${nearestBus.number || nearestBus.id} - ${distanceText}`;
         }
     }
 
@@ -1428,39 +1315,6 @@ class CityBusTracker {
         return R * c;
     }
 
-    // Update tracking list
-    updateTrackingList(busData) {
-        const trackingList = document.getElementById('trackingList');
-        trackingList.innerHTML = '';
-
-        busData.forEach(bus => {
-            const item = document.createElement('div');
-            item.className = `tracking-item ${bus.status}`;
-            item.innerHTML = `
-                <div class="tracking-bus-info">
-                    <div class="tracking-bus-number">${bus.number}</div>
-                    <div class="tracking-bus-route">${bus.route}</div>
-                    <div class="tracking-bus-location">${bus.nextStop}</div>
-                </div>
-                <div class="tracking-bus-status">
-                    <div class="tracking-status-indicator ${bus.status}"></div>
-                    <div class="tracking-speed">${bus.speed} km/h</div>
-                </div>
-            `;
-            trackingList.appendChild(item);
-        });
-    }
-
-    // Update tracking stats
-    updateTrackingStats(busData) {
-        const onlineBuses = busData.filter(bus => bus.status === 'online').length;
-        const uniqueRoutes = [...new Set(busData.map(bus => bus.route))].length;
-        
-        document.getElementById('activeBusesCount').textContent = onlineBuses;
-        document.getElementById('activeRoutesCount').textContent = uniqueRoutes;
-        document.getElementById('activeVehicles').textContent = onlineBuses;
-    }
-
     // Switch tabs
     switchTab(tabName) {
         document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
@@ -1473,10 +1327,18 @@ class CityBusTracker {
         if (tabName === 'tracking' && !this.isTracking) {
             this.startTracking();
         }
+
+        if (tabName === 'approvals') this.loadApprovalQueue();
+        if (tabName === 'fleet') this.loadFleetTab();
     }
 
     // Show settings modal
     showSettingsModal() {
+        this.renderLinkedAccounts();
+        this.renderPermissionsMatrix();
+        this.loadRouteGeometrySettings();
+        this.loadSimulationSettings();
+        this.renderDataServerStatus();
         document.getElementById('settingsModal').classList.add('active');
     }
 
@@ -1489,8 +1351,10 @@ class CityBusTracker {
     refreshData() {
         this.showLoading();
         setTimeout(() => {
-            this.updateVehiclePositions();
+            this.updateBusPositions();
+            this.updateScheduleStatuses();
             this.updateUI();
+            this.refreshFleetViews();
             this.hideLoading();
         }, 1000);
     }
@@ -1502,6 +1366,12 @@ class CityBusTracker {
             return;
         }
 
+        // "Amritsar to Patiala" hands over to the journey planner
+        const journeyMatch = query.match(/^(.+?)\s+to\s+(.+)$/i);
+        if (journeyMatch && this.planJourneyFromSearch(journeyMatch[1], journeyMatch[2])) {
+            return;
+        }
+
         const results = [];
         const lowerQuery = query.toLowerCase();
 
@@ -1526,10 +1396,10 @@ class CityBusTracker {
             item.className = 'route-item';
             item.innerHTML = `
                 <div class="route-header">
-                    <span class="route-number">${route.number}</span>
+                    <span class="route-number">${escapeHtml(route.number)}</span>
                     <span class="route-status on-time">Active</span>
                 </div>
-                <div class="route-details">${route.name}</div>
+                <div class="route-details">${escapeHtml(route.name)}</div>
             `;
             routeList.appendChild(item);
         });
@@ -1537,33 +1407,44 @@ class CityBusTracker {
 
     // Start real-time updates
     startRealTimeUpdates() {
+        this.restartFleetUpdates();
+    }
+
+    // (Re)start the single fleet ticker. Tracking modes only change how often
+    // it runs; every view is refreshed from the same this.vehicles state.
+    restartFleetUpdates() {
+        this.stopFleetUpdates();
+
+        const stepSeconds = (this.isTracking || this.isPunjabTracking) ? 3 : this.updateFrequency;
         this.updateInterval = setInterval(() => {
-            this.updateVehiclePositions();
+            this.updateBusPositions(stepSeconds);
+            this.updateScheduleStatuses();
+            this.updateStreamStatus();
+            this.recordFleetHistory();
+            this.trackPredictions();
             this.updateUI();
+            this.refreshFleetViews();
             this.updateLastUpdate();
-        }, this.updateFrequency * 1000);
+        }, stepSeconds * 1000);
     }
 
-    // Update vehicle positions
-    updateVehiclePositions() {
-        this.vehicles.forEach(vehicle => {
-            const movement = this.calculateVehicleMovement(vehicle);
-            vehicle.lat += movement.lat;
-            vehicle.lng += movement.lng;
-            vehicle.speed = Math.max(0, vehicle.speed + (Math.random() - 0.5) * 5);
-            vehicle.lastUpdate = new Date();
-        });
+    stopFleetUpdates() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
     }
 
-    // Calculate vehicle movement
-    calculateVehicleMovement(vehicle) {
-        const speed = vehicle.speed / 3600;
-        const heading = vehicle.heading * Math.PI / 180;
-        
-        return {
-            lat: speed * Math.cos(heading) * 0.01,
-            lng: speed * Math.sin(heading) * 0.01
-        };
+    // Redraw everything that shows where buses are
+    refreshFleetViews() {
+        // During replay the markers show the past, not the live fleet
+        if (!this.replay) this.updateBusMarkersOnMap();
+        this.updateTrackingListFromVehicles();
+        this.updateTrackingStatsFromVehicles();
+        this.findNearestBus();
+        this.loadDistanceTracker();
+        this.updateUserLocationDisplay();
+        this.renderDriverConsole();
     }
 
     // Update UI elements
@@ -1577,6 +1458,8 @@ class CityBusTracker {
         this.loadAlertsList();
         this.loadTicketsList();
         this.loadFeedbackUI();
+        this.loadAnalyticsReport();
+        this.loadJourneyPlanner();
         this.loadDashboardData();
     }
 
@@ -1598,10 +1481,10 @@ class CityBusTracker {
             item.className = 'route-item';
             item.innerHTML = `
                 <div class="route-header">
-                    <span class="route-number">${route.number}</span>
+                    <span class="route-number">${escapeHtml(route.number)}</span>
                     <span class="route-status on-time">${activeVehicles} active</span>
                 </div>
-                <div class="route-details">${route.name}</div>
+                <div class="route-details">${escapeHtml(route.name)}</div>
             `;
             routeList.appendChild(item);
         });
@@ -1610,40 +1493,9 @@ class CityBusTracker {
     // Load arrivals list
     loadArrivalsList() {
         const arrivalsList = document.getElementById('arrivalsList');
-        arrivalsList.innerHTML = '';
-
-        const arrivals = this.generateMockArrivals();
-        
-        arrivals.forEach(arrival => {
-            const item = document.createElement('div');
-            item.className = 'arrival-item';
-            item.innerHTML = `
-                <div>
-                    <div class="arrival-time">${arrival.time}</div>
-                    <div class="route-details">${arrival.route} to ${arrival.destination}</div>
-                </div>
-                <div class="route-status ${arrival.status}">${arrival.status}</div>
-            `;
-            arrivalsList.appendChild(item);
-        });
-    }
+        if (!arrivalsList) return;
 
-    // Generate mock arrivals
-    generateMockArrivals() {
-        const arrivals = [];
-        const now = new Date();
-        
-        this.routes.forEach(route => {
-            const baseTime = new Date(now.getTime() + Math.random() * 30 * 60000);
-            arrivals.push({
-                time: baseTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-                route: route.number,
-                destination: route.stops[route.stops.length - 1].name,
-                status: Math.random() > 0.8 ? 'delayed' : 'on-time'
-            });
-        });
-
-        return arrivals.sort((a, b) => new Date(a.time) - new Date(b.time)).slice(0, 5);
+        this.renderArrivals(arrivalsList, this.getUpcomingArrivals());
     }
 
     // Load stops list
@@ -1658,7 +1510,8 @@ class CityBusTracker {
                 item.className = 'stop-item';
                 item.innerHTML = `
                     <div>
-                        <div class="route-details">${stop.name}</div>
+                        <div class="route-details">${escapeHtml(stop.name)}</div>
+                        <div class="stop-routes">${escapeHtml(this.describeStopRoutes(stop))}</div>
                         <div class="stop-distance">${stop.distance.toFixed(1)} km away</div>
                     </div>
                     <i class="fas fa-chevron-right"></i>
@@ -1670,7 +1523,7 @@ class CityBusTracker {
         }
     }
 
-    // Find nearby stops
+    // Stops within 2 km, nearest first; a stand served by several routes is one stop
     findNearbyStops() {
         if (!this.userLocation) return [];
 
@@ -1733,7 +1586,7 @@ class CityBusTracker {
 
 
 
-    handleUserRegistration() {
+    async handleUserRegistration() {
         const name = document.getElementById('regUserName').value;
         const email = document.getElementById('regUserEmail').value;
         const mobile = document.getElementById('regUserMobile').value;
@@ -1747,13 +1600,10 @@ class CityBusTracker {
             return;
         }
 
-        if (password !== confirmPassword) {
-            this.showError('Passwords do not match');
-            return;
-        }
-
-        if (password.length < 6) {
-            this.showError('Password must be at least 6 characters long');
+        // Same rules as a password reset (password-reset.js)
+        const passwordProblem = checkNewPassword(password, confirmPassword);
+        if (passwordProblem) {
+            this.showError(passwordProblem);
             return;
         }
 
@@ -1762,15 +1612,6 @@ class CityBusTracker {
             return;
         }
 
-        // Check if user already exists
-        const existingUsers = JSON.parse(localStorage.getItem('registeredUsers') || '[]');
-        const userExists = existingUsers.find(user => user.email === email);
-        
-        if (userExists) {
-            this.showError('User with this email already exists');
-            return;
-        }
-
         // Create new user
         const newUser = {
             id: 'user_' + Date.now(),
@@ -1778,19 +1619,23 @@ class CityBusTracker {
             name: name,
             email: email,
             mobile: mobile,
-            password: password, // In real app, this should be hashed
+            password: password, // stored only as a salted hash by the data store
             createdAt: new Date().toISOString()
         };
 
-        // Save to localStorage
-        existingUsers.push(newUser);
-        localStorage.setItem('registeredUsers', JSON.stringify(existingUsers));
+        // Save to the data store (rejects duplicate emails)
+        try {
+            await this.data.create('users', newUser);
+        } catch (error) {
+            this.showError(error.status === 409 ? 'User with this email already exists' : error.message);
+            return;
+        }
 
         this.showSuccess('Account created successfully! You can now login.');
         this.hideRegistrationModal();
     }
 
-    handleDriverRegistration() {
+    async handleDriverRegistration() {
         const name = document.getElementById('regDriverName').value;
         const email = document.getElementById('regDriverEmail').value;
         const mobile = document.getElementById('regDriverMobile').value;
@@ -1806,13 +1651,10 @@ class CityBusTracker {
             return;
         }
 
-        if (password !== confirmPassword) {
-            this.showError('Passwords do not match');
-            return;
-        }
-
-        if (password.length < 6) {
-            this.showError('Password must be at least 6 characters long');
+        // Same rules as a password reset (password-reset.js)
+        const passwordProblem = checkNewPassword(password, confirmPassword);
+        if (passwordProblem) {
+            this.showError(passwordProblem);
             return;
         }
 
@@ -1821,12 +1663,12 @@ class CityBusTracker {
             return;
         }
 
-        // Check if driver already exists
-        const existingDrivers = JSON.parse(localStorage.getItem('registeredDrivers') || '[]');
-        const driverExists = existingDrivers.find(driver => driver.email === email || driver.license === license);
-        
-        if (driverExists) {
-            this.showError('Driver with this email or license already exists');
+        // Scans of the license and ID for the reviewer
+        let documents;
+        try {
+            documents = await this.readDriverDocuments(document.getElementById('regDriverDocuments').files);
+        } catch (error) {
+            this.showError(error.message);
             return;
         }
 
@@ -1839,14 +1681,19 @@ class CityBusTracker {
             mobile: mobile,
             license: license,
             experience: experience,
-            password: password, // In real app, this should be hashed
-            status: 'pending', // pending, approved, rejected
+            documents: documents,
+            password: password, // stored only as a salted hash by the data store
+            status: 'pending', // pending, approved, rejected (see driver-review.js)
             createdAt: new Date().toISOString()
         };
 
-        // Save to localStorage
-        existingDrivers.push(newDriver);
-        localStorage.setItem('registeredDrivers', JSON.stringify(existingDrivers));
+        // Save to the data store (rejects duplicate emails and licenses)
+        try {
+            await this.data.create('drivers', newDriver);
+        } catch (error) {
+            this.showError(error.status === 409 ? 'Driver with this email or license already exists' : error.message);
+            return;
+        }
 
         this.showSuccess('Driver registration submitted successfully! Your account will be reviewed by admin.');
         this.hideRegistrationModal();
@@ -1877,7 +1724,7 @@ class CityBusTracker {
         document.getElementById(`${method}Method`).classList.add('active');
     }
 
-    handleUserLogin(method) {
+    async handleUserLogin(method) {
         let email, password, mobile, otp;
 
         switch(method) {
@@ -1897,60 +1744,49 @@ class CityBusTracker {
                     return;
                 }
                 break;
-            case 'social':
-                email = document.getElementById('socialEmail').value;
-                if (!email) {
-                    this.showError('Please enter your email');
-                    return;
-                }
-                break;
         }
 
-        // Check registered users first
-        const registeredUsers = JSON.parse(localStorage.getItem('registeredUsers') || '[]');
-        
-        if (method === 'email') {
-            const user = registeredUsers.find(u => u.email === email && u.password === password);
-            if (user) {
-                this.loginSuccess({
-                    type: 'user',
-                    name: user.name,
-                    email: user.email,
-                    method: method,
-                    id: user.id
-                });
-                return;
-            }
+        const remember = document.getElementById('rememberUser').checked;
+
+        if (method === 'mobile') {
+            await this.handleMobileLogin(mobile, otp, remember);
+            return;
         }
 
-        // Demo login validation (fallback)
-        if (method === 'email' && email === 'user@demo.com' && password === 'password123') {
+        const login = await this.authenticateAccount('users', { email, password }, remember);
+        if (login) {
             this.loginSuccess({
                 type: 'user',
-                name: 'Demo User',
-                email: email,
-                method: method
-            });
-        } else if (method === 'mobile' && mobile === '1234567890' && otp === '123456') {
-            this.loginSuccess({
-                type: 'user',
-                name: 'Mobile User',
-                email: `${mobile}@mobile.com`,
-                method: method
-            });
-        } else if (method === 'social' && email) {
-            this.loginSuccess({
-                type: 'user',
-                name: 'Social User',
-                email: email,
-                method: method
-            });
+                name: login.account.name,
+                email: login.account.email,
+                role: login.account.role,
+                method: method,
+                id: login.account.id
+            }, { session: login.session });
         } else {
             this.showError('Invalid credentials. Please check your email and password or register a new account.');
         }
     }
 
-    handleDriverLogin() {
+    // Mobile + OTP login: the code texted by sendOTP() signs in the account
+    // registered with that mobile number
+    async handleMobileLogin(mobile, otp, remember) {
+        const login = await this.authenticateAccount('users', { mobile, otp }, remember);
+        if (!login) {
+            this.showError('Invalid mobile number or OTP');
+            return;
+        }
+        this.loginSuccess({
+            type: 'user',
+            name: login.account.name,
+            email: login.account.email,
+            role: login.account.role,
+            method: 'mobile',
+            id: login.account.id
+        }, { session: login.session });
+    }
+
+    async handleDriverLogin() {
         const busNumber = document.getElementById('busNumber').value;
         const driverName = document.getElementById('driverName').value;
         const password = document.getElementById('driverPassword').value;
@@ -1960,62 +1796,55 @@ class CityBusTracker {
             return;
         }
 
-        // Check registered drivers first
-        const registeredDrivers = JSON.parse(localStorage.getItem('registeredDrivers') || '[]');
-        const driver = registeredDrivers.find(d => 
-            d.name === driverName && 
-            d.password === password && 
-            d.status === 'approved'
-        );
+        // Only approved drivers can log in; the others are told why
+        const remember = document.getElementById('rememberDriver').checked;
+        const login = await this.authenticateAccount('drivers', { name: driverName, password }, remember);
 
-        if (driver) {
+        if (login) {
             this.loginSuccess({
                 type: 'driver',
-                name: driver.name,
-                email: driver.email,
-                license: driver.license,
-                experience: driver.experience,
-                id: driver.id
-            });
+                name: login.account.name,
+                email: login.account.email,
+                role: login.account.role,
+                license: login.account.license,
+                experience: login.account.experience,
+                id: login.account.id,
+                busNumber: busNumber
+            }, { session: login.session });
             return;
         }
 
-        // Demo driver validation (fallback)
-        if (busNumber === 'BUS-001' && driverName === 'John Driver' && password === 'driver123') {
-            this.loginSuccess({
-                type: 'driver',
-                name: driverName,
-                busNumber: busNumber,
-                route: 'Route 101 - Downtown Express'
-            });
-        } else {
-            this.showError('Invalid driver credentials or account not approved. Please check your details or contact admin.');
-        }
+        if (login === null) this.showError('Invalid driver credentials. Please check your details or contact admin.');
     }
 
-    handleAdminLogin() {
+    async handleAdminLogin() {
         const username = document.getElementById('adminUsername').value;
         const password = document.getElementById('adminPassword').value;
-        const code = document.getElementById('adminCode').value;
 
         if (!username || !password) {
             this.showError('Please fill in username and password');
             return;
         }
 
-        // Demo admin validation
-        if (username === 'admin' && password === 'admin123') {
-            this.loginSuccess({
-                type: 'admin',
-                name: 'System Administrator',
-                username: username,
-                permissions: ['manage_routes', 'manage_vehicles', 'view_analytics']
-            });
+        const remember = document.getElementById('rememberAdmin').checked;
+        const login = await this.authenticateAccount('admins', { username, password }, remember);
+        if (login) {
+            this.adminLoginSuccess(login);
         } else {
-            this.showError('Invalid admin credentials. Use: admin / admin123');
+            this.showError('Invalid admin credentials');
         }
     }
 
+    adminLoginSuccess(login) {
+        this.loginSuccess({
+            type: 'admin',
+            name: login.account.name,
+            username: login.account.username,
+            role: login.account.role,
+            id: login.account.id
+        }, { session: login.session });
+    }
+
 
 
     // Right side sign-in handlers
@@ -2045,7 +1874,7 @@ class CityBusTracker {
         document.getElementById(`right${signinType.charAt(0).toUpperCase() + signinType.slice(1)}Panel`).classList.add('active');
     }
 
-    handleRightUserLogin() {
+    async handleRightUserLogin() {
         const email = document.getElementById('rightUserEmail').value;
         const password = document.getElementById('rightUserPassword').value;
 
@@ -2054,35 +1883,24 @@ class CityBusTracker {
             return;
         }
 
-        // Check registered users first
-        const registeredUsers = JSON.parse(localStorage.getItem('registeredUsers') || '[]');
-        const user = registeredUsers.find(u => u.email === email && u.password === password);
+        const login = await this.authenticateAccount('users', { email, password });
         
-        if (user) {
+        if (login) {
             this.loginSuccess({
                 type: 'user',
-                name: user.name,
-                email: user.email,
+                name: login.account.name,
+                email: login.account.email,
+                role: login.account.role,
                 method: 'right-panel',
-                id: user.id
-            });
+                id: login.account.id
+            }, { session: login.session });
             return;
         }
 
-        // Demo login validation (fallback)
-        if (email === 'user@demo.com' && password === 'password123') {
-            this.loginSuccess({
-                type: 'user',
-                name: 'Demo User',
-                email: email,
-                method: 'right-panel'
-            });
-        } else {
-            this.showError('Invalid credentials. Please check your email and password.');
-        }
+        this.showError('Invalid credentials. Please check your email and password.');
     }
 
-    handleRightDriverLogin() {
+    async handleRightDriverLogin() {
         const driverName = document.getElementById('rightDriverName').value;
         const password = document.getElementById('rightDriverPassword').value;
 
@@ -2091,40 +1909,27 @@ class CityBusTracker {
             return;
         }
 
-        // Check registered drivers first
-        const registeredDrivers = JSON.parse(localStorage.getItem('registeredDrivers') || '[]');
-        const driver = registeredDrivers.find(d => 
-            d.name === driverName && 
-            d.password === password && 
-            d.status === 'approved'
-        );
+        // Only approved drivers can log in; the others are told why
+        const login = await this.authenticateAccount('drivers', { name: driverName, password });
 
-        if (driver) {
+        if (login) {
             this.loginSuccess({
                 type: 'driver',
-                name: driver.name,
-                email: driver.email,
-                license: driver.license,
-                experience: driver.experience,
-                id: driver.id
-            });
+                name: login.account.name,
+                email: login.account.email,
+                role: login.account.role,
+                license: login.account.license,
+                experience: login.account.experience,
+                id: login.account.id,
+                busNumber: login.account.busNumber
+            }, { session: login.session });
             return;
         }
 
-        // Demo driver validation (fallback)
-        if (driverName === 'John Driver' && password === 'driver123') {
-            this.loginSuccess({
-                type: 'driver',
-                name: driverName,
-                busNumber: 'BUS-001',
-                route: 'Route 101 - Downtown Express'
-            });
-        } else {
-            this.showError('Invalid driver credentials or account not approved.');
-        }
+        if (login === null) this.showError('Invalid driver credentials.');
     }
 
-    handleRightAdminLogin() {
+    async handleRightAdminLogin() {
         const username = document.getElementById('rightAdminUsername').value;
         const password = document.getElementById('rightAdminPassword').value;
 
@@ -2133,50 +1938,175 @@ class CityBusTracker {
             return;
         }
 
-        // Demo admin validation
-        if (username === 'admin' && password === 'admin123') {
-            this.loginSuccess({
-                type: 'admin',
-                name: 'System Administrator',
-                username: username,
-                permissions: ['manage_routes', 'manage_vehicles', 'view_analytics']
-            });
+        const login = await this.authenticateAccount('admins', { username, password });
+        if (login) {
+            this.adminLoginSuccess(login);
         } else {
-            this.showError('Invalid admin credentials. Use: admin / admin123');
+            this.showError('Invalid admin credentials');
         }
     }
 
-    sendOTP() {
+    async sendOTP() {
         const mobile = document.getElementById('userMobile').value;
         if (!mobile) {
             this.showError('Please enter your mobile number');
             return;
         }
 
-        // Simulate OTP sending
-        this.showSuccess('OTP sent to your mobile number');
+        let sent;
+        try {
+            sent = await this.data.requestOtp(mobile);
+        } catch (error) {
+            this.showError('Could not send the OTP: ' + error.message);
+            return;
+        }
+        this.showSuccess(`If ${mobile} belongs to an account, an OTP is on its way. It expires in ` +
+            `${Math.round((sent.expiresAt - Date.now()) / 60000)} minutes.`);
         document.getElementById('userOTP').focus();
+
+        // The server refuses a new code before resendAt anyway
+        const button = document.getElementById('sendOTP');
+        button.disabled = true;
+        clearTimeout(this.otpResendTimer);
+        this.otpResendTimer = setTimeout(() => {
+            button.disabled = false;
+            button.innerHTML = '<i class="fas fa-paper-plane"></i> Resend OTP';
+        }, Math.max(0, sent.resendAt - Date.now()));
     }
 
-    handleSocialLogin(provider) {
-        // Simulate social login
-        this.showSuccess(`Redirecting to ${provider}...`);
-        setTimeout(() => {
-            this.loginSuccess({
-                type: 'user',
-                name: `${provider.charAt(0).toUpperCase() + provider.slice(1)} User`,
-                email: `user@${provider}.com`,
-                method: provider
-            });
-        }, 1500);
+    // Without the data server there is no SMS gateway: the text a phone would
+    // receive is shown on this screen instead
+    showLocalSms(mobile, text) {
+        const notification = document.createElement('div');
+        notification.className = 'notification sms';
+        notification.innerHTML = `
+            <i class="fas fa-sms"></i>
+            <span>SMS to ${escapeHtml(mobile)}: ${linkifyMessage(text)}</span>
+        `;
+        this.showNotification(notification, 15000);
+    }
+
+    // Social sign-in: the data server runs the OpenID Connect flow with the
+    // provider, which sends the browser back here (see completeSocialLogin).
+    // With link the provider is added to the signed-in passenger instead.
+    async handleSocialLogin(provider, { link = false } = {}) {
+        const remember = document.getElementById('rememberUser').checked;
+        let url;
+        try {
+            url = await this.data.startSocialLogin(provider, { returnTo: location.href.split('#')[0], remember, link });
+        } catch (error) {
+            this.showError('Social sign-in failed: ' + error.message);
+            return;
+        }
+        location.assign(url);
+    }
+
+    // Only offer the providers the server is configured for
+    async setupSocialProviders() {
+        try {
+            this.socialProviders = await this.data.getSocialProviders();
+        } catch (error) {
+            console.error('Social sign-in providers could not be loaded:', error);
+            this.socialProviders = [];
+        }
+
+        const available = new Set(this.socialProviders.map(provider => provider.id));
+        document.querySelectorAll('.social-btn').forEach(btn => {
+            btn.classList.toggle('hidden', !available.has(btn.classList[1]));
+        });
+        const status = document.getElementById('socialStatus');
+        if (status) {
+            status.textContent = available.size > 0 ? ''
+                : this.data.online ? 'Social sign-in is not set up on this server.' : 'Social sign-in needs the data server.';
+        }
+    }
+
+    // Back from a provider, the URL fragment holds a ticket for a session or
+    // an error. Resolves to true when someone was logged in.
+    async completeSocialLogin() {
+        const params = new URLSearchParams(location.hash.slice(1));
+        const ticket = params.get('oauth_ticket');
+        const error = params.get('oauth_error');
+        if (!ticket && !error) return false;
+
+        // Keep the ticket out of the history and bookmarks
+        history.replaceState(null, '', location.pathname + location.search);
+        if (error) {
+            this.showError('Social sign-in failed: ' + error);
+            return false;
+        }
+
+        let login;
+        try {
+            login = await this.data.completeSocialLogin(ticket);
+        } catch (e) {
+            this.showError('Social sign-in failed: ' + e.message);
+            return false;
+        }
+
+        const provider = this.socialProviders.find(candidate => candidate.id === login.provider);
+        await this.loginSuccess({
+            type: 'user',
+            name: login.account.name,
+            email: login.account.email,
+            role: login.account.role,
+            method: login.provider,
+            id: login.account.id
+        }, { session: login.session });
+        if (login.link) this.showSuccess(`${provider ? provider.name : login.provider} is now linked to your account`);
+        return true;
+    }
+
+    // Settings → Linked Sign-in: which providers can log in this passenger
+    async renderLinkedAccounts() {
+        const group = document.getElementById('linkedAccountsGroup');
+        const list = document.getElementById('linkedAccounts');
+        if (!group || !list) return;
+
+        const show = this.userType === 'user' && !!this.currentUser.id && this.data.online && this.socialProviders.length > 0;
+        group.classList.toggle('hidden', !show);
+        if (!show) return;
+
+        let account;
+        try {
+            account = await this.data.get('users', this.currentUser.id);
+        } catch (error) {
+            list.innerHTML = `<div class="text-muted">Linked accounts could not be loaded: ${escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        const linked = new Set((account.identities || []).map(identity => identity.provider));
+        list.innerHTML = this.socialProviders.map(provider => linked.has(provider.id)
+            ? `<span class="linked-account"><i class="fas fa-check"></i> ${provider.name}</span>`
+            : `<button class="btn btn-sm btn-secondary" data-link-provider="${provider.id}">Link ${provider.name}</button>`
+        ).join('');
+        list.querySelectorAll('[data-link-provider]').forEach(btn => {
+            btn.addEventListener('click', () => this.handleSocialLogin(btn.dataset.linkProvider, { link: true }));
+        });
+    }
+
+    // Check credentials against the data store; resolves to { account, session }
+    // or null when they do not match. A store error (such as a driver who is
+    // not approved yet) is shown and resolves to false.
+    async authenticateAccount(collection, credentials, remember = false) {
+        try {
+            return await this.data.login(collection, credentials, { remember });
+        } catch (error) {
+            this.showError('Login failed: ' + error.message);
+            return false;
+        }
     }
 
-    loginSuccess(userData) {
+    // Accounts checked by the data store come with their session; the other
+    // logins (demo, OTP, social, admin) get one signed on this device
+    async loginSuccess(userData, { session = null, remember = false } = {}) {
+        if (!session) session = await this.data.createLocalSession(userData, { remember });
+
         this.currentUser = userData;
         this.userType = userData.type;
         
-        // Save to localStorage
-        localStorage.setItem('currentUser', JSON.stringify(userData));
+        // Remember the session on this device until it expires or logout
+        this.data.setSession(userData, session);
         
         this.showSuccess(`Welcome, ${userData.name}!`);
         
@@ -2201,29 +2131,41 @@ class CityBusTracker {
 
     async initializeApp() {
         this.showLoading();
+        await this.fetchFavorites();
         await this.initializeMap();
+        this.simulator = new FleetSimulator(this, this.getSimulationSettings());
         this.loadMockData();
         this.startRealTimeUpdates();
+        this.startLiveFeed();
+        this.startLiveStream();
+        this.applyPermissions();
+        this.showDriverConsole();
+        if (this.can('approve_drivers')) this.loadApprovalQueue();
         this.hideLoading();
         this.updateLastUpdate();
     }
 
     logout() {
+        // A driver's bus goes back to the fleet
+        this.endDriverShift();
+
         // Clear user data
         this.currentUser = null;
         this.userType = null;
-        localStorage.removeItem('currentUser');
+        this.favorites = [];
+        this.data.clearSession();
         
         // Stop updates
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-        }
+        this.stopFleetUpdates();
         
-        // Stop Punjab GPS tracking
-        if (this.punjabTrackingInterval) {
-            clearInterval(this.punjabTrackingInterval);
-            this.punjabTrackingInterval = null;
-        }
+        // Stop polling the live feed and the server stream
+        this.stopLiveFeed();
+        this.stopLiveStream();
+        if (this.replay) this.stopReplay();
+        
+        // Reset tracking modes
+        this.isTracking = false;
+        this.isBusTracking = false;
         this.isPunjabTracking = false;
         
         // Hide app container
@@ -2256,7 +2198,7 @@ class CityBusTracker {
         notification.className = 'notification error';
         notification.innerHTML = `
             <i class="fas fa-exclamation-circle"></i>
-            <span>${message}</span>
+            <span>${escapeHtml(message)}</span>
         `;
         this.showNotification(notification);
     }
@@ -2267,12 +2209,12 @@ class CityBusTracker {
         notification.className = 'notification success';
         notification.innerHTML = `
             <i class="fas fa-check-circle"></i>
-            <span>${message}</span>
+            <span>${escapeHtml(message)}</span>
         `;
         this.showNotification(notification);
     }
 
-    showNotification(notification) {
+    showNotification(notification, duration = 3000) {
         // Add notification styles if not already added
         if (!document.getElementById('notificationStyles')) {
             const style = document.createElement('style');
@@ -2300,6 +2242,15 @@ class CityBusTracker {
                     background: rgba(34, 197, 94, 0.9);
                     border: 1px solid #16a34a;
                 }
+                .notification.sms,
+                .notification.email {
+                    background: rgba(59, 130, 246, 0.9);
+                    border: 1px solid #2563eb;
+                }
+                .notification a {
+                    color: inherit;
+                    word-break: break-all;
+                }
                 @keyframes slideInRight {
                     from { transform: translateX(100%); opacity: 0; }
                     to { transform: translateX(0); opacity: 1; }
@@ -2310,10 +2261,10 @@ class CityBusTracker {
 
         document.body.appendChild(notification);
 
-        // Remove notification after 3 seconds
+        // Remove notification after 3 seconds (or the given time)
         setTimeout(() => {
             notification.remove();
-        }, 3000);
+        }, duration);
     }
 
     // Update last update time
@@ -2417,17 +2368,20 @@ class CityBusTracker {
 
     // Show report issue modal
     showReportIssueModal() {
+        if (!this.requirePermission('send_feedback')) return;
         const issue = prompt('Please describe the issue you encountered:');
         if (issue && issue.trim()) {
-            this.feedback.push({
-                id: Date.now(),
+            const report = {
+                id: 'fb_' + Date.now(),
                 user: this.currentUser?.name || 'Anonymous',
                 issue: issue.trim(),
                 timestamp: new Date().toISOString(),
                 status: 'pending'
-            });
-            localStorage.setItem('feedback', JSON.stringify(this.feedback));
-            this.showSuccess('Issue reported successfully. Thank you for your feedback!');
+            };
+            this.data.create('feedback', report).then(() => {
+                this.feedback.push(report);
+                this.showSuccess('Issue reported successfully. Thank you for your feedback!');
+            }).catch(error => this.showError('Could not report the issue: ' + error.message));
         }
     }
 
@@ -2437,44 +2391,59 @@ class CityBusTracker {
         this.updateUI();
     }
 
-    // Load schedule list
+    // Load schedule list: the next departures from today's timetable
     loadScheduleList() {
         const scheduleList = document.getElementById('scheduleList');
         scheduleList.innerHTML = '';
 
-        const schedules = this.generateMockSchedules();
-        
-        schedules.forEach(schedule => {
+        const now = new Date(this.getCurrentTime());
+        const service = document.getElementById('scheduleService');
+        if (service) service.textContent = this.describeServiceDay(now);
+
+        const departures = this.getUpcomingDepartures(now);
+        if (departures.length === 0) {
+            scheduleList.innerHTML = '<div class="text-muted">No more departures today</div>';
+            return;
+        }
+
+        departures.forEach(({ route, trip, departure, minutes }) => {
             const item = document.createElement('div');
             item.className = 'schedule-item';
             item.innerHTML = `
                 <div>
-                    <div class="schedule-time">${schedule.time}</div>
-                    <div class="schedule-route">${schedule.route}</div>
+                    <div class="schedule-time">${formatServiceTime(departure)}</div>
+                    <div class="schedule-route">${escapeHtml(route.number)} - ${escapeHtml(route.name)}</div>
+                    <div class="schedule-route">${escapeHtml(this.describeRouteStop(route.stops[0]))} → ${escapeHtml(trip.headsign || route.stops[route.stops.length - 1].name)}</div>
                 </div>
-                <div class="route-status ${schedule.status}">${schedule.status}</div>
+                <div class="route-status scheduled">${minutes < 1 ? 'Departing' : `in ${minutes} min`}</div>
             `;
             scheduleList.appendChild(item);
         });
     }
 
-    // Generate mock schedules
-    generateMockSchedules() {
-        const schedules = [];
-        const now = new Date();
-        
+    // Today's departures still to come from the first stop of every route,
+    // soonest first
+    getUpcomingDepartures(now) {
+        const midnight = new Date(now);
+        midnight.setHours(0, 0, 0, 0);
+        const seconds = (now - midnight) / 1000;
+
+        const departures = [];
         this.routes.forEach(route => {
-            for (let i = 0; i < 3; i++) {
-                const baseTime = new Date(now.getTime() + (i + 1) * 30 * 60000);
-                schedules.push({
-                    time: baseTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-                    route: `${route.number} - ${route.name}`,
-                    status: Math.random() > 0.8 ? 'delayed' : 'on-time'
-                });
-            }
+            this.getTripsOnDate(route, midnight).forEach(trip => {
+                const departure = trip.stopTimes.length ? trip.stopTimes[0].departure : null;
+                if (departure === null || departure < seconds) return;
+                departures.push({ route, trip, departure, minutes: Math.floor((departure - seconds) / 60) });
+            });
         });
+        return departures.sort((a, b) => a.departure - b.departure).slice(0, CityBusTracker.scheduleDeparturesShown);
+    }
 
-        return schedules.sort((a, b) => new Date(a.time) - new Date(b.time)).slice(0, 8);
+    // "Monday, 19 October", or the holiday whose timetable runs that day
+    describeServiceDay(date) {
+        const holiday = holidayOn(this.holidays, date);
+        const day = date.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' });
+        return holiday ? `${day}: ${holiday} timetable` : day;
     }
 
     // Load favorites list
@@ -2494,8 +2463,8 @@ class CityBusTracker {
                 item.className = 'favorite-item';
                 item.innerHTML = `
                     <div>
-                        <div class="route-number">${route.number}</div>
-                        <div class="schedule-route">${route.name}</div>
+                        <div class="route-number">${escapeHtml(route.number)}</div>
+                        <div class="schedule-route">${escapeHtml(route.name)}</div>
                     </div>
                     <i class="fas fa-heart" style="color: #f87171;"></i>
                 `;
@@ -2591,9 +2560,16 @@ CityBusTracker.prototype.setupTicketBooking = function() {
         this.updateFare();
         this.updateBookingSummary();
     });
-    if (dateEl) dateEl.addEventListener('change', () => this.updateBookingSummary());
-    if (timeEl) timeEl.addEventListener('change', () => this.updateBookingSummary());
-    if (fromEl) fromEl.addEventListener('change', (e) => { this.selectedFromStopId = e.target.value; this.updateBookingSummary(); });
+    // The departures on offer depend on the route, the day and the pickup
+    // point, and the buses on the departure
+    if (dateEl) dateEl.addEventListener('change', () => { this.populateJourneyTimes(); this.loadAvailableBuses(); this.updateBookingSummary(); });
+    if (timeEl) timeEl.addEventListener('change', () => { this.loadAvailableBuses(); this.updateBookingSummary(); });
+    if (fromEl) fromEl.addEventListener('change', (e) => {
+        this.selectedFromStopId = e.target.value;
+        this.populateJourneyTimes();
+        this.loadAvailableBuses();
+        this.updateBookingSummary();
+    });
     if (toEl) toEl.addEventListener('change', (e) => { this.selectedToStopId = e.target.value; this.updateBookingSummary(); });
 
     // Payment tab listeners
@@ -2618,6 +2594,7 @@ CityBusTracker.prototype.setupTicketBooking = function() {
 };
 
 CityBusTracker.prototype.showTicketModal = function() {
+    if (!this.requirePermission('book_tickets')) return;
     const modal = document.getElementById('ticketModal');
     if (!modal) return;
     modal.classList.add('active');
@@ -2637,6 +2614,7 @@ CityBusTracker.prototype.showTicketModal = function() {
     }
 
     this.populateRoutesInModal();
+    this.populateJourneyTimes();
     this.loadAvailableBuses();
     this.updatePassengerForms();
     this.updateFare();
@@ -2662,9 +2640,9 @@ CityBusTracker.prototype.populateRoutesInModal = function() {
         card.dataset.id = route.id;
         card.innerHTML = `
             <div class="route-info">
-                <div class="route-number">${route.number}</div>
-                <div class="route-name">${route.name}</div>
-                <div class="route-stops">${stopsText}</div>
+                <div class="route-number">${escapeHtml(route.number)}</div>
+                <div class="route-name">${escapeHtml(route.name)}</div>
+                <div class="route-stops">${escapeHtml(stopsText)}</div>
             </div>
             <div class="route-price">
                 <span class="price">₹${basePrice}</span>
@@ -2676,6 +2654,8 @@ CityBusTracker.prototype.populateRoutesInModal = function() {
             card.classList.add('active');
             this.selectedRouteId = route.id;
             this.populateStopsForSelectedRoute();
+            this.populateJourneyTimes();
+            this.loadAvailableBuses();
             this.updateFare();
             this.updateBookingSummary();
         });
@@ -2693,15 +2673,19 @@ CityBusTracker.prototype.populateStopsForSelectedRoute = function() {
     const route = this.routes.get(this.selectedRouteId);
     if (!route) return;
 
+    // Stops other routes serve too are marked as places to change buses
     route.stops.forEach(stop => {
+        const others = this.describeStopRoutes(this.stops.get(stop.id), route.id);
+        const label = this.describeRouteStop(stop) + (others ? ` (change to ${others})` : '');
+
         const opt1 = document.createElement('option');
         opt1.value = stop.id;
-        opt1.textContent = stop.name;
+        opt1.textContent = label;
         fromEl.appendChild(opt1);
 
         const opt2 = document.createElement('option');
         opt2.value = stop.id;
-        opt2.textContent = stop.name;
+        opt2.textContent = label;
         toEl.appendChild(opt2);
     });
 };
@@ -2841,19 +2825,20 @@ CityBusTracker.prototype.updateBookingSummary = function() {
     const fromStop = route?.stops.find(s => s.id === this.selectedFromStopId);
     const toStop = route?.stops.find(s => s.id === this.selectedToStopId);
     const date = document.getElementById('journeyDate')?.value || '';
-    const time = document.getElementById('journeyTime')?.value || '';
+    const trip = this.getSelectedJourneyTrip();
+    const time = trip ? formatServiceTime(this.getBoardingTime(trip, this.selectedFromStopId)) : '';
     const seatType = this.selectedSeatType || 'general';
 
     const addRow = (label, value, isTotal = false) => {
         const div = document.createElement('div');
         div.className = 'summary-item' + (isTotal ? ' total' : '');
-        div.innerHTML = `<span>${label}</span><span>${value}</span>`;
+        div.innerHTML = `<span>${escapeHtml(label)}</span><span>${escapeHtml(value)}</span>`;
         summary.appendChild(div);
     };
 
     if (route) addRow('Route', `${route.number} - ${route.name}`);
-    if (fromStop) addRow('From', fromStop.name);
-    if (toStop) addRow('To', toStop.name);
+    if (fromStop) addRow('From', this.describeRouteStop(fromStop));
+    if (toStop) addRow('To', this.describeRouteStop(toStop));
     if (date) addRow('Date', date);
     if (time) addRow('Time', time);
     addRow('Seat Type', seatType.charAt(0).toUpperCase() + seatType.slice(1));
@@ -2869,7 +2854,7 @@ CityBusTracker.prototype.updateBookingSummary = function() {
     if (this.currentFare) addRow('Total Fare', `₹${this.currentFare.total}`, true);
 };
 
-CityBusTracker.prototype.confirmTicketBooking = function() {
+CityBusTracker.prototype.confirmTicketBooking = async function() {
     // Basic validation
     if (!this.selectedRouteId) return this.showError('Please select a route');
     if (!this.selectedFromStopId || !this.selectedToStopId) return this.showError('Please select From and To stops');
@@ -2884,12 +2869,7 @@ CityBusTracker.prototype.confirmTicketBooking = function() {
         }
     }
 
-    // Simulate booking success
-    this.showSuccess('Ticket booked successfully!');
-
-    // Optionally save to localStorage (mock)
-    const bookings = JSON.parse(localStorage.getItem('bookings') || '[]');
-    bookings.push({
+    const saved = await this.saveBooking({
         id: 'bk_' + Date.now(),
         routeId: this.selectedRouteId,
         fromStopId: this.selectedFromStopId,
@@ -2900,9 +2880,11 @@ CityBusTracker.prototype.confirmTicketBooking = function() {
         passengers: this.passengerFormsState,
         fare: this.currentFare
     });
-    localStorage.setItem('bookings', JSON.stringify(bookings));
+    if (!saved) return;
 
+    this.showSuccess('Ticket booked successfully!');
     this.hideTicketModal();
+    this.loadTicketsList();
 };
 
 // ---------------- Tickets Feature ----------------
@@ -2945,8 +2927,9 @@ CityBusTracker.prototype.setupFeedbackFeature = function() {
     // Submit feedback
     const form = document.getElementById('feedbackForm');
     if (form) {
-        form.addEventListener('submit', (e) => {
+        form.addEventListener('submit', async (e) => {
             e.preventDefault();
+            if (!this.requirePermission('send_feedback')) return;
             const busId = document.getElementById('feedbackBus').value;
             const rating = parseInt(document.getElementById('starRating').dataset.value || '0', 10);
             const text = document.getElementById('feedbackText').value.trim();
@@ -2961,8 +2944,13 @@ CityBusTracker.prototype.setupFeedbackFeature = function() {
                 text,
                 createdAt: new Date().toISOString()
             };
+            try {
+                await this.data.create('feedback', entry);
+            } catch (error) {
+                this.showError('Could not save feedback: ' + error.message);
+                return;
+            }
             this.feedback.push(entry);
-            localStorage.setItem('feedback', JSON.stringify(this.feedback));
             this.showSuccess('Thanks for your feedback!');
             document.getElementById('feedbackText').value = '';
             document.getElementById('starRating').dataset.value = '0';
@@ -2975,14 +2963,16 @@ CityBusTracker.prototype.loadFeedbackUI = function() {
     // Populate bus dropdown
     const busSelect = document.getElementById('feedbackBus');
     if (busSelect) {
+        const selected = busSelect.value;
         busSelect.innerHTML = '<option value="">Select Bus</option>';
         this.vehicles.forEach((v) => {
             const opt = document.createElement('option');
             opt.value = v.id;
             const route = this.routes.get(v.routeId);
-            opt.textContent = `${v.id} ${route ? '— ' + route.number : ''}`;
+            opt.textContent = `${v.number || v.id} ${route ? '— ' + route.number : ''}`;
             busSelect.appendChild(opt);
         });
+        if (this.vehicles.has(selected)) busSelect.value = selected;
     }
 
     // Render feedback list with averages per bus
@@ -3010,27 +3000,53 @@ CityBusTracker.prototype.loadFeedbackUI = function() {
         container.className = 'feedback-item';
         const meta = document.createElement('div');
         meta.className = 'meta';
-        meta.innerHTML = `<span>Bus: ${busId}</span><span>Avg: ${avg} ★ (${items.length})</span>`;
+        meta.innerHTML = `<span>Bus: ${escapeHtml(busId)}</span><span>Avg: ${avg} ★ (${items.length})</span>`;
         container.appendChild(meta);
 
         items.slice(-3).reverse().forEach(fb => {
             const text = document.createElement('div');
             text.className = 'text';
-            const stars = '★'.repeat(fb.rating) + '☆'.repeat(5 - fb.rating);
+            // Entries saved before the server checked them may have any rating
+            const rating = Math.max(0, Math.min(5, Math.round(Number(fb.rating)) || 0));
+            const stars = '★'.repeat(rating) + '☆'.repeat(5 - rating);
             const when = new Date(fb.createdAt).toLocaleString();
-            text.innerHTML = `<div>${stars} — <small>${when}</small></div>${fb.text ? fb.text : ''}`;
+            text.innerHTML = `<div>${stars} — <small>${escapeHtml(when)}</small></div>${fb.text ? escapeHtml(fb.text) : ''}`;
             container.appendChild(text);
         });
 
         list.appendChild(container);
     });
 };
-CityBusTracker.prototype.loadTicketsList = function() {
+// Store a booking for the signed-in passenger; resolves to the saved
+// booking, or null after showing the error
+CityBusTracker.prototype.saveBooking = async function(booking) {
+    try {
+        return await this.data.create('bookings', { ...booking, userId: this.currentUser?.id });
+    } catch (error) {
+        this.showError('Booking could not be saved: ' + error.message);
+        return null;
+    }
+};
+
+CityBusTracker.prototype.loadTicketsList = async function() {
     const listEl = document.getElementById('ticketsList');
     if (!listEl) return;
-    listEl.innerHTML = '';
 
-    const bookings = JSON.parse(localStorage.getItem('bookings') || '[]');
+    if (!this.can('book_tickets')) {
+        listEl.innerHTML = '';
+        return;
+    }
+
+    // Signed-in accounts only see their own tickets
+    let bookings;
+    try {
+        bookings = await this.data.list('bookings', this.currentUser?.id ? { userId: this.currentUser.id } : {});
+    } catch (error) {
+        listEl.innerHTML = `<div class="text-muted">Tickets could not be loaded: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    listEl.innerHTML = '';
     if (bookings.length === 0) {
         listEl.innerHTML = '<div class="text-muted">No tickets booked yet</div>';
         return;
@@ -3039,15 +3055,13 @@ CityBusTracker.prototype.loadTicketsList = function() {
     bookings
         .sort((a, b) => (b.date + ' ' + b.time).localeCompare(a.date + ' ' + a.time))
         .forEach(bk => {
-            const route = this.routes.get(bk.routeId);
-            const fromStop = route?.stops.find(s => s.id === bk.fromStopId)?.name || '-';
-            const toStop = route?.stops.find(s => s.id === bk.toStopId)?.name || '-';
+            const { title, fromStop, toStop } = this.describeBooking(bk);
             const item = document.createElement('div');
             item.className = 'ticket-item';
             item.innerHTML = `
                 <div class="left">
-                    <div class="ticket-route">${route ? route.number + ' - ' + route.name : 'Route'}</div>
-                    <div class="ticket-meta">${fromStop} → ${toStop} • ${bk.date} ${bk.time} • ${bk.passengers.length} pax</div>
+                    <div class="ticket-route">${escapeHtml(title)}</div>
+                    <div class="ticket-meta">${escapeHtml(fromStop)} → ${escapeHtml(toStop)} • ${escapeHtml(bk.date)} ${escapeHtml(bk.boardingTime || bk.time)} • ${bk.passengers.length} pax</div>
                 </div>
                 <div class="ticket-actions">
                     <button class="btn btn-secondary btn-sm btn-outline" data-action="view">View</button>
@@ -3063,23 +3077,32 @@ CityBusTracker.prototype.showTicketDetails = function(booking) {
     const body = document.getElementById('ticketDetailsBody');
     if (!modal || !body) return;
 
-    const route = this.routes.get(booking.routeId);
-    const fromStop = route?.stops.find(s => s.id === booking.fromStopId)?.name || '-';
-    const toStop = route?.stops.find(s => s.id === booking.toStopId)?.name || '-';
+    const { title, fromStop, toStop } = this.describeBooking(booking);
 
-    const passengersHtml = booking.passengers.map((p, i) => `<div>${i + 1}. ${p.name} (${p.mobile}) — Seat ${p.seat}</div>`).join('');
+    const passengersHtml = booking.passengers.map((p, i) => `<div>${i + 1}. ${escapeHtml(p.name)} (${escapeHtml(p.mobile)})${p.seat ? ` — Seat ${escapeHtml(p.seat)}` : ''}</div>`).join('');
+
+    // Multi-leg journeys list every ride and walk in order
+    const legsHtml = (booking.legs || []).map(leg => leg.type === 'walk'
+        ? `<div><i class="fas fa-walking"></i> Walk ${this.formatDistance(leg.distanceKm)} to ${escapeHtml(leg.to.name)}</div>`
+        : `<div><strong>${escapeHtml(leg.routeNumber)}</strong> ${this.formatClock(leg.departAt)} ${escapeHtml(leg.fromName)} → ${this.formatClock(leg.arriveAt)} ${escapeHtml(leg.toName)}</div>`
+    ).join('');
 
     body.innerHTML = `
         <div class="ticket-details">
             <div class="detail">
                 <h5>Journey</h5>
-                <div><strong>Route:</strong> ${route ? route.number + ' - ' + route.name : '-'}</div>
-                <div><strong>From:</strong> ${fromStop}</div>
-                <div><strong>To:</strong> ${toStop}</div>
-                <div><strong>Date:</strong> ${booking.date}</div>
-                <div><strong>Time:</strong> ${booking.time}</div>
-                <div><strong>Seat Type:</strong> ${booking.seatType}</div>
+                <div><strong>Route:</strong> ${escapeHtml(title)}</div>
+                <div><strong>From:</strong> ${escapeHtml(fromStop)}</div>
+                <div><strong>To:</strong> ${escapeHtml(toStop)}</div>
+                <div><strong>Date:</strong> ${escapeHtml(booking.date)}</div>
+                <div><strong>Time:</strong> ${escapeHtml(booking.boardingTime || booking.time)}</div>
+                <div><strong>Seat Type:</strong> ${booking.seatType || '-'}</div>
             </div>
+            ${legsHtml ? `
+            <div class="detail">
+                <h5>Legs</h5>
+                ${legsHtml}
+            </div>` : ''}
             <div class="detail">
                 <h5>Passengers</h5>
                 ${passengersHtml}
@@ -3097,6 +3120,36 @@ CityBusTracker.prototype.showTicketDetails = function(booking) {
     modal.classList.add('active');
 };
 
+// Bookings come from the route ticket form (routeId + stop ids), the bus
+// booking flow (bus number + stop ids) or the journey planner (legs)
+CityBusTracker.prototype.describeBooking = function(booking) {
+    const stopName = (id) => this.stops.get(this.resolveStopId(id))?.name || id || '-';
+    const routeStopName = (route, id) => {
+        const stop = route?.stops.find(s => s.id === this.resolveStopId(id));
+        return stop ? this.describeRouteStop(stop) : '-';
+    };
+
+    if (booking.legs) {
+        const changes = booking.changes ? ` (${booking.changes} change${booking.changes === 1 ? '' : 's'})` : '';
+        return { title: `${booking.route}${changes}`, fromStop: booking.fromStop, toStop: booking.toStop };
+    }
+
+    if (booking.routeId) {
+        const route = this.routes.get(booking.routeId);
+        return {
+            title: route ? route.number + ' - ' + route.name : 'Route',
+            fromStop: routeStopName(route, booking.fromStopId),
+            toStop: routeStopName(route, booking.toStopId)
+        };
+    }
+
+    return {
+        title: `${booking.busNumber} - ${booking.route}`,
+        fromStop: stopName(booking.fromStop),
+        toStop: stopName(booking.toStop)
+    };
+};
+
 CityBusTracker.prototype.hideTicketDetails = function() {
     const modal = document.getElementById('ticketDetailsModal');
     if (!modal) return;
@@ -3109,70 +3162,121 @@ CityBusTracker.prototype.setupBookingSystem = function() {
     this.selectedBus = null;
     this.selectedSeats = [];
     this.availableBuses = [];
-    this.seatMap = new Map();
-    
-    // Initialize seat availability (1-50 seats)
-    for (let i = 1; i <= 50; i++) {
-        this.seatMap.set(i, {
-            id: i,
-            available: Math.random() > 0.3, // 70% availability
-            selected: false
-        });
+    this.seatMap = new Map(); // seat number -> { id, available, selected } of the selected bus
+};
+
+// Departures of the selected route on the journey day (timetable.js), as the
+// time the bus leaves the pickup point; trips that left already are not offered
+CityBusTracker.prototype.populateJourneyTimes = function() {
+    const timeEl = document.getElementById('journeyTime');
+    if (!timeEl) return;
+    const current = timeEl.value;
+    const route = this.routes.get(this.selectedRouteId);
+    const date = document.getElementById('journeyDate')?.value || '';
+
+    let trips = route && date ? this.getTripsOnDate(route, date) : [];
+    if (date === localDate()) {
+        const now = new Date(this.getCurrentTime());
+        const seconds = now.getHours() * 3600 + now.getMinutes() * 60;
+        trips = trips.filter(trip => this.getBoardingTime(trip, this.selectedFromStopId) >= seconds);
     }
+
+    timeEl.innerHTML = `<option value="">${trips.length || !route ? 'Select time' : 'No departures left that day'}</option>` +
+        trips.map(trip => `<option value="${escapeHtml(trip.tripId)}">${formatServiceTime(this.getBoardingTime(trip, this.selectedFromStopId))}</option>`).join('');
+    if (trips.some(trip => trip.tripId === current)) timeEl.value = current;
+};
+
+CityBusTracker.prototype.getSelectedJourneyTrip = function() {
+    const route = this.routes.get(this.selectedRouteId);
+    const date = document.getElementById('journeyDate')?.value || '';
+    const tripId = document.getElementById('journeyTime')?.value || '';
+    if (!route || !date || !tripId) return null;
+    return this.getTripsOnDate(route, date).find(trip => trip.tripId === tripId) || null;
+};
+
+// When the trip leaves the stop, in seconds of its service day; from its
+// first stop when the stop is not chosen
+CityBusTracker.prototype.getBoardingTime = function(trip, stopId) {
+    const stopTime = trip.stopTimes.find(st => st.stopId === stopId) || trip.stopTimes[0];
+    return stopTime ? stopTime.departure : 0;
+};
+
+// The buses running a trip of the route: the ones assigned to the route that
+// day (for the whole day or this trip), or else the route's tracked buses.
+// Class, fare, capacity and seat layout come from the registry; departure is
+// when the trip leaves its first stop, which tells departures apart.
+CityBusTracker.prototype.getBookableBuses = function(route, date, trip) {
+    const assigned = (this.getAssignedBuses(route, date) || []).filter(bus => !bus.tripId || bus.tripId === trip.tripId);
+    const buses = assigned.length ? assigned : Array.from(this.vehicles.values())
+        .filter(vehicle => vehicle.routeId === route.id)
+        .map(vehicle => ({ number: vehicle.number || vehicle.id, fleetId: vehicle.id, capacity: vehicle.capacity || 50 }));
+
+    return buses.map(bus => {
+        const vehicleClass = bus.vehicleClass || 'non-ac';
+        const registered = this.fleet.find(other => other.id === bus.fleetId);
+        return {
+            id: bus.fleetId,
+            number: bus.number,
+            route: route.name,
+            routeId: route.id,
+            model: registered ? registered.model : '',
+            tripId: trip.tripId,
+            departure: formatServiceTime(trip.stopTimes[0].departure),
+            boarding: formatServiceTime(this.getBoardingTime(trip, this.selectedFromStopId)),
+            price: VEHICLE_CLASSES[vehicleClass].fare,
+            type: VEHICLE_CLASSES[vehicleClass].name,
+            vehicleClass,
+            capacity: bus.capacity,
+            seatLayout: bus.seatLayout || '2+2'
+        };
+    });
 };
 
-CityBusTracker.prototype.loadAvailableBuses = function() {
+CityBusTracker.prototype.loadAvailableBuses = async function() {
     const container = document.getElementById('availableBuses');
     if (!container) return;
-    
-    // Generate sample available buses
-    this.availableBuses = [
-        {
-            id: 'bus-001',
-            number: 'PB-001',
-            route: 'Amritsar - Chandigarh',
-            departure: '08:00',
-            arrival: '12:00',
-            price: 250,
-            seats: 45,
-            type: 'AC'
-        },
-        {
-            id: 'bus-002',
-            number: 'PB-002',
-            route: 'Amritsar - Chandigarh',
-            departure: '14:00',
-            arrival: '18:00',
-            price: 200,
-            seats: 38,
-            type: 'Non-AC'
-        },
-        {
-            id: 'bus-003',
-            number: 'PB-003',
-            route: 'Amritsar - Chandigarh',
-            departure: '20:00',
-            arrival: '00:00',
-            price: 300,
-            seats: 42,
-            type: 'Luxury'
-        }
-    ];
-    
-    container.innerHTML = '';
+
+    this.selectedBus = null;
+    this.selectedSeats = [];
+    this.seatMap = new Map();
+    this.generateSeatMap();
+
+    const route = this.routes.get(this.selectedRouteId);
+    const date = document.getElementById('journeyDate')?.value || '';
+    const trip = this.getSelectedJourneyTrip();
+    if (!route || !trip) {
+        this.availableBuses = [];
+        container.innerHTML = '<p class="text-muted">Choose a route, date and time to see the buses.</p>';
+        return;
+    }
+
+    const buses = this.getBookableBuses(route, date, trip);
+    let taken;
+    try {
+        taken = await Promise.all(buses.map(bus => this.data.takenSeats(bus.id, date, bus.departure)));
+    } catch (error) {
+        container.innerHTML = `<div class="text-muted">Seats could not be loaded: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+    // A newer choice of route, date or time has replaced this one meanwhile
+    if (this.selectedRouteId !== route.id || document.getElementById('journeyDate')?.value !== date ||
+        document.getElementById('journeyTime')?.value !== trip.tripId) return;
+
+    this.availableBuses = buses.map((bus, i) => ({ ...bus, taken: taken[i], seats: bus.capacity - taken[i].length }));
+    container.innerHTML = this.availableBuses.length ? '' : '<p class="text-muted">No buses run on this route that day.</p>';
     this.availableBuses.forEach(bus => {
         const busCard = document.createElement('div');
         busCard.className = 'bus-card';
         busCard.dataset.busId = bus.id;
         busCard.innerHTML = `
             <div class="bus-info">
-                <div class="bus-number">${bus.number}</div>
-                <div class="bus-route">${bus.route}</div>
-                <div class="bus-timing">${bus.departure} - ${bus.arrival} (${bus.type})</div>
+                <div class="bus-number">${escapeHtml(bus.number)}</div>
+                <div class="bus-route">${escapeHtml(bus.route)}</div>
+                <div class="bus-timing">${bus.boarding} (${bus.type}${bus.model ? `, ${escapeHtml(bus.model)}` : ''})</div>
             </div>
             <div class="bus-price">
                 <span class="price">₹${bus.price}</span>
-                <span class="duration">${bus.seats} seats available</span>
+                <span class="duration">${bus.seats} of ${bus.capacity} seats available</span>
             </div>
         `;
         
@@ -3194,32 +3298,51 @@ CityBusTracker.prototype.selectBus = function(busId) {
     }
     
     this.selectedBus = this.availableBuses.find(bus => bus.id === busId);
+    this.selectedSeats = [];
+    this.seatMap = new Map();
+    if (this.selectedBus) {
+        for (let i = 1; i <= this.selectedBus.capacity; i++) {
+            this.seatMap.set(i, { id: i, available: !this.selectedBus.taken.includes(i), selected: false });
+        }
+    }
     this.generateSeatMap();
+    this.updatePassengerForms();
 };
 
+// The selected bus's seats row by row, with a gap for the aisle
 CityBusTracker.prototype.generateSeatMap = function() {
     const seatMapContainer = document.getElementById('seatMap');
     if (!seatMapContainer) return;
     
     seatMapContainer.innerHTML = '';
-    
-    // Generate 50 seats in a 10x5 grid
-    for (let i = 1; i <= 50; i++) {
-        const seatElement = document.createElement('div');
-        seatElement.className = 'seat';
-        seatElement.dataset.seatNumber = i;
-        
-        const seatData = this.seatMap.get(i);
-        if (seatData.available) {
-            seatElement.classList.add('seat-available');
-        } else {
-            seatElement.classList.add('seat-occupied');
-        }
-        
-        seatElement.textContent = i;
-        seatElement.addEventListener('click', () => this.selectSeat(i));
-        seatMapContainer.appendChild(seatElement);
-    }
+    if (!this.selectedBus) return;
+
+    seatRows(this.selectedBus).forEach(row => {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'seat-row';
+        row.forEach(seatNumber => {
+            const seatElement = document.createElement('div');
+            if (seatNumber === null) {
+                seatElement.className = 'seat-aisle';
+                rowElement.appendChild(seatElement);
+                return;
+            }
+            seatElement.className = 'seat';
+            seatElement.dataset.seatNumber = seatNumber;
+
+            const seatData = this.seatMap.get(seatNumber);
+            if (seatData.available) {
+                seatElement.classList.add('seat-available');
+            } else {
+                seatElement.classList.add('seat-occupied');
+            }
+
+            seatElement.textContent = seatNumber;
+            seatElement.addEventListener('click', () => this.selectSeat(seatNumber));
+            rowElement.appendChild(seatElement);
+        });
+        seatMapContainer.appendChild(rowElement);
+    });
 };
 
 CityBusTracker.prototype.selectSeat = function(seatNumber) {
@@ -3286,7 +3409,7 @@ CityBusTracker.prototype.updatePassengerForms = function() {
     });
 };
 
-CityBusTracker.prototype.processBooking = function() {
+CityBusTracker.prototype.processBooking = async function() {
     if (!this.selectedBus || this.selectedSeats.length === 0) {
         alert('Please select a bus and at least one seat');
         return;
@@ -3325,11 +3448,15 @@ CityBusTracker.prototype.processBooking = function() {
         id: 'BK' + Date.now(),
         busId: this.selectedBus.id,
         busNumber: this.selectedBus.number,
+        vehicleClass: this.selectedBus.vehicleClass,
+        routeId: this.selectedBus.routeId,
         route: this.selectedBus.route,
         fromStop: document.getElementById('fromStop').value,
         toStop: document.getElementById('toStop').value,
         date: document.getElementById('journeyDate').value,
         time: this.selectedBus.departure,
+        boardingTime: this.selectedBus.boarding,
+        tripId: this.selectedBus.tripId,
         passengers,
         fare: {
             baseTotal: baseFare,
@@ -3343,9 +3470,7 @@ CityBusTracker.prototype.processBooking = function() {
     };
     
     // Save booking
-    const bookings = JSON.parse(localStorage.getItem('bookings') || '[]');
-    bookings.push(booking);
-    localStorage.setItem('bookings', JSON.stringify(bookings));
+    if (!await this.saveBooking(booking)) return;
     
     // Update seat availability
     this.selectedSeats.forEach(seatNumber => {
@@ -3378,6 +3503,8 @@ CityBusTracker.prototype.showBookingSuccess = function(booking) {
     
     if (!modal || !detailsContainer) return;
     
+    const { fromStop, toStop } = this.describeBooking(booking);
+    
     detailsContainer.innerHTML = `
         <h5>Booking Confirmation</h5>
         <div class="detail-row">
@@ -3386,20 +3513,21 @@ CityBusTracker.prototype.showBookingSuccess = function(booking) {
         </div>
         <div class="detail-row">
             <span>Bus:</span>
-            <span>${booking.busNumber} - ${booking.route}</span>
+            <span>${escapeHtml(booking.busNumber)} - ${escapeHtml(booking.route)}</span>
         </div>
         <div class="detail-row">
             <span>Route:</span>
-            <span>${booking.fromStop} → ${booking.toStop}</span>
+            <span>${escapeHtml(fromStop)} → ${escapeHtml(toStop)}</span>
         </div>
         <div class="detail-row">
             <span>Date & Time:</span>
-            <span>${booking.date} at ${booking.time}</span>
+            <span>${escapeHtml(booking.date)} at ${escapeHtml(booking.boardingTime || booking.time)}</span>
         </div>
+        ${booking.passengers.some(p => p.seat) ? `
         <div class="detail-row">
             <span>Seats:</span>
             <span>${booking.passengers.map(p => p.seat).join(', ')}</span>
-        </div>
+        </div>` : ''}
         <div class="detail-row">
             <span>Passengers:</span>
             <span>${booking.passengers.length}</span>
@@ -3468,7 +3596,7 @@ Booking ID: ${booking.id}
 Bus: ${booking.busNumber} - ${booking.route}
 Route: ${booking.fromStop} → ${booking.toStop}
 Date: ${booking.date}
-Time: ${booking.time}
+Time: ${booking.boardingTime || booking.time}
 Seats: ${booking.passengers.map(p => p.seat).join(', ')}
 Passengers: ${booking.passengers.length}
 Total Amount: ₹${booking.fare.total}
@@ -3499,282 +3627,127 @@ CityBusTracker.prototype.viewTicket = function() {
 // ==================== BUS TRACKING SYSTEM ====================
 
 CityBusTracker.prototype.setupBusTracking = function() {
-    this.liveBuses = new Map();
-    this.busMarkers = new Map();
-    this.routePolylines = new Map();
+    this.trackingRouteLayer = null;
     this.userMarker = null;
     this.isTracking = false;
-    this.trackingInterval = null;
-    
-    // Initialize live buses for each route
-    this.initializeLiveBuses();
-};
-
-CityBusTracker.prototype.initializeLiveBuses = function() {
-    // Create live buses for each route with different positions
-    this.routes.forEach((route, index) => {
-        const busCount = 2 + Math.floor(Math.random() * 3); // 2-4 buses per route
-        
-        for (let i = 0; i < busCount; i++) {
-            const busId = `${route.id}-bus-${i + 1}`;
-            const busNumber = `${route.number}-${String(i + 1).padStart(2, '0')}`;
-            
-            // Random position along the route
-            const randomStopIndex = Math.floor(Math.random() * (route.stops.length - 1));
-            const currentStop = route.stops[randomStopIndex];
-            const nextStop = route.stops[randomStopIndex + 1];
-            
-            // Interpolate position between stops
-            const progress = Math.random();
-            const lat = currentStop.lat + (nextStop.lat - currentStop.lat) * progress;
-            const lng = currentStop.lng + (nextStop.lng - currentStop.lng) * progress;
-            
-            this.liveBuses.set(busId, {
-                id: busId,
-                number: busNumber,
-                routeId: route.id,
-                route: route,
-                position: [lat, lng],
-                currentStop: currentStop.name,
-                nextStop: nextStop.name,
-                speed: 30 + Math.random() * 40, // 30-70 km/h
-                direction: Math.random() > 0.5 ? 'forward' : 'backward',
-                status: Math.random() > 0.1 ? 'on-time' : 'delayed',
-                passengers: Math.floor(Math.random() * 45) + 5, // 5-50 passengers
-                lastUpdate: new Date(),
-                color: route.color
-            });
-        }
-    });
+    this.isBusTracking = false;
 };
 
+// "Track Bus" shows the route lines on top of the shared fleet and switches
+// the fleet to the faster tracking update rate
 CityBusTracker.prototype.startBusTracking = function() {
-    if (this.isTracking) return;
+    if (this.isBusTracking) return;
     
-    this.isTracking = true;
-    this.updateGPSStatus('Tracking buses...', 'connected');
+    this.isBusTracking = true;
     
     // Draw routes on map
     this.drawRoutesOnMap();
     
-    // Add bus markers
+    // Make sure every bus has a marker
     this.addBusMarkers();
     
-    // Start real-time updates
-    this.trackingInterval = setInterval(() => {
-        this.updateBusPositions();
-        this.updateBusMarkers();
-        this.updateVehicleCount();
-        this.updateLastUpdateTime();
-    }, 3000); // Update every 3 seconds
-    
-    // Update UI
-    document.getElementById('trackBusBtn').textContent = 'Stop Tracking';
-    document.getElementById('trackBusBtn').classList.remove('btn-success');
-    document.getElementById('trackBusBtn').classList.add('btn-danger');
+    this.startTracking();
+    this.updateGPSStatus('Tracking buses...', 'connected');
 };
 
 CityBusTracker.prototype.stopBusTracking = function() {
-    if (!this.isTracking) return;
-    
-    this.isTracking = false;
-    this.updateGPSStatus('Stopped', 'disconnected');
+    this.isBusTracking = false;
     
-    // Clear tracking interval
-    if (this.trackingInterval) {
-        clearInterval(this.trackingInterval);
-        this.trackingInterval = null;
+    // Remove route polylines and labels
+    if (this.trackingRouteLayer && this.map) {
+        this.map.removeLayer(this.trackingRouteLayer);
     }
+    this.trackingRouteLayer = null;
     
-    // Remove bus markers
-    this.busMarkers.forEach(marker => {
-        if (this.map) {
-            this.map.removeLayer(marker);
-        }
-    });
-    this.busMarkers.clear();
-    
-    // Remove route polylines
-    this.routePolylines.forEach(polyline => {
-        if (this.map) {
-            this.map.removeLayer(polyline);
-        }
-    });
-    this.routePolylines.clear();
-    
-    // Update UI
-    document.getElementById('trackBusBtn').textContent = 'Track Bus';
-    document.getElementById('trackBusBtn').classList.remove('btn-danger');
-    document.getElementById('trackBusBtn').classList.add('btn-success');
-    document.getElementById('activeVehicles').textContent = '0';
+    this.stopTracking();
+    this.updateGPSStatus('Stopped', 'disconnected');
+};
+
+CityBusTracker.prototype.updateTrackingControls = function() {
+    const trackBusBtn = document.getElementById('trackBusBtn');
+    if (trackBusBtn) {
+        trackBusBtn.textContent = this.isTracking ? 'Stop Tracking' : 'Track Bus';
+        trackBusBtn.classList.toggle('btn-danger', this.isTracking);
+        trackBusBtn.classList.toggle('btn-success', !this.isTracking);
+    }
+
+    const startBtn = document.getElementById('startTrackingBtn');
+    const stopBtn = document.getElementById('stopTrackingBtn');
+    if (startBtn) startBtn.style.display = this.isTracking ? 'none' : 'block';
+    if (stopBtn) stopBtn.style.display = this.isTracking ? 'block' : 'none';
 };
 
-CityBusTracker.prototype.drawRoutesOnMap = function() {
+CityBusTracker.prototype.drawRoutesOnMap = function(routes = this.routes) {
     if (!this.map) return;
     
-    this.routes.forEach(route => {
-        const coordinates = route.stops.map(stop => [stop.lat, stop.lng]);
+    if (this.trackingRouteLayer) this.map.removeLayer(this.trackingRouteLayer);
+    this.trackingRouteLayer = L.layerGroup().addTo(this.map);
+    
+    routes.forEach(route => {
+        const coordinates = this.getRouteGeometry(route).path;
         
-        const polyline = L.polyline(coordinates, {
+        L.polyline(coordinates, {
             color: route.color,
             weight: 4,
             opacity: 0.8,
             smoothFactor: 1
-        }).addTo(this.map);
+        }).addTo(this.trackingRouteLayer);
         
         // Add route labels
         const midPoint = coordinates[Math.floor(coordinates.length / 2)];
-        const label = L.marker(midPoint, {
+        L.marker(midPoint, {
             icon: L.divIcon({
                 className: 'route-label',
-                html: `<div style="background: ${route.color}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px; font-weight: bold; white-space: nowrap;">${route.number}</div>`,
+                html: `<div style="background: ${routeColor(route)}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px; font-weight: bold; white-space: nowrap;">${escapeHtml(route.number)}</div>`,
                 iconSize: [60, 20],
                 iconAnchor: [30, 10]
             })
-        }).addTo(this.map);
-        
-        this.routePolylines.set(route.id, polyline);
+        }).addTo(this.trackingRouteLayer);
     });
 };
 
-CityBusTracker.prototype.addBusMarkers = function() {
+CityBusTracker.prototype.addBusMarkers = function(vehicles = this.vehicles) {
     if (!this.map) return;
     
-    this.liveBuses.forEach(bus => {
-        const busIcon = L.divIcon({
-            className: 'bus-marker',
-            html: `
-                <div class="bus-marker-container" style="background: ${bus.color};">
-                    <i class="fas fa-bus"></i>
-                    <div class="bus-number">${bus.number}</div>
-                    <div class="bus-status-indicator ${bus.status}"></div>
-                </div>
-            `,
-            iconSize: [40, 40],
-            iconAnchor: [20, 20]
-        });
-        
-        const marker = L.marker(bus.position, { icon: busIcon })
-            .addTo(this.map)
-            .bindPopup(`
-                <div class="bus-popup">
-                    <h4>${bus.number}</h4>
-                    <p><strong>Route:</strong> ${bus.route.name}</p>
-                    <p><strong>Status:</strong> <span class="${bus.status}">${bus.status}</span></p>
-                    <p><strong>Speed:</strong> ${Math.round(bus.speed)} km/h</p>
-                    <p><strong>Passengers:</strong> ${bus.passengers}/50</p>
-                    <p><strong>Current:</strong> ${bus.currentStop}</p>
-                    <p><strong>Next:</strong> ${bus.nextStop}</p>
-                </div>
-            `);
-        
-        this.busMarkers.set(bus.id, marker);
+    vehicles.forEach(vehicle => {
+        if (!this.markers.has(vehicle.id)) {
+            this.addVehicleToMap(vehicle);
+        }
     });
 };
 
-CityBusTracker.prototype.updateBusPositions = function() {
-    this.liveBuses.forEach(bus => {
-        // Simulate bus movement along route
-        const route = bus.route;
-        const stops = route.stops;
-        
-        // Find current position between stops
-        let currentStopIndex = 0;
-        for (let i = 0; i < stops.length - 1; i++) {
-            if (bus.currentStop === stops[i].name) {
-                currentStopIndex = i;
-                break;
-            }
-        }
-        
-        // Move towards next stop
-        const nextStopIndex = bus.direction === 'forward' 
-            ? Math.min(currentStopIndex + 1, stops.length - 1)
-            : Math.max(currentStopIndex - 1, 0);
-        
-        const currentStop = stops[currentStopIndex];
-        const nextStop = stops[nextStopIndex];
-        
-        // Calculate movement
-        const moveDistance = 0.001; // Small movement per update
-        const latDiff = nextStop.lat - currentStop.lat;
-        const lngDiff = nextStop.lng - currentStop.lng;
-        const distance = Math.sqrt(latDiff * latDiff + lngDiff * lngDiff);
-        
-        if (distance > 0) {
-            const moveLat = (latDiff / distance) * moveDistance;
-            const moveLng = (lngDiff / distance) * moveDistance;
-            
-            bus.position[0] += moveLat;
-            bus.position[1] += moveLng;
-            
-            // Check if reached next stop
-            const newDistance = Math.sqrt(
-                Math.pow(nextStop.lat - bus.position[0], 2) + 
-                Math.pow(nextStop.lng - bus.position[1], 2)
-            );
-            
-            if (newDistance < 0.01) { // Reached stop
-                bus.currentStop = nextStop.name;
-                if (nextStopIndex === stops.length - 1) {
-                    bus.direction = 'backward';
-                } else if (nextStopIndex === 0) {
-                    bus.direction = 'forward';
-                }
-                bus.nextStop = bus.direction === 'forward' 
-                    ? stops[Math.min(nextStopIndex + 1, stops.length - 1)].name
-                    : stops[Math.max(nextStopIndex - 1, 0)].name;
-            }
-        }
-        
-        bus.lastUpdate = new Date();
+CityBusTracker.prototype.createBusIcon = function(vehicle, route) {
+    return L.divIcon({
+        className: 'bus-marker',
+        html: `
+            <div class="bus-marker-container" style="background: ${routeColor(route)};">
+                <i class="fas fa-bus"></i>
+                <div class="bus-number">${escapeHtml(vehicle.number || vehicle.id)}</div>
+                <div class="bus-status-indicator ${vehicle.status}"></div>
+            </div>
+        `,
+        iconSize: [40, 40],
+        iconAnchor: [20, 20]
     });
 };
 
-CityBusTracker.prototype.updateBusMarkers = function() {
-    this.liveBuses.forEach(bus => {
-        const marker = this.busMarkers.get(bus.id);
-        if (marker) {
-            marker.setLatLng(bus.position);
-            
-            // Update popup content
-            marker.setPopupContent(`
-                <div class="bus-popup">
-                    <h4>${bus.number}</h4>
-                    <p><strong>Route:</strong> ${bus.route.name}</p>
-                    <p><strong>Status:</strong> <span class="${bus.status}">${bus.status}</span></p>
-                    <p><strong>Speed:</strong> ${Math.round(bus.speed)} km/h</p>
-                    <p><strong>Passengers:</strong> ${bus.passengers}/50</p>
-                    <p><strong>Current:</strong> ${bus.currentStop}</p>
-                    <p><strong>Next:</strong> ${bus.nextStop}</p>
-                    <p><strong>Last Update:</strong> ${bus.lastUpdate.toLocaleTimeString()}</p>
-                </div>
-            `);
-        }
-    });
-};
-
-CityBusTracker.prototype.updateVehicleCount = function() {
-    const count = this.liveBuses.size;
-    document.getElementById('activeVehicles').textContent = count;
-};
-
-CityBusTracker.prototype.updateLastUpdateTime = function() {
-    const now = new Date();
-    document.getElementById('lastUpdate').textContent = now.toLocaleTimeString();
-};
-
-CityBusTracker.prototype.updateGPSStatus = function(text, status) {
-    const statusElement = document.getElementById('gpsStatusText');
-    const statusContainer = document.getElementById('gpsStatus');
-    
-    if (statusElement) {
-        statusElement.textContent = text;
-    }
-    
-    if (statusContainer) {
-        statusContainer.className = `gps-status ${status}`;
-    }
+CityBusTracker.prototype.buildBusPopup = function(vehicle, route) {
+    const distance = this.distanceFromUserKm(vehicle.lat, vehicle.lng);
+    return `
+        <div class="bus-popup">
+            <h4>${escapeHtml(vehicle.number || vehicle.id)}</h4>
+            <p><strong>Route:</strong> ${escapeHtml(route.number)} - ${escapeHtml(route.name)}</p>
+            <p><strong>Status:</strong> <span class="${vehicle.status}">${this.describeVehicleStatus(vehicle.status, vehicle.delay)}</span></p>
+            <p><strong>Speed:</strong> ${Math.round(vehicle.speed || 0)} km/h</p>
+            <p><strong>Passengers:</strong> ${vehicle.passengers}/${vehicle.capacity}</p>
+            ${vehicle.vehicleClass ? `<p><strong>Bus:</strong> ${VEHICLE_CLASSES[vehicle.vehicleClass]?.name || vehicle.vehicleClass}, ${vehicle.capacity} seats</p>` : ''}
+            ${vehicle.driverName ? `<p><strong>Driver:</strong> ${escapeHtml(vehicle.driverName)}</p>` : ''}
+            ${vehicle.currentStop ? `<p><strong>Current:</strong> ${escapeHtml(vehicle.currentStop)}</p>` : ''}
+            ${vehicle.nextStop ? `<p><strong>Next:</strong> ${escapeHtml(vehicle.nextStop)}</p>` : ''}
+            ${distance !== null ? `<p><strong>Distance:</strong> ${this.formatDistance(distance)}</p>` : ''}
+            ${vehicle.lastUpdate ? `<p><strong>Last Update:</strong> ${new Date(vehicle.lastUpdate).toLocaleTimeString()}</p>` : ''}
+        </div>
+    `;
 };
 
 CityBusTracker.prototype.centerMapOnUser = function() {
@@ -3815,3 +3788,4398 @@ CityBusTracker.prototype.addUserLocationMarker = function() {
             `);
     }
 };
+
+// ---------------- GTFS Import Feature ----------------
+CityBusTracker.prototype.setupGTFSImport = function() {
+    const zipInput = document.getElementById('gtfsZipInput');
+    const folderInput = document.getElementById('gtfsFolderInput');
+    const zipBtn = document.getElementById('gtfsZipBtn');
+    const folderBtn = document.getElementById('gtfsFolderBtn');
+    const resetBtn = document.getElementById('gtfsResetBtn');
+
+    if (zipBtn && zipInput) zipBtn.addEventListener('click', () => zipInput.click());
+    if (folderBtn && folderInput) folderBtn.addEventListener('click', () => folderInput.click());
+
+    [zipInput, folderInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files || []);
+            e.target.value = '';
+            if (files.length) this.importGTFSFiles(files);
+        });
+    });
+
+    if (resetBtn) resetBtn.addEventListener('click', async () => {
+        if (!this.requirePermission('manage_network')) return;
+        try {
+            await this.data.deleteNetwork();
+        } catch (error) {
+            this.showError('Could not remove the imported feed: ' + error.message);
+            return;
+        }
+        this.importedNetwork = null;
+        this.renderGTFSReport(null);
+        if (this.map) this.loadMockData();
+        this.showSuccess('Built-in Punjab routes restored');
+    });
+};
+
+// Import a GTFS feed from a single zip or from the files of an unpacked folder
+CityBusTracker.prototype.importGTFSFiles = async function(files) {
+    if (!this.requirePermission('manage_network')) return;
+    this.showLoading();
+    try {
+        let feedFiles;
+        let feedName;
+        if (files.length === 1 && /\.zip$/i.test(files[0].name)) {
+            feedName = files[0].name;
+            feedFiles = await this.readZipEntries(await files[0].arrayBuffer());
+        } else {
+            feedName = (files[0].webkitRelativePath || files[0].name).split('/')[0];
+            feedFiles = new Map();
+            for (const file of files) {
+                if (/\.txt$/i.test(file.name)) {
+                    feedFiles.set(file.name.toLowerCase(), await file.text());
+                }
+            }
+        }
+
+        const { network, report } = this.parseGTFSFeed(feedFiles);
+        report.feedName = feedName;
+        this.renderGTFSReport(report);
+
+        if (report.errors.length) {
+            this.showError('GTFS feed could not be imported. See the validation report in Settings.');
+            return;
+        }
+
+        this.applyNetwork(network);
+        this.saveImportedNetwork(network);
+        this.updateUI();
+        this.showSuccess(`Imported ${network.routes.length} routes from ${feedName}`);
+    } catch (error) {
+        console.error('GTFS import failed:', error);
+        this.renderGTFSReport({
+            feedName: files[0].name,
+            errors: [{ file: files[0].name, message: error.message }],
+            warnings: [],
+            stats: {}
+        });
+        this.showError('GTFS feed could not be read');
+    } finally {
+        this.hideLoading();
+    }
+};
+
+// Read the .txt entries of a zip archive (stored or deflated)
+CityBusTracker.prototype.readZipEntries = async function(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder('utf-8');
+
+    // Locate the end of central directory record
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Not a valid zip archive');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const baseName = name.split('/').pop().toLowerCase();
+        if (!baseName.endsWith('.txt')) continue;
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.set(baseName, decoder.decode(data));
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            entries.set(baseName, await new Response(stream).text());
+        } else {
+            throw new Error(`Unsupported compression method ${method} in ${name}`);
+        }
+    }
+
+    return entries;
+};
+
+// Parse CSV text into an array of row objects keyed by the header row
+CityBusTracker.prototype.parseCSV = function(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (src[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return { header: [], records: [] };
+
+    const header = nonEmpty[0].map(h => h.trim());
+    const records = nonEmpty.slice(1).map(values => {
+        const record = {};
+        header.forEach((key, index) => {
+            record[key] = (values[index] || '').trim();
+        });
+        return record;
+    });
+    return { header, records };
+};
+
+// Convert a GTFS HH:MM:SS time (may exceed 24:00:00) into seconds after midnight
+CityBusTracker.prototype.gtfsTimeToSeconds = function(value) {
+    const match = /^(\d{1,2}):(\d{2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+};
+
+// Validate a GTFS feed and build the in-memory network from it
+CityBusTracker.prototype.parseGTFSFeed = function(files) {
+    const report = { errors: [], warnings: [], stats: {} };
+    const MAX_ISSUES = 50;
+    let suppressedWarnings = 0;
+    const error = (file, message) => report.errors.push({ file, message });
+    const warn = (file, message) => {
+        if (report.warnings.length < MAX_ISSUES) {
+            report.warnings.push({ file, message });
+        } else {
+            suppressedWarnings++;
+        }
+    };
+
+    const requiredFields = {
+        'agency.txt': ['agency_name', 'agency_url', 'agency_timezone'],
+        'stops.txt': ['stop_id', 'stop_lat', 'stop_lon'],
+        'routes.txt': ['route_id', 'route_type'],
+        'trips.txt': ['route_id', 'service_id', 'trip_id'],
+        'stop_times.txt': ['trip_id', 'stop_id', 'stop_sequence'],
+        'calendar.txt': ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+        'calendar_dates.txt': ['service_id', 'date', 'exception_type'],
+        'frequencies.txt': ['trip_id', 'start_time', 'end_time', 'headway_secs'],
+        'shapes.txt': ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence']
+    };
+    const requiredFiles = ['agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+
+    const tables = {};
+    Object.keys(requiredFields).forEach(name => {
+        if (!files.has(name)) {
+            if (requiredFiles.includes(name)) error(name, 'Required file is missing');
+            tables[name] = [];
+            return;
+        }
+        const { header, records } = this.parseCSV(files.get(name));
+        const missing = requiredFields[name].filter(field => !header.includes(field));
+        if (missing.length) {
+            error(name, `Missing required column(s): ${missing.join(', ')}`);
+            tables[name] = [];
+            return;
+        }
+        tables[name] = records;
+    });
+
+    if (!files.has('calendar.txt') && !files.has('calendar_dates.txt')) {
+        error('calendar.txt', 'Either calendar.txt or calendar_dates.txt is required');
+    }
+    if (report.errors.length) return { network: null, report };
+
+    // Agencies
+    const agencies = tables['agency.txt'].map((a, i) => ({
+        id: a.agency_id || `agency-${i + 1}`,
+        name: a.agency_name,
+        url: a.agency_url,
+        timezone: a.agency_timezone
+    }));
+
+    // Stops
+    const stops = new Map();
+    tables['stops.txt'].forEach((s, i) => {
+        const line = i + 2;
+        const lat = parseFloat(s.stop_lat);
+        const lng = parseFloat(s.stop_lon);
+        if (!s.stop_id) return warn('stops.txt', `Line ${line}: empty stop_id`);
+        if (stops.has(s.stop_id)) return warn('stops.txt', `Line ${line}: duplicate stop_id "${s.stop_id}"`);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return warn('stops.txt', `Line ${line}: stop "${s.stop_id}" has invalid coordinates`);
+        }
+        stops.set(s.stop_id, {
+            id: s.stop_id,
+            name: s.stop_name || s.stop_id,
+            lat,
+            lng,
+            parentStation: s.parent_station || '',
+            platformCode: s.platform_code || ''
+        });
+    });
+
+    // Platforms (stops with a parent_station) become bays of their station,
+    // which is the stop the routes share; the platform ids stay usable as aliases
+    const stations = new Map();
+    const stopAliases = {};
+    stops.forEach(stop => {
+        const station = stops.get(stop.parentStation);
+        if (!station || station.parentStation) return;
+        if (!stations.has(station.id)) {
+            stations.set(station.id, { id: station.id, name: station.name, lat: station.lat, lng: station.lng, platforms: [] });
+        }
+        stations.get(station.id).platforms.push({ id: stop.id, name: stop.platformCode || stop.name });
+        stopAliases[stop.id] = station.id;
+    });
+    const routeStop = (stopId) => {
+        const stop = stops.get(stopId);
+        const station = stations.get(stopAliases[stopId]);
+        return station
+            ? { id: station.id, name: station.name, lat: station.lat, lng: station.lng, platformId: stop.id }
+            : { id: stop.id, name: stop.name, lat: stop.lat, lng: stop.lng };
+    };
+
+    // Routes
+    const palette = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57', '#a78bfa', '#f472b6', '#fb923c'];
+    const gtfsRoutes = new Map();
+    tables['routes.txt'].forEach((r, i) => {
+        const line = i + 2;
+        if (!r.route_id) return warn('routes.txt', `Line ${line}: empty route_id`);
+        if (!r.route_short_name && !r.route_long_name) {
+            return warn('routes.txt', `Line ${line}: route "${r.route_id}" has neither short nor long name`);
+        }
+        gtfsRoutes.set(r.route_id, r);
+    });
+
+    // Calendars
+    const dayFields = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const calendars = new Map();
+    tables['calendar.txt'].forEach(c => {
+        calendars.set(c.service_id, {
+            serviceId: c.service_id,
+            days: dayFields.map(day => c[day] === '1'),
+            startDate: c.start_date,
+            endDate: c.end_date,
+            added: [],
+            removed: []
+        });
+    });
+    tables['calendar_dates.txt'].forEach(c => {
+        if (!calendars.has(c.service_id)) {
+            calendars.set(c.service_id, {
+                serviceId: c.service_id,
+                days: dayFields.map(() => false),
+                startDate: null,
+                endDate: null,
+                added: [],
+                removed: []
+            });
+        }
+        const calendar = calendars.get(c.service_id);
+        if (c.exception_type === '1') calendar.added.push(c.date);
+        else if (c.exception_type === '2') calendar.removed.push(c.date);
+    });
+
+    // Shapes
+    const shapes = new Map();
+    tables['shapes.txt'].forEach(p => {
+        const lat = parseFloat(p.shape_pt_lat);
+        const lng = parseFloat(p.shape_pt_lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+        if (!shapes.has(p.shape_id)) shapes.set(p.shape_id, []);
+        shapes.get(p.shape_id).push({ seq: parseInt(p.shape_pt_sequence, 10), lat, lng });
+    });
+    shapes.forEach((points, id) => {
+        shapes.set(id, points.sort((a, b) => a.seq - b.seq).map(p => [p.lat, p.lng]));
+    });
+
+    // Trips
+    const trips = new Map();
+    tables['trips.txt'].forEach((t, i) => {
+        const line = i + 2;
+        if (!gtfsRoutes.has(t.route_id)) return warn('trips.txt', `Line ${line}: trip "${t.trip_id}" references unknown route "${t.route_id}"`);
+        if (!calendars.has(t.service_id)) warn('trips.txt', `Line ${line}: trip "${t.trip_id}" references unknown service "${t.service_id}"`);
+        trips.set(t.trip_id, {
+            tripId: t.trip_id,
+            routeId: t.route_id,
+            serviceId: t.service_id,
+            headsign: t.trip_headsign || '',
+            directionId: t.direction_id || '0',
+            shapeId: t.shape_id || null,
+            stopTimes: []
+        });
+    });
+
+    // Stop times
+    tables['stop_times.txt'].forEach((st, i) => {
+        const line = i + 2;
+        const trip = trips.get(st.trip_id);
+        if (!trip) return warn('stop_times.txt', `Line ${line}: unknown trip "${st.trip_id}"`);
+        if (!stops.has(st.stop_id)) return warn('stop_times.txt', `Line ${line}: unknown stop "${st.stop_id}"`);
+        const arrival = this.gtfsTimeToSeconds(st.arrival_time);
+        const departure = this.gtfsTimeToSeconds(st.departure_time);
+        if ((st.arrival_time && arrival === null) || (st.departure_time && departure === null)) {
+            warn('stop_times.txt', `Line ${line}: invalid time format`);
+        }
+        trip.stopTimes.push({
+            stopId: st.stop_id,
+            sequence: parseInt(st.stop_sequence, 10),
+            arrival: arrival ?? departure,
+            departure: departure ?? arrival
+        });
+    });
+    trips.forEach(trip => trip.stopTimes.sort((a, b) => a.sequence - b.sequence));
+
+    // Frequencies: the trip departs every headway instead of once
+    tables['frequencies.txt'].forEach((f, i) => {
+        const line = i + 2;
+        const trip = trips.get(f.trip_id);
+        if (!trip) return warn('frequencies.txt', `Line ${line}: unknown trip "${f.trip_id}"`);
+        const startTime = this.gtfsTimeToSeconds(f.start_time);
+        const endTime = this.gtfsTimeToSeconds(f.end_time);
+        const headwaySeconds = parseInt(f.headway_secs, 10);
+        if (startTime === null || endTime === null || !(headwaySeconds > 0)) {
+            return warn('frequencies.txt', `Line ${line}: invalid time or headway`);
+        }
+        trip.frequencies = [...(trip.frequencies || []), { startTime, endTime, headwaySeconds }];
+    });
+
+    // Build app routes from the longest trip of each GTFS route
+    const routes = [];
+    gtfsRoutes.forEach((r, routeId) => {
+        const routeTrips = Array.from(trips.values()).filter(t => t.routeId === routeId && t.stopTimes.length >= 2);
+        if (routeTrips.length === 0) {
+            return warn('routes.txt', `Route "${r.route_short_name || routeId}" has no trips with at least two stops and was skipped`);
+        }
+        const pattern = routeTrips.reduce((best, t) => {
+            if (!best) return t;
+            if (t.directionId === '0' && best.directionId !== '0') return t;
+            if (t.directionId === best.directionId && t.stopTimes.length > best.stopTimes.length) return t;
+            return best;
+        }, null);
+
+        const routeStops = pattern.stopTimes.map(st => routeStop(st.stopId));
+        const color = /^[0-9a-f]{6}$/i.test(r.route_color || '') ? `#${r.route_color}` : palette[routes.length % palette.length];
+        const route = {
+            id: routeId,
+            number: r.route_short_name || routeId,
+            name: r.route_long_name || `${routeStops[0].name} → ${routeStops[routeStops.length - 1].name}`,
+            color,
+            routeClass: `route-${routeId}`,
+            agencyId: r.agency_id || (agencies[0] && agencies[0].id),
+            stops: routeStops,
+            trips: routeTrips.map(t => ({
+                tripId: t.tripId,
+                serviceId: t.serviceId,
+                headsign: t.headsign,
+                directionId: t.directionId,
+                stopTimes: t.stopTimes.map(st => ({ ...st, stopId: routeStop(st.stopId).id })),
+                ...(t.frequencies ? { frequencies: t.frequencies } : {})
+            }))
+        };
+        if (pattern.shapeId) {
+            if (shapes.has(pattern.shapeId)) {
+                route.shapeId = pattern.shapeId;
+                route.shape = shapes.get(pattern.shapeId);
+            } else {
+                warn('trips.txt', `Trip "${pattern.tripId}" references unknown shape "${pattern.shapeId}"`);
+            }
+        }
+        routes.push(route);
+    });
+
+    if (routes.length === 0) error('routes.txt', 'No usable routes found in the feed');
+    if (suppressedWarnings) report.warnings.push({ file: '', message: `${suppressedWarnings} more warnings not shown` });
+
+    report.stats = {
+        agencies: agencies.length,
+        routes: routes.length,
+        stops: stops.size,
+        trips: trips.size,
+        stopTimes: tables['stop_times.txt'].length,
+        shapes: shapes.size
+    };
+
+    // Start one bus at the first stop of every imported route
+    const vehicles = routes.map((route, i) => ({
+        id: `bus-${String(i + 1).padStart(3, '0')}`,
+        routeId: route.id,
+        lat: route.stops[0].lat,
+        lng: route.stops[0].lng,
+        speed: 30,
+        heading: 0,
+        capacity: 50,
+        passengers: 0,
+        status: 'on-time',
+        lastUpdate: new Date()
+    }));
+
+    return {
+        network: {
+            agencies,
+            routes,
+            vehicles,
+            stops: Array.from(stations.values()),
+            stopAliases,
+            calendars: Array.from(calendars.values())
+        },
+        report
+    };
+};
+
+// Render the import validation report in the settings modal
+CityBusTracker.prototype.renderGTFSReport = function(report) {
+    const container = document.getElementById('gtfsReport');
+    if (!container) return;
+
+    if (!report) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const issueList = (issues) => issues.map(issue => `
+        <li><strong>${escapeHtml(issue.file)}</strong> ${escapeHtml(issue.message)}</li>
+    `).join('');
+
+    const stats = Object.entries(report.stats || {})
+        .map(([key, value]) => `<span>${escapeHtml(key)}: ${escapeHtml(value)}</span>`)
+        .join('');
+
+    container.innerHTML = `
+        <div class="gtfs-report-header ${report.errors.length ? 'error' : 'success'}">
+            <i class="fas ${report.errors.length ? 'fa-times-circle' : 'fa-check-circle'}"></i>
+            ${escapeHtml(report.feedName || 'GTFS feed')}: ${report.errors.length ? 'import failed' : 'imported'}
+        </div>
+        ${stats ? `<div class="gtfs-report-stats">${stats}</div>` : ''}
+        ${report.errors.length ? `<h5>Errors</h5><ul class="gtfs-issues error">${issueList(report.errors)}</ul>` : ''}
+        ${report.warnings.length ? `<h5>Warnings</h5><ul class="gtfs-issues warning">${issueList(report.warnings)}</ul>` : ''}
+    `;
+};
+
+// Share the imported network through the data store so every device loads it
+CityBusTracker.prototype.saveImportedNetwork = async function(network) {
+    this.importedNetwork = JSON.parse(JSON.stringify(network));
+    try {
+        await this.data.saveNetwork(this.importedNetwork);
+    } catch (e) {
+        this.showError('Feed could not be saved, so it is loaded for this session only: ' + e.message);
+    }
+};
+
+// Fresh copy of the saved network, or null when none was imported
+CityBusTracker.prototype.loadImportedNetwork = function() {
+    if (!this.importedNetwork) return null;
+    const network = JSON.parse(JSON.stringify(this.importedNetwork));
+    (network.vehicles || []).forEach(vehicle => {
+        vehicle.lastUpdate = new Date(vehicle.lastUpdate);
+    });
+    return network;
+};
+
+// ---------------- GTFS-Realtime Live Feed ----------------
+CityBusTracker.prototype.liveFeedDefaults = {
+    enabled: false,
+    adapter: 'gtfs-rt',
+    vehiclePositionsUrl: '',
+    tripUpdatesUrl: '',
+    pollSeconds: 15,
+    staleSeconds: 90
+};
+
+CityBusTracker.prototype.setupLiveFeed = function() {
+    this.liveFeedAdapters = new Map();
+    this.liveFeedInterval = null;
+    this.liveFeedLastSuccess = null;
+    this.liveFeedSettings = {
+        ...this.liveFeedDefaults,
+        ...JSON.parse(localStorage.getItem('liveFeedSettings') || '{}')
+    };
+
+    // Built-in adapter: GTFS-Realtime protobuf over HTTP (a remote endpoint,
+    // a static .pb file served next to the app, or a local stand-in server)
+    this.registerLiveFeedAdapter('gtfs-rt', (settings) => ({
+        fetchFeeds: async () => {
+            const urls = [settings.vehiclePositionsUrl, settings.tripUpdatesUrl].filter(Boolean);
+            const feeds = [];
+            for (const url of urls) {
+                const response = await fetch(url, { cache: 'no-store' });
+                if (!response.ok) throw new Error(`${url} responded with ${response.status}`);
+                feeds.push(this.decodeGTFSRealtimeFeed(new Uint8Array(await response.arrayBuffer())));
+            }
+            return feeds;
+        }
+    }));
+
+    const enabledEl = document.getElementById('liveFeedEnabled');
+    const vpEl = document.getElementById('liveFeedVehicleUrl');
+    const tuEl = document.getElementById('liveFeedTripUrl');
+    const pollEl = document.getElementById('liveFeedPoll');
+    const fileBtn = document.getElementById('liveFeedFileBtn');
+    const fileInput = document.getElementById('liveFeedFileInput');
+
+    if (enabledEl) enabledEl.checked = this.liveFeedSettings.enabled;
+    if (vpEl) vpEl.value = this.liveFeedSettings.vehiclePositionsUrl;
+    if (tuEl) tuEl.value = this.liveFeedSettings.tripUpdatesUrl;
+    if (pollEl) pollEl.value = String(this.liveFeedSettings.pollSeconds);
+
+    const onChange = () => {
+        if (!this.requirePermission('manage_fleet')) return;
+        this.saveLiveFeedSettings({
+            enabled: enabledEl ? enabledEl.checked : false,
+            vehiclePositionsUrl: vpEl ? vpEl.value.trim() : '',
+            tripUpdatesUrl: tuEl ? tuEl.value.trim() : '',
+            pollSeconds: parseInt(pollEl ? pollEl.value : '15', 10)
+        });
+    };
+    [enabledEl, vpEl, tuEl, pollEl].forEach(el => {
+        if (el) el.addEventListener('change', onChange);
+    });
+
+    if (fileBtn && fileInput) fileBtn.addEventListener('click', () => fileInput.click());
+    if (fileInput) fileInput.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (!this.requirePermission('manage_fleet')) return;
+        try {
+            for (const file of files) {
+                const feed = this.decodeGTFSRealtimeFeed(new Uint8Array(await file.arrayBuffer()));
+                this.applyGTFSRealtimeFeed(feed);
+            }
+            this.liveFeedLastSuccess = Date.now();
+            this.renderLiveFeedStatus(`Loaded ${files.length} feed file(s)`);
+            this.refreshLiveFeedViews();
+        } catch (error) {
+            console.error('GTFS-RT file could not be read:', error);
+            this.showError('GTFS-Realtime file could not be read');
+        }
+    });
+};
+
+// Register a live feed adapter. The factory receives the feed settings and
+// returns an object whose fetchFeeds() resolves to decoded FeedMessages.
+CityBusTracker.prototype.registerLiveFeedAdapter = function(type, factory) {
+    this.liveFeedAdapters.set(type, factory);
+};
+
+CityBusTracker.prototype.saveLiveFeedSettings = function(changes) {
+    this.liveFeedSettings = { ...this.liveFeedSettings, ...changes };
+    localStorage.setItem('liveFeedSettings', JSON.stringify(this.liveFeedSettings));
+
+    this.stopLiveFeed();
+    if (this.liveFeedSettings.enabled && this.currentUser) this.startLiveFeed();
+};
+
+CityBusTracker.prototype.startLiveFeed = function() {
+    const settings = this.liveFeedSettings;
+    if (!settings.enabled || (!settings.vehiclePositionsUrl && !settings.tripUpdatesUrl)) return;
+
+    const factory = this.liveFeedAdapters.get(settings.adapter);
+    if (!factory) {
+        this.renderLiveFeedStatus(`Unknown feed adapter "${settings.adapter}"`, 'error');
+        return;
+    }
+
+    this.liveFeedAdapter = factory(settings);
+    this.pollLiveFeed();
+    this.liveFeedInterval = setInterval(() => this.pollLiveFeed(), settings.pollSeconds * 1000);
+};
+
+CityBusTracker.prototype.stopLiveFeed = function() {
+    if (this.liveFeedInterval) {
+        clearInterval(this.liveFeedInterval);
+        this.liveFeedInterval = null;
+    }
+    this.liveFeedAdapter = null;
+};
+
+CityBusTracker.prototype.pollLiveFeed = async function() {
+    if (!this.liveFeedAdapter) return;
+    try {
+        const feeds = await this.liveFeedAdapter.fetchFeeds();
+        feeds.forEach(feed => this.applyGTFSRealtimeFeed(feed));
+        this.liveFeedLastSuccess = Date.now();
+        this.renderLiveFeedStatus(`Last update ${new Date().toLocaleTimeString()}`);
+        this.refreshLiveFeedViews();
+    } catch (error) {
+        console.error('Live feed poll failed:', error);
+        const since = this.liveFeedLastSuccess
+            ? `last good data ${new Date(this.liveFeedLastSuccess).toLocaleTimeString()}`
+            : 'no data received yet';
+        this.renderLiveFeedStatus(`Feed unavailable (${since}); simulating stale buses`, 'error');
+    }
+};
+
+CityBusTracker.prototype.renderLiveFeedStatus = function(text, status = 'connected') {
+    const el = document.getElementById('liveFeedStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.className = `live-feed-status ${status}`;
+};
+
+CityBusTracker.prototype.refreshLiveFeedViews = function() {
+    this.recordFleetHistory();
+    this.refreshFleetViews();
+    this.loadLiveBusStatus();
+    this.updateLastUpdate();
+};
+
+// A vehicle follows the live feed while its last report is recent enough;
+// otherwise the simulation takes over again
+CityBusTracker.prototype.isLiveDataFresh = function(vehicle) {
+    if (!vehicle || !vehicle.liveUpdatedAt) return false;
+    const staleMs = (this.liveFeedSettings?.staleSeconds || this.liveFeedDefaults.staleSeconds) * 1000;
+    return Date.now() - vehicle.liveUpdatedAt < staleMs;
+};
+
+// Decode the wire format of one protobuf message into { fieldNumber: [values] }.
+// Varints are returned as BigInt, fixed32/fixed64 and length-delimited as bytes.
+CityBusTracker.prototype.decodeProtobufFields = function(bytes) {
+    const fields = {};
+    let pos = 0;
+
+    const readVarint = () => {
+        let result = 0n;
+        let shift = 0n;
+        while (pos < bytes.length) {
+            const byte = bytes[pos++];
+            result |= BigInt(byte & 0x7f) << shift;
+            if ((byte & 0x80) === 0) return result;
+            shift += 7n;
+        }
+        throw new Error('Truncated varint');
+    };
+
+    while (pos < bytes.length) {
+        const key = Number(readVarint());
+        const fieldNumber = key >>> 3;
+        const wireType = key & 7;
+        let value;
+
+        switch (wireType) {
+            case 0:
+                value = readVarint();
+                break;
+            case 1:
+                value = bytes.subarray(pos, pos + 8);
+                pos += 8;
+                break;
+            case 2: {
+                const length = Number(readVarint());
+                value = bytes.subarray(pos, pos + length);
+                pos += length;
+                break;
+            }
+            case 5:
+                value = bytes.subarray(pos, pos + 4);
+                pos += 4;
+                break;
+            default:
+                throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+        if (pos > bytes.length) throw new Error('Truncated protobuf message');
+
+        (fields[fieldNumber] = fields[fieldNumber] || []).push(value);
+    }
+
+    return fields;
+};
+
+// Decode a GTFS-Realtime FeedMessage (VehiclePosition and TripUpdate entities)
+CityBusTracker.prototype.decodeGTFSRealtimeFeed = function(bytes) {
+    const decoder = new TextDecoder('utf-8');
+    const msg = (value) => value ? this.decodeProtobufFields(value) : null;
+    const first = (fields, n) => fields && fields[n] ? fields[n][0] : undefined;
+    const str = (fields, n) => first(fields, n) !== undefined ? decoder.decode(first(fields, n)) : undefined;
+    const uint = (fields, n) => first(fields, n) !== undefined ? Number(first(fields, n)) : undefined;
+    const int = (fields, n) => first(fields, n) !== undefined ? Number(BigInt.asIntN(64, first(fields, n))) : undefined;
+    const float = (fields, n) => {
+        const b = first(fields, n);
+        return b !== undefined ? new DataView(b.buffer, b.byteOffset, 4).getFloat32(0, true) : undefined;
+    };
+    const double = (fields, n) => {
+        const b = first(fields, n);
+        return b !== undefined ? new DataView(b.buffer, b.byteOffset, 8).getFloat64(0, true) : undefined;
+    };
+
+    const trip = (fields) => fields ? {
+        tripId: str(fields, 1),
+        startTime: str(fields, 2),
+        startDate: str(fields, 3),
+        routeId: str(fields, 5),
+        directionId: uint(fields, 6)
+    } : null;
+    const vehicleDescriptor = (fields) => fields ? {
+        id: str(fields, 1),
+        label: str(fields, 2),
+        licensePlate: str(fields, 3)
+    } : null;
+    const stopTimeEvent = (fields) => fields ? {
+        delay: int(fields, 1),
+        time: int(fields, 2)
+    } : null;
+
+    const root = this.decodeProtobufFields(bytes);
+    const header = msg(first(root, 1));
+    const feed = {
+        header: {
+            version: str(header, 1),
+            timestamp: uint(header, 3)
+        },
+        entities: []
+    };
+
+    (root[2] || []).forEach(entityBytes => {
+        const entity = this.decodeProtobufFields(entityBytes);
+        const decoded = {
+            id: str(entity, 1),
+            isDeleted: uint(entity, 2) === 1
+        };
+
+        const tu = msg(first(entity, 3));
+        if (tu) {
+            decoded.tripUpdate = {
+                trip: trip(msg(first(tu, 1))),
+                vehicle: vehicleDescriptor(msg(first(tu, 3))),
+                timestamp: uint(tu, 4),
+                delay: int(tu, 5),
+                stopTimeUpdates: (tu[2] || []).map(b => {
+                    const stu = this.decodeProtobufFields(b);
+                    return {
+                        stopSequence: uint(stu, 1),
+                        stopId: str(stu, 4),
+                        arrival: stopTimeEvent(msg(first(stu, 2))),
+                        departure: stopTimeEvent(msg(first(stu, 3))),
+                        scheduleRelationship: uint(stu, 5) || 0
+                    };
+                })
+            };
+        }
+
+        const vp = msg(first(entity, 4));
+        if (vp) {
+            const position = msg(first(vp, 2));
+            decoded.vehicle = {
+                trip: trip(msg(first(vp, 1))),
+                vehicle: vehicleDescriptor(msg(first(vp, 8))),
+                position: position ? {
+                    latitude: float(position, 1),
+                    longitude: float(position, 2),
+                    bearing: float(position, 3),
+                    odometer: double(position, 4),
+                    speed: float(position, 5)
+                } : null,
+                currentStopSequence: uint(vp, 3),
+                currentStatus: uint(vp, 4),
+                timestamp: uint(vp, 5),
+                congestionLevel: uint(vp, 6),
+                stopId: str(vp, 7),
+                occupancyStatus: uint(vp, 9),
+                occupancyPercentage: uint(vp, 10)
+            };
+        }
+
+        feed.entities.push(decoded);
+    });
+
+    return feed;
+};
+
+// Find the app route a realtime trip descriptor belongs to
+CityBusTracker.prototype.resolveRealtimeRoute = function(trip) {
+    if (!trip) return null;
+    if (trip.routeId && this.routes.has(trip.routeId)) return trip.routeId;
+    if (trip.tripId) {
+        for (const [routeId, trips] of this.timetables) {
+            if (trips.some(t => t.tripId === trip.tripId)) return routeId;
+        }
+    }
+    return null;
+};
+
+// Find the tracked vehicle a realtime vehicle descriptor refers to
+CityBusTracker.prototype.findRealtimeVehicle = function(descriptor, entityId, tripId) {
+    const candidates = [descriptor?.id, descriptor?.label, entityId].filter(Boolean);
+    for (const key of candidates) {
+        if (this.vehicles.has(key)) return this.vehicles.get(key);
+    }
+    for (const vehicle of this.vehicles.values()) {
+        if (candidates.includes(vehicle.number)) return vehicle;
+        if (tripId && vehicle.tripId === tripId) return vehicle;
+    }
+    return null;
+};
+
+CityBusTracker.prototype.occupancyLoadFactors = [0, 0.25, 0.6, 0.85, 0.95, 1, 1, null, null];
+
+// Write a decoded GTFS-Realtime feed into the tracked vehicles
+CityBusTracker.prototype.applyGTFSRealtimeFeed = function(feed) {
+    const feedTime = feed.header.timestamp ? feed.header.timestamp * 1000 : Date.now();
+
+    feed.entities.forEach(entity => {
+        if (entity.isDeleted) return;
+
+        if (entity.vehicle && entity.vehicle.position) {
+            const vp = entity.vehicle;
+            let vehicle = this.findRealtimeVehicle(vp.vehicle, entity.id, vp.trip?.tripId);
+            const routeId = this.resolveRealtimeRoute(vp.trip) || vehicle?.routeId;
+
+            if (!vehicle) {
+                if (!routeId) return;
+                vehicle = {
+                    id: vp.vehicle?.id || entity.id,
+                    number: vp.vehicle?.label,
+                    routeId,
+                    speed: 0,
+                    heading: 0,
+                    capacity: 50,
+                    passengers: 0,
+                    status: 'on-time'
+                };
+                this.vehicles.set(vehicle.id, vehicle);
+                vehicle.lat = vp.position.latitude;
+                vehicle.lng = vp.position.longitude;
+                this.addVehicleToMap(vehicle);
+            }
+
+            const reportedAt = vp.timestamp ? vp.timestamp * 1000 : feedTime;
+            vehicle.routeId = routeId || vehicle.routeId;
+            vehicle.tripId = vp.trip?.tripId || vehicle.tripId;
+            vehicle.lat = vp.position.latitude;
+            vehicle.lng = vp.position.longitude;
+            if (vp.position.bearing !== undefined) vehicle.heading = vp.position.bearing;
+            if (vp.position.speed !== undefined) vehicle.speed = Math.round(vp.position.speed * 3.6);
+            if (vp.stopId) vehicle.currentStopId = vp.stopId;
+            if (vp.occupancyPercentage !== undefined) {
+                vehicle.passengers = Math.round(vehicle.capacity * vp.occupancyPercentage / 100);
+            } else if (vp.occupancyStatus !== undefined && this.occupancyLoadFactors[vp.occupancyStatus] != null) {
+                vehicle.passengers = Math.round(vehicle.capacity * this.occupancyLoadFactors[vp.occupancyStatus]);
+            }
+            vehicle.occupancyStatus = vp.occupancyStatus;
+            vehicle.lastUpdate = new Date(reportedAt);
+            vehicle.liveUpdatedAt = reportedAt;
+            vehicle.source = 'gtfs-rt';
+            this.syncProgressFromPosition(vehicle);
+        }
+
+        if (entity.tripUpdate) {
+            const tu = entity.tripUpdate;
+            const vehicle = this.findRealtimeVehicle(tu.vehicle, null, tu.trip?.tripId);
+            if (!vehicle) return;
+
+            const firstUpdate = tu.stopTimeUpdates.find(u => u.arrival || u.departure);
+            const delay = tu.delay ?? firstUpdate?.arrival?.delay ?? firstUpdate?.departure?.delay;
+            if (delay !== undefined) {
+                vehicle.delay = delay;
+                vehicle.status = adherenceStatus(delay);
+            }
+            vehicle.tripId = tu.trip?.tripId || vehicle.tripId;
+            vehicle.stopTimeUpdates = tu.stopTimeUpdates.map(u => ({
+                stopId: u.stopId,
+                stopSequence: u.stopSequence,
+                arrivalTime: u.arrival?.time ? u.arrival.time * 1000 : null,
+                delay: u.arrival?.delay ?? u.departure?.delay ?? null
+            }));
+        }
+    });
+};
+
+// ---------------- GTFS / GTFS-Realtime Export ----------------
+CityBusTracker.prototype.setupGTFSExport = function() {
+    const gtfsBtn = document.getElementById('exportGtfsBtn');
+    const realtimeBtn = document.getElementById('exportRealtimeBtn');
+
+    if (gtfsBtn) gtfsBtn.addEventListener('click', () => this.exportGTFSFeed());
+    if (realtimeBtn) realtimeBtn.addEventListener('click', () => this.exportGTFSRealtimeSnapshot());
+};
+
+CityBusTracker.prototype.exportGTFSFeed = async function() {
+    if (!this.requirePermission('export_feeds')) return;
+    if (this.routes.size === 0) {
+        this.showError('There is no network loaded to export');
+        return;
+    }
+    try {
+        const zip = await this.buildZip(this.buildGTFSFeedFiles());
+        const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        this.downloadFile(zip, `punjab-bus-gtfs-${stamp}.zip`, 'application/zip');
+        this.showSuccess('GTFS feed exported');
+    } catch (error) {
+        console.error('GTFS export failed:', error);
+        this.showError('GTFS feed could not be exported');
+    }
+};
+
+CityBusTracker.prototype.exportGTFSRealtimeSnapshot = function() {
+    if (!this.requirePermission('export_feeds')) return;
+    const bytes = this.encodeGTFSRealtimeFeed(this.buildGTFSRealtimeSnapshot());
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    this.downloadFile(bytes, `punjab-bus-gtfs-rt-${stamp}.pb`, 'application/x-protobuf');
+    this.showSuccess('GTFS-Realtime snapshot exported');
+};
+
+CityBusTracker.prototype.downloadFile = function(data, filename, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+// Format seconds after midnight as a GTFS HH:MM:SS time
+CityBusTracker.prototype.secondsToGtfsTime = function(seconds) {
+    // Stops without a time stay blank; 00:00:00 would mean midnight
+    if (!Number.isFinite(seconds)) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    const total = Math.round(seconds);
+    return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total % 3600 / 60))}:${pad(total % 60)}`;
+};
+
+CityBusTracker.prototype.toCSV = function(header, rows) {
+    const escape = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+};
+
+// A route's timetable (timetable.js): the imported or built-in one, or
+// else departures every hour timed from the stop-to-stop distances
+CityBusTracker.prototype.getExportTrips = function(route) {
+    const trips = this.timetables.get(route.id);
+    if (trips && trips.length) return trips;
+    return defaultTrips(route, this.getSegmentLengths(route));
+};
+
+// The route's trips that run on a day, one per departure
+CityBusTracker.prototype.getTripsOnDate = function(route, date = new Date()) {
+    return tripsOnDate(this.getExportTrips(route), this.serviceCalendars, date);
+};
+
+// Build the text files of a GTFS feed from the in-memory network
+CityBusTracker.prototype.buildGTFSFeedFiles = function() {
+    const files = new Map();
+    const agencies = this.agencies.size ? Array.from(this.agencies.values()) : [{
+        id: 'PUNBUS',
+        name: 'Punjab Bus Tracker',
+        url: window.location.origin,
+        timezone: 'Asia/Kolkata'
+    }];
+    const defaultAgencyId = agencies[0].id;
+
+    files.set('agency.txt', this.toCSV(
+        ['agency_id', 'agency_name', 'agency_url', 'agency_timezone'],
+        agencies.map(a => [a.id, a.name, a.url, a.timezone])
+    ));
+
+    // Stops with bays are stations (location_type 1) with a platform per bay,
+    // and trips stop at the platform
+    const stopRows = [];
+    this.stops.forEach(s => {
+        const lat = s.lat.toFixed(6);
+        const lng = s.lng.toFixed(6);
+        stopRows.push([s.id, s.name, lat, lng, s.platforms.length ? 1 : '', '', '']);
+        s.platforms.forEach(p => stopRows.push([p.id, s.name, lat, lng, 0, s.id, p.name]));
+    });
+    files.set('stops.txt', this.toCSV(
+        ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type', 'parent_station', 'platform_code'],
+        stopRows
+    ));
+
+    const routeRows = [];
+    const tripRows = [];
+    const stopTimeRows = [];
+    const frequencyRows = [];
+    const shapeRows = [];
+    const serviceIds = new Set();
+
+    this.routes.forEach(route => {
+        routeRows.push([
+            route.id,
+            route.agencyId || defaultAgencyId,
+            route.number,
+            route.name,
+            3, // bus
+            (route.color || '').replace('#', '').toUpperCase()
+        ]);
+
+        const shapeId = route.shape && route.shape.length > 1 ? (route.shapeId || `${route.id}-shape`) : '';
+        if (shapeId) {
+            route.shape.forEach((point, i) => {
+                shapeRows.push([shapeId, point[0].toFixed(6), point[1].toFixed(6), i + 1]);
+            });
+        }
+
+        const platformIds = new Map(route.stops.map(stop => [stop.id, stop.platformId || stop.id]));
+        this.getExportTrips(route).forEach(trip => {
+            serviceIds.add(trip.serviceId);
+            tripRows.push([route.id, trip.serviceId, trip.tripId, trip.headsign, trip.directionId, shapeId]);
+            (trip.frequencies || []).forEach(frequency => {
+                frequencyRows.push([
+                    trip.tripId,
+                    this.secondsToGtfsTime(frequency.startTime),
+                    this.secondsToGtfsTime(frequency.endTime),
+                    frequency.headwaySeconds
+                ]);
+            });
+            trip.stopTimes.forEach(st => {
+                stopTimeRows.push([
+                    trip.tripId,
+                    this.secondsToGtfsTime(st.arrival),
+                    this.secondsToGtfsTime(st.departure),
+                    platformIds.get(st.stopId) || st.stopId,
+                    st.sequence
+                ]);
+            });
+        });
+    });
+
+    files.set('routes.txt', this.toCSV(
+        ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color'],
+        routeRows
+    ));
+    files.set('trips.txt', this.toCSV(
+        ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id'],
+        tripRows
+    ));
+    files.set('stop_times.txt', this.toCSV(
+        ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+        stopTimeRows
+    ));
+
+    // Services without a known calendar run every day for the next year
+    const today = new Date();
+    const ymd = (d) => `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+    const nextYear = new Date(today.getFullYear() + 1, today.getMonth(), today.getDate());
+    const dayOrder = [1, 2, 3, 4, 5, 6, 0]; // GTFS columns run monday..sunday
+    const calendarRows = [];
+    const calendarDateRows = [];
+    serviceIds.forEach(serviceId => {
+        const calendar = this.serviceCalendars.get(serviceId);
+        if (!calendar) {
+            calendarRows.push([serviceId, 1, 1, 1, 1, 1, 1, 1, ymd(today), ymd(nextYear)]);
+            return;
+        }
+        if (calendar.startDate && calendar.endDate) {
+            calendarRows.push([serviceId, ...dayOrder.map(d => calendar.days[d] ? 1 : 0), calendar.startDate, calendar.endDate]);
+        }
+        calendar.added.forEach(date => calendarDateRows.push([serviceId, date, 1]));
+        calendar.removed.forEach(date => calendarDateRows.push([serviceId, date, 2]));
+    });
+
+    files.set('calendar.txt', this.toCSV(
+        ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+        calendarRows
+    ));
+    if (calendarDateRows.length) {
+        files.set('calendar_dates.txt', this.toCSV(['service_id', 'date', 'exception_type'], calendarDateRows));
+    }
+    if (frequencyRows.length) {
+        files.set('frequencies.txt', this.toCSV(['trip_id', 'start_time', 'end_time', 'headway_secs'], frequencyRows));
+    }
+    if (shapeRows.length) {
+        files.set('shapes.txt', this.toCSV(
+            ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'],
+            shapeRows
+        ));
+    }
+
+    return files;
+};
+
+CityBusTracker.prototype.crc32 = function(bytes) {
+    if (!this.crcTable) {
+        this.crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            this.crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Pack text files into a zip archive (deflated where the browser supports it)
+CityBusTracker.prototype.buildZip = async function(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, text] of files) {
+        const nameBytes = encoder.encode(name);
+        const raw = encoder.encode(text);
+        let data = raw;
+        let method = 0;
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            data = new Uint8Array(await new Response(stream).arrayBuffer());
+            method = 8;
+        }
+        const crc = this.crc32(raw);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(8, method, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, raw.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(10, method, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, raw.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.size, true);
+    end.setUint16(10, files.size, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    parts.forEach(part => {
+        zip.set(part, pos);
+        pos += part.length;
+    });
+    return zip;
+};
+
+// Describe the current fleet state as a GTFS-Realtime FeedMessage
+CityBusTracker.prototype.buildGTFSRealtimeSnapshot = function() {
+    const now = Math.floor(Date.now() / 1000);
+    const entities = [];
+
+    this.vehicles.forEach(vehicle => {
+        const descriptor = { id: vehicle.id, label: vehicle.number || vehicle.id };
+        const trip = { tripId: vehicle.tripId || vehicle.scheduledTripId, routeId: vehicle.routeId };
+        const timestamp = vehicle.lastUpdate ? Math.floor(new Date(vehicle.lastUpdate).getTime() / 1000) : now;
+
+        entities.push({
+            id: `vp-${vehicle.id}`,
+            vehicle: {
+                trip,
+                vehicle: descriptor,
+                position: {
+                    latitude: vehicle.lat,
+                    longitude: vehicle.lng,
+                    bearing: vehicle.heading,
+                    speed: vehicle.speed !== undefined ? vehicle.speed / 3.6 : undefined
+                },
+                timestamp,
+                occupancyPercentage: vehicle.capacity && Number.isFinite(vehicle.passengers)
+                    ? Math.round(vehicle.passengers / vehicle.capacity * 100) : undefined
+            }
+        });
+
+        if (Number.isFinite(vehicle.delay) || (vehicle.stopTimeUpdates && vehicle.stopTimeUpdates.length)) {
+            entities.push({
+                id: `tu-${vehicle.id}`,
+                tripUpdate: {
+                    trip,
+                    vehicle: descriptor,
+                    timestamp,
+                    delay: vehicle.delay,
+                    stopTimeUpdates: (vehicle.stopTimeUpdates || []).map(u => ({
+                        stopSequence: u.stopSequence,
+                        stopId: u.stopId,
+                        arrival: {
+                            delay: u.delay ?? undefined,
+                            time: u.arrivalTime ? Math.floor(u.arrivalTime / 1000) : undefined
+                        }
+                    }))
+                }
+            });
+        }
+    });
+
+    return { header: { version: '2.0', timestamp: now }, entities };
+};
+
+// Encode a FeedMessage shaped like the output of decodeGTFSRealtimeFeed
+CityBusTracker.prototype.encodeGTFSRealtimeFeed = function(feed) {
+    const encoder = new TextEncoder();
+
+    const pushVarint = (bytes, value) => {
+        let n = BigInt(value);
+        do {
+            let byte = Number(n & 0x7fn);
+            n >>= 7n;
+            if (n) byte |= 0x80;
+            bytes.push(byte);
+        } while (n);
+    };
+
+    const message = () => {
+        const bytes = [];
+        const api = {
+            // Optional fields without a number (NaN from a missing passenger
+            // count or a bad date) are left out rather than failing the feed,
+            // and so are negative values of unsigned fields
+            varint(field, value, signed = false) {
+                if (value === undefined || value === null || !Number.isFinite(Number(value))) return api;
+                const n = BigInt(Math.round(value));
+                if (!signed && n < 0n) return api;
+                pushVarint(bytes, field << 3);
+                pushVarint(bytes, signed ? BigInt.asUintN(64, n) : n);
+                return api;
+            },
+            bytes(field, data) {
+                if (!data) return api;
+                pushVarint(bytes, (field << 3) | 2);
+                pushVarint(bytes, data.length);
+                for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+                return api;
+            },
+            string(field, value) {
+                return value === undefined || value === null || value === '' ? api : api.bytes(field, encoder.encode(String(value)));
+            },
+            message(field, sub) {
+                return sub ? api.bytes(field, sub.finish()) : api;
+            },
+            float(field, value) {
+                if (value === undefined || value === null || Number.isNaN(value)) return api;
+                const view = new DataView(new ArrayBuffer(4));
+                view.setFloat32(0, value, true);
+                pushVarint(bytes, (field << 3) | 5);
+                bytes.push(...new Uint8Array(view.buffer));
+                return api;
+            },
+            finish() {
+                return Uint8Array.from(bytes);
+            }
+        };
+        return api;
+    };
+
+    const trip = (t) => t ? message()
+        .string(1, t.tripId)
+        .string(2, t.startTime)
+        .string(3, t.startDate)
+        .string(5, t.routeId)
+        .varint(6, t.directionId) : null;
+    const descriptor = (d) => d ? message().string(1, d.id).string(2, d.label).string(3, d.licensePlate) : null;
+    const stopTimeEvent = (e) => e && (e.delay !== undefined || e.time !== undefined)
+        ? message().varint(1, e.delay, true).varint(2, e.time, true) : null;
+
+    const root = message().message(1, message()
+        .string(1, feed.header.version || '2.0')
+        .varint(3, feed.header.timestamp));
+
+    feed.entities.forEach(entity => {
+        const e = message().string(1, entity.id);
+
+        if (entity.tripUpdate) {
+            const tu = entity.tripUpdate;
+            const tuMsg = message().message(1, trip(tu.trip));
+            (tu.stopTimeUpdates || []).forEach(u => {
+                tuMsg.message(2, message()
+                    .varint(1, u.stopSequence)
+                    .message(2, stopTimeEvent(u.arrival))
+                    .message(3, stopTimeEvent(u.departure))
+                    .string(4, u.stopId));
+            });
+            tuMsg.message(3, descriptor(tu.vehicle))
+                .varint(4, tu.timestamp)
+                .varint(5, tu.delay, true);
+            e.message(3, tuMsg);
+        }
+
+        if (entity.vehicle) {
+            const vp = entity.vehicle;
+            const position = vp.position ? message()
+                .float(1, vp.position.latitude)
+                .float(2, vp.position.longitude)
+                .float(3, vp.position.bearing)
+                .float(5, vp.position.speed) : null;
+            e.message(4, message()
+                .message(1, trip(vp.trip))
+                .message(2, position)
+                .varint(3, vp.currentStopSequence)
+                .varint(5, vp.timestamp)
+                .string(7, vp.stopId)
+                .message(8, descriptor(vp.vehicle))
+                .varint(9, vp.occupancyStatus)
+                .varint(10, vp.occupancyPercentage));
+        }
+
+        root.message(2, e);
+    });
+
+    return root.finish();
+};
+
+// ---------------- Stop ETA Engine ----------------
+// Predicted arrivals are derived from where each bus sits along its route
+// (vehicleProgress), how fast it is going and the length of the segments
+// still ahead of it along the route geometry. Live TripUpdates win over our own estimate.
+CityBusTracker.prototype.minPredictionSpeedKmh = 15;
+CityBusTracker.prototype.maxPredictionSpeedKmh = 40;
+
+// Same clamp the simulation moves buses with, so predictions and movement agree
+CityBusTracker.prototype.getPredictionSpeedKmh = function(vehicle) {
+    return Math.max(this.minPredictionSpeedKmh, Math.min(this.maxPredictionSpeedKmh, vehicle.speed || 25));
+};
+
+// All upcoming stops of one vehicle with predicted seconds until arrival
+CityBusTracker.prototype.predictVehicleArrivals = function(vehicle, now = this.getCurrentTime()) {
+    const route = this.routes.get(vehicle.routeId);
+    const progress = this.vehicleProgress && this.vehicleProgress.get(vehicle.id);
+    if (!route || !progress || route.stops.length < 2) return [];
+
+    const lengths = this.getSegmentLengths(route);
+    const metersPerSecond = this.getPredictionSpeedKmh(vehicle) * 1000 / 3600;
+    const liveUpdates = this.isLiveDataFresh(vehicle) ? (vehicle.stopTimeUpdates || []) : [];
+    const stopCount = route.stops.length;
+
+    // Learned medians replace the speed estimate wherever we have enough samples
+    let usedHistory = false;
+    const segmentSeconds = (index, secondsAhead) => {
+        const median = this.getSegmentMedianSeconds(route, index, new Date(now + secondsAhead * 1000));
+        if (median !== null) {
+            usedHistory = true;
+            return median;
+        }
+        return lengths[index] / metersPerSecond;
+    };
+
+    const predictions = [];
+    const remaining = 1 - Math.max(0, Math.min(1, progress.t));
+    let meters = remaining * lengths[progress.segmentIndex];
+    let seconds = remaining * segmentSeconds(progress.segmentIndex, 0);
+
+    for (let step = 1; step <= stopCount; step++) {
+        const stopIndex = (progress.segmentIndex + step) % stopCount;
+        const stop = route.stops[stopIndex];
+        let etaSeconds = seconds;
+        let source = usedHistory ? 'history' : 'predicted';
+
+        const live = liveUpdates.find(u => this.resolveStopId(u.stopId) === stop.id);
+        if (live && live.arrivalTime && live.arrivalTime >= now) {
+            etaSeconds = (live.arrivalTime - now) / 1000;
+            source = 'live';
+        }
+
+        predictions.push({
+            vehicleId: vehicle.id,
+            vehicleNumber: vehicle.number || vehicle.id,
+            routeId: route.id,
+            routeNumber: route.number,
+            destination: route.stops[stopCount - 1].name,
+            stopId: stop.id,
+            stopName: stop.name,
+            platform: platformName(this.stops.get(stop.id), stop.platformId),
+            distanceMeters: meters,
+            etaSeconds,
+            arrivalTime: new Date(now + etaSeconds * 1000),
+            status: vehicle.status,
+            delay: vehicle.delay,
+            source
+        });
+
+        meters += lengths[stopIndex];
+        seconds += segmentSeconds(stopIndex, seconds);
+    }
+
+    return predictions;
+};
+
+// Approaching buses for one stop, soonest first
+CityBusTracker.prototype.predictStopArrivals = function(stopId, limit = 3) {
+    const now = this.getCurrentTime();
+    const arrivals = [];
+    this.vehicles.forEach(vehicle => {
+        const match = this.predictVehicleArrivals(vehicle, now).find(a => a.stopId === stopId);
+        if (match) arrivals.push(match);
+    });
+    return arrivals.sort((a, b) => a.etaSeconds - b.etaSeconds).slice(0, limit);
+};
+
+// Next arrival at each stop near the user (or across the network when no
+// stops are nearby), soonest first
+CityBusTracker.prototype.getUpcomingArrivals = function(limit = 5) {
+    const nearby = this.findNearbyStops().map(stop => stop.id);
+    const stopIds = nearby.length ? nearby : Array.from(this.stops.keys());
+
+    return stopIds
+        .map(stopId => this.predictStopArrivals(stopId, 1)[0])
+        .filter(Boolean)
+        .sort((a, b) => a.etaSeconds - b.etaSeconds)
+        .slice(0, limit);
+};
+
+CityBusTracker.prototype.etaSourceLabels = {
+    live: 'live',
+    history: 'learned',
+    predicted: 'estimated'
+};
+
+CityBusTracker.prototype.formatEta = function(etaSeconds) {
+    const minutes = Math.round(etaSeconds / 60);
+    if (minutes < 1) return 'Due';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+CityBusTracker.prototype.renderArrivals = function(container, arrivals) {
+    container.innerHTML = '';
+
+    if (arrivals.length === 0) {
+        container.innerHTML = '<div class="text-muted">No buses approaching</div>';
+        return;
+    }
+
+    arrivals.forEach(arrival => {
+        const item = document.createElement('div');
+        item.className = 'arrival-item';
+        item.innerHTML = `
+            <div>
+                <div class="arrival-time">${this.formatEta(arrival.etaSeconds)} <span class="arrival-clock">${arrival.arrivalTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span></div>
+                <div class="route-details">${escapeHtml(arrival.routeNumber)} to ${escapeHtml(arrival.destination)} at ${escapeHtml(arrival.stopName)}${arrival.platform ? `, ${escapeHtml(arrival.platform)}` : ''}</div>
+                <div class="arrival-source">${escapeHtml(arrival.vehicleNumber)} • ${this.etaSourceLabels[arrival.source]}</div>
+            </div>
+            <div class="route-status ${arrival.status}">${this.describeVehicleStatus(arrival.status, arrival.delay)}</div>
+        `;
+        container.appendChild(item);
+    });
+};
+
+// Popup content is built when the popup opens so the ETAs are current
+CityBusTracker.prototype.buildStopPopup = function(stop) {
+    const routes = this.describeStopRoutes(stop);
+    return `
+        <div class="stop-popup">
+            <h4>${escapeHtml(stop.name)}</h4>
+            ${routes ? `<p><strong>Routes:</strong> ${escapeHtml(routes)}</p>` : ''}
+            ${this.buildStopArrivalRows(stop)}
+        </div>
+    `;
+};
+
+// "PB-1 (Bay 3), PB-2 (Bay 7)": the routes serving a registry stop and
+// their bays, leaving out exceptRouteId
+CityBusTracker.prototype.describeStopRoutes = function(stop, exceptRouteId = null) {
+    return ((stop && stop.servedBy) || [])
+        .filter(served => served.routeId !== exceptRouteId && this.routes.has(served.routeId))
+        .map(served => {
+            const platform = platformName(stop, served.platformId);
+            return `${this.routes.get(served.routeId).number}${platform ? ` (${platform})` : ''}`;
+        })
+        .join(', ');
+};
+
+// "Patiala Bus Stand, Bay 7": a route's stop with the bay the route uses
+CityBusTracker.prototype.describeRouteStop = function(stop) {
+    const platform = platformName(this.stops.get(stop.id), stop.platformId);
+    return platform ? `${stop.name}, ${platform}` : stop.name;
+};
+
+CityBusTracker.prototype.buildStopArrivalRows = function(stop) {
+    const arrivals = this.predictStopArrivals(stop.id);
+    if (arrivals.length === 0) return '<p>No buses approaching</p>';
+
+    return arrivals
+        .map(a => `<p><strong>${escapeHtml(a.routeNumber)}</strong> ${escapeHtml(a.vehicleNumber)}${a.platform ? ` at ${escapeHtml(a.platform)}` : ''} — ${this.formatEta(a.etaSeconds)}${a.source === 'live' ? ' (live)' : ''}</p>`)
+        .join('');
+};
+
+// ---------------- Schedule Adherence ----------------
+// Whether each bus runs early, on time or delayed, worked out from where it is
+// against its timetable (timetable.js) rather than from what the simulation
+// does. vehicle.status is 'early', 'on-time', 'delayed', 'breakdown' (set by
+// the simulation) or 'unscheduled', vehicle.delay the seconds behind the
+// timetable and vehicle.scheduledTripId the trip it was measured against.
+// Buses from the server's stream arrive with all three, worked out by the
+// server the same way.
+
+// How far the bus is from its timetable at the next stop: the predicted
+// arrival against the scheduled one of its trip, or of the trip whose arrival
+// there is closest (timetable.js). Positive delaySeconds means late.
+CityBusTracker.prototype.getScheduleAdherence = function(vehicle) {
+    const route = this.routes.get(vehicle.routeId);
+    const next = this.predictVehicleArrivals(vehicle)[0];
+    if (!route || !next) return null;
+
+    const adherence = scheduleAdherence(date => this.getTripsOnDate(route, date), {
+        stopId: next.stopId,
+        expectedAt: next.arrivalTime.getTime(),
+        tripId: vehicle.tripId
+    });
+    if (!adherence) return null;
+    return { ...adherence, stopName: next.stopName, scheduledArrival: new Date(adherence.scheduledAt) };
+};
+
+CityBusTracker.prototype.formatDelay = function(delaySeconds) {
+    const minutes = Math.round(Math.abs(delaySeconds) / 60);
+    if (minutes === 0) return 'On time';
+    return `${minutes} min ${delaySeconds > 0 ? 'late' : 'early'}`;
+};
+
+// "On time", "7 min late", "2 min early", "Broken down" or "No trip due"
+CityBusTracker.prototype.describeVehicleStatus = function(status, delaySeconds) {
+    if ((status === 'delayed' || status === 'early') && Number.isFinite(delaySeconds)) return this.formatDelay(delaySeconds);
+    return this.vehicleStatusLabels[status] || status || this.vehicleStatusLabels.unscheduled;
+};
+
+CityBusTracker.prototype.vehicleStatusLabels = {
+    'on-time': 'On time',
+    early: 'Early',
+    delayed: 'Delayed',
+    breakdown: 'Broken down',
+    unscheduled: 'No trip due'
+};
+
+// A broken-down bus stays broken down while its delay keeps counting; a bus
+// with no trip due at its next stop is unscheduled
+CityBusTracker.prototype.updateScheduleStatus = function(vehicle) {
+    const adherence = this.getScheduleAdherence(vehicle);
+    if (!adherence && vehicle.source === 'gtfs-rt') return; // keep the feed's own delay
+    vehicle.delay = adherence ? adherence.delaySeconds : null;
+    vehicle.scheduledTripId = adherence ? adherence.tripId : null;
+    if (vehicle.status !== 'breakdown') vehicle.status = adherence ? adherence.status : 'unscheduled';
+};
+
+CityBusTracker.prototype.updateScheduleStatuses = function() {
+    this.vehicles.forEach(vehicle => {
+        if (vehicle.source !== 'stream' || !this.isLiveDataFresh(vehicle)) this.updateScheduleStatus(vehicle);
+    });
+};
+
+// ---------------- Travel Time Learning ----------------
+// Every completed stop-to-stop segment is stored per route, weekday and hour
+// of day under localStorage 'travelTimeHistory', keyed by the JSON array
+// [routeId, fromStopId, toStopId, weekday, hour] since GTFS ids may contain
+// any character. Only traversals timed at real speed are kept. Predictions
+// made ahead of each arrival are checked against the actual arrival in
+// 'etaAccuracyLog'.
+CityBusTracker.prototype.minHistorySamples = 3;
+CityBusTracker.prototype.maxHistorySamples = 50;
+CityBusTracker.prototype.maxAccuracyEntries = 1000;
+CityBusTracker.prototype.predictionHorizons = [5, 15, 30, 60]; // minutes
+
+CityBusTracker.prototype.getTravelTimeHistory = function() {
+    if (!this.travelTimeHistory) {
+        const stored = JSON.parse(localStorage.getItem('travelTimeHistory') || '{}');
+        // Keys used to be joined with ':', which cannot be split back reliably
+        this.travelTimeHistory = Object.fromEntries(Object.entries(stored).filter(([key]) => key.startsWith('[')));
+    }
+    return this.travelTimeHistory;
+};
+
+// [routeId, fromStopId, toStopId] of a segment
+CityBusTracker.prototype.getSegment = function(route, segmentIndex) {
+    const from = route.stops[segmentIndex];
+    const to = route.stops[(segmentIndex + 1) % route.stops.length];
+    return [route.id, from.id, to.id];
+};
+
+CityBusTracker.prototype.getHistoryKey = function(segment, day, hour) {
+    return JSON.stringify([...segment, day, hour]);
+};
+
+// Called whenever a bus reaches the stop at the end of a segment
+CityBusTracker.prototype.recordSegmentTraversal = function(vehicle, route, segmentIndex, enteredAt, arrivedAt) {
+    const arrivedStop = route.stops[(segmentIndex + 1) % route.stops.length];
+    this.recordStopArrival(vehicle, arrivedStop, arrivedAt);
+
+    // Only whole traversals are useful; a bus first seen mid-segment is skipped
+    if (!enteredAt) return;
+    const seconds = (arrivedAt - enteredAt) / 1000;
+    if (seconds <= 0) return;
+    // Sped-up or slowed-down simulation would skew the medians
+    if (this.simulator && this.simulator.settings.timeScale !== 1) return;
+
+    const when = new Date(enteredAt);
+    const key = this.getHistoryKey(this.getSegment(route, segmentIndex), when.getDay(), when.getHours());
+    const history = this.getTravelTimeHistory();
+    const samples = history[key] || [];
+    samples.push(Math.round(seconds));
+    history[key] = samples.slice(-this.maxHistorySamples);
+    localStorage.setItem('travelTimeHistory', JSON.stringify(history));
+};
+
+CityBusTracker.prototype.median = function(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Median traversal time for the weekday and hour of `when`, falling back to
+// the same hour on any weekday and then to any time; null until enough
+// samples exist
+CityBusTracker.prototype.getSegmentMedianSeconds = function(route, segmentIndex, when) {
+    const history = this.getTravelTimeHistory();
+    const segment = this.getSegment(route, segmentIndex);
+    const hour = when.getHours();
+
+    const exact = history[this.getHistoryKey(segment, when.getDay(), hour)] || [];
+    if (exact.length >= this.minHistorySamples) return this.median(exact);
+
+    const sameHour = [];
+    for (let day = 0; day < 7; day++) {
+        sameHour.push(...(history[this.getHistoryKey(segment, day, hour)] || []));
+    }
+    if (sameHour.length >= this.minHistorySamples) return this.median(sameHour);
+
+    const segmentKey = JSON.stringify(segment);
+    const anyTime = Object.keys(history)
+        .filter(key => JSON.stringify(JSON.parse(key).slice(0, 3)) === segmentKey)
+        .flatMap(key => history[key]);
+    if (anyTime.length >= this.minHistorySamples) return this.median(anyTime);
+
+    return null;
+};
+
+CityBusTracker.prototype.getHorizonLabel = function(etaSeconds) {
+    const minutes = etaSeconds / 60;
+    const horizon = this.predictionHorizons.find(limit => minutes <= limit);
+    return horizon ? `≤${horizon} min` : null;
+};
+
+// Remember the first prediction made inside each horizon for every bus/stop
+// pair so it can be scored when the bus actually arrives
+CityBusTracker.prototype.trackPredictions = function() {
+    if (!this.pendingPredictions) this.pendingPredictions = new Map();
+    const now = this.getCurrentTime();
+
+    this.vehicles.forEach(vehicle => {
+        this.predictVehicleArrivals(vehicle, now).forEach(prediction => {
+            const label = this.getHorizonLabel(prediction.etaSeconds);
+            if (!label) return;
+
+            const key = `${vehicle.id}|${prediction.stopId}`;
+            if (!this.pendingPredictions.has(key)) {
+                this.pendingPredictions.set(key, { routeId: prediction.routeId, horizons: {} });
+            }
+            const pending = this.pendingPredictions.get(key);
+            if (!pending.horizons[label]) {
+                pending.horizons[label] = {
+                    predictedAt: now,
+                    arrivalTime: prediction.arrivalTime.getTime(),
+                    source: prediction.source
+                };
+            }
+        });
+    });
+
+    // Forget predictions for arrivals that never happened (bus reassigned, feed gap)
+    const maxAge = (Math.max(...this.predictionHorizons) + 60) * 60000;
+    this.pendingPredictions.forEach((pending, key) => {
+        const oldest = Math.min(...Object.values(pending.horizons).map(h => h.predictedAt));
+        if (now - oldest > maxAge) this.pendingPredictions.delete(key);
+    });
+};
+
+CityBusTracker.prototype.recordStopArrival = function(vehicle, stop, arrivedAt) {
+    const key = `${vehicle.id}|${stop.id}`;
+    const pending = this.pendingPredictions && this.pendingPredictions.get(key);
+    if (!pending) return;
+    this.pendingPredictions.delete(key);
+
+    const log = JSON.parse(localStorage.getItem('etaAccuracyLog') || '[]');
+    Object.entries(pending.horizons).forEach(([horizon, prediction]) => {
+        log.push({
+            routeId: pending.routeId,
+            stopId: stop.id,
+            vehicleId: vehicle.id,
+            horizon,
+            source: prediction.source,
+            predictedAt: prediction.predictedAt,
+            predictedArrival: prediction.arrivalTime,
+            actualArrival: arrivedAt,
+            errorSeconds: Math.round((arrivedAt - prediction.arrivalTime) / 1000)
+        });
+    });
+    localStorage.setItem('etaAccuracyLog', JSON.stringify(log.slice(-this.maxAccuracyEntries)));
+};
+
+CityBusTracker.prototype.summarizeAccuracy = function(entries) {
+    if (entries.length === 0) return null;
+    const absErrors = entries.map(e => Math.abs(e.errorSeconds));
+    return {
+        count: entries.length,
+        meanAbsError: absErrors.reduce((sum, x) => sum + x, 0) / entries.length,
+        bias: entries.reduce((sum, e) => sum + e.errorSeconds, 0) / entries.length,
+        withinTwoMinutes: absErrors.filter(x => x <= 120).length / entries.length
+    };
+};
+
+CityBusTracker.prototype.setupAnalytics = function() {
+    const clearBtn = document.getElementById('clearTravelHistoryBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            if (!confirm('Clear learned travel times and the accuracy log?')) return;
+            this.travelTimeHistory = {};
+            this.pendingPredictions = new Map();
+            localStorage.removeItem('travelTimeHistory');
+            localStorage.removeItem('etaAccuracyLog');
+            this.loadAnalyticsReport();
+            this.showSuccess('Travel time history cleared');
+        });
+    }
+};
+
+CityBusTracker.prototype.loadAnalyticsReport = function() {
+    const container = document.getElementById('etaAccuracyReport');
+    if (!container) return;
+
+    const history = this.getTravelTimeHistory();
+    const sampleCount = Object.values(history).reduce((sum, samples) => sum + samples.length, 0);
+    const segmentCount = new Set(Object.keys(history).map(key => JSON.stringify(JSON.parse(key).slice(0, 3)))).size;
+    const log = JSON.parse(localStorage.getItem('etaAccuracyLog') || '[]');
+
+    const formatSeconds = (seconds) => seconds < 60 ? `${Math.round(seconds)} s` : `${(seconds / 60).toFixed(1)} min`;
+    const row = (label, summary) => summary ? `
+        <tr>
+            <td>${label}</td>
+            <td>${summary.count}</td>
+            <td>${formatSeconds(summary.meanAbsError)}</td>
+            <td>${summary.bias >= 0 ? '+' : '-'}${formatSeconds(Math.abs(summary.bias))}</td>
+            <td>${Math.round(summary.withinTwoMinutes * 100)}%</td>
+        </tr>
+    ` : '';
+    const table = (title, rows) => `
+        <h5>${title}</h5>
+        <table class="accuracy-table">
+            <thead>
+                <tr><th></th><th>Arrivals</th><th>Mean error</th><th>Bias (+ late)</th><th>Within 2 min</th></tr>
+            </thead>
+            <tbody>${rows || '<tr><td colspan="5" class="text-muted">No data yet</td></tr>'}</tbody>
+        </table>
+    `;
+
+    const byHorizon = this.predictionHorizons
+        .map(limit => `≤${limit} min`)
+        .map(label => row(label, this.summarizeAccuracy(log.filter(e => e.horizon === label))))
+        .join('');
+
+    const bySource = Object.entries(this.etaSourceLabels)
+        .map(([source, label]) => row(label, this.summarizeAccuracy(log.filter(e => e.source === source))))
+        .join('');
+
+    // Day-by-day trend to see whether learning is paying off
+    const days = new Map();
+    log.forEach(entry => {
+        const day = new Date(entry.actualArrival).toLocaleDateString();
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(entry);
+    });
+    const byDay = Array.from(days.entries())
+        .slice(-7)
+        .map(([day, entries]) => row(day, this.summarizeAccuracy(entries)))
+        .join('');
+
+    container.innerHTML = `
+        <div class="tracking-stats">
+            <div class="stat-item">
+                <i class="fas fa-database"></i>
+                <span class="stat-label">Travel Samples</span>
+                <span class="stat-value">${sampleCount}</span>
+            </div>
+            <div class="stat-item">
+                <i class="fas fa-route"></i>
+                <span class="stat-label">Segments Learned</span>
+                <span class="stat-value">${segmentCount}</span>
+            </div>
+            <div class="stat-item">
+                <i class="fas fa-bullseye"></i>
+                <span class="stat-label">Arrivals Scored</span>
+                <span class="stat-value">${new Set(log.map(e => `${e.vehicleId}|${e.stopId}|${e.actualArrival}`)).size}</span>
+            </div>
+        </div>
+        ${table('By prediction horizon', byHorizon)}
+        ${table('By prediction source', bySource)}
+        ${table('Daily trend', byDay)}
+    `;
+};
+
+// ---------------- Journey Planner ----------------
+// Round-based search over this.routes: each round adds one bus ride, so the
+// best arrival after round k is the fastest journey with k - 1 changes.
+// Walking covers the first and last mile and transfers between nearby stops.
+CityBusTracker.prototype.journeyPlannerSettings = {
+    maxRides: 3,
+    walkingSpeedKmh: 4.5,
+    maxWalkKm: 1,
+    minTransferSeconds: 300,
+    defaultWaitSeconds: 600,
+    busSpeedKmh: 25,
+    farePerRide: 50,
+    taxRate: 0.05
+};
+
+CityBusTracker.prototype.setupJourneyPlanner = function() {
+    const planBtn = document.getElementById('planJourneyBtn');
+    const swapBtn = document.getElementById('swapPlanBtn');
+    const departEl = document.getElementById('planDepart');
+
+    if (departEl && !departEl.value) {
+        const now = new Date();
+        departEl.value = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    }
+
+    if (planBtn) planBtn.addEventListener('click', () => this.runJourneyPlanner());
+    if (swapBtn) swapBtn.addEventListener('click', () => {
+        const fromEl = document.getElementById('planFrom');
+        const toEl = document.getElementById('planTo');
+        if (!fromEl || !toEl) return;
+        const from = fromEl.value;
+        fromEl.value = toEl.value;
+        toEl.value = from;
+    });
+};
+
+// Places a journey can start or end at: the user's position plus every stop
+// of the registry (a stand served by several routes is one stop)
+CityBusTracker.prototype.getPlannerPlaces = function() {
+    const places = new Map();
+    if (this.userLocation) {
+        places.set('my-location', {
+            id: 'my-location',
+            name: 'My location',
+            lat: this.userLocation[0],
+            lng: this.userLocation[1]
+        });
+    }
+    this.stops.forEach(stop => {
+        const id = `stop:${stop.id}`;
+        places.set(id, { id, name: stop.name, lat: stop.lat, lng: stop.lng });
+    });
+    return places;
+};
+
+CityBusTracker.prototype.loadJourneyPlanner = function() {
+    const places = Array.from(this.getPlannerPlaces().values());
+    ['planFrom', 'planTo'].forEach((id, index) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = `<option value="">${index === 0 ? 'Starting point' : 'Destination'}</option>`;
+        places.forEach(place => {
+            const opt = document.createElement('option');
+            opt.value = place.id;
+            opt.textContent = place.name;
+            select.appendChild(opt);
+        });
+        if (places.some(place => place.id === selected)) select.value = selected;
+    });
+};
+
+CityBusTracker.prototype.runJourneyPlanner = function() {
+    const places = this.getPlannerPlaces();
+    const origin = places.get(document.getElementById('planFrom')?.value);
+    const destination = places.get(document.getElementById('planTo')?.value);
+
+    if (!origin || !destination) {
+        this.showError('Please choose where you are travelling from and to');
+        return;
+    }
+    if (origin.id === destination.id) {
+        this.showError('From and To must be different');
+        return;
+    }
+
+    const departAt = new Date();
+    const time = document.getElementById('planDepart')?.value;
+    if (time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        departAt.setHours(hours, minutes, 0, 0);
+        if (departAt.getTime() < Date.now() - 60000) departAt.setDate(departAt.getDate() + 1);
+    }
+
+    this.journeyResults = this.planJourneys(origin, destination, departAt.getTime());
+    this.renderJourneyResults(this.journeyResults);
+};
+
+// Fill the planner from a search like "Ludhiana to Patiala"; false when
+// either side does not name a known place
+CityBusTracker.prototype.planJourneyFromSearch = function(fromText, toText) {
+    const places = Array.from(this.getPlannerPlaces().values());
+    const find = (text) => places.find(place => place.name.toLowerCase().includes(text.trim().toLowerCase()));
+    const origin = find(fromText);
+    const destination = find(toText);
+    if (!origin || !destination || origin.id === destination.id) return false;
+
+    this.loadJourneyPlanner();
+    document.getElementById('planFrom').value = origin.id;
+    document.getElementById('planTo').value = destination.id;
+    this.runJourneyPlanner();
+    return true;
+};
+
+CityBusTracker.prototype.estimateSegmentSeconds = function(route, segmentIndex, when) {
+    const median = this.getSegmentMedianSeconds(route, segmentIndex, new Date(when));
+    if (median !== null) return median;
+    const meters = this.getSegmentLengths(route)[segmentIndex];
+    return meters / (this.journeyPlannerSettings.busSpeedKmh * 1000 / 3600);
+};
+
+// Time until the next bus of `route` in the given direction reaches the stop.
+// Predictions only cover buses running forward along the route, so the other
+// direction (and anything far in the future) uses the default wait.
+CityBusTracker.prototype.estimateBoardingWait = function(route, stopIndex, direction, readyAt) {
+    const stop = route.stops[stopIndex];
+    if (direction === 1) {
+        const next = Array.from(this.vehicles.values())
+            .filter(vehicle => vehicle.routeId === route.id)
+            .map(vehicle => this.predictVehicleArrivals(vehicle).find(a => a.stopId === stop.id))
+            .filter(a => a && a.arrivalTime.getTime() >= readyAt)
+            .sort((a, b) => a.arrivalTime - b.arrivalTime)[0];
+        if (next && next.arrivalTime.getTime() - readyAt < 2 * 3600 * 1000) {
+            return (next.arrivalTime.getTime() - readyAt) / 1000;
+        }
+    }
+    return this.journeyPlannerSettings.defaultWaitSeconds;
+};
+
+CityBusTracker.prototype.planJourneys = function(origin, destination, departAt) {
+    const settings = this.journeyPlannerSettings;
+    const walkSeconds = (km) => km / settings.walkingSpeedKmh * 3600;
+    const distanceKm = (a, b) => this.calculateDistance(a.lat, a.lng, b.lat, b.lng);
+    const place = (p) => ({ name: p.name, lat: p.lat, lng: p.lng });
+
+    // A walk shorter than 50 m (same stand, different stop id) is not a leg
+    const walkLeg = (from, to, startAt) => {
+        const km = distanceKm(from, to);
+        if (km < 0.05) return null;
+        return { type: 'walk', from: place(from), to: place(to), distanceKm: km, departAt: startAt, arriveAt: startAt + walkSeconds(km) * 1000 };
+    };
+
+    const improve = (labels, stopId, label) => {
+        const current = labels.get(stopId);
+        if (!current || label.time < current.time) labels.set(stopId, label);
+    };
+
+    // Walk from each reached stop to stops close by (transfers)
+    const addTransfers = (labels) => {
+        const result = new Map(labels);
+        labels.forEach((label, stopId) => {
+            const from = this.stops.get(stopId);
+            this.stops.forEach(to => {
+                if (to.id === stopId) return;
+                const km = distanceKm(from, to);
+                if (km > settings.maxWalkKm) return;
+                const leg = walkLeg(from, to, label.time);
+                improve(result, to.id, {
+                    time: label.time + walkSeconds(km) * 1000,
+                    legs: leg ? [...label.legs, leg] : label.legs
+                });
+            });
+        });
+        return result;
+    };
+
+    // Round 0: walk from the origin to every stop in reach
+    let labels = new Map();
+    this.stops.forEach(stop => {
+        const km = distanceKm(origin, stop);
+        if (km > settings.maxWalkKm) return;
+        const leg = walkLeg(origin, stop, departAt);
+        improve(labels, stop.id, { time: departAt + walkSeconds(km) * 1000, legs: leg ? [leg] : [] });
+    });
+
+    const itineraries = [];
+    let bestArrival = Infinity;
+
+    for (let round = 1; round <= settings.maxRides && labels.size; round++) {
+        const next = new Map();
+
+        this.routes.forEach(route => {
+            route.stops.forEach((boardStop, i) => {
+                const label = labels.get(boardStop.id);
+                if (!label) return;
+                if (label.legs.some(leg => leg.type === 'ride' && leg.routeId === route.id)) return;
+
+                const hasRidden = label.legs.some(leg => leg.type === 'ride');
+                const readyAt = label.time + (hasRidden ? settings.minTransferSeconds * 1000 : 0);
+
+                [1, -1].forEach(direction => {
+                    const waitSeconds = this.estimateBoardingWait(route, i, direction, readyAt);
+                    const boardAt = readyAt + waitSeconds * 1000;
+                    let time = boardAt;
+
+                    for (let j = i + direction; j >= 0 && j < route.stops.length; j += direction) {
+                        const segmentIndex = direction === 1 ? j - 1 : j;
+                        time += this.estimateSegmentSeconds(route, segmentIndex, time) * 1000;
+                        const alightStop = route.stops[j];
+                        improve(next, alightStop.id, {
+                            time,
+                            legs: [...label.legs, {
+                                type: 'ride',
+                                routeId: route.id,
+                                routeNumber: route.number,
+                                color: route.color,
+                                fromStopId: boardStop.id,
+                                toStopId: alightStop.id,
+                                fromName: this.describeRouteStop(boardStop),
+                                toName: this.describeRouteStop(alightStop),
+                                stopCount: Math.abs(j - i),
+                                waitSeconds,
+                                departAt: boardAt,
+                                arriveAt: time
+                            }]
+                        });
+                    }
+                });
+            });
+        });
+
+        // Finish by walking to the destination; keep only journeys that beat
+        // every journey with fewer changes
+        let best = null;
+        next.forEach((label, stopId) => {
+            const stop = this.stops.get(stopId);
+            const km = distanceKm(stop, destination);
+            if (km > settings.maxWalkKm) return;
+            const arriveAt = label.time + walkSeconds(km) * 1000;
+            if (!best || arriveAt < best.arriveAt) {
+                const leg = walkLeg(stop, destination, label.time);
+                best = { arriveAt, legs: leg ? [...label.legs, leg] : label.legs };
+            }
+        });
+
+        if (best && best.arriveAt < bestArrival) {
+            bestArrival = best.arriveAt;
+            itineraries.push(this.buildItinerary(origin, destination, departAt, best.legs, best.arriveAt));
+        }
+
+        labels = addTransfers(next);
+    }
+
+    return itineraries.sort((a, b) => a.arriveAt - b.arriveAt);
+};
+
+CityBusTracker.prototype.buildItinerary = function(origin, destination, departAt, legs, arriveAt) {
+    const rides = legs.filter(leg => leg.type === 'ride');
+    return {
+        id: `jr-${rides.map(r => `${r.routeId}:${r.fromStopId}:${r.toStopId}`).join('|')}`,
+        from: origin.name,
+        to: destination.name,
+        departAt,
+        arriveAt,
+        durationSeconds: (arriveAt - departAt) / 1000,
+        changes: Math.max(0, rides.length - 1),
+        walkKm: legs.filter(leg => leg.type === 'walk').reduce((sum, leg) => sum + leg.distanceKm, 0),
+        legs,
+        fare: this.getJourneyFare(rides.length, 1)
+    };
+};
+
+// Same base fare per ride and tax as the single-route ticket form
+CityBusTracker.prototype.getJourneyFare = function(rideCount, passengerCount) {
+    const { farePerRide, taxRate } = this.journeyPlannerSettings;
+    const baseTotal = farePerRide * rideCount * passengerCount;
+    const taxes = Math.round(baseTotal * taxRate);
+    return { baseTotal, upgradeTotal: 0, taxes, total: baseTotal + taxes };
+};
+
+CityBusTracker.prototype.formatClock = function(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+CityBusTracker.prototype.renderJourneyResults = function(itineraries) {
+    const container = document.getElementById('journeyResults');
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (itineraries.length === 0) {
+        container.innerHTML = '<div class="text-muted">No journey found within walking distance of a route</div>';
+        return;
+    }
+
+    itineraries.forEach(itinerary => {
+        const card = document.createElement('div');
+        card.className = 'journey-card';
+
+        const legsHtml = itinerary.legs.map(leg => leg.type === 'walk' ? `
+            <div class="journey-leg walk">
+                <i class="fas fa-walking"></i>
+                <span>Walk ${this.formatDistance(leg.distanceKm)} to ${escapeHtml(leg.to.name)}</span>
+            </div>
+        ` : `
+            <div class="journey-leg ride">
+                <span class="journey-route" style="background: ${routeColor(leg)};">${escapeHtml(leg.routeNumber)}</span>
+                <span>${this.formatClock(leg.departAt)} ${escapeHtml(leg.fromName)} → ${escapeHtml(leg.toName)} (${leg.stopCount} stop${leg.stopCount === 1 ? '' : 's'})</span>
+            </div>
+        `).join('');
+
+        card.innerHTML = `
+            <div class="journey-summary">
+                <div class="journey-times">${this.formatClock(itinerary.departAt)} → ${this.formatClock(itinerary.arriveAt)}</div>
+                <div class="journey-meta">
+                    ${this.formatEta(itinerary.durationSeconds)} •
+                    ${itinerary.changes === 0 ? 'Direct' : `${itinerary.changes} change${itinerary.changes === 1 ? '' : 's'}`} •
+                    ₹${itinerary.fare.total}
+                </div>
+            </div>
+            <div class="journey-legs">${legsHtml}</div>
+            <button class="btn btn-sm btn-primary btn-full" data-action="book">
+                <i class="fas fa-ticket-alt"></i>
+                Book Journey
+            </button>
+            <form class="journey-booking hidden">
+                <div class="form-group">
+                    <label>Lead passenger</label>
+                    <input type="text" name="name" placeholder="Full name" required>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Mobile</label>
+                        <input type="tel" name="mobile" placeholder="10-digit mobile" required>
+                    </div>
+                    <div class="form-group">
+                        <label>Passengers</label>
+                        <select name="count">
+                            ${[1, 2, 3, 4, 5, 6].map(n => `<option value="${n}">${n}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+                <button type="submit" class="btn btn-sm btn-primary btn-full">Confirm Booking</button>
+            </form>
+        `;
+
+        const form = card.querySelector('.journey-booking');
+        card.querySelector('[data-action="book"]').addEventListener('click', () => form.classList.toggle('hidden'));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.bookJourney(itinerary, {
+                name: form.elements.name.value.trim(),
+                mobile: form.elements.mobile.value.trim(),
+                count: parseInt(form.elements.count.value, 10)
+            });
+        });
+
+        container.appendChild(card);
+    });
+};
+
+CityBusTracker.prototype.bookJourney = async function(itinerary, { name, mobile, count }) {
+    if (!name) return this.showError('Please enter the lead passenger name');
+    if (!/^\d{10}$/.test(mobile)) return this.showError('Please enter a valid 10-digit mobile number');
+
+    const rides = itinerary.legs.filter(leg => leg.type === 'ride');
+    const departure = new Date(itinerary.departAt);
+    const pad = (n) => String(n).padStart(2, '0');
+
+    const booking = {
+        id: 'BK' + Date.now(),
+        type: 'journey',
+        busNumber: 'Journey',
+        route: rides.map(r => r.routeNumber).join(' → '),
+        fromStop: itinerary.from,
+        toStop: itinerary.to,
+        date: `${departure.getFullYear()}-${pad(departure.getMonth() + 1)}-${pad(departure.getDate())}`,
+        time: `${pad(departure.getHours())}:${pad(departure.getMinutes())}`,
+        arrivalTime: new Date(itinerary.arriveAt).toISOString(),
+        changes: itinerary.changes,
+        legs: itinerary.legs.map(leg => ({
+            ...leg,
+            departAt: new Date(leg.departAt).toISOString(),
+            arriveAt: new Date(leg.arriveAt).toISOString()
+        })),
+        passengers: Array.from({ length: count }, (_, i) => ({
+            name: i === 0 ? name : `${name} (companion ${i})`,
+            mobile
+        })),
+        seatType: 'general',
+        fare: this.getJourneyFare(rides.length, count),
+        bookingTime: new Date().toISOString(),
+        status: 'confirmed'
+    };
+
+    if (!await this.saveBooking(booking)) return;
+
+    this.lastBooking = booking;
+    this.showBookingSuccess(booking);
+    this.loadTicketsList();
+};
+
+// ---------------- Route Geometry ----------------
+// Path and position helpers live in geometry.js. Shapes come from GTFS
+// shapes.txt, an uploaded GeoJSON line or a path snapped by an
+// OSRM-compatible server; drawing, bus movement and every distance along a
+// route go through getRouteGeometry.
+Object.assign(CityBusTracker.prototype, RouteGeometryMixin);
+
+// ---- Shape sources ----
+
+CityBusTracker.prototype.getSavedRouteShapes = function() {
+    return JSON.parse(localStorage.getItem('routeShapes') || '{}');
+};
+
+// Shapes set here win over the loaded network; null means "straight lines"
+CityBusTracker.prototype.setRouteShape = function(routeId, shape) {
+    const route = this.routes.get(routeId);
+    if (!route) return;
+
+    if (shape) {
+        route.shape = shape;
+        route.shapeId = route.shapeId || `${route.id}-shape`;
+    } else {
+        delete route.shape;
+        delete route.shapeId;
+    }
+    this.invalidateRouteGeometry(routeId);
+
+    const saved = this.getSavedRouteShapes();
+    saved[routeId] = shape || null;
+    localStorage.setItem('routeShapes', JSON.stringify(saved));
+};
+
+// Redraw route lines and stops after geometry changed
+CityBusTracker.prototype.redrawNetworkLayer = function() {
+    if (!this.map) return;
+    if (this.networkLayer) this.networkLayer.clearLayers();
+
+    this.routes.forEach(route => {
+        this.addRouteToMap(route);
+    });
+    this.stops.forEach(stop => this.addStopToMap(stop));
+
+    if (this.trackingRouteLayer) this.drawRoutesOnMap();
+
+    // Keep buses on the new lines
+    this.vehicles.forEach(vehicle => {
+        const route = this.routes.get(vehicle.routeId);
+        const progress = this.vehicleProgress.get(vehicle.id);
+        if (!route || !progress || route.stops.length < 2) return;
+        const position = this.positionOnSegment(route, progress.segmentIndex, progress.t);
+        vehicle.lat = position.lat;
+        vehicle.lng = position.lng;
+    });
+    this.refreshFleetViews();
+};
+
+CityBusTracker.prototype.setupRouteGeometry = function() {
+    const geojsonBtn = document.getElementById('shapeGeojsonBtn');
+    const geojsonInput = document.getElementById('shapeGeojsonInput');
+    const snapBtn = document.getElementById('snapRouteBtn');
+    const clearBtn = document.getElementById('clearShapeBtn');
+    const osrmInput = document.getElementById('osrmUrl');
+
+    if (osrmInput) {
+        osrmInput.value = localStorage.getItem('osrmBaseUrl') || '';
+        osrmInput.addEventListener('change', () => {
+            localStorage.setItem('osrmBaseUrl', osrmInput.value.trim());
+        });
+    }
+
+    if (geojsonBtn && geojsonInput) {
+        geojsonBtn.addEventListener('click', () => geojsonInput.click());
+        geojsonInput.addEventListener('change', async () => {
+            const file = geojsonInput.files[0];
+            geojsonInput.value = '';
+            if (file) await this.importRouteGeoJSON(await file.text());
+        });
+    }
+
+    if (snapBtn) snapBtn.addEventListener('click', () => this.snapSelectedRoutes());
+
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            if (!this.requirePermission('manage_network')) return;
+            this.getSelectedShapeRoutes().forEach(route => this.setRouteShape(route.id, null));
+            this.redrawNetworkLayer();
+            this.renderShapeStatus('Routes drawn as straight lines between stops');
+        });
+    }
+};
+
+CityBusTracker.prototype.loadRouteGeometrySettings = function() {
+    const select = document.getElementById('shapeRouteSelect');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">All routes</option>';
+    this.routes.forEach(route => {
+        const opt = document.createElement('option');
+        opt.value = route.id;
+        const source = this.getRouteGeometry(route).hasShape ? 'shape' : 'straight';
+        opt.textContent = `${route.number} - ${route.name} (${source})`;
+        select.appendChild(opt);
+    });
+    if (this.routes.has(selected)) select.value = selected;
+};
+
+CityBusTracker.prototype.getSelectedShapeRoutes = function() {
+    const routeId = document.getElementById('shapeRouteSelect')?.value;
+    return routeId ? [this.routes.get(routeId)].filter(Boolean) : Array.from(this.routes.values());
+};
+
+CityBusTracker.prototype.renderShapeStatus = function(text, status = 'connected') {
+    const el = document.getElementById('shapeStatus');
+    if (el) {
+        el.textContent = text;
+        el.className = `live-feed-status ${status}`;
+    }
+    this.loadRouteGeometrySettings();
+};
+
+// LineString / MultiLineString features, matched to routes by a route_id,
+// routeId, route_short_name or number property. A single unnamed line goes
+// to the route picked in settings.
+CityBusTracker.prototype.importRouteGeoJSON = async function(text) {
+    if (!this.requirePermission('manage_network')) return;
+    let geojson;
+    try {
+        geojson = JSON.parse(text);
+    } catch (error) {
+        this.renderShapeStatus('Not a valid GeoJSON file', 'error');
+        return;
+    }
+
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+        : geojson.type === 'Feature' ? [geojson]
+        : [{ type: 'Feature', properties: {}, geometry: geojson }];
+
+    const lines = features
+        .filter(f => f && f.geometry && ['LineString', 'MultiLineString'].includes(f.geometry.type))
+        .map(f => ({
+            properties: f.properties || {},
+            shape: (f.geometry.type === 'LineString' ? f.geometry.coordinates : f.geometry.coordinates.flat())
+                .map(([lng, lat]) => [lat, lng])
+        }))
+        .filter(line => line.shape.length > 1 && line.shape.every(([lat, lng]) => isFinite(lat) && isFinite(lng)));
+
+    if (lines.length === 0) {
+        this.renderShapeStatus('No LineString geometry found in file', 'error');
+        return;
+    }
+
+    const findRoute = (props) => {
+        const keys = [props.route_id, props.routeId, props.route_short_name, props.number, props.route]
+            .filter(v => v !== undefined && v !== null).map(String);
+        return Array.from(this.routes.values()).find(r => keys.includes(r.id) || keys.includes(r.number));
+    };
+
+    const selectedId = document.getElementById('shapeRouteSelect')?.value;
+    let applied = 0;
+    lines.forEach(line => {
+        const route = findRoute(line.properties) || (lines.length === 1 && selectedId ? this.routes.get(selectedId) : null);
+        if (!route) return;
+        this.setRouteShape(route.id, line.shape);
+        applied++;
+    });
+
+    if (applied === 0) {
+        this.renderShapeStatus('No line matched a route; pick a route or add a route_id property', 'error');
+        return;
+    }
+
+    this.redrawNetworkLayer();
+    this.renderShapeStatus(`Applied ${applied} shape${applied === 1 ? '' : 's'} from GeoJSON (${lines.length - applied} unmatched)`);
+};
+
+// Ask an OSRM-compatible /route service for the road path through the stops
+CityBusTracker.prototype.fetchSnappedShape = async function(route, baseUrl) {
+    const coordinates = route.stops.map(stop => `${stop.lng},${stop.lat}`).join(';');
+    const url = `${baseUrl.replace(/\/$/, '')}/route/v1/driving/${coordinates}?overview=full&geometries=geojson`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const body = await response.json();
+    if (body.code !== 'Ok' || !body.routes || !body.routes.length) {
+        throw new Error(body.message || body.code || 'no route');
+    }
+    return body.routes[0].geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+};
+
+CityBusTracker.prototype.snapSelectedRoutes = async function() {
+    if (!this.requirePermission('manage_network')) return;
+    const baseUrl = document.getElementById('osrmUrl')?.value.trim();
+    if (!baseUrl) {
+        this.renderShapeStatus('Enter the URL of an OSRM-compatible routing server', 'error');
+        return;
+    }
+    localStorage.setItem('osrmBaseUrl', baseUrl);
+
+    const routes = this.getSelectedShapeRoutes();
+    const failures = [];
+    this.renderShapeStatus(`Snapping ${routes.length} route${routes.length === 1 ? '' : 's'}...`);
+
+    for (const route of routes) {
+        try {
+            this.setRouteShape(route.id, await this.fetchSnappedShape(route, baseUrl));
+        } catch (error) {
+            failures.push(`${route.number}: ${error.message}`);
+        }
+    }
+
+    this.redrawNetworkLayer();
+    if (failures.length) {
+        this.renderShapeStatus(`Could not snap ${failures.join('; ')}`, 'error');
+    } else {
+        this.renderShapeStatus(`Snapped ${routes.length} route${routes.length === 1 ? '' : 's'} to roads`);
+    }
+};
+
+// ---------------- Fleet Simulation ----------------
+// Settings for FleetSimulator (simulation.js), persisted under localStorage
+// 'simulationSettings'. The simulator's clock is the app's notion of "now"
+// so ETAs stay consistent when the simulation runs faster than real time.
+CityBusTracker.prototype.getCurrentTime = function() {
+    return this.simulator ? this.simulator.now : Date.now();
+};
+
+CityBusTracker.prototype.getSimulationSettings = function() {
+    const saved = JSON.parse(localStorage.getItem('simulationSettings') || '{}');
+    return { ...FleetSimulator.defaults, ...saved };
+};
+
+CityBusTracker.prototype.setupSimulation = function() {
+    const applyBtn = document.getElementById('simApplyBtn');
+    const resetBtn = document.getElementById('simResetBtn');
+
+    if (applyBtn) applyBtn.addEventListener('click', () => this.applySimulationSettings(this.readSimulationForm()));
+    if (resetBtn) resetBtn.addEventListener('click', () => this.applySimulationSettings(this.getSimulationSettings()));
+};
+
+CityBusTracker.prototype.loadSimulationSettings = function() {
+    const settings = this.getSimulationSettings();
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    };
+
+    setValue('simSeed', settings.seed);
+    setValue('simTimeScale', settings.timeScale);
+    setValue('simBusesPerRoute', settings.busesPerRoute);
+    setValue('simDwell', settings.dwellSeconds);
+    setValue('simTraffic', settings.trafficPerHour);
+    setValue('simBreakdowns', settings.breakdownsPerDay);
+
+    const fleetSizes = document.getElementById('simFleetSizes');
+    if (!fleetSizes) return;
+    fleetSizes.innerHTML = '';
+    this.routes.forEach(route => {
+        const row = document.createElement('label');
+        row.className = 'sim-fleet-row';
+        row.innerHTML = `
+            <span>${escapeHtml(route.number)}</span>
+            <input type="number" min="0" max="20" data-route-id="${escapeHtml(route.id)}"
+                value="${settings.fleetSizes[route.id] ?? ''}" placeholder="${settings.busesPerRoute}">
+        `;
+        fleetSizes.appendChild(row);
+    });
+};
+
+CityBusTracker.prototype.readSimulationForm = function() {
+    const number = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id)?.value);
+        return Number.isFinite(value) ? value : fallback;
+    };
+    const current = this.getSimulationSettings();
+
+    const fleetSizes = {};
+    document.querySelectorAll('#simFleetSizes input[data-route-id]').forEach(input => {
+        const size = parseInt(input.value, 10);
+        if (Number.isInteger(size) && size >= 0) fleetSizes[input.dataset.routeId] = size;
+    });
+
+    return {
+        seed: Math.trunc(number('simSeed', current.seed)),
+        timeScale: Math.max(0.1, number('simTimeScale', current.timeScale)),
+        busesPerRoute: Math.max(0, Math.trunc(number('simBusesPerRoute', current.busesPerRoute))),
+        dwellSeconds: Math.max(0, number('simDwell', current.dwellSeconds)),
+        trafficPerHour: Math.max(0, number('simTraffic', current.trafficPerHour)),
+        breakdownsPerDay: Math.max(0, number('simBreakdowns', current.breakdownsPerDay)),
+        fleetSizes
+    };
+};
+
+// Save settings and restart the simulation from the seed
+CityBusTracker.prototype.applySimulationSettings = function(settings) {
+    if (!this.requirePermission('manage_fleet')) return;
+    const saved = JSON.parse(localStorage.getItem('simulationSettings') || '{}');
+    localStorage.setItem('simulationSettings', JSON.stringify({ ...saved, ...settings }));
+
+    this.simulator = new FleetSimulator(this, this.getSimulationSettings());
+    this.simulator.populateFleet();
+    this.updateScheduleStatuses();
+    this.pendingPredictions = new Map();
+
+    this.updateUI();
+    this.refreshFleetViews();
+    this.loadSimulationSettings();
+    this.showSuccess(`Simulation restarted with seed ${this.simulator.settings.seed}`);
+};
+
+// ---------------- Trip Replay ----------------
+// Dispatchers play a day back on the map from the data server's history,
+// which covers the whole fleet it streams (GET /api/history). Without the
+// server, every position update this browser sees is also written to
+// IndexedDB ('citybus-history', store 'positions') and replayed from there;
+// that history only covers the hours this device had the app open. Unchanged
+// buses are only re-recorded every heartbeat to keep the store small.
+CityBusTracker.prototype.replaySettings = {
+    retentionDays: 7,
+    heartbeatSeconds: 300,
+    maxGapSeconds: 900, // longer gaps mean the bus was not reporting
+    frameMs: 250
+};
+
+CityBusTracker.prototype.openHistoryDb = function() {
+    if (!this.historyDbPromise) {
+        this.historyDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open('citybus-history', 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore('positions', { autoIncrement: true });
+                store.createIndex('time', 'time');
+                store.createIndex('routeTime', ['routeId', 'time']);
+            };
+            request.onsuccess = () => {
+                this.pruneHistory(request.result);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return this.historyDbPromise;
+};
+
+// Drop positions older than the retention window
+CityBusTracker.prototype.pruneHistory = function(db) {
+    const cutoff = this.getCurrentTime() - this.replaySettings.retentionDays * 86400000;
+    const index = db.transaction('positions', 'readwrite').objectStore('positions').index('time');
+    index.openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+    };
+};
+
+CityBusTracker.prototype.recordFleetHistory = function() {
+    if (this.historyUnavailable) return;
+    if (!this.lastRecordedPositions) this.lastRecordedPositions = new Map();
+
+    const time = this.getCurrentTime();
+    const heartbeatMs = this.replaySettings.heartbeatSeconds * 1000;
+    const records = [];
+
+    this.vehicles.forEach(vehicle => {
+        if (!Number.isFinite(vehicle.lat) || !Number.isFinite(vehicle.lng)) return;
+
+        const key = `${vehicle.lat},${vehicle.lng},${vehicle.status}`;
+        const last = this.lastRecordedPositions.get(vehicle.id);
+        if (last && last.key === key && time - last.time < heartbeatMs) return;
+        this.lastRecordedPositions.set(vehicle.id, { key, time });
+
+        records.push({
+            time,
+            vehicleId: vehicle.id,
+            number: vehicle.number,
+            routeId: vehicle.routeId,
+            lat: vehicle.lat,
+            lng: vehicle.lng,
+            heading: vehicle.heading,
+            speed: vehicle.speed,
+            status: vehicle.status,
+            passengers: vehicle.passengers,
+            capacity: vehicle.capacity,
+            currentStop: vehicle.currentStop,
+            nextStop: vehicle.nextStop
+        });
+    });
+    if (records.length === 0) return;
+
+    this.openHistoryDb().then(db => {
+        const store = db.transaction('positions', 'readwrite').objectStore('positions');
+        records.forEach(record => store.add(record));
+    }).catch(error => {
+        console.error('Position history unavailable:', error);
+        this.historyUnavailable = true;
+    });
+};
+
+// Positions between start and end (ms), for one route or all routes: the
+// server's when it is reachable, else this device's own
+CityBusTracker.prototype.loadPositionHistory = async function(routeId, start, end) {
+    if (this.data.online) {
+        try {
+            return await this.data.listPositionHistory({ routeId, start, end });
+        } catch (error) {
+            if (error.status !== 0) throw error;
+        }
+    }
+
+    const db = await this.openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const store = db.transaction('positions').objectStore('positions');
+        const request = routeId
+            ? store.index('routeTime').getAll(IDBKeyRange.bound([routeId, start], [routeId, end]))
+            : store.index('time').getAll(IDBKeyRange.bound(start, end));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+CityBusTracker.prototype.setupReplay = function() {
+    const replayBtn = document.getElementById('replayBtn');
+    const loadBtn = document.getElementById('replayLoadBtn');
+    const playBtn = document.getElementById('replayPlayBtn');
+    const closeBtn = document.getElementById('replayCloseBtn');
+    const scrubber = document.getElementById('replayScrubber');
+
+    if (replayBtn) replayBtn.addEventListener('click', () => this.showReplayBar());
+    if (closeBtn) closeBtn.addEventListener('click', () => this.stopReplay());
+    if (playBtn) playBtn.addEventListener('click', () => this.toggleReplayPlayback());
+
+    if (loadBtn) {
+        loadBtn.addEventListener('click', () => {
+            const routeId = document.getElementById('replayRoute').value;
+            const date = document.getElementById('replayDate').value;
+            if (!date) {
+                this.showError('Choose a day to replay');
+                return;
+            }
+            this.startReplay(routeId, new Date(`${date}T00:00`).getTime());
+        });
+    }
+
+    if (scrubber) {
+        scrubber.addEventListener('input', () => {
+            if (!this.replay) return;
+            this.replay.time = Number(scrubber.value);
+            this.renderReplayFrame();
+        });
+    }
+};
+
+CityBusTracker.prototype.showReplayBar = function() {
+    if (!this.requirePermission('replay_trips')) return;
+    const bar = document.getElementById('replayBar');
+    if (!bar) return;
+
+    const routeSelect = document.getElementById('replayRoute');
+    routeSelect.innerHTML = '<option value="">All routes</option>' + Array.from(this.routes.values())
+        .map(route => `<option value="${escapeHtml(route.id)}">${escapeHtml(route.number)} - ${escapeHtml(route.name)}</option>`)
+        .join('');
+
+    // Default to the previous day
+    const day = new Date(this.getCurrentTime() - 86400000);
+    const pad = value => String(value).padStart(2, '0');
+    document.getElementById('replayDate').value = `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+
+    bar.classList.remove('hidden');
+    if (this.map) this.map.invalidateSize();
+};
+
+// Load one day of history and switch the map to playback
+CityBusTracker.prototype.startReplay = async function(routeId, dayStart) {
+    let records;
+    try {
+        records = await this.loadPositionHistory(routeId || null, dayStart, dayStart + 86400000 - 1);
+    } catch (error) {
+        console.error('Replay could not load history:', error);
+        this.showError('Could not load position history: ' + error.message);
+        return;
+    }
+    if (records.length === 0) {
+        this.showError('No recorded positions for that day');
+        return;
+    }
+
+    if (this.replay) this.stopReplay({ keepBar: true });
+
+    const tracks = new Map();
+    records.forEach(record => {
+        if (!tracks.has(record.vehicleId)) tracks.set(record.vehicleId, []);
+        tracks.get(record.vehicleId).push(record);
+    });
+    tracks.forEach(track => track.sort((a, b) => a.time - b.time));
+
+    // A day of a whole fleet is too many records to spread into Math.min
+    let start = Infinity;
+    let end = -Infinity;
+    tracks.forEach(track => {
+        start = Math.min(start, track[0].time);
+        end = Math.max(end, track[track.length - 1].time);
+    });
+    this.replay = { routeId, start, end, time: start, tracks, timer: null };
+
+    const routes = routeId ? [this.routes.get(routeId)].filter(Boolean) : this.routes;
+    this.drawRoutesOnMap(routes);
+    this.addBusMarkers(this.getReplayFrame(start));
+
+    const scrubber = document.getElementById('replayScrubber');
+    if (scrubber) {
+        scrubber.min = start;
+        scrubber.max = end;
+        scrubber.disabled = false;
+    }
+    const playBtn = document.getElementById('replayPlayBtn');
+    if (playBtn) playBtn.disabled = false;
+
+    this.renderReplayFrame();
+    this.showSuccess(`Loaded ${records.length} positions for ${tracks.size} buses`);
+};
+
+// Where each recorded bus was at the given time, interpolated between reports
+CityBusTracker.prototype.getReplayFrame = function(time) {
+    const maxGapMs = this.replaySettings.maxGapSeconds * 1000;
+    const frame = new Map();
+
+    this.replay.tracks.forEach((track, vehicleId) => {
+        let low = 0;
+        let high = track.length - 1;
+        let index = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (track[mid].time <= time) {
+                index = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (index < 0) return;
+
+        const record = track[index];
+        if (time - record.time > maxGapMs) return;
+
+        let { lat, lng } = record;
+        const next = track[index + 1];
+        if (next && next.time - record.time <= maxGapMs && next.time > record.time) {
+            const f = (time - record.time) / (next.time - record.time);
+            lat += (next.lat - lat) * f;
+            lng += (next.lng - lng) * f;
+        }
+
+        frame.set(vehicleId, { ...record, id: vehicleId, lat, lng, lastUpdate: new Date(record.time) });
+    });
+
+    return frame;
+};
+
+CityBusTracker.prototype.renderReplayFrame = function() {
+    const replay = this.replay;
+    const frame = this.getReplayFrame(replay.time);
+
+    // Hide buses that were not on the road at this moment
+    if (this.map) {
+        this.markers.forEach((marker, vehicleId) => {
+            if (!frame.has(vehicleId) && this.map.hasLayer(marker)) this.map.removeLayer(marker);
+        });
+    }
+    this.updateBusMarkersOnMap(frame);
+
+    const scrubber = document.getElementById('replayScrubber');
+    if (scrubber) scrubber.value = replay.time;
+    const timeLabel = document.getElementById('replayTime');
+    if (timeLabel) timeLabel.textContent = `${new Date(replay.time).toLocaleString()} · ${frame.size} buses`;
+};
+
+CityBusTracker.prototype.toggleReplayPlayback = function() {
+    const replay = this.replay;
+    if (!replay) return;
+
+    if (replay.timer) {
+        this.pauseReplay();
+        return;
+    }
+
+    if (replay.time >= replay.end) replay.time = replay.start;
+    const frameMs = this.replaySettings.frameMs;
+    replay.timer = setInterval(() => {
+        const speed = Number(document.getElementById('replaySpeed')?.value) || 1;
+        replay.time = Math.min(replay.end, replay.time + speed * frameMs);
+        this.renderReplayFrame();
+        if (replay.time >= replay.end) this.pauseReplay();
+    }, frameMs);
+    this.updateReplayPlayButton();
+};
+
+CityBusTracker.prototype.pauseReplay = function() {
+    if (!this.replay || !this.replay.timer) return;
+    clearInterval(this.replay.timer);
+    this.replay.timer = null;
+    this.updateReplayPlayButton();
+};
+
+CityBusTracker.prototype.updateReplayPlayButton = function() {
+    const playBtn = document.getElementById('replayPlayBtn');
+    if (!playBtn) return;
+    const playing = this.replay && this.replay.timer;
+    playBtn.innerHTML = `<i class="fas fa-${playing ? 'pause' : 'play'}"></i>`;
+    playBtn.title = playing ? 'Pause' : 'Play';
+};
+
+// Leave playback and put the live fleet back on the map
+CityBusTracker.prototype.stopReplay = function({ keepBar = false } = {}) {
+    if (this.replay) {
+        this.pauseReplay();
+        this.replay = null;
+
+        if (this.map) {
+            this.markers.forEach((marker, vehicleId) => {
+                if (this.vehicles.has(vehicleId)) return;
+                this.map.removeLayer(marker);
+                this.markers.delete(vehicleId);
+            });
+
+            if (this.isBusTracking) {
+                this.drawRoutesOnMap();
+            } else if (this.trackingRouteLayer) {
+                this.map.removeLayer(this.trackingRouteLayer);
+                this.trackingRouteLayer = null;
+            }
+        }
+        this.updateBusMarkersOnMap();
+    }
+
+    const scrubber = document.getElementById('replayScrubber');
+    if (scrubber) scrubber.disabled = true;
+    const playBtn = document.getElementById('replayPlayBtn');
+    if (playBtn) playBtn.disabled = true;
+    this.updateReplayPlayButton();
+
+    if (keepBar) return;
+    const bar = document.getElementById('replayBar');
+    if (bar) bar.classList.add('hidden');
+    const timeLabel = document.getElementById('replayTime');
+    if (timeLabel) timeLabel.textContent = '--';
+    if (this.map) this.map.invalidateSize();
+};
+
+// ---------------- Data Server ----------------
+// Users, drivers, bookings, feedback, favorites and the imported network go
+// through this.data (datastore.js): the REST API in server.js when it is
+// reachable, this browser's localStorage otherwise.
+CityBusTracker.prototype.setupDataServer = function() {
+    const urlInput = document.getElementById('apiBaseUrl');
+    const connectBtn = document.getElementById('apiConnectBtn');
+
+    if (urlInput) urlInput.value = this.data.baseUrl;
+    if (connectBtn) connectBtn.addEventListener('click', () => this.connectDataServer(urlInput.value.trim()));
+};
+
+CityBusTracker.prototype.renderDataServerStatus = function() {
+    const el = document.getElementById('apiStatus');
+    if (!el) return;
+    el.textContent = this.data.online
+        ? `Connected to ${this.data.baseUrl}`
+        : 'Server not reachable: data is kept in this browser only';
+    el.className = `live-feed-status ${this.data.online ? 'connected' : 'error'}`;
+};
+
+// Switch to another server and reload the shared data from it
+CityBusTracker.prototype.connectDataServer = async function(baseUrl) {
+    if (!baseUrl) {
+        this.showError('Please enter the API URL');
+        return;
+    }
+    localStorage.setItem('apiBaseUrl', baseUrl);
+
+    const online = await this.data.connect(baseUrl);
+    this.renderDataServerStatus();
+    if (!online) {
+        this.showError(`Could not reach ${baseUrl}`);
+        return;
+    }
+
+    await this.loadSharedData();
+    if (this.currentUser) await this.fetchFavorites();
+    if (this.map) {
+        this.loadMockData();
+        this.stopLiveStream();
+        this.startLiveStream();
+    }
+    this.updateUI();
+    this.showSuccess('Connected to the data server');
+};
+
+// ---------------- Live Vehicle Stream ----------------
+// With the data server reachable, bus positions come from the server over a
+// WebSocket (/api/stream) instead of this browser's own simulation: a
+// snapshot on connect, then a delta every couple of seconds. Lost
+// connections are retried with exponential backoff, and the local simulation
+// takes over while the streamed positions are stale.
+CityBusTracker.prototype.liveStreamSettings = {
+    minRetryMs: 1000,
+    maxRetryMs: 30000,
+    staleSeconds: 10
+};
+
+CityBusTracker.prototype.startLiveStream = function() {
+    if (!this.data.online || typeof WebSocket === 'undefined') return;
+    this.streamStopped = false;
+    this.streamRetries = 0;
+    this.connectLiveStream();
+};
+
+CityBusTracker.prototype.stopLiveStream = function() {
+    this.streamStopped = true;
+    clearTimeout(this.streamRetryTimer);
+    this.streamRetryTimer = null;
+    if (this.liveStream) this.liveStream.close();
+    this.liveStream = null;
+    this.lastStreamMessageAt = null;
+    this.streamState = null;
+};
+
+CityBusTracker.prototype.connectLiveStream = function() {
+    if (this.streamStopped || this.liveStream) return;
+
+    const url = `${this.data.baseUrl.replace(/^http/, 'ws')}/stream`;
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (error) {
+        console.error('Live stream could not connect:', error);
+        this.scheduleStreamReconnect();
+        return;
+    }
+
+    this.liveStream = socket;
+    socket.onopen = () => {
+        this.streamRetries = 0;
+    };
+    socket.onmessage = (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Live stream message ignored:', error);
+            return;
+        }
+        // Applying is async (a network message reloads the network), so its
+        // errors come back through the promise
+        this.applyStreamMessage(message)
+            .catch(error => console.error('Live stream message could not be applied:', error));
+    };
+    socket.onclose = () => {
+        if (this.liveStream !== socket) return;
+        this.liveStream = null;
+        if (!this.streamStopped) this.scheduleStreamReconnect();
+    };
+};
+
+// Wait 1 s, 2 s, 4 s ... up to maxRetryMs between attempts
+CityBusTracker.prototype.scheduleStreamReconnect = function() {
+    const { minRetryMs, maxRetryMs } = this.liveStreamSettings;
+    const delay = Math.min(maxRetryMs, minRetryMs * 2 ** this.streamRetries);
+    this.streamRetries++;
+    this.streamRetryAt = Date.now() + delay;
+
+    clearTimeout(this.streamRetryTimer);
+    this.streamRetryTimer = setTimeout(() => {
+        this.streamRetryTimer = null;
+        this.connectLiveStream();
+    }, delay);
+    this.updateStreamStatus();
+};
+
+CityBusTracker.prototype.isStreamLive = function() {
+    return !!this.lastStreamMessageAt &&
+        Date.now() - this.lastStreamMessageAt < this.liveStreamSettings.staleSeconds * 1000;
+};
+
+CityBusTracker.prototype.applyStreamMessage = async function(message) {
+    this.lastStreamMessageAt = Date.now();
+    // ETAs run on the server's fleet clock while it drives the buses
+    if (this.simulator && message.time) this.simulator.now = message.time;
+
+    switch (message.type) {
+        case 'snapshot': {
+            // The server's fleet replaces ours; buses from our own GTFS-RT feed stay
+            const ids = new Set(message.vehicles.map(vehicle => vehicle.id));
+            Array.from(this.vehicles.values()).forEach(vehicle => {
+                if (!ids.has(vehicle.id) && vehicle.source !== 'gtfs-rt') this.removeVehicle(vehicle.id);
+            });
+            message.vehicles.forEach(vehicle => this.applyStreamVehicle(vehicle));
+            this.refreshFleetViews();
+            break;
+        }
+        case 'delta':
+            message.vehicles.forEach(vehicle => this.applyStreamVehicle(vehicle));
+            message.removed.forEach(vehicleId => this.removeVehicle(vehicleId));
+            break;
+        case 'network':
+            // Another client imported or reset the network, or changed the fleet
+            this.importedNetwork = await this.data.getNetwork();
+            await this.loadFleetData();
+            if (this.map) this.loadMockData();
+            if (this.liveStream) this.liveStream.send(JSON.stringify({ type: 'snapshot' }));
+            break;
+    }
+
+    this.updateStreamStatus();
+};
+
+CityBusTracker.prototype.applyStreamVehicle = function(data) {
+    // The driver's own GPS is newer than the server's echo of it
+    if (this.driverShift && this.driverShift.vehicleId === data.id) return;
+
+    let vehicle = this.vehicles.get(data.id);
+    const isNew = !vehicle;
+    if (isNew) {
+        vehicle = { id: data.id };
+        this.vehicles.set(vehicle.id, vehicle);
+    }
+
+    Object.assign(vehicle, data, {
+        lastUpdate: new Date(data.lastUpdate),
+        liveUpdatedAt: Date.now(),
+        source: 'stream'
+    });
+    if (isNew) this.addVehicleToMap(vehicle);
+    this.syncProgressFromPosition(vehicle);
+};
+
+// Reflect the stream in the GPS status pill whenever its state changes
+CityBusTracker.prototype.updateStreamStatus = function() {
+    if (this.streamStopped !== false) return;
+
+    let state;
+    let text;
+    if (this.isStreamLive()) {
+        state = 'live';
+        text = 'Live stream connected';
+    } else if (this.liveStream && this.lastStreamMessageAt) {
+        const age = Math.round((Date.now() - this.lastStreamMessageAt) / 1000);
+        state = `stale-${age}`;
+        text = `Live data stale (${age}s old)`;
+    } else if (this.streamRetryTimer) {
+        const seconds = Math.max(1, Math.round((this.streamRetryAt - Date.now()) / 1000));
+        state = `retry-${seconds}`;
+        text = `Stream lost, retrying in ${seconds}s`;
+    } else {
+        return;
+    }
+
+    if (state === this.streamState) return;
+    this.streamState = state;
+    this.updateGPSStatus(text, state === 'live' ? 'connected' : 'stale');
+};
+
+// ---------------- Driver Console ----------------
+// A driver on shift turns their phone into the bus's GPS unit: every fix moves
+// the bus on this device and is published to the data server, which streams
+// it to everyone else. The console shows the route, the next stop and how far
+// the bus is from its timetable.
+CityBusTracker.prototype.driverShiftSettings = {
+    publishSeconds: 5
+};
+
+CityBusTracker.prototype.setupDriverConsole = function() {
+    const button = document.getElementById('driverShiftBtn');
+    const input = document.getElementById('driverShiftBus');
+    if (!button || !input) return;
+
+    button.addEventListener('click', () => {
+        if (this.driverShift) this.endDriverShift();
+        else this.startDriverShift(input.value);
+    });
+    input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && !this.driverShift) this.startDriverShift(input.value);
+    });
+};
+
+// Roles that may drive get the console, and the shift resumes for the bus
+// they are assigned to today or else the one they logged in with
+CityBusTracker.prototype.showDriverConsole = function() {
+    const panel = document.getElementById('driverConsole');
+    if (!panel) return;
+
+    const canDrive = this.can('drive_bus');
+    panel.classList.toggle('hidden', !canDrive);
+    if (!canDrive) {
+        this.endDriverShift();
+        return;
+    }
+
+    const busNumber = this.getDriverAssignedBus() || this.currentUser.busNumber || '';
+    document.getElementById('driverShiftBus').value = busNumber;
+    if (busNumber && !this.driverShift) this.startDriverShift(busNumber);
+    this.renderDriverConsole();
+};
+
+// The bus with this fleet number (or id), or with this registration however
+// it is typed for buses from the registry
+CityBusTracker.prototype.findVehicleByNumber = function(busNumber) {
+    const wanted = String(busNumber).trim().toUpperCase();
+    const vehicles = Array.from(this.vehicles.values());
+    const registration = normalizeRegistration(wanted);
+    return vehicles.find(vehicle =>
+        String(vehicle.number || '').toUpperCase() === wanted || String(vehicle.id).toUpperCase() === wanted
+    ) || (registration && vehicles.find(vehicle => vehicle.fleetId && normalizeRegistration(vehicle.number) === registration));
+};
+
+CityBusTracker.prototype.startDriverShift = function(busNumber) {
+    if (!this.requirePermission('drive_bus')) return;
+    if (!busNumber || !busNumber.trim()) {
+        this.showError('Enter the number of the bus you are driving');
+        return;
+    }
+    if (!navigator.geolocation) {
+        this.showError('GPS is not supported on this device');
+        return;
+    }
+
+    const vehicle = this.findVehicleByNumber(busNumber);
+    if (!vehicle) {
+        this.showError(`Bus ${busNumber} is not in the fleet`);
+        return;
+    }
+
+    this.driverShift = {
+        busNumber: vehicle.number || vehicle.id,
+        vehicleId: vehicle.id,
+        startedAt: Date.now(),
+        lastFix: null,
+        lastPublishedAt: 0,
+        publishState: 'waiting'
+    };
+
+    // Remember the bus so a reload resumes the shift
+    this.currentUser.busNumber = this.driverShift.busNumber;
+    this.data.updateSessionUser(this.currentUser);
+
+    this.driverShift.watchId = navigator.geolocation.watchPosition(
+        (position) => this.handleDriverPosition(position),
+        (error) => this.handleDriverGpsError(error),
+        {
+            enableHighAccuracy: true,
+            timeout: 15000,
+            maximumAge: 0
+        }
+    );
+
+    this.showSuccess(`Shift started on bus ${this.driverShift.busNumber}`);
+    this.renderDriverConsole();
+};
+
+CityBusTracker.prototype.endDriverShift = function() {
+    if (!this.driverShift) return;
+    navigator.geolocation.clearWatch(this.driverShift.watchId);
+    const busNumber = this.driverShift.busNumber;
+    this.driverShift = null;
+
+    // The bus goes back to the simulation (or the live feed) once its reports go stale
+    if (this.currentUser) {
+        delete this.currentUser.busNumber;
+        this.data.updateSessionUser(this.currentUser);
+        this.showSuccess(`Shift on bus ${busNumber} ended`);
+    }
+    this.renderDriverConsole();
+};
+
+CityBusTracker.prototype.handleDriverPosition = function(position) {
+    const shift = this.driverShift;
+    const vehicle = shift && this.vehicles.get(shift.vehicleId);
+    if (!vehicle) return;
+
+    const { latitude, longitude, speed, heading, accuracy } = position.coords;
+    const previous = shift.lastFix;
+    const fix = { lat: latitude, lng: longitude, accuracy, time: position.timestamp || Date.now() };
+
+    // Browsers leave speed and heading empty on some devices; derive them from
+    // the previous fix then
+    const movedKm = previous ? this.calculateDistance(previous.lat, previous.lng, fix.lat, fix.lng) : 0;
+    if (speed !== null && speed !== undefined && !Number.isNaN(speed)) {
+        fix.speed = speed * 3.6;
+    } else if (previous && fix.time > previous.time) {
+        fix.speed = movedKm / ((fix.time - previous.time) / 3600000);
+    } else {
+        fix.speed = 0;
+    }
+    if (heading !== null && heading !== undefined && !Number.isNaN(heading) && fix.speed > 0) {
+        fix.heading = heading;
+    } else if (previous && movedKm > 0.01) {
+        fix.heading = this.bearingBetween(previous.lat, previous.lng, fix.lat, fix.lng);
+    } else {
+        fix.heading = vehicle.heading || 0;
+    }
+    shift.lastFix = fix;
+    shift.gpsError = null;
+
+    vehicle.lat = fix.lat;
+    vehicle.lng = fix.lng;
+    vehicle.speed = Math.round(fix.speed);
+    vehicle.heading = Math.round(fix.heading);
+    vehicle.lastUpdate = new Date(this.getCurrentTime());
+    vehicle.liveUpdatedAt = Date.now();
+    vehicle.source = 'driver';
+    this.syncProgressFromPosition(vehicle);
+    this.updateScheduleStatus(vehicle);
+
+    if (!this.replay) this.updateBusMarkersOnMap();
+    this.renderDriverConsole();
+
+    if (Date.now() - shift.lastPublishedAt >= this.driverShiftSettings.publishSeconds * 1000) {
+        this.publishDriverPosition(vehicle);
+    }
+};
+
+CityBusTracker.prototype.handleDriverGpsError = function(error) {
+    if (!this.driverShift) return;
+    this.driverShift.gpsError = error.code === error.PERMISSION_DENIED ? 'Location access denied' : 'Waiting for GPS signal';
+    this.renderDriverConsole();
+};
+
+// Send the bus position to the server so passengers on other devices see it;
+// without a server only this device follows the driver
+CityBusTracker.prototype.publishDriverPosition = async function(vehicle) {
+    const shift = this.driverShift;
+    shift.lastPublishedAt = Date.now();
+
+    if (!this.data.online) {
+        shift.publishState = 'local';
+        this.renderDriverConsole();
+        return;
+    }
+
+    try {
+        await this.data.reportPosition(vehicle.id, {
+            lat: vehicle.lat,
+            lng: vehicle.lng,
+            speed: vehicle.speed,
+            heading: vehicle.heading
+        });
+        if (this.driverShift === shift) shift.publishState = 'sent';
+    } catch (error) {
+        console.error('Driver position not published:', error);
+        if (this.driverShift === shift) {
+            shift.publishState = error.status === 404 ? 'unknown-bus' : error.status === 403 ? 'not-your-bus' : 'failed';
+        }
+    }
+    this.renderDriverConsole();
+};
+
+CityBusTracker.prototype.driverPublishLabels = {
+    waiting: 'Waiting for first fix',
+    sent: 'Shared live',
+    local: 'This device only (server offline)',
+    failed: 'Not sent, retrying',
+    'unknown-bus': 'Bus unknown to the server',
+    'not-your-bus': 'Not your bus today; not shared'
+};
+
+CityBusTracker.prototype.renderDriverConsole = function() {
+    const panel = document.getElementById('driverConsole');
+    if (!panel || panel.classList.contains('hidden')) return;
+
+    const shift = this.driverShift;
+    const vehicle = shift && this.vehicles.get(shift.vehicleId);
+    const route = vehicle && this.routes.get(vehicle.routeId);
+    const set = (id, text, className = '') => {
+        const el = document.getElementById(id);
+        el.textContent = text;
+        el.className = `status-value ${className}`;
+    };
+
+    const button = document.getElementById('driverShiftBtn');
+    button.innerHTML = shift ? '<i class="fas fa-stop"></i> End Shift' : '<i class="fas fa-play"></i> Start Shift';
+    button.className = `btn btn-sm ${shift ? 'btn-secondary' : 'btn-primary'}`;
+    document.getElementById('driverShiftBus').disabled = !!shift;
+
+    if (!shift) {
+        ['driverRoute', 'driverNextStop', 'driverAdherence', 'driverSpeed', 'driverGpsFix'].forEach(id => set(id, '--', 'muted'));
+        set('driverShiftStatus', 'Not started', 'muted');
+        return;
+    }
+
+    const started = new Date(shift.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    set('driverShiftStatus', `Bus ${shift.busNumber} since ${started}`);
+    set('driverRoute', route ? `${route.number} - ${route.name}` : 'Bus left the network', route ? '' : 'muted');
+
+    const next = vehicle && this.predictVehicleArrivals(vehicle)[0];
+    set('driverNextStop', next
+        ? `${next.stopName} · ${(next.distanceMeters / 1000).toFixed(1)} km · ${this.formatEta(next.etaSeconds)}`
+        : '--', next ? '' : 'muted');
+
+    const adherence = vehicle && shift.lastFix && this.getScheduleAdherence(vehicle);
+    if (adherence) {
+        const scheduled = adherence.scheduledArrival.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        set('driverAdherence', `${this.describeVehicleStatus(adherence.status, adherence.delaySeconds)} (due ${scheduled})`, `route-status ${adherence.status}`);
+    } else {
+        set('driverAdherence', shift.lastFix ? 'No scheduled trip nearby' : '--', 'muted');
+    }
+
+    set('driverSpeed', shift.lastFix ? `${Math.round(shift.lastFix.speed)} km/h` : '--', shift.lastFix ? '' : 'muted');
+
+    if (shift.gpsError) {
+        set('driverGpsFix', shift.gpsError, 'muted');
+    } else if (shift.lastFix) {
+        const accuracy = shift.lastFix.accuracy ? ` ±${Math.round(shift.lastFix.accuracy)} m` : '';
+        set('driverGpsFix', `${this.driverPublishLabels[shift.publishState]}${accuracy}`,
+            shift.publishState === 'sent' || shift.publishState === 'local' ? '' : 'muted');
+    } else {
+        set('driverGpsFix', this.driverPublishLabels.waiting, 'muted');
+    }
+};
+
+// ---------------- Access Control ----------------
+// What the signed-in account may do comes from its role and the permissions
+// matrix (permissions.js). Elements with data-permission are hidden from
+// roles without that permission, and the actions behind them check again
+// because the server refuses them anyway.
+
+CityBusTracker.prototype.getRole = function() {
+    return getAccountRole(this.currentUser);
+};
+
+CityBusTracker.prototype.can = function(permission) {
+    const role = this.getRole();
+    return !!role && (this.permissionsMatrix[role] || []).includes(permission);
+};
+
+// Show an error and return false when the role lacks the permission
+CityBusTracker.prototype.requirePermission = function(permission) {
+    if (this.can(permission)) return true;
+    const role = ROLES[this.getRole()];
+    this.showError(role
+        ? `Not allowed for the ${role} role: ${PERMISSIONS[permission]}`
+        : 'Please log in first');
+    return false;
+};
+
+CityBusTracker.prototype.applyPermissions = function() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.classList.toggle('hidden', !this.can(el.dataset.permission));
+    });
+
+    // Leave a tab the role can no longer see
+    const activeTab = document.querySelector('.tab-btn.active');
+    if (activeTab && activeTab.classList.contains('hidden')) this.switchTab('schedule');
+};
+
+CityBusTracker.prototype.setupAccessControl = function() {
+    const saveBtn = document.getElementById('permissionsSaveBtn');
+    const resetBtn = document.getElementById('permissionsResetBtn');
+
+    if (saveBtn) saveBtn.addEventListener('click', () => this.savePermissionsMatrix(this.readPermissionsMatrix()));
+    if (resetBtn) resetBtn.addEventListener('click', () => this.renderPermissionsMatrix(createDefaultPermissions()));
+};
+
+// One row per permission, one checkbox per role
+CityBusTracker.prototype.renderPermissionsMatrix = function(matrix = this.permissionsMatrix) {
+    const container = document.getElementById('permissionsMatrix');
+    if (!container || !this.can('manage_access')) return;
+
+    const roles = Object.keys(ROLES);
+    const header = roles.map(role => `<th>${ROLES[role]}</th>`).join('');
+    const rows = Object.keys(PERMISSIONS).map(permission => {
+        const cells = roles.map(role => {
+            // Admins keep access to this matrix so it can always be fixed
+            const locked = role === 'admin' && permission === 'manage_access';
+            const checked = locked || (matrix[role] || []).includes(permission);
+            return `<td><input type="checkbox" data-role="${role}" data-grant="${permission}"` +
+                `${checked ? ' checked' : ''}${locked ? ' disabled' : ''}></td>`;
+        }).join('');
+        return `<tr><th title="${permission}">${PERMISSIONS[permission]}</th>${cells}</tr>`;
+    }).join('');
+
+    container.innerHTML = `<table><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+};
+
+CityBusTracker.prototype.readPermissionsMatrix = function() {
+    const matrix = {};
+    Object.keys(ROLES).forEach(role => { matrix[role] = []; });
+    document.querySelectorAll('#permissionsMatrix input[data-role]').forEach(input => {
+        if (input.checked) matrix[input.dataset.role].push(input.dataset.grant);
+    });
+    return matrix;
+};
+
+CityBusTracker.prototype.savePermissionsMatrix = async function(matrix) {
+    if (!this.requirePermission('manage_access')) return;
+    try {
+        this.permissionsMatrix = await this.data.savePermissions(matrix);
+    } catch (error) {
+        this.showError('Permissions could not be saved: ' + error.message);
+        return;
+    }
+    this.applyPermissions();
+    this.showDriverConsole();
+    this.renderPermissionsMatrix();
+    this.updateUI();
+    this.showSuccess('Permissions saved');
+};
+
+// ---------------- Driver Approvals ----------------
+// Reviewers (approve_drivers) see pending driver registrations with their
+// license, experience and documents in the Approvals tab and approve or
+// reject them; the rules, the driver's text message and the audit trail are
+// in driver-review.js and the data store.
+
+CityBusTracker.prototype.setupDriverApprovals = function() {
+    document.getElementById('refreshApprovalsBtn')?.addEventListener('click', () => this.loadApprovalQueue());
+
+    const list = document.getElementById('approvalsList');
+    if (!list) return;
+    list.addEventListener('click', e => {
+        const button = e.target.closest('button[data-decision]');
+        if (button) this.decideDriver(button.dataset.driverId, button.dataset.decision);
+    });
+};
+
+// Read the chosen files as data URLs: [{ name, type, size, dataUrl }]
+CityBusTracker.prototype.readDriverDocuments = async function(files) {
+    const limits = DRIVER_DOCUMENT_LIMITS;
+    const chosen = Array.from(files || []);
+    if (chosen.length > limits.files) throw new Error(`Attach at most ${limits.files} documents`);
+
+    return Promise.all(chosen.map(file => {
+        if (!DRIVER_DOCUMENT_TYPES.includes(file.type)) {
+            return Promise.reject(new Error(`${file.name} is not an image or PDF`));
+        }
+        if (file.size > limits.bytes) {
+            return Promise.reject(new Error(`${file.name} is larger than ${Math.round(limits.bytes / 1024 / 1024)} MB`));
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve({ name: file.name, type: file.type, size: file.size, dataUrl: reader.result });
+            reader.onerror = () => reject(new Error(`${file.name} could not be read`));
+            reader.readAsDataURL(file);
+        });
+    }));
+};
+
+CityBusTracker.prototype.loadApprovalQueue = async function() {
+    if (!this.can('approve_drivers')) return;
+
+    let pending;
+    let audit;
+    try {
+        [pending, audit] = await Promise.all([
+            this.data.list('drivers', { status: 'pending' }),
+            this.data.listAudit({ collection: 'drivers' })
+        ]);
+    } catch (error) {
+        this.showError('Driver registrations could not be loaded: ' + error.message);
+        return;
+    }
+
+    const badge = document.getElementById('approvalsBadge');
+    if (badge) {
+        badge.textContent = pending.length;
+        badge.classList.toggle('hidden', pending.length === 0);
+    }
+
+    const list = document.getElementById('approvalsList');
+    if (list) {
+        list.innerHTML = pending.length === 0
+            ? '<p>No driver registrations are waiting for review.</p>'
+            : pending.map(driver => this.renderPendingDriver(driver)).join('');
+    }
+
+    const trail = document.getElementById('approvalsAudit');
+    if (trail) {
+        trail.innerHTML = audit.length === 0
+            ? '<p>No decisions yet.</p>'
+            : audit.slice(0, CityBusTracker.auditEntriesShown).map(entry => this.renderAuditEntry(entry)).join('');
+    }
+};
+
+CityBusTracker.prototype.renderPendingDriver = function(driver) {
+    const text = value => escapeHtml(value || '—');
+    // Registrations stored before the server checked documents may hold
+    // anything, so only data URLs of the allowed types become links
+    const documents = (Array.isArray(driver.documents) ? driver.documents : []).map(doc => {
+        if (!doc || !DRIVER_DOCUMENT_TYPES.some(type => String(doc.dataUrl).startsWith(`data:${type};`))) return '';
+        const preview = String(doc.type || '').startsWith('image/')
+            ? `<img src="${escapeHtml(doc.dataUrl)}" alt="">`
+            : '<i class="fas fa-file-pdf"></i>';
+        return `<a href="${escapeHtml(doc.dataUrl)}" download="${escapeHtml(doc.name)}" title="${escapeHtml(doc.name)}">${preview}${escapeHtml(doc.name)}</a>`;
+    }).join('');
+    const id = escapeHtml(driver.id);
+
+    return `
+        <div class="approval-item">
+            <div class="ticket-route">${text(driver.name)}</div>
+            <div class="ticket-meta">${text(driver.email)} · ${text(driver.mobile)}</div>
+            <div class="ticket-meta">License ${text(driver.license)} · ${text(driver.experience)} years of experience ·
+                registered ${driver.createdAt ? new Date(driver.createdAt).toLocaleDateString() : '—'}</div>
+            <div class="approval-documents">${documents || '<span class="ticket-meta">No documents attached</span>'}</div>
+            <div class="approval-actions">
+                <input type="text" id="approvalReason_${id}" placeholder="Reason (required to reject)">
+                <button class="btn btn-primary btn-sm" data-driver-id="${id}" data-decision="approved">
+                    <i class="fas fa-check"></i> Approve
+                </button>
+                <button class="btn btn-outline btn-sm" data-driver-id="${id}" data-decision="rejected">
+                    <i class="fas fa-times"></i> Reject
+                </button>
+            </div>
+        </div>`;
+};
+
+CityBusTracker.prototype.renderAuditEntry = function(entry) {
+    const decision = entry.action.replace(/^driver\./, '');
+    const reason = entry.reason ? `: ${escapeHtml(entry.reason)}` : '';
+    return `
+        <div class="audit-entry ${escapeHtml(decision)}">
+            <strong>${escapeHtml(DRIVER_STATUSES[decision] || decision)}</strong>
+            ${escapeHtml(entry.recordName || entry.recordId)} by ${escapeHtml(entry.actorName)}
+            on ${new Date(entry.at).toLocaleString()}${reason}
+        </div>`;
+};
+
+CityBusTracker.prototype.decideDriver = async function(driverId, decision) {
+    if (!this.requirePermission('approve_drivers')) return;
+    const reasonInput = document.getElementById(`approvalReason_${driverId}`);
+    const reason = reasonInput ? reasonInput.value.trim() : '';
+    if (decision === 'rejected' && !reason) {
+        this.showError('Give the driver a reason for the rejection');
+        reasonInput?.focus();
+        return;
+    }
+
+    try {
+        const driver = await this.data.decideDriver(driverId, { decision, reason });
+        this.showSuccess(`${driver.name} ${decision === 'approved' ? 'can now log in' : 'was rejected'} and has been notified`);
+    } catch (error) {
+        this.showError('Decision could not be saved: ' + error.message);
+    }
+    this.loadApprovalQueue();
+};
+
+CityBusTracker.auditEntriesShown = 20;
+
+CityBusTracker.scheduleDeparturesShown = 8;
+
+// Text from accounts goes into innerHTML only through this
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// The color of a route (or a journey leg on it) for a style attribute: only
+// #rrggbb gets through, as network-validation.js requires; anything else
+// shows the default blue
+function routeColor(route) {
+    return /^#[0-9a-f]{6}$/i.test(route && route.color) ? route.color : '#3b82f6';
+}
+
+// A message shown on screen, with its links clickable
+function linkifyMessage(text) {
+    return escapeHtml(text).replace(/(https?|file):\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`);
+}
+
+// ---------------- Password Reset ----------------
+// "Forgot Password?" asks the data store to send a reset link to a
+// passenger's or driver's email address or mobile number. The link opens
+// this page with #reset_token=..., which shows the form for the new password.
+
+CityBusTracker.prototype.setupPasswordReset = function() {
+    document.querySelectorAll('[data-reset]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPasswordResetModal(link.dataset.reset);
+        });
+    });
+
+    document.getElementById('closePasswordResetBtn').addEventListener('click', () => this.hidePasswordResetModal());
+    document.getElementById('resetBackToLoginBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        this.hidePasswordResetModal();
+    });
+
+    document.getElementById('resetRequestForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.requestPasswordReset();
+    });
+    document.getElementById('resetPasswordForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitNewPassword();
+    });
+
+    // A link from a message shown on this page only changes the fragment
+    window.addEventListener('hashchange', () => this.openPasswordResetFromUrl());
+};
+
+// Without a token the modal asks for a link, with one for the new password
+CityBusTracker.prototype.showPasswordResetModal = function(collection = 'users', token = null) {
+    this.passwordResetToken = token;
+    document.getElementById('resetAccountType').value = collection;
+    document.getElementById('resetRequestForm').classList.toggle('hidden', !!token);
+    document.getElementById('resetPasswordForm').classList.toggle('hidden', !token);
+    document.getElementById('passwordResetModal').classList.add('active');
+};
+
+CityBusTracker.prototype.hidePasswordResetModal = function() {
+    this.passwordResetToken = null;
+    document.getElementById('passwordResetModal').classList.remove('active');
+    document.querySelectorAll('#passwordResetModal input').forEach(input => { input.value = ''; });
+};
+
+CityBusTracker.prototype.openPasswordResetFromUrl = function() {
+    const token = new URLSearchParams(location.hash.slice(1)).get('reset_token');
+    if (!token) return;
+
+    // Keep the token out of the history and bookmarks
+    history.replaceState(null, '', location.pathname + location.search);
+    this.showPasswordResetModal('users', token);
+};
+
+CityBusTracker.prototype.requestPasswordReset = async function() {
+    const collection = document.getElementById('resetAccountType').value;
+    const contact = document.getElementById('resetContact').value.trim();
+    if (!contact) {
+        this.showError('Please enter your email or mobile number');
+        return;
+    }
+
+    let result;
+    try {
+        result = await this.data.requestPasswordReset(collection, contact);
+    } catch (error) {
+        this.showError('Could not send the reset link: ' + error.message);
+        return;
+    }
+    this.showSuccess(`If ${contact} belongs to an account, a reset link is on its way. ` +
+        `It works once, within ${result.expiresInMinutes} minutes.`);
+    this.hidePasswordResetModal();
+};
+
+CityBusTracker.prototype.submitNewPassword = async function() {
+    const password = document.getElementById('resetNewPassword').value;
+    const confirmPassword = document.getElementById('resetConfirmPassword').value;
+
+    // Same rules as registration
+    const problem = checkNewPassword(password, confirmPassword);
+    if (problem) {
+        this.showError(problem);
+        return;
+    }
+
+    let result;
+    try {
+        result = await this.data.resetPassword(this.passwordResetToken, password);
+    } catch (error) {
+        this.showError('Password not changed: ' + error.message);
+        return;
+    }
+    this.hidePasswordResetModal();
+    this.switchLoginTab(result.collection === 'drivers' ? 'driver' : 'user');
+    this.showSuccess('Password changed. Please log in with your new password.');
+};
+
+// Without the data server there is no email gateway: the message is shown
+// on this screen, with its link, instead
+CityBusTracker.prototype.showLocalEmail = function(email, text) {
+    const notification = document.createElement('div');
+    notification.className = 'notification email';
+    notification.innerHTML = `
+        <i class="fas fa-envelope"></i>
+        <span>Email to ${escapeHtml(email)}: ${linkifyMessage(text)}</span>
+    `;
+    this.showNotification(notification, 15000);
+};
+
+// ---------------- Route Editor ----------------
+// Roles with manage_network edit a copy of the loaded network: routes are
+// created, renamed, recolored and reordered, stops are placed by clicking the
+// map (or another route's stop, to share that stand) and dragged into place.
+// Saving validates the copy and merges duplicate stops (network-validation.js),
+// then stores it through the data store like an imported feed.
+
+CityBusTracker.prototype.setupRouteEditor = function() {
+    const openBtn = document.getElementById('routeEditorOpenBtn');
+    if (!openBtn) return;
+    openBtn.addEventListener('click', () => this.openRouteEditor());
+    document.getElementById('routeEditorCancelBtn').addEventListener('click', () => this.closeRouteEditor());
+    document.getElementById('routeEditorSaveBtn').addEventListener('click', () => this.saveRouteEditor());
+    document.getElementById('routeEditorNewBtn').addEventListener('click', () => this.addEditedRoute());
+    document.getElementById('routeEditorDeleteBtn').addEventListener('click', () => this.deleteEditedRoute());
+    document.getElementById('routeEditorPlaceBtn').addEventListener('click', () => {
+        if (this.routeEditor) this.setStopPlacing(!this.routeEditor.placing);
+    });
+
+    // Route fields change the selected route while typing
+    [['routeEditorNumber', 'number'], ['routeEditorName', 'name'], ['routeEditorColor', 'color']].forEach(([id, field]) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            const route = this.getEditedRoute();
+            if (!route) return;
+            route[field] = field === 'color' ? e.target.value : e.target.value.trim();
+            this.renderEditedRoutes();
+            if (field === 'color') this.drawRouteEditorLayer();
+        });
+    });
+
+    document.getElementById('routeEditorRoutes').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-route-id]');
+        if (!item) return;
+        const move = e.target.closest('[data-move]');
+        if (move) this.moveEditedRoute(item.dataset.routeId, Number(move.dataset.move));
+        else this.selectEditedRoute(item.dataset.routeId);
+    });
+
+    const stopsList = document.getElementById('routeEditorStops');
+    stopsList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-stop-action]');
+        if (button) this.editRouteStop(Number(button.dataset.index), button.dataset.stopAction);
+    });
+    stopsList.addEventListener('input', (e) => {
+        const stop = e.target.dataset.index !== undefined && this.getEditedRoute()?.stops[Number(e.target.dataset.index)];
+        if (stop) this.updateEditedStop(stop.id, { name: e.target.value });
+    });
+    stopsList.addEventListener('change', () => this.drawRouteEditorLayer());
+};
+
+CityBusTracker.prototype.openRouteEditor = function() {
+    if (!this.requirePermission('manage_network') || !this.map || this.routeEditor) return;
+
+    const network = this.loadImportedNetwork() || createPunjabNetwork();
+    this.routeEditor = {
+        network,
+        routeId: network.routes[0] ? network.routes[0].id : null,
+        placing: false,
+        changedRoutes: new Set(), // routes whose stops changed; their old shapes no longer fit
+        layer: L.layerGroup().addTo(this.map),
+        onMapClick: (e) => this.placeEditedStop(e.latlng)
+    };
+    this.map.on('click', this.routeEditor.onMapClick);
+
+    document.getElementById('routeEditorOpenBtn').classList.add('hidden');
+    document.getElementById('routeEditorBody').classList.remove('hidden');
+    document.getElementById('routeEditorIssues').innerHTML = '';
+    this.renderRouteEditor();
+};
+
+CityBusTracker.prototype.closeRouteEditor = function() {
+    const editor = this.routeEditor;
+    if (!editor) return;
+    this.setStopPlacing(false);
+    this.map.off('click', editor.onMapClick);
+    this.map.removeLayer(editor.layer);
+    this.routeEditor = null;
+
+    document.getElementById('routeEditorOpenBtn').classList.remove('hidden');
+    document.getElementById('routeEditorBody').classList.add('hidden');
+};
+
+CityBusTracker.prototype.getEditedRoute = function() {
+    const editor = this.routeEditor;
+    return editor ? editor.network.routes.find(route => route.id === editor.routeId) || null : null;
+};
+
+CityBusTracker.prototype.renderRouteEditor = function() {
+    const route = this.getEditedRoute();
+    document.getElementById('routeEditorNumber').value = route ? route.number || '' : '';
+    document.getElementById('routeEditorName').value = route ? route.name || '' : '';
+    document.getElementById('routeEditorColor').value = route && /^#[0-9a-f]{6}$/i.test(route.color) ? route.color : '#3b82f6';
+    ['routeEditorNumber', 'routeEditorName', 'routeEditorColor', 'routeEditorDeleteBtn', 'routeEditorPlaceBtn']
+        .forEach(id => { document.getElementById(id).disabled = !route; });
+
+    this.renderEditedRoutes();
+    this.renderEditedStops();
+    this.drawRouteEditorLayer();
+};
+
+CityBusTracker.prototype.renderEditedRoutes = function() {
+    const editor = this.routeEditor;
+    const routes = editor.network.routes;
+    document.getElementById('routeEditorRoutes').innerHTML = routes.map((route, i) => `
+        <div class="route-editor-route ${route.id === editor.routeId ? 'active' : ''}" data-route-id="${escapeHtml(route.id)}">
+            <span class="route-color-dot" style="background: ${escapeHtml(route.color || '#3b82f6')};"></span>
+            <span class="route-editor-label"><strong>${escapeHtml(route.number || '?')}</strong> ${escapeHtml(route.name || '')}</span>
+            <button class="btn btn-sm btn-secondary" data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-up"></i>
+            </button>
+            <button class="btn btn-sm btn-secondary" data-move="1" title="Move down" ${i === routes.length - 1 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-down"></i>
+            </button>
+        </div>
+    `).join('') || '<p class="route-editor-hint">No routes yet. Add one with New Route.</p>';
+};
+
+CityBusTracker.prototype.renderEditedStops = function() {
+    const route = this.getEditedRoute();
+    const list = document.getElementById('routeEditorStops');
+    if (!route) {
+        list.innerHTML = '';
+        return;
+    }
+    list.innerHTML = route.stops.map((stop, i) => `
+        <div class="route-editor-stop">
+            <span class="route-editor-stop-index">${i + 1}</span>
+            <input type="text" data-index="${i}" value="${escapeHtml(stop.name)}" title="${escapeHtml(stop.id)}">
+            <button class="btn btn-sm btn-secondary" data-stop-action="up" data-index="${i}" title="Earlier" ${i === 0 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-up"></i>
+            </button>
+            <button class="btn btn-sm btn-secondary" data-stop-action="down" data-index="${i}" title="Later" ${i === route.stops.length - 1 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-down"></i>
+            </button>
+            <button class="btn btn-sm btn-secondary" data-stop-action="remove" data-index="${i}" title="Remove from route">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('') || '<p class="route-editor-hint">Use Place Stops on Map, then click the map where the bus stops, in order.</p>';
+};
+
+// The edited route as numbered, draggable stops; the other routes' stops
+// can be clicked to add that stand to the edited route
+CityBusTracker.prototype.drawRouteEditorLayer = function() {
+    const editor = this.routeEditor;
+    if (!editor) return;
+    editor.layer.clearLayers();
+    const route = this.getEditedRoute();
+
+    const shown = new Set(route ? route.stops.map(stop => stop.id) : []);
+    editor.network.routes.forEach(other => {
+        if (route && other.id === route.id) return;
+        other.stops.forEach(stop => {
+            if (shown.has(stop.id)) return;
+            shown.add(stop.id);
+            L.circleMarker([stop.lat, stop.lng], { radius: 6, color: other.color, fillOpacity: 0.5, bubblingMouseEvents: false })
+                .bindTooltip(`${escapeHtml(stop.name)} (${escapeHtml(other.number)})`)
+                .on('click', () => this.placeEditedStop(stop))
+                .addTo(editor.layer);
+        });
+    });
+    if (!route) return;
+
+    L.polyline(route.stops.map(stop => [stop.lat, stop.lng]), { color: route.color, weight: 4, dashArray: '8 6' })
+        .addTo(editor.layer);
+    route.stops.forEach((stop, index) => {
+        const icon = L.divIcon({
+            className: 'route-editor-marker',
+            html: `<span style="background: ${escapeHtml(route.color)};">${index + 1}</span>`,
+            iconSize: [24, 24],
+            iconAnchor: [12, 12]
+        });
+        L.marker([stop.lat, stop.lng], { icon, draggable: true })
+            .bindTooltip(escapeHtml(stop.name))
+            .on('dragend', (e) => {
+                const { lat, lng } = e.target.getLatLng();
+                this.updateEditedStop(stop.id, { lat: Number(lat.toFixed(6)), lng: Number(lng.toFixed(6)) });
+                this.drawRouteEditorLayer();
+            })
+            .addTo(editor.layer);
+    });
+};
+
+CityBusTracker.prototype.setStopPlacing = function(placing) {
+    if (!this.routeEditor) return;
+    this.routeEditor.placing = placing && !!this.getEditedRoute();
+    const button = document.getElementById('routeEditorPlaceBtn');
+    button.classList.toggle('active', this.routeEditor.placing);
+    button.innerHTML = this.routeEditor.placing
+        ? '<i class="fas fa-check"></i> Done Placing Stops'
+        : '<i class="fas fa-map-marker-alt"></i> Place Stops on Map';
+    this.map.getContainer().classList.toggle('placing-stops', this.routeEditor.placing);
+};
+
+// Add a stop at the end of the edited route: an existing stop (shared with
+// its other routes) or a new one at a clicked position
+CityBusTracker.prototype.placeEditedStop = function(place) {
+    const editor = this.routeEditor;
+    const route = this.getEditedRoute();
+    if (!editor || !editor.placing || !route) return;
+
+    const stop = place.id
+        ? { id: place.id, name: place.name, lat: place.lat, lng: place.lng }
+        : {
+            id: this.createEditedStopId(),
+            name: `New Stop ${route.stops.length + 1}`,
+            lat: Number(place.lat.toFixed(6)),
+            lng: Number(place.lng.toFixed(6))
+        };
+    route.stops.push(stop);
+    editor.changedRoutes.add(route.id);
+    this.renderEditedStops();
+    this.drawRouteEditorLayer();
+    if (!place.id) document.querySelector(`#routeEditorStops input[data-index="${route.stops.length - 1}"]`)?.select();
+};
+
+CityBusTracker.prototype.createEditedStopId = function() {
+    const used = new Set();
+    this.routeEditor.network.routes.forEach(route => route.stops.forEach(stop => used.add(stop.id)));
+    let id;
+    do {
+        id = `stop-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+    } while (used.has(id));
+    return id;
+};
+
+// A stop shared by several routes changes on all of them and in the stop
+// registry, which the routes' copies follow when the network is loaded
+CityBusTracker.prototype.updateEditedStop = function(stopId, changes) {
+    const moved = 'lat' in changes || 'lng' in changes;
+    const entry = (this.routeEditor.network.stops || []).find(stop => stop.id === stopId);
+    if (entry) Object.assign(entry, changes);
+    this.routeEditor.network.routes.forEach(route => {
+        route.stops.forEach(stop => {
+            if (stop.id !== stopId) return;
+            Object.assign(stop, changes);
+            if (moved) this.routeEditor.changedRoutes.add(route.id);
+        });
+    });
+};
+
+CityBusTracker.prototype.editRouteStop = function(index, action) {
+    const route = this.getEditedRoute();
+    if (!route || !route.stops[index]) return;
+
+    if (action === 'remove') {
+        route.stops.splice(index, 1);
+    } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= route.stops.length) return;
+        [route.stops[index], route.stops[target]] = [route.stops[target], route.stops[index]];
+    }
+    this.routeEditor.changedRoutes.add(route.id);
+    this.renderEditedStops();
+    this.drawRouteEditorLayer();
+};
+
+CityBusTracker.prototype.selectEditedRoute = function(routeId) {
+    this.routeEditor.routeId = routeId;
+    this.setStopPlacing(false);
+    this.renderRouteEditor();
+};
+
+// Routes are listed (and numbered in the sidebar) in this order
+CityBusTracker.prototype.moveEditedRoute = function(routeId, delta) {
+    const routes = this.routeEditor.network.routes;
+    const index = routes.findIndex(route => route.id === routeId);
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= routes.length) return;
+    [routes[index], routes[target]] = [routes[target], routes[index]];
+    this.renderEditedRoutes();
+};
+
+CityBusTracker.prototype.addEditedRoute = function() {
+    const editor = this.routeEditor;
+    const id = `route-${Date.now().toString(36)}`;
+    const used = new Set(editor.network.routes.map(route => route.color));
+    const colors = CityBusTracker.routeEditorColors;
+    editor.network.routes.push({
+        id,
+        number: `R-${editor.network.routes.length + 1}`,
+        name: 'New Route',
+        color: colors.find(color => !used.has(color)) || colors[editor.network.routes.length % colors.length],
+        routeClass: `route-${id}`,
+        stops: []
+    });
+    editor.routeId = id;
+    this.renderRouteEditor();
+    this.setStopPlacing(true);
+    document.getElementById('routeEditorNumber').select();
+};
+
+CityBusTracker.prototype.deleteEditedRoute = function() {
+    const editor = this.routeEditor;
+    const route = this.getEditedRoute();
+    if (!route || !confirm(`Delete route ${route.number}? Its buses are removed as well.`)) return;
+
+    editor.network.routes = editor.network.routes.filter(other => other.id !== route.id);
+    editor.network.vehicles = (editor.network.vehicles || []).filter(vehicle => vehicle.routeId !== route.id);
+    editor.routeId = editor.network.routes[0] ? editor.network.routes[0].id : null;
+    this.setStopPlacing(false);
+    this.renderRouteEditor();
+};
+
+CityBusTracker.prototype.saveRouteEditor = async function() {
+    const editor = this.routeEditor;
+    if (!editor || !this.requirePermission('manage_network')) return;
+
+    const network = JSON.parse(JSON.stringify(editor.network));
+    const merges = mergeDuplicateStops(network);
+    const { errors, warnings } = validateNetwork(network);
+    this.renderRouteEditorIssues(errors, warnings, merges);
+    if (errors.length) {
+        this.showError('The routes cannot be saved yet. See the problems in the Route Editor.');
+        return;
+    }
+
+    // Routes whose stops changed are drawn straight until snapped again
+    const savedShapes = this.getSavedRouteShapes();
+    editor.changedRoutes.forEach(routeId => {
+        const route = network.routes.find(other => other.id === routeId);
+        if (route) {
+            delete route.shape;
+            delete route.shapeId;
+        }
+        delete savedShapes[routeId];
+    });
+    localStorage.setItem('routeShapes', JSON.stringify(savedShapes));
+
+    await this.saveImportedNetwork(network);
+    this.applyNetwork(this.loadImportedNetwork());
+    this.updateUI();
+
+    const merged = merges.length ? ` Merged ${merges.length} duplicate stop${merges.length === 1 ? '' : 's'}.` : '';
+    this.showSuccess(`Saved ${network.routes.length} routes.${merged}`);
+
+    // Keep editing the saved copy while there are warnings to read
+    if (warnings.length || merges.length) {
+        editor.network = this.loadImportedNetwork();
+        editor.changedRoutes.clear();
+        this.renderRouteEditor();
+    } else {
+        this.closeRouteEditor();
+    }
+};
+
+CityBusTracker.prototype.renderRouteEditorIssues = function(errors, warnings, merges) {
+    const items = messages => messages.map(message => `<li>${escapeHtml(message)}</li>`).join('');
+    const mergeItems = merges.map(merge =>
+        `${merge.from} → ${merge.into} (${merge.name})`);
+    document.getElementById('routeEditorIssues').innerHTML = [
+        errors.length ? `<h5>Errors</h5><ul class="gtfs-issues error">${items(errors)}</ul>` : '',
+        warnings.length ? `<h5>Warnings</h5><ul class="gtfs-issues warning">${items(warnings)}</ul>` : '',
+        merges.length ? `<h5>Merged stops</h5><ul class="gtfs-issues">${items(mergeItems)}</ul>` : ''
+    ].join('');
+};
+
+// Colors offered to new routes, in order
+CityBusTracker.routeEditorColors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57', '#a78bfa', '#f472b6', '#fb923c'];
+
+// ---------------- Fleet ----------------
+// The bus registry and the daily assignments of buses and drivers to routes
+// (fleet.js). Depot managers (manage_fleet) keep both in the Fleet tab. The
+// buses assigned to a route today are the ones tracked on it, and tickets are
+// booked on the assigned buses with their own class, capacity and seats.
+
+CityBusTracker.prototype.setupFleetManagement = function() {
+    const options = (id, entries) => {
+        const select = document.getElementById(id);
+        if (select) select.innerHTML = entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    };
+    options('fleetBusLayout', Object.keys(SEAT_LAYOUTS).map(layout => [layout, layout]));
+    options('fleetBusClass', Object.entries(VEHICLE_CLASSES).map(([id, vehicleClass]) => [id, vehicleClass.name]));
+    options('fleetBusStatus', Object.entries(VEHICLE_STATUSES));
+
+    document.getElementById('fleetBusForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveFleetBus();
+    });
+    document.getElementById('fleetBusCancelBtn')?.addEventListener('click', () => this.editFleetBus(null));
+    document.getElementById('fleetBusList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-bus-action]');
+        if (!button) return;
+        if (button.dataset.busAction === 'edit') this.editFleetBus(button.dataset.busId);
+        else this.deleteFleetBus(button.dataset.busId);
+    });
+
+    const dateInput = document.getElementById('fleetAssignmentDate');
+    if (dateInput) {
+        dateInput.value = localDate();
+        dateInput.addEventListener('change', () => {
+            this.populateAssignmentTrips();
+            this.renderFleetAssignments();
+        });
+    }
+    document.getElementById('fleetAssignmentRoute')?.addEventListener('change', () => this.populateAssignmentTrips());
+    document.getElementById('fleetAssignmentForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveAssignment();
+    });
+    document.getElementById('fleetAssignmentList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-assignment-id]');
+        if (button) this.deleteAssignment(button.dataset.assignmentId);
+    });
+};
+
+CityBusTracker.prototype.loadFleetData = async function() {
+    [this.fleet, this.assignments] = await Promise.all([this.data.list('fleet'), this.data.list('assignments')]);
+};
+
+// What fleet.js knows about the buses assigned to a route on a date (today
+// by default), or null when the route has no assignments
+CityBusTracker.prototype.getAssignedBuses = function(route, date = localDate()) {
+    return assignedBuses(route.id, date, { assignments: this.assignments, buses: this.fleet });
+};
+
+// The registry buses the simulation runs on a route today: each bus once,
+// on the route of its first assignment (fleet.js)
+CityBusTracker.prototype.getTrackedBuses = function(route) {
+    return trackedBuses(route.id, localDate(), { assignments: this.assignments, buses: this.fleet });
+};
+
+// After the registry or the assignments changed: reload them and, unless the
+// server's stream runs the fleet, put the assigned buses on their routes
+CityBusTracker.prototype.refreshAssignedFleet = async function() {
+    try {
+        await this.loadFleetData();
+    } catch (error) {
+        this.showError('Fleet could not be loaded: ' + error.message);
+        return;
+    }
+    if (this.simulator && !this.isStreamLive()) {
+        this.simulator.populateFleet();
+        this.updateScheduleStatuses();
+        this.updateUI();
+        this.refreshFleetViews();
+    }
+    this.renderFleetTab();
+};
+
+CityBusTracker.prototype.loadFleetTab = async function() {
+    if (!this.can('manage_fleet')) return;
+    try {
+        [this.approvedDrivers] = await Promise.all([this.data.list('drivers', { status: 'approved' }), this.loadFleetData()]);
+    } catch (error) {
+        this.showError('Fleet could not be loaded: ' + error.message);
+        return;
+    }
+    this.renderFleetTab();
+};
+
+CityBusTracker.prototype.renderFleetTab = function() {
+    const list = document.getElementById('fleetBusList');
+    if (!list) return;
+
+    const buses = this.fleet.slice().sort((a, b) => a.registration.localeCompare(b.registration));
+    list.innerHTML = buses.length === 0
+        ? '<p>No buses registered yet.</p>'
+        : buses.map(bus => `
+            <div class="fleet-item ${escapeHtml(bus.status)}">
+                <div>
+                    <div class="ticket-route">${escapeHtml(bus.registration)} · ${escapeHtml(VEHICLE_CLASSES[bus.vehicleClass]?.name || bus.vehicleClass)}</div>
+                    <div class="ticket-meta">${escapeHtml(bus.model)} · ${bus.capacity} seats (${escapeHtml(bus.seatLayout)}) ·
+                        ${escapeHtml(bus.depot)} depot · ${escapeHtml(VEHICLE_STATUSES[bus.status] || bus.status)}</div>
+                </div>
+                <div class="fleet-actions">
+                    <button class="btn btn-outline btn-sm" data-bus-action="edit" data-bus-id="${escapeHtml(bus.id)}" title="Edit">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-outline btn-sm" data-bus-action="delete" data-bus-id="${escapeHtml(bus.id)}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>`).join('');
+
+    const select = (id, entries, placeholder) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        const current = element.value;
+        element.innerHTML = `<option value="">${placeholder}</option>` +
+            entries.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+        if (entries.some(([value]) => value === current)) element.value = current;
+    };
+    select('fleetAssignmentRoute', Array.from(this.routes.values()).map(route => [route.id, `${route.number} - ${route.name}`]), 'Select route');
+    select('fleetAssignmentBus', buses.filter(bus => bus.status === 'active')
+        .map(bus => [bus.id, `${bus.registration} (${VEHICLE_CLASSES[bus.vehicleClass]?.name}, ${bus.capacity} seats)`]), 'Select bus');
+    select('fleetAssignmentDriver', (this.approvedDrivers || []).map(driver => [driver.id, driver.name]), 'Select driver');
+    this.populateAssignmentTrips();
+    this.renderFleetAssignments();
+};
+
+// Trips of the chosen route on the chosen day; an assignment without one
+// covers the whole day
+CityBusTracker.prototype.populateAssignmentTrips = function() {
+    const element = document.getElementById('fleetAssignmentTrip');
+    if (!element) return;
+    const route = this.routes.get(document.getElementById('fleetAssignmentRoute')?.value);
+    const date = document.getElementById('fleetAssignmentDate')?.value || localDate();
+    const trips = route ? this.getTripsOnDate(route, date) : [];
+    element.innerHTML = '<option value="">Whole day</option>' + trips.map(trip => {
+        const start = trip.stopTimes[0] ? formatServiceTime(trip.stopTimes[0].departure) : '';
+        return `<option value="${escapeHtml(trip.tripId)}">${start} ${escapeHtml(trip.headsign || trip.tripId)}</option>`;
+    }).join('');
+};
+
+CityBusTracker.prototype.renderFleetAssignments = function() {
+    const list = document.getElementById('fleetAssignmentList');
+    if (!list) return;
+    const date = document.getElementById('fleetAssignmentDate')?.value || localDate();
+    const assignments = this.assignments
+        .filter(assignment => assignment.date === date)
+        .sort((a, b) => String(a.routeNumber).localeCompare(String(b.routeNumber)));
+
+    list.innerHTML = assignments.length === 0
+        ? `<p>No buses assigned on ${escapeHtml(date)}. Routes without assignments keep their default buses.</p>`
+        : assignments.map(assignment => {
+            const bus = this.fleet.find(other => other.id === assignment.busId);
+            return `
+                <div class="fleet-item">
+                    <div>
+                        <div class="ticket-route">${escapeHtml(assignment.routeNumber || assignment.routeId)} ·
+                            ${escapeHtml(bus ? bus.registration : assignment.busId)}</div>
+                        <div class="ticket-meta">${escapeHtml(assignment.driverName || assignment.driverId)} ·
+                            ${assignment.tripId ? `trip ${escapeHtml(assignment.tripId)}` : 'whole day'}</div>
+                    </div>
+                    <div class="fleet-actions">
+                        <button class="btn btn-outline btn-sm" data-assignment-id="${escapeHtml(assignment.id)}" title="Remove">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>`;
+        }).join('');
+};
+
+// Fill the registry form with a bus to change it, or empty it for a new one
+CityBusTracker.prototype.editFleetBus = function(busId) {
+    const bus = this.fleet.find(other => other.id === busId) || null;
+    this.editingBusId = bus ? bus.id : null;
+    document.getElementById('fleetBusRegistration').value = bus ? bus.registration : '';
+    document.getElementById('fleetBusModel').value = bus ? bus.model : '';
+    document.getElementById('fleetBusDepot').value = bus ? bus.depot : '';
+    document.getElementById('fleetBusCapacity').value = bus ? bus.capacity : 45;
+    document.getElementById('fleetBusLayout').value = bus ? bus.seatLayout : '2+2';
+    document.getElementById('fleetBusClass').value = bus ? bus.vehicleClass : 'non-ac';
+    document.getElementById('fleetBusStatus').value = bus ? bus.status : 'active';
+    document.getElementById('fleetBusSaveBtn').innerHTML = bus
+        ? '<i class="fas fa-save"></i> Save Bus'
+        : '<i class="fas fa-plus"></i> Add Bus';
+    document.getElementById('fleetBusCancelBtn').classList.toggle('hidden', !bus);
+};
+
+CityBusTracker.prototype.saveFleetBus = async function() {
+    if (!this.requirePermission('manage_fleet')) return;
+    const bus = {
+        registration: document.getElementById('fleetBusRegistration').value.trim(),
+        model: document.getElementById('fleetBusModel').value.trim(),
+        depot: document.getElementById('fleetBusDepot').value.trim(),
+        capacity: parseInt(document.getElementById('fleetBusCapacity').value, 10),
+        seatLayout: document.getElementById('fleetBusLayout').value,
+        vehicleClass: document.getElementById('fleetBusClass').value,
+        status: document.getElementById('fleetBusStatus').value
+    };
+    const problem = checkBus(bus);
+    if (problem) {
+        this.showError(problem);
+        return;
+    }
+
+    try {
+        const saved = this.editingBusId
+            ? await this.data.update('fleet', this.editingBusId, bus)
+            : await this.data.create('fleet', bus);
+        this.showSuccess(`Bus ${saved.registration} saved`);
+    } catch (error) {
+        this.showError('Bus could not be saved: ' + error.message);
+        return;
+    }
+    this.editFleetBus(null);
+    await this.refreshAssignedFleet();
+};
+
+CityBusTracker.prototype.deleteFleetBus = async function(busId) {
+    if (!this.requirePermission('manage_fleet')) return;
+    const bus = this.fleet.find(other => other.id === busId);
+    if (!bus || !confirm(`Delete bus ${bus.registration} from the registry?`)) return;
+
+    try {
+        await this.data.remove('fleet', busId);
+        this.showSuccess(`Bus ${bus.registration} deleted`);
+    } catch (error) {
+        this.showError('Bus could not be deleted: ' + error.message);
+        return;
+    }
+    if (this.editingBusId === busId) this.editFleetBus(null);
+    await this.refreshAssignedFleet();
+};
+
+CityBusTracker.prototype.saveAssignment = async function() {
+    if (!this.requirePermission('manage_fleet')) return;
+    const assignment = {
+        date: document.getElementById('fleetAssignmentDate').value,
+        routeId: document.getElementById('fleetAssignmentRoute').value,
+        tripId: document.getElementById('fleetAssignmentTrip').value || null,
+        busId: document.getElementById('fleetAssignmentBus').value,
+        driverId: document.getElementById('fleetAssignmentDriver').value
+    };
+    const problem = checkAssignment(assignment, {
+        buses: this.fleet,
+        drivers: this.approvedDrivers || [],
+        routeIds: Array.from(this.routes.keys())
+    }) || findAssignmentConflict(assignment, this.assignments);
+    if (problem) {
+        this.showError(problem);
+        return;
+    }
+
+    try {
+        const saved = await this.data.create('assignments', assignment);
+        this.showSuccess(`${saved.driverName} drives ${saved.routeNumber} on ${saved.date}`);
+    } catch (error) {
+        this.showError('Assignment could not be saved: ' + error.message);
+        return;
+    }
+    await this.refreshAssignedFleet();
+};
+
+CityBusTracker.prototype.deleteAssignment = async function(assignmentId) {
+    if (!this.requirePermission('manage_fleet')) return;
+    try {
+        await this.data.remove('assignments', assignmentId);
+    } catch (error) {
+        this.showError('Assignment could not be removed: ' + error.message);
+        return;
+    }
+    await this.refreshAssignedFleet();
+};
+
+// The registration of the bus the signed-in driver is assigned to today
+CityBusTracker.prototype.getDriverAssignedBus = function() {
+    const today = localDate();
+    const assignment = this.currentUser && this.assignments.find(other =>
+        other.driverId === this.currentUser.id && other.date === today);
+    const bus = assignment && this.fleet.find(other => other.id === assignment.busId);
+    return bus ? bus.registration : null;
+};
@@ -0,0 +1,181 @@
+// CityBus Tracker - Timetable
+// When the buses run. A service calendar says on which days a service runs:
+// { serviceId, days: [sunday ... saturday], startDate, endDate, added, removed }
+// with dates as YYYYMMDD (GTFS calendar.txt and calendar_dates.txt); added and
+// removed are the exceptions, such as holidays that run the Sunday service
+// instead of the weekday one. A trip runs one service along its route:
+// { tripId, serviceId, headsign, directionId, stopTimes: [{ stopId, sequence,
+// arrival, departure }] } with times in seconds after midnight of the service
+// day, past 24:00 for trips that run after midnight. A trip with frequencies
+// ([{ startTime, endTime, headwaySeconds }]) is a pattern that departs every
+// headway from startTime until before endTime. Whether a bus is early, on time
+// or delayed is measured against these trips. Loaded by the app and by the
+// server (fleet-host.js).
+
+// When a bus counts as early or delayed, and how far from the bus's expected
+// arrival a scheduled one may be for the bus to be measured against that trip
+const ADHERENCE_RULES = {
+    earlySeconds: 60, // more than this ahead of the timetable is early
+    lateSeconds: 300, // same threshold as GTFS-RT delays
+    matchWindowMinutes: 60
+};
+
+// For routes without a timetable of their own
+const TIMETABLE_DEFAULTS = {
+    firstDeparture: 6 * 3600,
+    lastDeparture: 21 * 3600,
+    headwaySeconds: 3600,
+    averageSpeedKmh: 30,
+    dwellSeconds: 120
+};
+
+// A Date, or a "2026-10-19" date (as in bookings and assignments) read as local time
+function toServiceDate(date) {
+    return typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+}
+
+// "20261019": the day as GTFS writes it
+function serviceDay(date = new Date()) {
+    const day = toServiceDate(date);
+    const pad = value => String(value).padStart(2, '0');
+    return `${day.getFullYear()}${pad(day.getMonth() + 1)}${pad(day.getDate())}`;
+}
+
+// Whether a service runs on the date; services without a calendar run every day
+function runsOn(calendar, date) {
+    if (!calendar) return true;
+    const day = serviceDay(date);
+    if ((calendar.removed || []).includes(day)) return false;
+    if ((calendar.added || []).includes(day)) return true;
+    if (calendar.startDate && day < calendar.startDate) return false;
+    if (calendar.endDate && day > calendar.endDate) return false;
+    return !!(calendar.days && calendar.days[toServiceDate(date).getDay()]);
+}
+
+// Name of the holiday on the date ([{ date, name }]), or null
+function holidayOn(holidays, date) {
+    const day = serviceDay(date);
+    const holiday = (holidays || []).find(other => other.date === day);
+    return holiday ? holiday.name : null;
+}
+
+// "06:30" for seconds after midnight; service times past 24:00 wrap around
+function formatServiceTime(seconds) {
+    const pad = value => String(value).padStart(2, '0');
+    const minutes = Math.round(seconds / 60);
+    return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+}
+
+function firstDeparture(trip) {
+    return trip.stopTimes.length ? trip.stopTimes[0].departure : 0;
+}
+
+// The trips of a frequency pattern, one per departure, with the pattern's id
+// and start time as their id ("route-pb1-weekday-0530"); other trips as they are
+function expandTrip(trip) {
+    if (!trip.frequencies || trip.frequencies.length === 0) return [trip];
+
+    const { frequencies, ...template } = trip;
+    const trips = [];
+    frequencies.forEach(({ startTime, endTime, headwaySeconds }) => {
+        if (!(headwaySeconds > 0)) return;
+        for (let start = startTime; start < endTime; start += headwaySeconds) {
+            const shift = start - firstDeparture(trip);
+            trips.push({
+                ...template,
+                tripId: `${trip.tripId}-${formatServiceTime(start).replace(':', '')}`,
+                patternId: trip.tripId,
+                stopTimes: trip.stopTimes.map(stopTime => ({
+                    ...stopTime,
+                    arrival: stopTime.arrival + shift,
+                    departure: stopTime.departure + shift
+                }))
+            });
+        }
+    });
+    return trips;
+}
+
+// The trips that run on the date, frequencies expanded, in order of departure.
+// calendars is a Map of serviceId -> calendar.
+function tripsOnDate(trips, calendars, date) {
+    return (trips || [])
+        .filter(trip => runsOn(calendars.get(trip.serviceId), date))
+        .flatMap(expandTrip)
+        .sort((a, b) => firstDeparture(a) - firstDeparture(b));
+}
+
+// A timetable for a route that has none: one pattern every day, timed from
+// the stop-to-stop distances (segmentLengths, in meters)
+function defaultTrips(route, segmentLengths) {
+    const { firstDeparture: start, lastDeparture, headwaySeconds, averageSpeedKmh, dwellSeconds } = TIMETABLE_DEFAULTS;
+    const last = route.stops.length - 1;
+    const offsets = [0];
+    for (let i = 1; i <= last; i++) {
+        const km = (segmentLengths[i - 1] || 0) / 1000;
+        offsets.push(offsets[i - 1] + Math.round(km / averageSpeedKmh * 3600) + (i > 1 ? dwellSeconds : 0));
+    }
+
+    return [{
+        tripId: route.id,
+        serviceId: 'DAILY',
+        headsign: route.stops[last].name,
+        directionId: '0',
+        stopTimes: route.stops.map((stop, i) => ({
+            stopId: stop.id,
+            sequence: i + 1,
+            arrival: start + offsets[i],
+            departure: start + offsets[i] + (i === 0 || i === last ? 0 : dwellSeconds)
+        })),
+        frequencies: [{ startTime: start, endTime: lastDeparture + headwaySeconds, headwaySeconds }]
+    }];
+}
+
+// 'early', 'on-time' or 'delayed' for a delay in seconds (negative is early)
+function adherenceStatus(delaySeconds) {
+    if (delaySeconds > ADHERENCE_RULES.lateSeconds) return 'delayed';
+    if (delaySeconds < -ADHERENCE_RULES.earlySeconds) return 'early';
+    return 'on-time';
+}
+
+// How far a bus is from the timetable at its next stop: when it is expected
+// there (expectedAt, ms) against the scheduled arrival of its own trip
+// (tripId), or else of the trip due there closest to it. tripsOn(date) gives
+// the trips of the bus's route on a service day. { tripId, scheduledAt,
+// delaySeconds, status } with positive delaySeconds for late, or null when no
+// trip is due there within the match window.
+function scheduleAdherence(tripsOn, { stopId, expectedAt, tripId }) {
+    const midnight = new Date(expectedAt);
+    midnight.setHours(0, 0, 0, 0);
+    const windowMs = ADHERENCE_RULES.matchWindowMinutes * 60000;
+
+    let best = null;
+    // Trips after midnight run on the previous service day
+    [0, -1].forEach(dayOffset => {
+        const serviceDate = new Date(midnight);
+        serviceDate.setDate(serviceDate.getDate() + dayOffset);
+        tripsOn(serviceDate).forEach(trip => {
+            const stopTime = trip.stopTimes.find(st => st.stopId === stopId);
+            if (!stopTime || stopTime.arrival === null || stopTime.arrival === undefined) return;
+
+            const scheduledAt = serviceDate.getTime() + stopTime.arrival * 1000;
+            const difference = Math.abs(expectedAt - scheduledAt);
+            const ownTrip = !!tripId && trip.tripId === tripId;
+            if (!ownTrip && difference > windowMs) return;
+            if (!best || (ownTrip && !best.ownTrip) || (ownTrip === best.ownTrip && difference < best.difference)) {
+                best = { trip, scheduledAt, difference, ownTrip };
+            }
+        });
+    });
+    if (!best) return null;
+
+    const delaySeconds = Math.round((expectedAt - best.scheduledAt) / 1000);
+    return { tripId: best.trip.tripId, scheduledAt: best.scheduledAt, delaySeconds, status: adherenceStatus(delaySeconds) };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        TIMETABLE_DEFAULTS, ADHERENCE_RULES, serviceDay, runsOn, holidayOn, formatServiceTime,
+        expandTrip, tripsOnDate, defaultTrips, adherenceStatus, scheduleAdherence
+    };
+}
@@ -0,0 +1,200 @@
+// CityBus Tracker - minimal WebSocket server side (RFC 6455)
+// Enough of the protocol for the live vehicle stream: the opening handshake,
+// text messages, ping/pong and close. Fragmented messages are reassembled;
+// binary messages are ignored.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// Emits 'message' (string) and 'close' (code)
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.closed = false;
+        this.isAlive = true;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish(1006));
+        socket.on('error', () => this.finish(1006));
+    }
+
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(WebSocketConnection.encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+    }
+
+    ping() {
+        if (this.closed) return;
+        this.socket.write(WebSocketConnection.encodeFrame(OPCODES.ping, Buffer.alloc(0)));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.socket.write(WebSocketConnection.encodeFrame(OPCODES.close, payload));
+        this.socket.end();
+        this.finish(code);
+    }
+
+    finish(code) {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close', code);
+    }
+
+    // Server frames are never masked
+    static encodeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        return Buffer.concat([header, payload]);
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Next complete frame from the buffer, or null when more bytes are needed
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            if (longLength > BigInt(MAX_MESSAGE_BYTES)) {
+                this.close(1009);
+                return null;
+            }
+            length = Number(longLength);
+            offset = 10;
+        }
+
+        // Clients must mask every frame
+        if (!masked) {
+            this.close(1002);
+            return null;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009);
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.socket.write(WebSocketConnection.encodeFrame(OPCODES.pong, payload));
+                return;
+            case OPCODES.pong:
+                this.isAlive = true;
+                return;
+            case OPCODES.close:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                return;
+            case OPCODES.text:
+            case OPCODES.binary:
+                this.fragmentOpcode = opcode;
+                this.fragments = [payload];
+                break;
+            case OPCODES.continuation:
+                if (this.fragmentOpcode === null) {
+                    this.close(1002);
+                    return;
+                }
+                this.fragments.push(payload);
+                break;
+            default:
+                this.close(1002);
+                return;
+        }
+
+        const total = this.fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+        if (total > MAX_MESSAGE_BYTES) {
+            this.close(1009);
+            return;
+        }
+        if (!fin) return;
+
+        const message = Buffer.concat(this.fragments);
+        const messageOpcode = this.fragmentOpcode;
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        if (messageOpcode === OPCODES.text) this.emit('message', message.toString('utf8'));
+    }
+}
+
+// Complete the opening handshake for an HTTP 'upgrade' request; returns the
+// connection, or null after rejecting a request that is not a WebSocket one
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };